@@ -0,0 +1,273 @@
+/**
+ * BatchRecognition Component for Many-image OCR
+ *
+ * Takes a stack of images (picker, drag & drop or paste), runs them through
+ * the shared OCR worker pool a few at a time and lists them in a table with
+ * thumbnail, LaTeX, time and status. LaTeX can be edited in place, any row
+ * can be re-run, and the table exports to JSON or CSV (see
+ * utils/batchExport.js).
+ *
+ * @component BatchRecognition
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import { InlineMath } from 'react-katex';
+import { getOCRWorkerPool, PRIORITY } from '../workers/ocrWorkerPool';
+import { toBatchJSON, toBatchCSV } from '../utils/batchExport';
+
+// Jobs in flight at once (keeps the pool queue short so interactive requests are not evicted)
+const BATCH_CONCURRENCY = 3;
+
+const STATUS_STYLES = {
+  queued: 'bg-gray-100 text-gray-600',
+  processing: 'bg-blue-100 text-blue-700',
+  done: 'bg-green-100 text-green-700',
+  error: 'bg-red-100 text-red-700'
+};
+
+let rowCounter = 0;
+
+/**
+ * Offer text as a file download
+ * @param {string} text - File contents
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type
+ */
+function downloadText(text, filename, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * @param {Object} props
+ * @param {Object} [props.options] - Worker options for every job (e.g. `{ preprocess }`)
+ * @param {Function} [props.onRecognized] - Called with `{ image, latex, time }` for every finished image
+ */
+export default function BatchRecognition({ options, onRecognized }) {
+  const [rows, setRows] = useState([]);
+  const fileInputRef = useRef(null);
+  const queueRef = useRef([]);
+  const activeRef = useRef(0);
+  const optionsRef = useRef(options);
+  const onRecognizedRef = useRef(onRecognized);
+  const rowsRef = useRef(rows);
+  optionsRef.current = options;
+  onRecognizedRef.current = onRecognized;
+  rowsRef.current = rows;
+
+  useEffect(() => () => {
+    queueRef.current = [];
+    getOCRWorkerPool().cancel('ocr-batch', 'page unmounted');
+    rowsRef.current.forEach(row => URL.revokeObjectURL(row.thumbnail));
+  }, []);
+
+  const updateRow = (id, changes) => {
+    setRows(prev => prev.map(row => (row.id === id ? { ...row, ...changes } : row)));
+  };
+
+  // Start queued rows while fewer than BATCH_CONCURRENCY are running
+  const pump = () => {
+    while (activeRef.current < BATCH_CONCURRENCY && queueRef.current.length > 0) {
+      const { id, file } = queueRef.current.shift();
+      activeRef.current++;
+      updateRow(id, { status: 'processing', error: null });
+
+      getOCRWorkerPool()
+        .submit({ image: file, key: `ocr-batch:${id}`, priority: PRIORITY.NORMAL, options: optionsRef.current })
+        .then(({ output, time }) => {
+          updateRow(id, { latex: output, time, status: 'done', edited: false });
+          onRecognizedRef.current?.({ image: file, latex: output, time });
+        })
+        .catch((error) => {
+          // Superseded by a re-run of the same row, or the page closed
+          if (error.cancelled) return;
+          updateRow(id, { status: 'error', error: error.message });
+        })
+        .finally(() => {
+          activeRef.current--;
+          pump();
+        });
+    }
+  };
+
+  const enqueue = (id, file) => {
+    queueRef.current = queueRef.current.filter(entry => entry.id !== id);
+    queueRef.current.push({ id, file });
+    updateRow(id, { status: 'queued', error: null });
+  };
+
+  const addFiles = (files) => {
+    const images = Array.from(files || []).filter(file => file.type.startsWith('image/'));
+    if (images.length === 0) return;
+
+    const added = images.map(file => ({
+      id: ++rowCounter,
+      file,
+      name: file.name || `pasted-${rowCounter}.png`,
+      thumbnail: URL.createObjectURL(file),
+      latex: '',
+      time: null,
+      status: 'queued',
+      error: null,
+      edited: false
+    }));
+    setRows(prev => [...prev, ...added]);
+    added.forEach(row => queueRef.current.push({ id: row.id, file: row.file }));
+    pump();
+  };
+
+  const rerun = (row) => {
+    enqueue(row.id, row.file);
+    pump();
+  };
+
+  const removeRow = (row) => {
+    queueRef.current = queueRef.current.filter(entry => entry.id !== row.id);
+    getOCRWorkerPool().cancel(`ocr-batch:${row.id}`, 'row removed');
+    URL.revokeObjectURL(row.thumbnail);
+    setRows(prev => prev.filter(r => r.id !== row.id));
+  };
+
+  const clearAll = () => {
+    queueRef.current = [];
+    getOCRWorkerPool().cancel('ocr-batch', 'batch cleared');
+    rows.forEach(row => URL.revokeObjectURL(row.thumbnail));
+    setRows([]);
+  };
+
+  const onPaste = (e) => {
+    const items = Array.from(e.clipboardData?.items || []);
+    addFiles(items.filter(item => item.type.startsWith('image/')).map(item => item.getAsFile()).filter(Boolean));
+  };
+
+  const counts = rows.reduce((acc, row) => ({ ...acc, [row.status]: (acc[row.status] || 0) + 1 }), {});
+  const stamp = new Date().toISOString().slice(0, 10);
+
+  return (
+    <div className="border rounded-lg p-6 bg-white shadow-sm" data-testid="batch-recognition">
+      <div
+        className="border-2 border-dashed border-gray-300 rounded-lg p-6 text-center cursor-pointer hover:border-blue-400 transition-colors bg-gray-50"
+        onClick={() => fileInputRef.current?.click()}
+        onDrop={(e) => {
+          e.preventDefault();
+          addFiles(e.dataTransfer?.files);
+        }}
+        onDragOver={(e) => e.preventDefault()}
+        onPaste={onPaste}
+        tabIndex={0}
+      >
+        <p className="text-sm text-gray-600">Click to choose, drag & drop, or paste any number of images</p>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="image/*"
+          multiple
+          onChange={(e) => {
+            addFiles(e.target.files);
+            e.target.value = '';
+          }}
+          className="hidden"
+          data-testid="batch-file-input"
+        />
+      </div>
+
+      <div className="mt-4 flex flex-wrap items-center justify-between gap-2">
+        <span className="text-sm text-gray-600" data-testid="batch-summary">
+          {rows.length} {rows.length === 1 ? 'image' : 'images'}
+          {rows.length > 0 && ` · ${counts.done || 0} done · ${(counts.queued || 0) + (counts.processing || 0)} pending · ${counts.error || 0} failed`}
+        </span>
+        <div className="flex gap-2">
+          <button
+            onClick={() => downloadText(toBatchJSON(rows), `texo-batch-${stamp}.json`, 'application/json')}
+            disabled={rows.length === 0}
+            className="px-3 py-1 text-sm bg-gray-200 hover:bg-gray-300 rounded transition disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Export JSON
+          </button>
+          <button
+            onClick={() => downloadText(toBatchCSV(rows), `texo-batch-${stamp}.csv`, 'text/csv')}
+            disabled={rows.length === 0}
+            className="px-3 py-1 text-sm bg-gray-200 hover:bg-gray-300 rounded transition disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Export CSV
+          </button>
+          <button
+            onClick={clearAll}
+            disabled={rows.length === 0}
+            className="px-3 py-1 text-sm bg-gray-200 hover:bg-gray-300 rounded transition disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Clear
+          </button>
+        </div>
+      </div>
+
+      {rows.length > 0 && (
+        <div className="mt-4 overflow-x-auto">
+          <table className="min-w-full text-sm" data-testid="batch-table">
+            <thead>
+              <tr className="text-left text-gray-600 border-b">
+                <th className="py-2 pr-3">Image</th>
+                <th className="py-2 pr-3">LaTeX</th>
+                <th className="py-2 pr-3">Time</th>
+                <th className="py-2 pr-3">Status</th>
+                <th className="py-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row) => (
+                <tr key={row.id} className="border-b align-top">
+                  <td className="py-2 pr-3">
+                    <img src={row.thumbnail} alt={row.name} className="h-16 w-24 object-contain border bg-white" />
+                    <div className="mt-1 text-xs text-gray-500 max-w-[6rem] truncate" title={row.name}>{row.name}</div>
+                  </td>
+                  <td className="py-2 pr-3 w-full">
+                    <textarea
+                      value={row.latex}
+                      onChange={(e) => updateRow(row.id, { latex: e.target.value, edited: true })}
+                      rows={2}
+                      aria-label={`LaTeX for ${row.name}`}
+                      className="w-full font-mono text-xs p-2 border rounded resize-y"
+                    />
+                    {row.latex && (
+                      <div className="mt-1 overflow-x-auto">
+                        <InlineMath math={row.latex} renderError={() => <span className="text-xs text-red-600">Does not render</span>} />
+                      </div>
+                    )}
+                  </td>
+                  <td className="py-2 pr-3 whitespace-nowrap text-gray-600">{row.time != null ? `${row.time}s` : '–'}</td>
+                  <td className="py-2 pr-3">
+                    <span className={`px-2 py-0.5 rounded text-xs ${STATUS_STYLES[row.status]}`} title={row.error || ''}>
+                      {row.status}{row.edited ? ' (edited)' : ''}
+                    </span>
+                    {row.error && <div className="mt-1 text-xs text-red-600">{row.error}</div>}
+                  </td>
+                  <td className="py-2 whitespace-nowrap">
+                    <button
+                      onClick={() => rerun(row)}
+                      disabled={row.status === 'queued'}
+                      className="px-2 py-1 text-xs bg-gray-100 hover:bg-blue-100 border rounded transition disabled:opacity-50"
+                    >
+                      Re-run
+                    </button>
+                    <button
+                      onClick={() => removeRow(row)}
+                      className="ml-1 px-2 py-1 text-xs bg-gray-100 hover:bg-red-100 border rounded transition"
+                    >
+                      Remove
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,53 @@
+/**
+ * CandidateList Component for OCR Alternatives
+ *
+ * Shows the runner-up beam search hypotheses returned by the OCR worker as
+ * "did you mean" suggestions. Clicking one replaces the current LaTeX.
+ *
+ * @component CandidateList
+ */
+
+import React from 'react';
+import { InlineMath } from 'react-katex';
+
+/**
+ * @typedef {Object} OCRCandidate
+ * @property {string} latex - Hypothesis LaTeX
+ * @property {number} logProb - Sum of token log-probabilities
+ * @property {number} score - Length-normalized score used for ranking
+ */
+
+/**
+ * @param {Object} props
+ * @param {OCRCandidate[]} props.candidates - Hypotheses, best first
+ * @param {string} props.current - LaTeX currently shown (hidden from the list)
+ * @param {Function} props.onSelect - Called with the chosen candidate
+ */
+export default function CandidateList({ candidates, current, onSelect }) {
+  const alternatives = (candidates || []).filter(c => c.latex && c.latex !== current);
+  if (alternatives.length === 0) return null;
+
+  return (
+    <div className="mt-4" data-testid="ocr-candidates">
+      <div className="text-sm font-medium text-gray-600 mb-2">Did you mean:</div>
+      <ul className="space-y-1">
+        {alternatives.map((candidate) => (
+          <li key={candidate.latex}>
+            <button
+              onClick={() => onSelect(candidate)}
+              className="w-full flex items-center justify-between gap-3 px-3 py-2 text-left bg-gray-50 hover:bg-blue-50 border rounded transition"
+              title={candidate.latex}
+            >
+              <span className="overflow-x-auto">
+                <InlineMath math={candidate.latex} renderError={() => <code>{candidate.latex}</code>} />
+              </span>
+              <span className="text-xs text-gray-500 font-mono whitespace-nowrap">
+                log p = {candidate.logProb.toFixed(2)}
+              </span>
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
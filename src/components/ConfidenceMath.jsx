@@ -0,0 +1,53 @@
+/**
+ * ConfidenceMath Component for OCR Results
+ *
+ * Renders recognized LaTeX as a KaTeX block with low-confidence symbols
+ * tinted (see utils/latexConfidence.js). Falls back to the plain LaTeX if the
+ * highlighted version does not render. A failed render check (see
+ * utils/renderCheck.js) adds a note asking the user to re-check the result.
+ *
+ * @component ConfidenceMath
+ */
+
+import React, { useMemo } from 'react';
+import { BlockMath } from 'react-katex';
+import {
+  highlightLowConfidence,
+  countLowConfidence,
+  LOW_CONFIDENCE_THRESHOLD
+} from '../utils/latexConfidence.js';
+
+/**
+ * @param {Object} props
+ * @param {string} props.latex - LaTeX to render
+ * @param {Array|null} [props.tokens] - Per-token probabilities for `latex` (null renders without highlighting)
+ * @param {number} [props.threshold] - Highlight symbols below this probability
+ * @param {{score: number, suspicious: boolean}|null} [props.renderCheck] - Render check result for `latex`
+ */
+export default function ConfidenceMath({ latex, tokens, threshold = LOW_CONFIDENCE_THRESHOLD, renderCheck }) {
+  const highlighted = useMemo(
+    () => highlightLowConfidence(latex, tokens, { threshold }),
+    [latex, tokens, threshold]
+  );
+  const lowCount = useMemo(
+    () => (tokens ? countLowConfidence(latex, tokens, threshold) : 0),
+    [latex, tokens, threshold]
+  );
+
+  return (
+    <>
+      <BlockMath math={highlighted} renderError={() => <BlockMath math={latex} />} />
+      {lowCount > 0 && (
+        <p className="mt-2 text-xs text-red-600" data-testid="low-confidence-note">
+          {lowCount} low-confidence {lowCount === 1 ? 'symbol' : 'symbols'} highlighted. Check before copying.
+        </p>
+      )}
+      {renderCheck?.suspicious && (
+        <p className="mt-2 text-xs text-purple-700" data-testid="render-check-note">
+          The rendered formula does not look like the input (similarity {renderCheck.score.toFixed(2)}). Re-check it
+          even if it looks valid.
+        </p>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,115 @@
+/**
+ * ExportMenu Component for Recognized Formulas
+ *
+ * Opens a menu of export formats for a recognition result (see
+ * utils/latexExport.js): SVG, PNG, MathML and Unicode text. Each format can
+ * be copied to the clipboard or downloaded as a file. Every page that shows
+ * a result offers the same menu.
+ *
+ * @component ExportMenu
+ */
+
+import React, { useState } from 'react';
+import { EXPORT_FORMATS, exportFormula } from '../utils/latexExport';
+
+/**
+ * Offer a blob as a file download
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * @param {Object} props
+ * @param {string} props.latex - Formula to export
+ * @param {string} [props.filename='formula'] - File name for downloads, without extension
+ */
+export default function ExportMenu({ latex, filename = 'formula' }) {
+  const [open, setOpen] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [status, setStatus] = useState(null);
+  const [error, setError] = useState(null);
+
+  const runExport = async (format, action) => {
+    setBusy(true);
+    setStatus(null);
+    setError(null);
+
+    try {
+      const { blob, text } = await exportFormula(latex, format.id);
+      if (action === 'download') {
+        downloadBlob(blob, `${filename}.${format.extension}`);
+        setStatus(`Downloaded ${format.label}`);
+      } else {
+        if (text != null) {
+          await navigator.clipboard.writeText(text);
+        } else {
+          // Images go to the clipboard as files, so they paste into documents
+          await navigator.clipboard.write([new ClipboardItem({ [blob.type]: blob })]);
+        }
+        setStatus(`Copied ${format.label}`);
+      }
+    } catch (err) {
+      setError(`Export failed: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="relative inline-block">
+      <button
+        onClick={() => setOpen(!open)}
+        disabled={!latex}
+        aria-expanded={open}
+        className="px-4 py-2 bg-gray-200 hover:bg-gray-300 rounded transition disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        Export...
+      </button>
+
+      {open && latex && (
+        <div
+          role="menu"
+          data-testid="export-menu"
+          className="absolute z-10 mt-2 w-72 p-3 bg-white border border-gray-200 rounded-lg shadow-lg space-y-2"
+        >
+          {EXPORT_FORMATS.map((format) => (
+            <div key={format.id} className="flex items-center justify-between gap-2">
+              <span className="text-sm text-gray-700">{format.label}</span>
+              <div className="flex gap-1">
+                <button
+                  onClick={() => runExport(format, 'copy')}
+                  disabled={busy}
+                  aria-label={`Copy ${format.label}`}
+                  className="px-2 py-1 text-xs bg-gray-100 hover:bg-gray-200 rounded transition disabled:opacity-50"
+                >
+                  Copy
+                </button>
+                <button
+                  onClick={() => runExport(format, 'download')}
+                  disabled={busy}
+                  aria-label={`Download ${format.label}`}
+                  className="px-2 py-1 text-xs bg-gray-100 hover:bg-gray-200 rounded transition disabled:opacity-50"
+                >
+                  Download
+                </button>
+              </div>
+            </div>
+          ))}
+
+          {status && <p className="text-xs text-green-700">{status}</p>}
+          {error && <p className="text-xs text-red-600">{error}</p>}
+        </div>
+      )}
+    </div>
+  );
+}
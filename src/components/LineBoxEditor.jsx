@@ -0,0 +1,163 @@
+/**
+ * LineBoxEditor Component for Multi-line OCR
+ *
+ * Shows the page image with the detected text lines as numbered boxes (see
+ * utils/lineSegmentation.js). Boxes can be dragged, resized from their
+ * edges, removed or added before the lines are recognized.
+ *
+ * @component LineBoxEditor
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+
+// Smallest box side in image pixels
+const MIN_BOX_SIZE = 8;
+
+/**
+ * Apply a drag to a box
+ * @param {import('../utils/lineSegmentation.js').LineBox} box - Box when the drag started
+ * @param {'move'|'top'|'bottom'|'left'|'right'} mode - Dragged part
+ * @param {number} dx - Horizontal movement in image pixels
+ * @param {number} dy - Vertical movement in image pixels
+ * @param {{width: number, height: number}} bounds - Image size
+ * @returns {import('../utils/lineSegmentation.js').LineBox}
+ */
+export function dragBox(box, mode, dx, dy, bounds) {
+  let { x, y, width, height } = box;
+
+  if (mode === 'move') {
+    x = Math.min(Math.max(0, x + dx), bounds.width - width);
+    y = Math.min(Math.max(0, y + dy), bounds.height - height);
+  } else if (mode === 'top') {
+    const top = Math.min(Math.max(0, y + dy), y + height - MIN_BOX_SIZE);
+    height += y - top;
+    y = top;
+  } else if (mode === 'bottom') {
+    height = Math.min(Math.max(MIN_BOX_SIZE, height + dy), bounds.height - y);
+  } else if (mode === 'left') {
+    const left = Math.min(Math.max(0, x + dx), x + width - MIN_BOX_SIZE);
+    width += x - left;
+    x = left;
+  } else if (mode === 'right') {
+    width = Math.min(Math.max(MIN_BOX_SIZE, width + dx), bounds.width - x);
+  }
+
+  return { x: Math.round(x), y: Math.round(y), width: Math.round(width), height: Math.round(height) };
+}
+
+/**
+ * @param {Object} props
+ * @param {{width: number, height: number, data: Uint8Array}} props.image - Grey page image the boxes refer to
+ * @param {import('../utils/lineSegmentation.js').LineBox[]} props.boxes - Line boxes, top to bottom
+ * @param {Function} props.onChange - Called with the updated boxes
+ */
+export default function LineBoxEditor({ image, boxes, onChange }) {
+  const canvasRef = useRef(null);
+  const svgRef = useRef(null);
+  const [drag, setDrag] = useState(null);
+
+  useEffect(() => {
+    const ctx = canvasRef.current?.getContext('2d');
+    if (!ctx) return;
+
+    const rgba = new Uint8ClampedArray(image.width * image.height * 4);
+    for (let i = 0; i < image.data.length; i++) {
+      rgba[i * 4] = rgba[i * 4 + 1] = rgba[i * 4 + 2] = image.data[i];
+      rgba[i * 4 + 3] = 255;
+    }
+    ctx.putImageData(new ImageData(rgba, image.width, image.height), 0, 0);
+  }, [image]);
+
+  // Image pixels per screen pixel
+  const imageScale = () => {
+    const rect = svgRef.current.getBoundingClientRect();
+    return rect.width ? image.width / rect.width : 1;
+  };
+
+  const startDrag = (e, index, mode) => {
+    e.stopPropagation();
+    svgRef.current.setPointerCapture?.(e.pointerId);
+    setDrag({ index, mode, startX: e.clientX, startY: e.clientY, box: boxes[index] });
+  };
+
+  const onPointerMove = (e) => {
+    if (!drag) return;
+    const scale = imageScale();
+    const next = dragBox(drag.box, drag.mode, (e.clientX - drag.startX) * scale, (e.clientY - drag.startY) * scale, image);
+    onChange(boxes.map((box, i) => (i === drag.index ? next : box)));
+  };
+
+  const endDrag = () => {
+    if (!drag) return;
+    setDrag(null);
+    // Keep boxes in reading order after a move
+    onChange([...boxes].sort((a, b) => a.y - b.y));
+  };
+
+  const addBox = () => {
+    const height = Math.max(MIN_BOX_SIZE, Math.round(image.height / 8));
+    const box = { x: 0, y: Math.round((image.height - height) / 2), width: image.width, height };
+    onChange([...boxes, box].sort((a, b) => a.y - b.y));
+  };
+
+  // Edge handles are a few screen pixels thick whatever the image size
+  const handle = Math.max(4, Math.round(image.width / 100));
+
+  return (
+    <div data-testid="line-box-editor">
+      <div className="relative border bg-white">
+        <canvas ref={canvasRef} width={image.width} height={image.height} className="block w-full h-auto" />
+        <svg
+          ref={svgRef}
+          viewBox={`0 0 ${image.width} ${image.height}`}
+          preserveAspectRatio="none"
+          className="absolute inset-0 w-full h-full touch-none"
+          onPointerMove={onPointerMove}
+          onPointerUp={endDrag}
+          onPointerCancel={endDrag}
+        >
+          {boxes.map((box, i) => (
+            <g key={i}>
+              <rect
+                x={box.x}
+                y={box.y}
+                width={box.width}
+                height={box.height}
+                fill="rgba(59, 130, 246, 0.12)"
+                stroke="#3b82f6"
+                strokeWidth={handle / 2}
+                className="cursor-move"
+                onPointerDown={(e) => startDrag(e, i, 'move')}
+              />
+              <rect x={box.x} y={box.y - handle / 2} width={box.width} height={handle} fill="transparent" className="cursor-ns-resize" onPointerDown={(e) => startDrag(e, i, 'top')} />
+              <rect x={box.x} y={box.y + box.height - handle / 2} width={box.width} height={handle} fill="transparent" className="cursor-ns-resize" onPointerDown={(e) => startDrag(e, i, 'bottom')} />
+              <rect x={box.x - handle / 2} y={box.y} width={handle} height={box.height} fill="transparent" className="cursor-ew-resize" onPointerDown={(e) => startDrag(e, i, 'left')} />
+              <rect x={box.x + box.width - handle / 2} y={box.y} width={handle} height={box.height} fill="transparent" className="cursor-ew-resize" onPointerDown={(e) => startDrag(e, i, 'right')} />
+              <text x={box.x + handle} y={box.y + handle * 4} fill="#1d4ed8" fontSize={handle * 4} pointerEvents="none">
+                {i + 1}
+              </text>
+            </g>
+          ))}
+        </svg>
+      </div>
+      <div className="mt-2 flex flex-wrap gap-2 text-sm">
+        {boxes.map((box, i) => (
+          <button
+            key={i}
+            onClick={() => onChange(boxes.filter((_, j) => j !== i))}
+            className="px-2 py-1 bg-gray-100 hover:bg-red-100 border rounded transition"
+            title="Remove this line"
+          >
+            Line {i + 1} ×
+          </button>
+        ))}
+        <button
+          onClick={addBox}
+          className="px-2 py-1 bg-gray-100 hover:bg-blue-100 border rounded transition"
+        >
+          + Add line
+        </button>
+      </div>
+    </div>
+  );
+}
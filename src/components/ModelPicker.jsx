@@ -0,0 +1,107 @@
+/**
+ * ModelPicker Component for the Active OCR Model
+ *
+ * Lets the user pick the OCR model and where it is downloaded from (see
+ * utils/modelRegistry.js). The choice is saved per workspace; the worker pool
+ * is restarted so the next recognition loads the new model. Cached OCR
+ * results are keyed by model (see calculateTileHash), so ink recognized by
+ * the previous model is recognized again.
+ *
+ * @component ModelPicker
+ */
+
+import React, { useEffect, useState } from 'react';
+import { AUTO_SOURCE, getModel, listModels } from '../utils/modelRegistry';
+import { loadOCRModelSelection, saveSessionState, logDiagnostic } from '../utils/workspaceDB';
+import { getOCRWorkerPool } from '../workers/ocrWorkerPool';
+
+/**
+ * @param {Object} props
+ * @param {boolean} [props.disabled] - Disable the selects (e.g. while a model is loading)
+ * @param {Function} [props.onChange] - Called with `{modelId, source}` after a change is saved
+ */
+export default function ModelPicker({ disabled = false, onChange }) {
+  const [selection, setSelection] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadOCRModelSelection()
+      .then((loaded) => {
+        if (!cancelled) setSelection(loaded);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(`Could not load model selection: ${err.message}`);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  if (!selection) {
+    return error ? <p className="text-sm text-red-600">{error}</p> : null;
+  }
+
+  const model = getModel(selection.modelId);
+
+  const update = async (changes) => {
+    const next = { ...selection, ...changes };
+    // A source only exists for the model that lists it
+    if (!getModel(next.modelId).sources[next.source]) next.source = AUTO_SOURCE;
+
+    try {
+      await saveSessionState('ocrModel', next.modelId);
+      await saveSessionState('ocrModelSource', next.source);
+      setSelection(next);
+      setError(null);
+
+      // Workers keep the model they loaded; the next recognition loads the new one
+      // and misses the tile cache entries of the old one
+      getOCRWorkerPool().terminate();
+      await logDiagnostic('info', 'model', `OCR model set to ${next.modelId} (${next.source})`);
+      onChange?.(next);
+    } catch (err) {
+      setError(`Failed to save model: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="space-y-3" data-testid="model-picker">
+      <div className="flex flex-wrap items-center gap-3">
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          Model
+          <select
+            value={model.id}
+            onChange={(e) => update({ modelId: e.target.value })}
+            disabled={disabled}
+            className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            {listModels().map((m) => (
+              <option key={m.id} value={m.id}>{m.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          Source
+          <select
+            value={selection.source}
+            onChange={(e) => update({ source: e.target.value })}
+            disabled={disabled}
+            className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            <option value={AUTO_SOURCE}>
+              Automatic{model.importable ? ' (offline import first)' : ''}
+            </option>
+            {Object.entries(model.sources).map(([id, source]) => (
+              <option key={id} value={id}>{source.label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+      <p className="text-xs text-gray-500">
+        {model.description} · <span className="font-mono">{model.modelName}</span> · {model.inputSize}×{model.inputSize} input
+      </p>
+      {error && <p className="text-sm text-red-600">{error}</p>}
+    </div>
+  );
+}
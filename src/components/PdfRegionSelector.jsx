@@ -0,0 +1,255 @@
+/**
+ * PdfRegionSelector Component for PDF Import
+ *
+ * Renders the pages of a PDF locally (see utils/pdfRegions.js) and lets the
+ * user rubber-band select formula regions. Every region is cut out of the
+ * rendered page and recognized through the shared OCR worker pool; results
+ * are listed grouped by page number.
+ *
+ * @component PdfRegionSelector
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import { InlineMath } from 'react-katex';
+import { getOCRWorkerPool, PRIORITY } from '../workers/ocrWorkerPool';
+import {
+  openPdf,
+  renderPdfPage,
+  normalizeSelection,
+  isRegion,
+  groupRegionsByPage,
+  cropCanvas
+} from '../utils/pdfRegions';
+
+let regionCounter = 0;
+
+/**
+ * @param {Object} props
+ * @param {File} props.file - PDF file
+ * @param {Object} [props.options] - Worker options for every region (e.g. `{ preprocess }`)
+ * @param {Function} [props.onUseResult] - Called with a recognized region to load it into the editor
+ * @param {Function} [props.onRecognized] - Called with `{ image, latex, time }` for every recognized region
+ */
+export default function PdfRegionSelector({ file, options, onUseResult, onRecognized }) {
+  const canvasRef = useRef(null);
+  const [pdf, setPdf] = useState(null);
+  const [pageNumber, setPageNumber] = useState(1);
+  const [pageSize, setPageSize] = useState(null);
+  const [regions, setRegions] = useState([]);
+  const [selection, setSelection] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Open the document
+  useEffect(() => {
+    let cancelled = false;
+    let doc = null;
+
+    setPdf(null);
+    setPageNumber(1);
+    setRegions([]);
+    setError(null);
+
+    openPdf(file)
+      .then((opened) => {
+        doc = opened;
+        if (cancelled) opened.destroy();
+        else setPdf(opened);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(`Could not open PDF: ${err.message}`);
+      });
+
+    return () => {
+      cancelled = true;
+      getOCRWorkerPool().cancel('ocr-pdf', 'PDF closed');
+      doc?.destroy();
+    };
+  }, [file]);
+
+  // Render the current page
+  useEffect(() => {
+    if (!pdf || !canvasRef.current) return;
+    let cancelled = false;
+
+    setPageSize(null);
+    renderPdfPage(pdf, pageNumber, canvasRef.current)
+      .then((size) => {
+        if (!cancelled) setPageSize(size);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(`Could not render page ${pageNumber}: ${err.message}`);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [pdf, pageNumber]);
+
+  const updateRegion = (id, changes) => {
+    setRegions(prev => prev.map(region => (region.id === id ? { ...region, ...changes } : region)));
+  };
+
+  const recognizeRegion = async (region) => {
+    updateRegion(region.id, { status: 'processing', error: null });
+    try {
+      const blob = await cropCanvas(canvasRef.current, region.rect);
+      const image = new File([blob], `page-${region.page}-region-${region.id}.png`, { type: 'image/png' });
+      const { output, time, tokens } = await getOCRWorkerPool().submit({
+        image,
+        key: `ocr-pdf:${region.id}`,
+        priority: PRIORITY.HIGH,
+        options
+      });
+      updateRegion(region.id, { status: 'done', latex: output, tokens, time, image });
+      onRecognized?.({ image, latex: output, time });
+    } catch (err) {
+      if (err.cancelled) return;
+      updateRegion(region.id, { status: 'error', error: err.message });
+    }
+  };
+
+  // Pointer position in rendered-page pixels
+  const toPagePoint = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const scale = rect.width ? pageSize.width / rect.width : 1;
+    return { x: (e.clientX - rect.left) * scale, y: (e.clientY - rect.top) * scale };
+  };
+
+  const onPointerDown = (e) => {
+    if (!pageSize) return;
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    const point = toPagePoint(e);
+    setSelection({ start: point, end: point });
+  };
+
+  const onPointerMove = (e) => {
+    if (!selection) return;
+    setSelection({ ...selection, end: toPagePoint(e) });
+  };
+
+  const onPointerUp = () => {
+    if (!selection) return;
+    const rect = normalizeSelection(selection.start, selection.end, pageSize);
+    setSelection(null);
+    if (!isRegion(rect)) return;
+
+    const region = { id: ++regionCounter, page: pageNumber, rect, status: 'processing', latex: '', time: null, error: null };
+    setRegions(prev => [...prev, region]);
+    recognizeRegion(region);
+  };
+
+  const removeRegion = (region) => {
+    getOCRWorkerPool().cancel(`ocr-pdf:${region.id}`, 'region removed');
+    setRegions(prev => prev.filter(r => r.id !== region.id));
+  };
+
+  const numPages = pdf?.numPages || 0;
+  const draft = selection && pageSize ? normalizeSelection(selection.start, selection.end, pageSize) : null;
+  const pageRegions = regions.filter(region => region.page === pageNumber);
+
+  if (error) {
+    return <div className="p-4 bg-red-50 border border-red-200 rounded text-red-700 text-sm">{error}</div>;
+  }
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6" data-testid="pdf-region-selector">
+      <div>
+        <div className="mb-2 flex items-center gap-2 text-sm">
+          <button
+            onClick={() => setPageNumber(n => Math.max(1, n - 1))}
+            disabled={pageNumber <= 1}
+            className="px-3 py-1 bg-gray-200 hover:bg-gray-300 rounded transition disabled:opacity-50"
+          >
+            ‹ Prev
+          </button>
+          <span className="text-gray-600">
+            {numPages ? `Page ${pageNumber} of ${numPages}` : 'Loading PDF...'}
+          </span>
+          <button
+            onClick={() => setPageNumber(n => Math.min(numPages, n + 1))}
+            disabled={pageNumber >= numPages}
+            className="px-3 py-1 bg-gray-200 hover:bg-gray-300 rounded transition disabled:opacity-50"
+          >
+            Next ›
+          </button>
+          <span className="ml-auto text-xs text-gray-500">Drag over a formula to recognize it</span>
+        </div>
+        <div className="relative border bg-white">
+          <canvas ref={canvasRef} className="block w-full h-auto" />
+          {pageSize && (
+            <svg
+              viewBox={`0 0 ${pageSize.width} ${pageSize.height}`}
+              preserveAspectRatio="none"
+              className="absolute inset-0 w-full h-full cursor-crosshair touch-none"
+              onPointerDown={onPointerDown}
+              onPointerMove={onPointerMove}
+              onPointerUp={onPointerUp}
+              onPointerCancel={() => setSelection(null)}
+              data-testid="pdf-selection-layer"
+            >
+              {pageRegions.map((region) => (
+                <rect
+                  key={region.id}
+                  {...region.rect}
+                  fill="rgba(34, 197, 94, 0.12)"
+                  stroke={region.status === 'error' ? '#dc2626' : '#16a34a'}
+                  strokeWidth={3}
+                />
+              ))}
+              {draft && <rect {...draft} fill="rgba(59, 130, 246, 0.15)" stroke="#3b82f6" strokeWidth={3} strokeDasharray="8 4" />}
+            </svg>
+          )}
+        </div>
+      </div>
+
+      <div data-testid="pdf-results">
+        {regions.length === 0 ? (
+          <p className="text-sm text-gray-500">Selected regions and their LaTeX appear here, grouped by page.</p>
+        ) : (
+          groupRegionsByPage(regions).map(({ page, regions: list }) => (
+            <section key={page} className="mb-4">
+              <button
+                onClick={() => setPageNumber(page)}
+                className="text-sm font-semibold text-gray-700 hover:text-blue-600"
+              >
+                Page {page}
+              </button>
+              <ul className="mt-1 space-y-2">
+                {list.map((region) => (
+                  <li key={region.id} className="p-2 border rounded bg-gray-50 text-sm">
+                    {region.status === 'processing' && <span className="text-blue-600">Recognizing...</span>}
+                    {region.status === 'error' && <span className="text-red-600">{region.error}</span>}
+                    {region.status === 'done' && (
+                      <>
+                        <div className="overflow-x-auto">
+                          <InlineMath math={region.latex} renderError={() => <code>{region.latex}</code>} />
+                        </div>
+                        <code className="block mt-1 text-xs text-gray-600 break-all">{region.latex}</code>
+                      </>
+                    )}
+                    <div className="mt-2 flex gap-2">
+                      {region.status === 'done' && onUseResult && (
+                        <button
+                          onClick={() => onUseResult(region)}
+                          className="px-2 py-1 text-xs bg-blue-500 hover:bg-blue-600 text-white rounded transition"
+                        >
+                          Use
+                        </button>
+                      )}
+                      <button
+                        onClick={() => removeRegion(region)}
+                        className="px-2 py-1 text-xs bg-gray-200 hover:bg-gray-300 rounded transition"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            </section>
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
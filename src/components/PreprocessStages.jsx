@@ -0,0 +1,72 @@
+/**
+ * PreprocessStages Component for OCR Debugging
+ *
+ * Shows the image after each preprocessing step the OCR worker ran (input,
+ * enabled cleanup steps, and the final 384x384 model input), so the effect
+ * of thresholding, deskew and cropping can be checked on real photos.
+ *
+ * @component PreprocessStages
+ */
+
+import React, { useEffect, useRef } from 'react';
+import { CLEANUP_STEPS } from '../workers/inkCleanup.js';
+
+const STAGE_LABELS = {
+  input: 'Greyscale input',
+  model: 'Model input',
+  ...Object.fromEntries(CLEANUP_STEPS.map(({ id, label }) => [id, label]))
+};
+
+/**
+ * Draw one grey stage image onto a canvas
+ * @param {Object} props
+ * @param {{width: number, height: number, data: Uint8Array}} props.stage - Grey image
+ */
+function StageCanvas({ stage }) {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const ctx = canvasRef.current?.getContext('2d');
+    if (!ctx) return;
+
+    const rgba = new Uint8ClampedArray(stage.width * stage.height * 4);
+    for (let i = 0; i < stage.data.length; i++) {
+      rgba[i * 4] = rgba[i * 4 + 1] = rgba[i * 4 + 2] = stage.data[i];
+      rgba[i * 4 + 3] = 255;
+    }
+    ctx.putImageData(new ImageData(rgba, stage.width, stage.height), 0, 0);
+  }, [stage]);
+
+  return (
+    <canvas
+      ref={canvasRef}
+      width={stage.width}
+      height={stage.height}
+      className="max-w-full max-h-40 border bg-white"
+    />
+  );
+}
+
+/**
+ * @param {Object} props
+ * @param {Array<{step: string, width: number, height: number, data: Uint8Array}>} props.stages - Stages from preprocessImg
+ */
+export default function PreprocessStages({ stages }) {
+  if (!stages || stages.length === 0) return null;
+
+  return (
+    <div className="mt-4" data-testid="preprocess-stages">
+      <div className="text-sm font-medium text-gray-600 mb-2">Preprocessing (debug)</div>
+      <div className="grid grid-cols-2 gap-3">
+        {stages.map((stage) => (
+          <figure key={stage.step} className="text-center">
+            <StageCanvas stage={stage} />
+            <figcaption className="mt-1 text-xs text-gray-500">
+              {STAGE_LABELS[stage.step] || stage.step} ({stage.width}×{stage.height})
+            </figcaption>
+          </figure>
+        ))}
+      </div>
+    </div>
+  );
+}
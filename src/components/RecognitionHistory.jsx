@@ -0,0 +1,133 @@
+/**
+ * RecognitionHistory Component for Saved Results
+ *
+ * Lists the recognition history of the current workspace (see
+ * utils/recognitionHistory.js), newest first, with the input thumbnail,
+ * LaTeX, model and timing. Entries can be searched by LaTeX substring,
+ * copied again, deleted, or re-opened in the page's editor.
+ *
+ * @component RecognitionHistory
+ */
+
+import React, { useEffect, useState } from 'react';
+import { InlineMath } from 'react-katex';
+import { getRecognitionHistory, deleteRecognitionHistory } from '../utils/workspaceDB';
+
+const SOURCE_LABELS = {
+  ocr: 'Image',
+  sketch: 'Sketch'
+};
+
+/**
+ * @param {Object} props
+ * @param {*} [props.refreshKey] - Change to reload after a new result was saved
+ * @param {Function} props.onOpen - Called with an entry to load it into the editor
+ */
+export default function RecognitionHistory({ refreshKey, onOpen }) {
+  const [query, setQuery] = useState('');
+  const [entries, setEntries] = useState([]);
+  const [copiedId, setCopiedId] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    getRecognitionHistory({ query })
+      .then((found) => {
+        if (cancelled) return;
+        setEntries(found);
+        setError(null);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(`Could not load history: ${err.message}`);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [query, refreshKey]);
+
+  const copyEntry = (entry) => {
+    navigator.clipboard
+      .writeText(entry.latex)
+      .then(() => setCopiedId(entry.id))
+      .catch((err) => setError(`Failed to copy: ${err.message}`));
+  };
+
+  const deleteEntry = async (entry) => {
+    try {
+      await deleteRecognitionHistory(entry.id);
+      setEntries(prev => prev.filter(e => e.id !== entry.id));
+    } catch (err) {
+      setError(`Could not delete entry: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="border rounded-lg p-6 bg-white shadow-sm" data-testid="recognition-history">
+      <div className="flex items-center justify-between gap-4 mb-4">
+        <h2 className="text-xl font-semibold text-gray-700">History</h2>
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search LaTeX..."
+          aria-label="Search history"
+          className="w-64 px-3 py-1 text-sm border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+        />
+      </div>
+
+      {error && <p className="mb-2 text-sm text-red-600">{error}</p>}
+
+      {entries.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          {query ? 'No saved results match this search.' : 'Recognized formulas are saved here.'}
+        </p>
+      ) : (
+        <ul className="divide-y max-h-96 overflow-y-auto">
+          {entries.map((entry) => (
+            <li key={entry.id} className="py-2 flex items-center gap-3">
+              {entry.thumbnail ? (
+                <img src={entry.thumbnail} alt="" className="w-16 h-16 object-contain border rounded bg-white" />
+              ) : (
+                <div className="w-16 h-16 border rounded bg-gray-50" />
+              )}
+              <div className="flex-1 min-w-0">
+                <div className="overflow-x-auto">
+                  <InlineMath math={entry.latex} renderError={() => <code>{entry.latex}</code>} />
+                </div>
+                <code className="block text-xs text-gray-600 truncate" title={entry.latex}>{entry.latex}</code>
+                <div className="text-xs text-gray-400">
+                  {SOURCE_LABELS[entry.source] || entry.source}
+                  {' · '}{new Date(entry.timestamp).toLocaleString()}
+                  {entry.time != null && ` · ${entry.time.toFixed(2)}s`}
+                  {entry.modelId && ` · ${entry.modelId}`}
+                </div>
+              </div>
+              <div className="flex flex-col gap-1">
+                <button
+                  onClick={() => onOpen(entry)}
+                  className="px-2 py-1 text-xs bg-blue-500 hover:bg-blue-600 text-white rounded transition"
+                >
+                  Open
+                </button>
+                <button
+                  onClick={() => copyEntry(entry)}
+                  className="px-2 py-1 text-xs bg-gray-200 hover:bg-gray-300 rounded transition"
+                >
+                  {copiedId === entry.id ? 'Copied' : 'Copy'}
+                </button>
+                <button
+                  onClick={() => deleteEntry(entry)}
+                  className="px-2 py-1 text-xs bg-gray-200 hover:bg-red-100 hover:text-red-700 rounded transition"
+                >
+                  Delete
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -21,9 +21,10 @@ import StatusIcon from './StatusIcon';
  * @property {boolean} row.isActive - Whether this row is the active row (Story 1.5)
  * @property {number} row.yStart - Top Y coordinate of the row
  * @property {number} row.yEnd - Bottom Y coordinate of the row
- * @property {string} row.ocrStatus - OCR processing status ('pending'|'processing'|'completed'|'error')
+ * @property {string} row.ocrStatus - OCR processing status ('pending'|'processing'|'complete'|'error')
  * @property {string} row.validationStatus - Validation status ('pending'|'processing'|'validated'|'invalid'|'error')
  * @property {string|null} row.errorMessage - Error message if processing failed
+ * @property {boolean} [row.suspicious] - Rendered LaTeX does not look like the row ink
  * @property {Set<string>} [row.elementIds] - Element IDs in this row
  * @property {number} [row.lastModified] - Last modification timestamp
  * @property {number} y - Y coordinate for positioning the header
@@ -111,6 +112,7 @@ export const MemoizedRowHeader = React.memo(RowHeader, (prevProps, nextProps) =>
     prevProps.row.ocrStatus === nextProps.row.ocrStatus &&
     prevProps.row.validationStatus === nextProps.row.validationStatus &&
     prevProps.row.errorMessage === nextProps.row.errorMessage &&
+    prevProps.row.suspicious === nextProps.row.suspicious &&
     prevProps.y === nextProps.y &&
     prevProps.canvasWidth === nextProps.canvasWidth &&
     prevProps.debugMode === nextProps.debugMode
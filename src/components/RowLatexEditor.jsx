@@ -0,0 +1,84 @@
+/**
+ * RowLatexEditor Component for Magic Canvas Row Corrections
+ *
+ * Shows the transcribed LaTeX of the active row and lets the user fix it by
+ * hand. Edits are written back to RowManager (`transcribedLatex`); the model
+ * output stays in `recognizedLatex`, so the page can record the correction.
+ *
+ * While the LaTeX is unedited, moving the caret onto a token reports the
+ * strokes it was read from (`strokeAlignment`, see strokeAlignment.js), and
+ * selected ink is shown as the tokens recognized from it. The row's LaTeX
+ * can be exported like any other result (see ExportMenu).
+ *
+ * @component RowLatexEditor
+ */
+
+import React, { useEffect, useState } from 'react';
+import ExportMenu from './ExportMenu';
+import { alignmentAt, alignmentForElements } from '../utils/strokeAlignment';
+
+/**
+ * @param {Object} props
+ * @param {import('../utils/rowManager.js').RowManager} props.rowManager - Row state source
+ * @param {Function} [props.onEdit] - Called with `(row, latex)` after every edit
+ * @param {Function} [props.onHighlight] - Called with the element ids behind the token at the caret
+ * @param {string[]} [props.selectedElementIds] - Canvas selection, shown as the tokens read from it
+ */
+export default function RowLatexEditor({ rowManager, onEdit, onHighlight, selectedElementIds = [] }) {
+  const [row, setRow] = useState(() => rowManager.getActiveRow());
+
+  // Follow the active row and its OCR results
+  useEffect(() => {
+    setRow(rowManager.getActiveRow());
+    return rowManager.subscribe((eventType, data) => {
+      const active = rowManager.getActiveRow();
+      if (eventType === 'active-row-change' || data?.rowId === active?.id) {
+        setRow(active ? { ...active } : null);
+      }
+    });
+  }, [rowManager]);
+
+  if (!row || row.recognizedLatex == null) return null;
+
+  // Offsets in the alignment only hold for the model output
+  const alignment = row.strokeAlignment && row.transcribedLatex === row.recognizedLatex
+    ? row.strokeAlignment
+    : null;
+  const inkTokens = alignmentForElements(alignment, selectedElementIds);
+
+  const handleCaret = (e) => {
+    if (!alignment) return;
+    onHighlight?.(alignmentAt(alignment, e.target.selectionStart)?.elementIds ?? []);
+  };
+
+  const handleChange = (e) => {
+    const latex = e.target.value;
+    rowManager.updateRow(row.id, { transcribedLatex: latex });
+    onEdit?.(rowManager.getRow(row.id), latex);
+  };
+
+  return (
+    <div className="flex items-center gap-2 text-sm" data-testid="row-latex-editor">
+      <label htmlFor="row-latex" className="text-gray-600 whitespace-nowrap">
+        {row.id} LaTeX
+      </label>
+      <input
+        id="row-latex"
+        type="text"
+        value={row.transcribedLatex ?? ''}
+        onChange={handleChange}
+        onSelect={handleCaret}
+        className="w-96 font-mono text-xs px-2 py-1 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+      />
+      {row.transcribedLatex !== row.recognizedLatex && (
+        <span className="text-xs text-amber-600">edited</span>
+      )}
+      <ExportMenu latex={row.transcribedLatex} filename={row.id} />
+      {inkTokens.length > 0 && (
+        <span className="text-xs text-blue-600" data-testid="ink-tokens">
+          Selected ink: <code>{inkTokens.map((t) => t.text).join(' ')}</code>
+        </span>
+      )}
+    </div>
+  );
+}
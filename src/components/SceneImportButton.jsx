@@ -0,0 +1,128 @@
+/**
+ * SceneImportButton Component for .excalidraw Files
+ *
+ * Imports an Excalidraw scene into the page's canvas. Elements are
+ * classified as math ink, text, arrows or diagrams (see
+ * utils/sceneImport.js); only clusters that look like formulas are sent to
+ * OCR, and each one gets its LaTeX attached as custom data and a text label.
+ * The scene is added right away; labels follow as clusters are recognized.
+ *
+ * @component SceneImportButton
+ */
+
+import React, { useRef, useState } from 'react';
+import { convertToExcalidrawElements, newElementWith } from '@excalidraw/excalidraw';
+import { getOCRWorkerPool, PRIORITY } from '../workers/ocrWorkerPool';
+import {
+  parseExcalidrawScene,
+  classifyScene,
+  recognizeClusters,
+  attachRecognitions,
+  createFormulaLabel
+} from '../utils/sceneImport';
+
+/**
+ * One-line summary of an import
+ * @param {Object<string, number>} counts - Elements per class
+ * @param {number} recognized - Formulas recognized
+ * @param {number} failed - Formulas that failed
+ * @returns {string}
+ */
+function describeImport(counts, recognized, failed) {
+  const parts = [`${recognized} formula${recognized === 1 ? '' : 's'} recognized`];
+  if (failed) parts.push(`${failed} failed`);
+  parts.push(`${counts.text} text`, `${counts.arrow} arrow${counts.arrow === 1 ? '' : 's'}`, `${counts.diagram} diagram`);
+  return `Imported: ${parts.join(', ')}`;
+}
+
+/**
+ * @param {Object} props
+ * @param {Object|null} props.excalidrawAPI - Canvas to import into
+ * @param {string} props.keyPrefix - OCR job key prefix for this page (e.g. "sketch-import")
+ * @param {Function} [props.onImported] - Called with `{counts, results}` once every formula is recognized
+ */
+export default function SceneImportButton({ excalidrawAPI, keyPrefix, onImported }) {
+  const inputRef = useRef(null);
+  const [status, setStatus] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const importFile = async (file) => {
+    setBusy(true);
+    setError(null);
+
+    try {
+      const { elements, files } = parseExcalidrawScene(await file.text());
+
+      // Importing the same file twice would duplicate element ids
+      const existingIds = new Set(excalidrawAPI.getSceneElements().map((el) => el.id));
+      const fresh = elements.filter((el) => !existingIds.has(el.id));
+      if (fresh.length === 0) {
+        setStatus('Everything in this file is already on the canvas');
+        return;
+      }
+
+      const { classes, clusters, counts } = classifyScene(fresh);
+      const tagged = attachRecognitions(fresh, classes, []);
+
+      if (Object.keys(files).length > 0) excalidrawAPI.addFiles(Object.values(files));
+      excalidrawAPI.updateScene({ elements: [...excalidrawAPI.getSceneElements(), ...tagged] });
+      excalidrawAPI.scrollToContent(tagged, { fitToContent: true });
+
+      setStatus(`Recognizing ${clusters.length} formula${clusters.length === 1 ? '' : 's'}...`);
+      const results = await recognizeClusters(clusters, {
+        pool: getOCRWorkerPool(),
+        keyPrefix,
+        priority: PRIORITY.NORMAL,
+        onProgress: (completed, total) => setStatus(`Recognizing formulas: ${completed}/${total}`)
+      });
+
+      const recognized = results.filter((r) => r.latex != null);
+      const updated = new Map(attachRecognitions(fresh, classes, recognized).map((el) => [el.id, el]));
+      const labels = convertToExcalidrawElements(recognized.map((r) => createFormulaLabel(r.cluster, r.latex)));
+      excalidrawAPI.updateScene({
+        elements: [
+          ...excalidrawAPI.getSceneElements().map((el) => (
+            updated.has(el.id) ? newElementWith(el, { customData: updated.get(el.id).customData }) : el
+          )),
+          ...labels
+        ]
+      });
+
+      setStatus(describeImport(counts, recognized.length, results.length - recognized.length));
+      onImported?.({ counts, results });
+    } catch (err) {
+      setStatus(null);
+      setError(`Failed to import scene: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="flex items-center gap-2" data-testid="scene-import">
+      <input
+        ref={inputRef}
+        type="file"
+        accept=".excalidraw,application/json"
+        className="hidden"
+        data-testid="scene-import-input"
+        onChange={(e) => {
+          const file = e.target.files?.[0];
+          e.target.value = '';
+          if (file) importFile(file);
+        }}
+      />
+      <button
+        onClick={() => inputRef.current?.click()}
+        disabled={!excalidrawAPI || busy}
+        className="px-4 py-2 bg-gray-200 hover:bg-gray-300 text-gray-800 rounded transition text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+        title="Import an .excalidraw file; formulas are recognized, arrows, text and diagrams are kept as they are"
+      >
+        {busy ? 'Importing...' : 'Import .excalidraw'}
+      </button>
+      {status && <span className="text-xs text-gray-600">{status}</span>}
+      {error && <span className="text-xs text-red-600">{error}</span>}
+    </div>
+  );
+}
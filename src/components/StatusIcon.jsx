@@ -22,19 +22,20 @@ import React from 'react';
  * @property {string} row.ocrStatus - OCR processing status
  * @property {string} row.validationStatus - Validation status
  * @property {string|null} row.errorMessage - Error message if processing failed
+ * @property {boolean} [row.suspicious] - Rendered LaTeX does not look like the row ink
  * @property {number} canvasWidth - Width of the canvas for positioning
  * @property {Function} [onClick] - Click handler for icon (Epic 4 integration point)
  */
 
 /**
- * Determine icon type based on row status (priority: error > processing > validated > invalid > pending)
+ * Determine icon type based on row status (priority: error > processing > suspicious > validated > invalid > pending)
  *
  * @private
  * @param {Object} row - Row object with status information
- * @returns {string} Icon type: 'pending'|'processing'|'valid'|'invalid'|'error'
+ * @returns {string} Icon type: 'pending'|'processing'|'suspicious'|'valid'|'invalid'|'error'
  */
 const getIconType = (row) => {
-  const { ocrStatus, validationStatus, errorMessage } = row;
+  const { ocrStatus, validationStatus, errorMessage, suspicious } = row;
 
   // Error takes highest priority
   if (errorMessage || ocrStatus === 'error' || validationStatus === 'error') {
@@ -46,6 +47,11 @@ const getIconType = (row) => {
     return 'processing';
   }
 
+  // Recognition that may not match the ink, even if it validates
+  if (suspicious) {
+    return 'suspicious';
+  }
+
   // Validation results
   if (validationStatus === 'validated') {
     return 'valid';
@@ -70,6 +76,7 @@ const getIconColor = (iconType) => {
   const colors = {
     pending: '#9CA3AF',   // Gray - pending or empty
     processing: '#F97316', // Orange - processing (OCR or validation)
+    suspicious: '#8B5CF6', // Purple - rendering does not match the ink
     valid: '#10B981',      // Green - validated as correct
     invalid: '#EF4444',    // Red - validation failed
     error: '#F59E0B'       // Yellow - parse error or warning
@@ -90,6 +97,7 @@ const getIconLabel = (iconType, row) => {
   const labels = {
     pending: 'Row pending processing',
     processing: 'Row processing in progress',
+    suspicious: 'Row recognition looks different from the handwriting, please re-check',
     valid: 'Row validated successfully',
     invalid: 'Row validation failed',
     error: `Row error: ${row.errorMessage || 'Processing failed'}`
@@ -132,6 +140,25 @@ const IconSVGs = {
     </g>
   ),
 
+  // Purple ?: Rendered LaTeX does not look like the ink
+  suspicious: (color) => (
+    <g>
+      <path
+        d="M18 18 A6 6 0 1 1 26 23.5 Q24 24.5 24 27"
+        fill="none"
+        stroke={color}
+        strokeWidth="3"
+        strokeLinecap="round"
+      />
+      <circle
+        cx="24"
+        cy="33"
+        r="2"
+        fill={color}
+      />
+    </g>
+  ),
+
   // Green ✓: Validated as correct
   valid: (color) => (
     <path
@@ -271,6 +298,7 @@ export const MemoizedStatusIcon = React.memo(StatusIcon, (prevProps, nextProps)
     prevProps.row.ocrStatus === nextProps.row.ocrStatus &&
     prevProps.row.validationStatus === nextProps.row.validationStatus &&
     prevProps.row.errorMessage === nextProps.row.errorMessage &&
+    prevProps.row.suspicious === nextProps.row.suspicious &&
     prevProps.row.yStart === nextProps.row.yStart &&
     prevProps.row.yEnd === nextProps.row.yEnd &&
     prevProps.canvasWidth === nextProps.canvasWidth
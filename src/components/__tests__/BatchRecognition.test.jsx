@@ -0,0 +1,85 @@
+/**
+ * Tests for BatchRecognition (many-image OCR table)
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import BatchRecognition from '../BatchRecognition';
+
+// KaTeX rendering is not under test
+vi.mock('react-katex', () => ({
+  InlineMath: ({ math }) => <span>{math}</span>
+}));
+
+const pool = vi.hoisted(() => ({
+  submit: vi.fn(),
+  cancel: vi.fn()
+}));
+
+vi.mock('../../workers/ocrWorkerPool', () => ({
+  getOCRWorkerPool: () => pool,
+  PRIORITY: { HIGH: 0, NORMAL: 1, LOW: 2 }
+}));
+
+const image = (name) => new File(['png'], name, { type: 'image/png' });
+
+const addFiles = (files) => {
+  fireEvent.change(screen.getByTestId('batch-file-input'), { target: { files } });
+};
+
+describe('BatchRecognition', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    URL.createObjectURL = vi.fn(() => 'blob:thumb');
+    URL.revokeObjectURL = vi.fn();
+    pool.submit.mockImplementation(async ({ image }) => ({ output: `\\text{${image.name}}`, time: '0.50' }));
+  });
+
+  it('should recognize every added image and list the results', async () => {
+    const onRecognized = vi.fn();
+    render(<BatchRecognition options={{ preprocess: { cleanup: {} } }} onRecognized={onRecognized} />);
+
+    addFiles([image('a.png'), image('b.png'), new File(['x'], 'notes.txt', { type: 'text/plain' })]);
+
+    await waitFor(() => expect(screen.getByTestId('batch-summary').textContent).toContain('2 done'));
+    expect(pool.submit).toHaveBeenCalledTimes(2);
+    expect(onRecognized).toHaveBeenCalledWith({ image: expect.any(File), latex: '\\text{a.png}', time: '0.50' });
+    expect(pool.submit.mock.calls[0][0]).toMatchObject({ key: expect.stringMatching(/^ocr-batch:/), options: { preprocess: { cleanup: {} } } });
+    expect(screen.getByLabelText('LaTeX for a.png').value).toBe('\\text{a.png}');
+  });
+
+  it('should keep at most three jobs in flight', async () => {
+    const pending = [];
+    pool.submit.mockImplementation(() => new Promise(resolve => pending.push(resolve)));
+    render(<BatchRecognition />);
+
+    addFiles(['1', '2', '3', '4', '5'].map(n => image(`${n}.png`)));
+
+    expect(pool.submit).toHaveBeenCalledTimes(3);
+    pending[0]({ output: 'x', time: '0.1' });
+    await waitFor(() => expect(pool.submit).toHaveBeenCalledTimes(4));
+  });
+
+  it('should show failures and re-run a row', async () => {
+    pool.submit.mockRejectedValueOnce(new Error('inference failed'));
+    render(<BatchRecognition />);
+
+    addFiles([image('a.png')]);
+    await waitFor(() => expect(screen.getByText('inference failed')).toBeTruthy());
+
+    fireEvent.click(screen.getByText('Re-run'));
+
+    await waitFor(() => expect(screen.getByLabelText('LaTeX for a.png').value).toBe('\\text{a.png}'));
+    expect(pool.submit).toHaveBeenCalledTimes(2);
+  });
+
+  it('should mark hand-edited rows', async () => {
+    render(<BatchRecognition />);
+    addFiles([image('a.png')]);
+    await waitFor(() => expect(screen.getByText('done')).toBeTruthy());
+
+    fireEvent.change(screen.getByLabelText('LaTeX for a.png'), { target: { value: 'x^2' } });
+
+    expect(screen.getByText('done (edited)')).toBeTruthy();
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * Tests for CandidateList ("did you mean" OCR alternatives)
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import CandidateList from '../CandidateList';
+
+// KaTeX rendering is not under test
+vi.mock('react-katex', () => ({
+  InlineMath: ({ math }) => <span>{math}</span>
+}));
+
+describe('CandidateList', () => {
+  const candidates = [
+    { latex: 'x^{2}', logProb: -0.12, score: -0.03 },
+    { latex: 'x^{3}', logProb: -1.5, score: -0.38 },
+    { latex: 'x_{2}', logProb: -2.25, score: -0.56 }
+  ];
+
+  it('should render nothing without alternatives', () => {
+    const { container } = render(
+      <CandidateList candidates={[candidates[0]]} current="x^{2}" onSelect={vi.fn()} />
+    );
+    expect(container.firstChild).toBeNull();
+  });
+
+  it('should list candidates other than the current LaTeX with their log-probabilities', () => {
+    render(<CandidateList candidates={candidates} current="x^{2}" onSelect={vi.fn()} />);
+
+    const buttons = screen.getAllByRole('button');
+    expect(buttons).toHaveLength(2);
+    expect(buttons[0].getAttribute('title')).toBe('x^{3}');
+    expect(screen.getByText('log p = -1.50')).toBeTruthy();
+  });
+
+  it('should report the chosen candidate', () => {
+    const onSelect = vi.fn();
+    render(<CandidateList candidates={candidates} current="x^{2}" onSelect={onSelect} />);
+
+    fireEvent.click(screen.getByTitle('x_{2}'));
+
+    expect(onSelect).toHaveBeenCalledWith(candidates[2]);
+  });
+});
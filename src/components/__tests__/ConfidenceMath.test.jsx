@@ -0,0 +1,41 @@
+/**
+ * Tests for ConfidenceMath (low-confidence symbol highlighting)
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import ConfidenceMath from '../ConfidenceMath';
+
+// KaTeX rendering is not under test
+vi.mock('react-katex', () => ({
+  BlockMath: ({ math }) => <span data-testid="math">{math}</span>
+}));
+
+describe('ConfidenceMath', () => {
+  it('should render the LaTeX unchanged without tokens', () => {
+    render(<ConfidenceMath latex="x^{2}" tokens={null} />);
+
+    expect(screen.getByTestId('math').textContent).toBe('x^{2}');
+    expect(screen.queryByTestId('low-confidence-note')).toBeNull();
+  });
+
+  it('should tint low-confidence symbols and count them', () => {
+    const tokens = [
+      { text: 'x', start: 0, end: 1, prob: 0.95 },
+      { text: '^{2}', start: 1, end: 5, prob: 0.3 }
+    ];
+
+    render(<ConfidenceMath latex="x^{2}" tokens={tokens} />);
+
+    expect(screen.getByTestId('math').textContent).toBe('x^{{\\color{#dc2626}2}}');
+    expect(screen.getByTestId('low-confidence-note').textContent).toMatch(/^1 low-confidence symbol /);
+  });
+
+  it('should ask for a re-check when the rendering does not match the input', () => {
+    const { rerender } = render(<ConfidenceMath latex="x^{2}" tokens={null} renderCheck={{ score: 0.8, suspicious: false }} />);
+    expect(screen.queryByTestId('render-check-note')).toBeNull();
+
+    rerender(<ConfidenceMath latex="x^{2}" tokens={null} renderCheck={{ score: 0.12, suspicious: true }} />);
+    expect(screen.getByTestId('render-check-note').textContent).toContain('similarity 0.12');
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Tests for ExportMenu (copy or download a formula as SVG, PNG, MathML or text)
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import ExportMenu from '../ExportMenu';
+
+describe('ExportMenu', () => {
+  beforeEach(() => {
+    Object.defineProperty(navigator, 'clipboard', {
+      value: { writeText: vi.fn(async () => {}), write: vi.fn(async () => {}) },
+      configurable: true
+    });
+  });
+
+  it('should be disabled without a formula', () => {
+    render(<ExportMenu latex="" />);
+
+    expect(screen.getByRole('button', { name: 'Export...' }).disabled).toBe(true);
+  });
+
+  it('should offer copy and download for every format', () => {
+    render(<ExportMenu latex="x^2" />);
+    fireEvent.click(screen.getByRole('button', { name: 'Export...' }));
+
+    expect(screen.getByTestId('export-menu')).toBeTruthy();
+    for (const label of ['SVG', 'PNG', 'MathML', 'Unicode text']) {
+      expect(screen.getByRole('button', { name: `Copy ${label}` })).toBeTruthy();
+      expect(screen.getByRole('button', { name: `Download ${label}` })).toBeTruthy();
+    }
+  });
+
+  it('should copy text formats as text', async () => {
+    render(<ExportMenu latex="x^2+2x+1" />);
+    fireEvent.click(screen.getByRole('button', { name: 'Export...' }));
+
+    fireEvent.click(screen.getByRole('button', { name: 'Copy Unicode text' }));
+    await waitFor(() => expect(screen.getByText('Copied Unicode text')).toBeTruthy());
+    expect(navigator.clipboard.writeText).toHaveBeenCalledWith('x² + 2x + 1');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Copy MathML' }));
+    await waitFor(() => expect(screen.getByText('Copied MathML')).toBeTruthy());
+    expect(navigator.clipboard.writeText.mock.calls[1][0]).toMatch(/^<math[\s\S]*<\/math>$/);
+  });
+
+  it('should download a file named after the result', async () => {
+    const createObjectURL = vi.fn(() => 'blob:export');
+    const revokeObjectURL = vi.fn();
+    Object.assign(URL, { createObjectURL, revokeObjectURL });
+    const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+      expect(this.download).toBe('R1.txt');
+    });
+
+    render(<ExportMenu latex="\alpha" filename="R1" />);
+    fireEvent.click(screen.getByRole('button', { name: 'Export...' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Download Unicode text' }));
+
+    await waitFor(() => expect(screen.getByText('Downloaded Unicode text')).toBeTruthy());
+    expect(click).toHaveBeenCalledTimes(1);
+    expect(createObjectURL.mock.calls[0][0].type).toBe('text/plain');
+    expect(revokeObjectURL).toHaveBeenCalledWith('blob:export');
+    click.mockRestore();
+  });
+
+  it('should show an error for LaTeX that does not render', async () => {
+    render(<ExportMenu latex="\frac{" />);
+    fireEvent.click(screen.getByRole('button', { name: 'Export...' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Copy MathML' }));
+
+    await waitFor(() => expect(screen.getByText(/^Export failed:/)).toBeTruthy());
+    expect(navigator.clipboard.writeText).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * Tests for LineBoxEditor (adjustable multi-line OCR boxes)
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import LineBoxEditor, { dragBox } from '../LineBoxEditor';
+
+const image = { width: 200, height: 100, data: new Uint8Array(200 * 100).fill(255) };
+const boxes = [
+  { x: 10, y: 10, width: 100, height: 20 },
+  { x: 10, y: 50, width: 150, height: 30 }
+];
+
+describe('dragBox', () => {
+  it('should move boxes within the image', () => {
+    expect(dragBox(boxes[0], 'move', 5, 200, image)).toEqual({ x: 15, y: 80, width: 100, height: 20 });
+  });
+
+  it('should resize from each edge with a minimum size', () => {
+    expect(dragBox(boxes[0], 'top', 0, -4, image)).toEqual({ x: 10, y: 6, width: 100, height: 24 });
+    expect(dragBox(boxes[0], 'bottom', 0, -50, image)).toMatchObject({ height: 8 });
+    expect(dragBox(boxes[0], 'left', 20, 0, image)).toMatchObject({ x: 30, width: 80 });
+    expect(dragBox(boxes[0], 'right', 500, 0, image)).toMatchObject({ width: 190 });
+  });
+});
+
+describe('LineBoxEditor', () => {
+  it('should draw one numbered box per line', () => {
+    const { container } = render(<LineBoxEditor image={image} boxes={boxes} onChange={vi.fn()} />);
+
+    expect(container.querySelectorAll('text')).toHaveLength(2);
+    expect(screen.getByText('Line 2 ×')).toBeTruthy();
+  });
+
+  it('should remove and add lines', () => {
+    const onChange = vi.fn();
+    render(<LineBoxEditor image={image} boxes={boxes} onChange={onChange} />);
+
+    fireEvent.click(screen.getByText('Line 1 ×'));
+    expect(onChange).toHaveBeenLastCalledWith([boxes[1]]);
+
+    fireEvent.click(screen.getByText('+ Add line'));
+    expect(onChange.mock.lastCall[0]).toHaveLength(3);
+  });
+});
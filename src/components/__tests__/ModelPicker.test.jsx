@@ -0,0 +1,48 @@
+/**
+ * Tests for ModelPicker (per-workspace OCR model and source)
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import ModelPicker from '../ModelPicker';
+import { saveSessionState } from '../../utils/workspaceDB';
+
+const pool = vi.hoisted(() => ({
+  terminate: vi.fn()
+}));
+
+vi.mock('../../workers/ocrWorkerPool', () => ({
+  getOCRWorkerPool: () => pool
+}));
+
+vi.mock('../../utils/workspaceDB', () => ({
+  loadOCRModelSelection: vi.fn(async () => ({ modelId: 'formulanet', source: 'auto' })),
+  saveSessionState: vi.fn(async () => {}),
+  logDiagnostic: vi.fn(async () => {})
+}));
+
+describe('ModelPicker', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should show the workspace model with its sources', async () => {
+    render(<ModelPicker />);
+
+    const source = await screen.findByLabelText('Source');
+    expect(screen.getByLabelText('Model').value).toBe('formulanet');
+    expect([...source.options].map(o => o.value)).toEqual(['auto', 'huggingface', 'cn-mirror']);
+    expect(screen.getByText(/384×384 input/)).toBeTruthy();
+  });
+
+  it('should save a new source and restart the workers', async () => {
+    const onChange = vi.fn();
+    render(<ModelPicker onChange={onChange} />);
+
+    fireEvent.change(await screen.findByLabelText('Source'), { target: { value: 'cn-mirror' } });
+
+    await waitFor(() => expect(onChange).toHaveBeenCalledWith({ modelId: 'formulanet', source: 'cn-mirror' }));
+    expect(saveSessionState).toHaveBeenCalledWith('ocrModelSource', 'cn-mirror');
+    expect(pool.terminate).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Tests for PdfRegionSelector (PDF import with region selection)
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import PdfRegionSelector from '../PdfRegionSelector';
+
+// KaTeX rendering is not under test
+vi.mock('react-katex', () => ({
+  InlineMath: ({ math }) => <span>{math}</span>
+}));
+
+const pool = vi.hoisted(() => ({
+  submit: vi.fn(),
+  cancel: vi.fn()
+}));
+
+vi.mock('../../workers/ocrWorkerPool', () => ({
+  getOCRWorkerPool: () => pool,
+  PRIORITY: { HIGH: 0, NORMAL: 1, LOW: 2 }
+}));
+
+// pdf.js and canvas cropping need a real browser
+vi.mock('../../utils/pdfRegions', async (importOriginal) => ({
+  ...(await importOriginal()),
+  openPdf: vi.fn(async () => ({ numPages: 3, destroy: vi.fn() })),
+  renderPdfPage: vi.fn(async () => ({ width: 1000, height: 1400 })),
+  cropCanvas: vi.fn(async () => new Blob(['png'], { type: 'image/png' }))
+}));
+
+const drag = (layer, from, to) => {
+  fireEvent.pointerDown(layer, { clientX: from[0], clientY: from[1] });
+  fireEvent.pointerMove(layer, { clientX: to[0], clientY: to[1] });
+  fireEvent.pointerUp(layer, { clientX: to[0], clientY: to[1] });
+};
+
+describe('PdfRegionSelector', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    pool.submit.mockResolvedValue({ output: '\\int_0^1 x\\,dx', time: '0.40', tokens: [] });
+  });
+
+  it('should page through the document', async () => {
+    render(<PdfRegionSelector file={new File(['%PDF'], 'notes.pdf')} />);
+
+    await waitFor(() => expect(screen.getByText('Page 1 of 3')).toBeTruthy());
+    fireEvent.click(screen.getByText('Next ›'));
+
+    expect(screen.getByText('Page 2 of 3')).toBeTruthy();
+  });
+
+  it('should recognize a selected region and list it under its page', async () => {
+    const { cropCanvas } = await import('../../utils/pdfRegions');
+    const onUseResult = vi.fn();
+    render(<PdfRegionSelector file={new File(['%PDF'], 'notes.pdf')} onUseResult={onUseResult} />);
+
+    const layer = await screen.findByTestId('pdf-selection-layer');
+    drag(layer, [100, 200], [400, 260]);
+
+    await waitFor(() => expect(screen.getByText('Use')).toBeTruthy());
+    expect(cropCanvas).toHaveBeenCalledWith(expect.anything(), { x: 100, y: 200, width: 300, height: 60 });
+    expect(pool.submit.mock.calls[0][0].key).toMatch(/^ocr-pdf:/);
+    expect(screen.getByRole('button', { name: 'Page 1' })).toBeTruthy();
+
+    fireEvent.click(screen.getByText('Use'));
+    expect(onUseResult).toHaveBeenCalledWith(expect.objectContaining({ latex: '\\int_0^1 x\\,dx', page: 1 }));
+  });
+
+  it('should ignore clicks without a drag', async () => {
+    render(<PdfRegionSelector file={new File(['%PDF'], 'notes.pdf')} />);
+
+    const layer = await screen.findByTestId('pdf-selection-layer');
+    drag(layer, [100, 200], [102, 201]);
+
+    expect(pool.submit).not.toHaveBeenCalled();
+  });
+});
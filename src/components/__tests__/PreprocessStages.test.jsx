@@ -0,0 +1,27 @@
+/**
+ * Tests for PreprocessStages (debug view of OCR image cleanup)
+ */
+
+import { describe, it, expect } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import PreprocessStages from '../PreprocessStages';
+
+const stage = (step, width = 4, height = 2) => ({ step, width, height, data: new Uint8Array(width * height) });
+
+describe('PreprocessStages', () => {
+  it('should render nothing without stages', () => {
+    const { container } = render(<PreprocessStages stages={null} />);
+    expect(container.firstChild).toBeNull();
+  });
+
+  it('should show one labelled canvas per stage', () => {
+    const { container } = render(
+      <PreprocessStages stages={[stage('input'), stage('threshold'), stage('model', 384, 384)]} />
+    );
+
+    expect(container.querySelectorAll('canvas')).toHaveLength(3);
+    expect(screen.getByText('Greyscale input (4×2)')).toBeTruthy();
+    expect(screen.getByText('Adaptive threshold (4×2)')).toBeTruthy();
+    expect(screen.getByText('Model input (384×384)')).toBeTruthy();
+  });
+});
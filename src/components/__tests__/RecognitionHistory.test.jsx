@@ -0,0 +1,89 @@
+/**
+ * Tests for RecognitionHistory (saved results panel)
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import RecognitionHistory from '../RecognitionHistory';
+
+// KaTeX rendering is not under test
+vi.mock('react-katex', () => ({
+  InlineMath: ({ math }) => <span>{math}</span>
+}));
+
+const history = vi.hoisted(() => ({ entries: [] }));
+
+vi.mock('../../utils/workspaceDB', () => ({
+  getRecognitionHistory: vi.fn(async ({ query = '' } = {}) =>
+    history.entries.filter(entry => entry.latex.toLowerCase().includes(query.trim().toLowerCase()))
+  ),
+  deleteRecognitionHistory: vi.fn(async (id) => {
+    history.entries = history.entries.filter(entry => entry.id !== id);
+  })
+}));
+
+const entry = (id, latex) => ({
+  id,
+  source: 'ocr',
+  latex,
+  thumbnail: 'data:image/jpeg;base64,AAAA',
+  modelId: 'alephpi/FormulaNet:fp32',
+  time: 0.42,
+  timestamp: Date.UTC(2026, 0, id)
+});
+
+describe('RecognitionHistory', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    history.entries = [entry(2, '\\frac{a}{b}'), entry(1, 'e^{i\\pi}+1=0')];
+    Object.defineProperty(navigator, 'clipboard', {
+      value: { writeText: vi.fn(async () => {}) },
+      configurable: true
+    });
+  });
+
+  it('should list saved results with model and timing', async () => {
+    render(<RecognitionHistory onOpen={vi.fn()} />);
+
+    await waitFor(() => expect(screen.getAllByText('\\frac{a}{b}').length).toBeGreaterThan(0));
+    expect(screen.getAllByRole('listitem')).toHaveLength(2);
+    expect(screen.getAllByText(/0\.42s · alephpi\/FormulaNet:fp32/)).toHaveLength(2);
+  });
+
+  it('should search by LaTeX substring', async () => {
+    const { getRecognitionHistory } = await import('../../utils/workspaceDB');
+    render(<RecognitionHistory onOpen={vi.fn()} />);
+    await waitFor(() => expect(screen.getAllByRole('listitem')).toHaveLength(2));
+
+    fireEvent.change(screen.getByLabelText('Search history'), { target: { value: 'frac' } });
+
+    await waitFor(() => expect(screen.getAllByRole('listitem')).toHaveLength(1));
+    expect(getRecognitionHistory).toHaveBeenLastCalledWith({ query: 'frac' });
+  });
+
+  it('should re-copy, re-open and delete entries', async () => {
+    const onOpen = vi.fn();
+    render(<RecognitionHistory onOpen={onOpen} />);
+    await waitFor(() => expect(screen.getAllByRole('listitem')).toHaveLength(2));
+
+    fireEvent.click(screen.getAllByText('Copy')[0]);
+    await waitFor(() => expect(screen.getByText('Copied')).toBeTruthy());
+    expect(navigator.clipboard.writeText).toHaveBeenCalledWith('\\frac{a}{b}');
+
+    fireEvent.click(screen.getAllByText('Open')[1]);
+    expect(onOpen).toHaveBeenCalledWith(expect.objectContaining({ id: 1, latex: 'e^{i\\pi}+1=0' }));
+
+    fireEvent.click(screen.getAllByText('Delete')[0]);
+    await waitFor(() => expect(screen.getAllByRole('listitem')).toHaveLength(1));
+  });
+
+  it('should reload when a new result is saved', async () => {
+    const { rerender } = render(<RecognitionHistory refreshKey={0} onOpen={vi.fn()} />);
+    await waitFor(() => expect(screen.getAllByRole('listitem')).toHaveLength(2));
+
+    history.entries = [entry(3, 'x^2'), ...history.entries];
+    rerender(<RecognitionHistory refreshKey={1} onOpen={vi.fn()} />);
+
+    await waitFor(() => expect(screen.getAllByRole('listitem')).toHaveLength(3));
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Tests for RowLatexEditor (hand correction of Magic Canvas row LaTeX)
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import RowLatexEditor from '../RowLatexEditor';
+import RowManager from '../../utils/rowManager';
+
+describe('RowLatexEditor', () => {
+  let rowManager;
+
+  beforeEach(() => {
+    rowManager = new RowManager({ rowHeight: 384, startY: 0 });
+    rowManager.getRowForY(100);
+    rowManager.setActiveRow('row-0');
+  });
+
+  it('should stay hidden until the active row is recognized', () => {
+    render(<RowLatexEditor rowManager={rowManager} />);
+    expect(screen.queryByTestId('row-latex-editor')).toBeNull();
+
+    act(() => {
+      rowManager.updateRow('row-0', { ocrStatus: 'complete', transcribedLatex: 'x^2', recognizedLatex: 'x^2' });
+    });
+
+    expect(screen.getByLabelText('row-0 LaTeX').value).toBe('x^2');
+  });
+
+  it('should write edits back to the row and keep the model output', () => {
+    rowManager.updateRow('row-0', { ocrStatus: 'complete', transcribedLatex: 'x^2', recognizedLatex: 'x^2' });
+    const onEdit = vi.fn();
+    render(<RowLatexEditor rowManager={rowManager} onEdit={onEdit} />);
+
+    fireEvent.change(screen.getByLabelText('row-0 LaTeX'), { target: { value: 'x^{2}' } });
+
+    const row = rowManager.getRow('row-0');
+    expect(row.transcribedLatex).toBe('x^{2}');
+    expect(row.recognizedLatex).toBe('x^2');
+    expect(onEdit).toHaveBeenCalledWith(row, 'x^{2}');
+    expect(screen.getByText('edited')).toBeTruthy();
+  });
+
+  describe('stroke alignment', () => {
+    const strokeAlignment = [
+      { text: 'x', start: 0, end: 1, elementIds: ['s1'] },
+      { text: '^', start: 1, end: 2, elementIds: ['s2'] },
+      { text: '2', start: 2, end: 3, elementIds: ['s2'] }
+    ];
+
+    beforeEach(() => {
+      rowManager.updateRow('row-0', {
+        ocrStatus: 'complete',
+        transcribedLatex: 'x^2',
+        recognizedLatex: 'x^2',
+        strokeAlignment
+      });
+    });
+
+    it('should report the strokes behind the token at the caret', () => {
+      const onHighlight = vi.fn();
+      render(<RowLatexEditor rowManager={rowManager} onHighlight={onHighlight} />);
+      const input = screen.getByLabelText('row-0 LaTeX');
+
+      input.setSelectionRange(2, 2);
+      fireEvent.select(input);
+
+      expect(onHighlight).toHaveBeenLastCalledWith(['s2']);
+    });
+
+    it('should show the tokens read from the selected ink', () => {
+      render(<RowLatexEditor rowManager={rowManager} selectedElementIds={['s2']} />);
+
+      expect(screen.getByTestId('ink-tokens').textContent).toBe('Selected ink: ^ 2');
+    });
+
+    it('should ignore the alignment once the LaTeX is edited', () => {
+      const onHighlight = vi.fn();
+      rowManager.updateRow('row-0', { transcribedLatex: 'y^2' });
+      render(<RowLatexEditor rowManager={rowManager} onHighlight={onHighlight} selectedElementIds={['s2']} />);
+
+      fireEvent.select(screen.getByLabelText('row-0 LaTeX'));
+
+      expect(onHighlight).not.toHaveBeenCalled();
+      expect(screen.queryByTestId('ink-tokens')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Tests for SceneImportButton (.excalidraw import with formula recognition)
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import SceneImportButton from '../SceneImportButton';
+
+const pool = vi.hoisted(() => ({
+  init: vi.fn(async () => {}),
+  submit: vi.fn(async () => ({ output: 'x+y', tokens: [] }))
+}));
+
+vi.mock('../../workers/ocrWorkerPool', () => ({
+  getOCRWorkerPool: () => pool,
+  PRIORITY: { HIGH: 0, NORMAL: 1, LOW: 2 }
+}));
+
+vi.mock('@excalidraw/excalidraw', () => ({
+  convertToExcalidrawElements: (skeletons) => skeletons.map((s, i) => ({ id: `label-${i}`, ...s })),
+  newElementWith: (element, changes) => ({ ...element, ...changes, version: (element.version || 1) + 1 })
+}));
+
+const stroke = (id, x, points) => ({ id, type: 'freedraw', x, y: 0, width: 30, height: 30, points });
+
+// jsdom's File has no text(); the component only needs that
+const textFile = (name, text) => ({ name, text: async () => text });
+
+const sceneFile = (elements) => textFile(
+  'board.excalidraw',
+  JSON.stringify({ type: 'excalidraw', version: 2, elements, files: {} })
+);
+
+/** Minimal Excalidraw API keeping the scene in memory */
+function createAPI(initial = []) {
+  let scene = initial;
+  return {
+    getSceneElements: () => scene,
+    updateScene: vi.fn(({ elements }) => { scene = elements; }),
+    addFiles: vi.fn(),
+    scrollToContent: vi.fn()
+  };
+}
+
+describe('SceneImportButton', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should recognize formula clusters and attach their LaTeX', async () => {
+    const api = createAPI([{ id: 'existing', type: 'rectangle' }]);
+    const onImported = vi.fn();
+    render(<SceneImportButton excalidrawAPI={api} keyPrefix="test-import" onImported={onImported} />);
+
+    fireEvent.change(screen.getByTestId('scene-import-input'), {
+      target: {
+        files: [sceneFile([
+          stroke('a', 0, [[0, 0], [15, 17], [30, 30]]),
+          stroke('b', 0, [[30, 0], [17, 15], [0, 30]]),
+          { id: 'arrow', type: 'arrow', x: 100, y: 0, width: 100, height: 0, points: [[0, 0], [100, 0]] }
+        ])]
+      }
+    });
+
+    await waitFor(() => expect(onImported).toHaveBeenCalled());
+    expect(pool.submit).toHaveBeenCalledTimes(1);
+    expect(pool.submit.mock.calls[0][0].key).toBe('test-import:formula-a');
+
+    const scene = api.getSceneElements();
+    expect(scene.map(el => el.id)).toEqual(['existing', 'a', 'b', 'arrow', 'label-0']);
+    expect(scene[1].customData).toEqual({ inkClass: 'math', formulaCluster: 'formula-a', latex: 'x+y' });
+    expect(scene[3].customData).toEqual({ inkClass: 'arrow' });
+    expect(scene[4]).toMatchObject({ type: 'text', text: 'x+y' });
+    expect(screen.getByText(/1 formula recognized/)).toBeTruthy();
+  });
+
+  it('should report files that are not Excalidraw scenes', async () => {
+    render(<SceneImportButton excalidrawAPI={createAPI()} keyPrefix="test-import" />);
+
+    fireEvent.change(screen.getByTestId('scene-import-input'), {
+      target: { files: [textFile('notes.txt', 'not json')] }
+    });
+
+    expect(await screen.findByText(/Failed to import scene: Not an Excalidraw file/)).toBeTruthy();
+    expect(pool.submit).not.toHaveBeenCalled();
+  });
+});
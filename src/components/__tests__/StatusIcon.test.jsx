@@ -144,6 +144,23 @@ describe('Story 1.6: StatusIcon Component', () => {
       const svg = container.querySelector('svg');
       expect(svg.getAttribute('data-status')).toBe('processing');
     });
+
+    it('should mark suspicious rows even when validated', () => {
+      const suspiciousRow = {
+        ...mockRow,
+        ocrStatus: 'complete',
+        validationStatus: 'validated',
+        suspicious: true
+      };
+
+      const { container } = render(
+        <StatusIcon row={suspiciousRow} canvasWidth={canvasWidth} />
+      );
+
+      const svg = container.querySelector('svg');
+      expect(svg.getAttribute('data-status')).toBe('suspicious');
+      expect(svg.getAttribute('aria-label')).toContain('re-check');
+    });
   });
 
   describe('Task 2: Icon Positioning (AC #2, #8)', () => {
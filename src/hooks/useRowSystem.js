@@ -16,6 +16,8 @@ import RowManager from '../utils/rowManager.js';
 import { saveSessionState, loadSessionState } from '../utils/workspaceDB.js';
 import { calculateRowContentHash } from '../utils/contentHash.js';
 import { triggerOCRForRow } from '../utils/ocrTrigger.js';
+import { isRowInk } from '../utils/sceneImport.js';
+import { getOCRWorkerPool, PRIORITY } from '../workers/ocrWorkerPool.js';
 
 /**
  * @typedef {Object} UseRowSystemOptions
@@ -538,9 +540,10 @@ export default function useRowSystem({
       const sceneElements = excalidrawAPI ? excalidrawAPI.getSceneElements() : [];
       const sceneElementsMap = new Map(sceneElements.map(el => [el.id, el]));
 
+      // Imported text, arrows, diagrams and labels are not math (see sceneImport.js)
       const elements = Array.from(rowData.elementIds)
         .map(id => sceneElementsMap.get(id))
-        .filter(Boolean);
+        .filter(el => el && isRowInk(el));
 
       const contentHash = calculateRowContentHash(elements);
       const lastHash = rowContentHashesRef.current.get(rowId);
@@ -565,7 +568,15 @@ export default function useRowSystem({
         Logger.warn('useRowSystem', 'Failed to update row status for OCR', { rowId, error: error.message });
       }
 
-      triggerOCRForRow(rowId, elements);
+      triggerOCRForRow(rowId, elements, {
+        rowManager,
+        files: excalidrawAPI?.getFiles ? excalidrawAPI.getFiles() : {}
+      }).then((result) => {
+        // Interrupted rows run again the next time they are deactivated
+        if (result.interrupted && rowContentHashesRef.current.get(rowId) === contentHash) {
+          rowContentHashesRef.current.delete(rowId);
+        }
+      });
     }, 1500); // 1.5s debounce
   }, [excalidrawAPI, rowManager, debugMode]);
 
@@ -701,6 +712,11 @@ export default function useRowSystem({
       if (eventType === 'active-row-change') {
         setActiveRowId(data.newActiveRowId);
 
+        // OCR still queued for the row the user returns to runs before background rows
+        const pool = getOCRWorkerPool();
+        if (data.previousActiveRowId) pool.reprioritize(data.previousActiveRowId, PRIORITY.NORMAL);
+        if (data.newActiveRowId) pool.reprioritize(data.newActiveRowId, PRIORITY.HIGH);
+
         if (debugMode) {
           Logger.debug('useRowSystem', 'Active row changed (reactive)', {
             newActiveRowId: data.newActiveRowId
@@ -8,14 +8,34 @@ import {
   listWorkspaces,
   getCacheStats,
   clearCASCache,
+  clearOCRCache,
   clearTransformersCache,
   clearDiagnosticLogs,
   exportWorkspace,
   importWorkspace,
   getDiagnosticLogs,
   getStorageEstimate,
-  logDiagnostic
+  logDiagnostic,
+  saveSessionState,
+  loadOCRPrecision,
+  getOCRModelReports,
+  getCorrections,
+  clearCorrections
 } from '../utils/workspaceDB.js';
+import {
+  getInstalledModel,
+  importModel,
+  deleteInstalledModel,
+  getModelStorage,
+  deleteModelFiles,
+  LOCAL_MODEL_NAME,
+  REQUIRED_MODEL_FILES,
+  MODEL_PRECISIONS
+} from '../utils/modelStore.js';
+import { readZip } from '../utils/zip.js';
+import { exportTrainingSet } from '../utils/corrections.js';
+import { getOCRWorkerPool } from '../workers/ocrWorkerPool.js';
+import ModelPicker from '../components/ModelPicker.jsx';
 
 export default function DatabasePage() {
   const [workspaces, setWorkspaces] = useState([]);
@@ -23,6 +43,12 @@ export default function DatabasePage() {
   const [stats, setStats] = useState(null);
   const [logs, setLogs] = useState([]);
   const [storageInfo, setStorageInfo] = useState(null);
+  const [modelStorage, setModelStorage] = useState([]);
+  const [installedModel, setInstalledModel] = useState(null);
+  const [modelImportStatus, setModelImportStatus] = useState(null);
+  const [ocrPrecision, setOcrPrecision] = useState('fp32');
+  const [ocrModelReports, setOcrModelReports] = useState({});
+  const [modelMeasureStatus, setModelMeasureStatus] = useState(null);
   const [loading, setLoading] = useState(true);
   const [activeTab, setActiveTab] = useState('overview'); // overview, logs, import-export
 
@@ -47,6 +73,7 @@ export default function DatabasePage() {
     if (currentWorkspaceId) {
       loadStats();
       loadLogs();
+      loadOCRModelSettings();
     }
   }, [currentWorkspaceId]);
 
@@ -57,6 +84,7 @@ export default function DatabasePage() {
       setCurrentWorkspaceId(current);
       await loadWorkspaces();
       await loadStorageInfo();
+      await loadInstalledModel();
       setLoading(false);
     } catch (error) {
       console.error('Failed to initialize database:', error);
@@ -180,15 +208,159 @@ export default function DatabasePage() {
     try {
       const estimate = await getStorageEstimate();
       setStorageInfo(estimate);
+      setModelStorage(await getModelStorage());
     } catch (error) {
       console.error('Failed to load storage info:', error);
     }
   };
 
+  const loadInstalledModel = async () => {
+    try {
+      setInstalledModel(await getInstalledModel());
+    } catch (error) {
+      console.error('Failed to load installed model:', error);
+    }
+  };
+
+  const loadOCRModelSettings = async () => {
+    try {
+      setOcrPrecision(await loadOCRPrecision());
+      setOcrModelReports(await getOCRModelReports());
+    } catch (error) {
+      console.error('Failed to load OCR model settings:', error);
+    }
+  };
+
+  const handlePrecisionChange = async (dtype) => {
+    try {
+      await saveSessionState('ocrPrecision', dtype);
+      setOcrPrecision(dtype);
+
+      // Workers keep the weights they loaded; the next recognition reloads them
+      getOCRWorkerPool().terminate();
+      await logDiagnostic('info', 'model', `OCR precision set to ${dtype}`);
+    } catch (error) {
+      console.error('Failed to save OCR precision:', error);
+      alert(`Failed to save precision: ${error.message}`);
+    }
+  };
+
+  const handleMeasureModel = async () => {
+    const pool = getOCRWorkerPool();
+    pool.terminate();
+
+    const unsubscribe = pool.subscribe((type, data) => {
+      if (type === 'progress' && data.total) {
+        setModelMeasureStatus(`Loading ${data.file}: ${Math.round((data.loaded / data.total) * 100)}%`);
+      }
+    });
+
+    setModelMeasureStatus('Loading model...');
+    try {
+      await pool.init();
+      const report = pool.getModelReport();
+      if (report) {
+        setOcrModelReports(prev => ({ ...prev, [report.dtype]: { ...report, timestamp: Date.now() } }));
+      }
+    } catch (error) {
+      console.error('Failed to load OCR model:', error);
+      alert(`Failed to load model: ${error.message}`);
+    } finally {
+      unsubscribe();
+      setModelMeasureStatus(null);
+    }
+  };
+
+  const runModelImport = async (entries, name, source) => {
+    try {
+      const manifest = await importModel(entries, {
+        name,
+        source,
+        onProgress: ({ file, index, total }) => setModelImportStatus(`Checksumming ${file} (${index + 1}/${total})...`)
+      });
+
+      // Workers keep the model they loaded; restart them on the imported files
+      getOCRWorkerPool().terminate();
+
+      setInstalledModel(manifest);
+      await loadStorageInfo();
+      await logDiagnostic('info', 'model', `Imported offline model ${manifest.name} (${manifest.version})`);
+      alert(`Model "${manifest.name}" imported (${manifest.files.length} files, version ${manifest.version})`);
+    } catch (error) {
+      console.error('Failed to import model:', error);
+      alert(`Failed to import model: ${error.message}`);
+    } finally {
+      setModelImportStatus(null);
+    }
+  };
+
+  const handleImportModelFolder = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    const entries = files.map(file => ({ path: file.webkitRelativePath || file.name, blob: file }));
+    const name = files[0].webkitRelativePath?.split('/')[0] || 'Imported model';
+    setModelImportStatus(`Reading ${files.length} files...`);
+    await runModelImport(entries, name, 'folder');
+  };
+
+  const handleImportModelZip = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setModelImportStatus(`Extracting ${file.name}...`);
+    try {
+      const entries = await readZip(file);
+      await runModelImport(entries, file.name.replace(/\.zip$/i, ''), 'zip');
+    } catch (error) {
+      console.error('Failed to read model archive:', error);
+      alert(`Failed to read model archive: ${error.message}`);
+      setModelImportStatus(null);
+    }
+  };
+
+  const handleDeleteModel = async () => {
+    if (!confirm('Remove the imported model? OCR will download the model again on next use.')) {
+      return;
+    }
+
+    try {
+      await deleteInstalledModel();
+      getOCRWorkerPool().terminate();
+      setInstalledModel(null);
+      await loadStorageInfo();
+      await logDiagnostic('info', 'model', 'Removed offline model');
+    } catch (error) {
+      console.error('Failed to remove model:', error);
+      alert(`Failed to remove model: ${error.message}`);
+    }
+  };
+
+  const handleDeleteModelFiles = async (model) => {
+    if (!confirm(`Delete all files of "${model.name}" (${formatBytes(model.totalSize)})? They will be downloaded again on next use.`)) {
+      return;
+    }
+
+    try {
+      await deleteModelFiles(model.modelName);
+      getOCRWorkerPool().terminate();
+      if (model.modelName === LOCAL_MODEL_NAME) setInstalledModel(null);
+      await loadStorageInfo();
+      await logDiagnostic('info', 'model', `Deleted model files of ${model.modelName}`);
+    } catch (error) {
+      console.error('Failed to delete model files:', error);
+      alert(`Failed to delete model files: ${error.message}`);
+    }
+  };
+
   const handleSwitchWorkspace = async (workspaceId) => {
     try {
       await switchWorkspace(workspaceId);
       setCurrentWorkspaceId(workspaceId);
+      // The new workspace may use a different OCR precision
+      getOCRWorkerPool().terminate();
       await loadStats();
       await loadLogs();
     } catch (error) {
@@ -259,6 +431,21 @@ export default function DatabasePage() {
     }
   };
 
+  const handleClearOCRCache = async () => {
+    if (!confirm('Are you sure you want to clear the OCR cache? Rows will be re-recognized on next activation.')) {
+      return;
+    }
+
+    try {
+      const count = await clearOCRCache();
+      await loadStats();
+      alert(`Cleared ${count} OCR cache entries`);
+    } catch (error) {
+      console.error('Failed to clear OCR cache:', error);
+      alert(`Failed to clear cache: ${error.message}`);
+    }
+  };
+
   const handleClearTransformersCache = async () => {
     if (!confirm('Are you sure you want to clear the transformers cache metadata?')) {
       return;
@@ -310,6 +497,46 @@ export default function DatabasePage() {
     }
   };
 
+  const handleExportTrainingData = async () => {
+    try {
+      const { blob, count, skipped } = await exportTrainingSet(await getCorrections());
+      if (count === 0) {
+        alert('No corrections recorded yet. Fix a recognized formula by hand to create one.');
+        return;
+      }
+
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `texo-corrections-${currentWorkspaceId}-${Date.now()}.zip`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+
+      await logDiagnostic('info', 'export', `Exported ${count} training pairs`, { skipped });
+      alert(`Exported ${count} training pairs${skipped ? ` (${skipped} without an input image skipped)` : ''}`);
+    } catch (error) {
+      console.error('Failed to export training data:', error);
+      alert(`Failed to export training data: ${error.message}`);
+    }
+  };
+
+  const handleClearCorrections = async () => {
+    if (!confirm('Delete all recorded corrections? They cannot be exported afterwards.')) {
+      return;
+    }
+
+    try {
+      const count = await clearCorrections();
+      await loadStats();
+      alert(`Deleted ${count} corrections`);
+    } catch (error) {
+      console.error('Failed to clear corrections:', error);
+      alert(`Failed to clear corrections: ${error.message}`);
+    }
+  };
+
   const handleImportWorkspace = async (e) => {
     const file = e.target.files[0];
     if (!file) return;
@@ -346,6 +573,8 @@ export default function DatabasePage() {
     return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
   };
 
+  const formatDuration = (ms) => `${(ms / 1000).toFixed(2)} s`;
+
   const formatTimestamp = (timestamp) => {
     if (!timestamp) return 'N/A';
     return new Date(timestamp).toLocaleString();
@@ -470,6 +699,20 @@ export default function DatabasePage() {
                     )}
                   </div>
 
+                  <div className="p-4 bg-teal-50 rounded-lg">
+                    <div className="text-sm text-gray-600 mb-1">OCR Cache Entries</div>
+                    <div className="text-2xl font-bold text-teal-600">{stats.ocrCache.count}</div>
+                    <div className="text-xs text-gray-500 mt-2">
+                      <div>Hits: {stats.ocrCache.hits}</div>
+                      <div>Misses: {stats.ocrCache.misses}</div>
+                    </div>
+                  </div>
+
+                  <div className="p-4 bg-amber-50 rounded-lg">
+                    <div className="text-sm text-gray-600 mb-1">OCR Corrections</div>
+                    <div className="text-2xl font-bold text-amber-600">{stats.corrections.count}</div>
+                  </div>
+
                   <div className="p-4 bg-green-50 rounded-lg">
                     <div className="text-sm text-gray-600 mb-1">Transformers Cache</div>
                     <div className="text-2xl font-bold text-green-600">{stats.transformersCache.count}</div>
@@ -506,6 +749,12 @@ export default function DatabasePage() {
                   >
                     Clear CAS Cache
                   </button>
+                  <button
+                    onClick={handleClearOCRCache}
+                    className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700"
+                  >
+                    Clear OCR Cache
+                  </button>
                   <button
                     onClick={handleClearTransformersCache}
                     className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700"
@@ -528,6 +777,165 @@ export default function DatabasePage() {
               </div>
             </div>
 
+            {/* OCR Model */}
+            <div className="bg-white rounded-lg shadow-md p-6">
+              <h2 className="text-xl font-semibold mb-4">OCR Model</h2>
+              <div className="mb-6 pb-6 border-b border-gray-200">
+                <h3 className="text-lg font-semibold mb-3">Active Model</h3>
+                <p className="text-sm text-gray-600 mb-3">
+                  Model and download source used for recognition. Saved per workspace.
+                </p>
+                <ModelPicker disabled={!!modelMeasureStatus || !!modelImportStatus} key={currentWorkspaceId} />
+              </div>
+              {installedModel ? (
+                <div className="space-y-2" data-testid="installed-model">
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Installed:</span>
+                    <span className="font-semibold">{installedModel.name} (imported from {installedModel.source})</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Version:</span>
+                    <span className="font-mono">{installedModel.version}</span>
+                  </div>
+                  {installedModel.transformersVersion && (
+                    <div className="flex justify-between">
+                      <span className="text-gray-600">Exported with transformers:</span>
+                      <span className="font-mono">{installedModel.transformersVersion}</span>
+                    </div>
+                  )}
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Precisions:</span>
+                    <span className="font-mono">{(installedModel.precisions ?? ['fp32']).join(', ')}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Files:</span>
+                    <span className="font-semibold">{installedModel.files.length} ({formatBytes(installedModel.totalSize)})</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Imported:</span>
+                    <span>{formatTimestamp(installedModel.importedAt)}</span>
+                  </div>
+                  {!installedModel.hasRuntime && (
+                    <p className="text-xs text-yellow-700">
+                      ONNX Runtime files were not included, so the runtime is still fetched from the CDN.
+                    </p>
+                  )}
+                </div>
+              ) : (
+                <p className="text-gray-600">
+                  No offline model installed. OCR downloads FormulaNet from Hugging Face (or the CN mirror).
+                </p>
+              )}
+
+              <div className="mt-6 pt-6 border-t border-gray-200">
+                <h3 className="text-lg font-semibold mb-3">Precision</h3>
+                <p className="text-sm text-gray-600 mb-3">
+                  Lower precision loads smaller weights and usually runs faster on low-end devices, at some cost in accuracy.
+                  Saved per workspace.
+                </p>
+                <div className="flex flex-wrap items-center gap-3">
+                  <select
+                    value={ocrPrecision}
+                    onChange={(e) => handlePrecisionChange(e.target.value)}
+                    disabled={!!modelMeasureStatus}
+                    className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  >
+                    {Object.entries(MODEL_PRECISIONS).map(([dtype, { label }]) => (
+                      <option
+                        key={dtype}
+                        value={dtype}
+                        disabled={!!installedModel && !(installedModel.precisions ?? ['fp32']).includes(dtype)}
+                      >
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={handleMeasureModel}
+                    disabled={!!modelMeasureStatus || !!modelImportStatus}
+                    className="px-4 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700 disabled:bg-gray-400"
+                  >
+                    Load &amp; Measure
+                  </button>
+                  {modelMeasureStatus && (
+                    <span className="text-sm text-gray-600">{modelMeasureStatus}</span>
+                  )}
+                </div>
+
+                {Object.keys(ocrModelReports).length > 0 && (
+                  <table className="mt-4 w-full text-sm" data-testid="ocr-model-reports">
+                    <thead>
+                      <tr className="text-left text-gray-600 border-b">
+                        <th className="py-2">Precision</th>
+                        <th className="py-2">Weights</th>
+                        <th className="py-2">Load time</th>
+                        <th className="py-2">Warm-up inference</th>
+                        <th className="py-2">Measured</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {Object.keys(MODEL_PRECISIONS).filter(dtype => ocrModelReports[dtype]).map(dtype => {
+                        const report = ocrModelReports[dtype];
+                        return (
+                          <tr key={dtype} className={`border-b ${dtype === ocrPrecision ? 'font-semibold' : ''}`}>
+                            <td className="py-2">{dtype}</td>
+                            <td className="py-2">{formatBytes(report.modelSize)}</td>
+                            <td className="py-2">{formatDuration(report.loadTime)}</td>
+                            <td className="py-2">{formatDuration(report.warmupTime)}</td>
+                            <td className="py-2 text-gray-500">{formatTimestamp(report.timestamp)}</td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+
+              <div className="mt-6 pt-6 border-t border-gray-200">
+                <h3 className="text-lg font-semibold mb-3">Import Offline Model</h3>
+                <p className="text-sm text-gray-600 mb-3">
+                  Pick the model folder or a zip of it. Required: {REQUIRED_MODEL_FILES.join(', ')} and the
+                  encoder/decoder ONNX weights for at least one precision.
+                  Include the ONNX Runtime .wasm/.mjs files to avoid the CDN as well.
+                </p>
+                <div className="flex flex-wrap items-center gap-3">
+                  <label className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 cursor-pointer">
+                    Import Folder
+                    <input
+                      type="file"
+                      webkitdirectory=""
+                      multiple
+                      onChange={handleImportModelFolder}
+                      disabled={!!modelImportStatus}
+                      className="hidden"
+                    />
+                  </label>
+                  <label className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 cursor-pointer">
+                    Import Zip
+                    <input
+                      type="file"
+                      accept=".zip"
+                      onChange={handleImportModelZip}
+                      disabled={!!modelImportStatus}
+                      className="hidden"
+                    />
+                  </label>
+                  {installedModel && (
+                    <button
+                      onClick={handleDeleteModel}
+                      disabled={!!modelImportStatus}
+                      className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:bg-gray-400"
+                    >
+                      Remove Model
+                    </button>
+                  )}
+                  {modelImportStatus && (
+                    <span className="text-sm text-gray-600">{modelImportStatus}</span>
+                  )}
+                </div>
+              </div>
+            </div>
+
             {/* Storage Information */}
             {storageInfo && (
               <div className="bg-white rounded-lg shadow-md p-6">
@@ -555,6 +963,36 @@ export default function DatabasePage() {
                     </div>
                   )}
                 </div>
+
+                {modelStorage.map((model) => (
+                  <div key={model.modelName} className="mt-6" data-testid="model-storage">
+                    <div className="flex justify-between items-center mb-2">
+                      <h3 className="font-semibold">
+                        Model files: {model.name}{' '}
+                        <span className="text-gray-600 font-normal">({formatBytes(model.totalSize)})</span>
+                      </h3>
+                      <button
+                        onClick={() => handleDeleteModelFiles(model)}
+                        className="px-3 py-1 bg-red-600 text-white text-sm rounded hover:bg-red-700"
+                      >
+                        Delete Model Files
+                      </button>
+                    </div>
+                    <table className="w-full text-sm">
+                      <tbody>
+                        {model.files.map((file) => (
+                          <tr key={file.path} className="border-t">
+                            <td className="py-1 font-mono text-xs">{file.path}</td>
+                            <td className="py-1 text-gray-600">
+                              {file.status === 'partial' ? 'partial download' : file.status}
+                            </td>
+                            <td className="py-1 text-right font-semibold">{formatBytes(file.size)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                ))}
               </div>
             )}
           </div>
@@ -805,6 +1243,29 @@ export default function DatabasePage() {
               </button>
             </div>
 
+            <div className="bg-white rounded-lg shadow-md p-6">
+              <h2 className="text-xl font-semibold mb-4">Export Training Data</h2>
+              <p className="text-gray-600 mb-4">
+                Download the formulas you corrected by hand as an im2latex-style dataset: a zip with
+                an <code>images/</code> folder and a <code>manifest.jsonl</code> pairing each image with
+                its corrected LaTeX (and the original model prediction).
+              </p>
+              <div className="flex flex-wrap gap-3">
+                <button
+                  onClick={handleExportTrainingData}
+                  className="px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+                >
+                  Export Corrections (.zip)
+                </button>
+                <button
+                  onClick={handleClearCorrections}
+                  className="px-6 py-3 bg-red-600 text-white rounded-lg hover:bg-red-700"
+                >
+                  Delete Corrections
+                </button>
+              </div>
+            </div>
+
             <div className="bg-white rounded-lg shadow-md p-6">
               <h2 className="text-xl font-semibold mb-4">Import Workspace</h2>
               <p className="text-gray-600 mb-4">
@@ -9,6 +9,7 @@ import { Helmet } from "react-helmet-async";
 import {
   Excalidraw,
   convertToExcalidrawElements,
+  exportToBlob,
   getSceneVersion,
 } from "@excalidraw/excalidraw";
 import "@excalidraw/excalidraw/index.css";
@@ -26,6 +27,9 @@ import ErrorBoundary from "../components/ErrorBoundary.jsx";
 import RowNavigator from "../components/RowNavigator.jsx";
 import RowAnnouncer from "../components/RowAnnouncer.jsx";
 import MagicCanvasToolbar from "../components/MagicCanvasToolbar.jsx";
+import RowLatexEditor from "../components/RowLatexEditor.jsx";
+import SceneImportButton from "../components/SceneImportButton.jsx";
+import { createCorrectionCapture } from "../utils/corrections.js";
 import { scrollToRow } from "../utils/scrollToRow.js";
 import Logger from "../utils/logger.js";
 
@@ -163,6 +167,9 @@ function MagicCanvasComponent() {
     return manager;
   });
 
+  // Hand corrections of row LaTeX are kept as training pairs
+  const [corrections] = useState(() => createCorrectionCapture({ source: "magic-canvas" }));
+
   // Initialize useRowSystem hook for canvas-row synchronization (Story 1.5)
   const {
     elementToRow,
@@ -195,6 +202,10 @@ function MagicCanvasComponent() {
   const lastAppStateRef = useRef({});
   const canvasSaveTimeoutRef = useRef(null);
 
+  // Canvas selection, shown in the row LaTeX editor as the tokens read from it
+  const [selectedElementIds, setSelectedElementIds] = useState([]);
+  const selectionKeyRef = useRef("");
+
   // Track render count in useEffect, not during render
   useEffect(() => {
     if (debugMode) {
@@ -487,6 +498,13 @@ function MagicCanvasComponent() {
   const handleCanvasChange = useCallback((elements, appState, files) => {
     const now = Date.now();
 
+    // Selection changes do not change the scene version, so they are picked up before throttling
+    const selectionKey = Object.keys(appState.selectedElementIds || {}).sort().join(",");
+    if (selectionKey !== selectionKeyRef.current) {
+      selectionKeyRef.current = selectionKey;
+      setSelectedElementIds(selectionKey ? selectionKey.split(",") : []);
+    }
+
     // Throttle: only process if at least 50ms have passed since last update
     if (now - lastOnChangeTimeRef.current < 50) {
       return;
@@ -1012,6 +1030,36 @@ function MagicCanvasComponent() {
     setTotalRows(allRows.length);
   }, [elementCount, rowManager]); // Update when elements change
 
+  // Record a hand edit of a row's LaTeX; the row ink is exported only when the correction is saved
+  const handleRowLatexEdit = useCallback((row, latex) => {
+    corrections.edit(row.id, latex, {
+      output: row.recognizedLatex,
+      image: () => {
+        const elements = excalidrawAPI
+          .getSceneElements()
+          .filter((el) => !el.isDeleted && row.elementIds.has(el.id));
+        return exportToBlob({
+          elements,
+          appState: { exportBackground: true, viewBackgroundColor: "#ffffff" },
+          files: excalidrawAPI.getFiles(),
+          exportPadding: 8,
+        });
+      },
+    });
+  }, [corrections, excalidrawAPI]);
+
+  // Highlight the ink a row token was read from by selecting it on the canvas
+  const handleTokenHighlight = useCallback((elementIds) => {
+    if (!excalidrawAPI) return;
+    excalidrawAPI.updateScene({
+      appState: { selectedElementIds: Object.fromEntries(elementIds.map((id) => [id, true])) },
+    });
+  }, [excalidrawAPI]);
+
+  useEffect(() => () => {
+    corrections.flush();
+  }, [corrections]);
+
   // Cleanup on unmount
   useEffect(() => {
     return () => {
@@ -1108,10 +1156,17 @@ function MagicCanvasComponent() {
                   Y: {Math.round(canvasState.scrollY)}
                 </p>
               </div>
+              <RowLatexEditor
+                rowManager={rowManager}
+                onEdit={handleRowLatexEdit}
+                onHighlight={handleTokenHighlight}
+                selectedElementIds={selectedElementIds}
+              />
             </div>
 
             {/* Action Buttons */}
             <div className="flex gap-3">
+              <SceneImportButton excalidrawAPI={excalidrawAPI} keyPrefix="magic-canvas-import" />
               <button
                 onClick={clearCanvas}
                 className="px-4 py-2 bg-gray-200 hover:bg-gray-300 text-gray-800 rounded transition font-medium text-sm"
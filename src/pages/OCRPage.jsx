@@ -1,51 +1,67 @@
 import React, { useState, useEffect, useRef } from "react";
-import { BlockMath } from "react-katex";
 import "katex/dist/katex.min.css";
 
-// Web Worker
-import OCRWorker from "../workers/ocrWorker?worker";
-
-// Constants
-const RemoteSource = {
-  global: {
-    modelName: "alephpi/FormulaNet",
-    env_config: {
-      remoteHost: "https://huggingface.co/",
-      remotePathTemplate: "{model}/resolve/{revision}",
-    },
-  },
-  cn: {
-    modelName: "alephpi/FormulaNet",
-    env_config: {
-      remoteHost: "https://gh.llkk.cc/https://raw.githubusercontent.com/",
-      remotePathTemplate: "alephpi/Texo-web/refs/heads/master/models/model/",
-    },
-  },
-};
+// Shared OCR worker pool
+import { getOCRWorkerPool, PRIORITY } from "../workers/ocrWorkerPool";
+import CandidateList from "../components/CandidateList";
+import ConfidenceMath from "../components/ConfidenceMath";
+import PreprocessStages from "../components/PreprocessStages";
+import LineBoxEditor from "../components/LineBoxEditor";
+import BatchRecognition from "../components/BatchRecognition";
+import PdfRegionSelector from "../components/PdfRegionSelector";
+import RecognitionHistory from "../components/RecognitionHistory";
+import ExportMenu from "../components/ExportMenu";
+import { CLEANUP_STEPS, cleanupInk } from "../workers/inkCleanup";
+import { loadGreyImage, preprocessGrey } from "../workers/imageProcessor";
+import { segmentLines, cropImage, combineLines } from "../utils/lineSegmentation";
+import { recordRecognition } from "../utils/recognitionHistory";
+import { createCorrectionCapture } from "../utils/corrections";
+import { verifyImageRendering } from "../utils/renderCheck";
+import { useDebug } from "../contexts/DebugContext";
+
+// Beam width when "Show alternatives" is on (beam search is several times slower than greedy)
+const CANDIDATE_BEAMS = 4;
+const CANDIDATE_TIMEOUT_MS = 120000;
 
 export default function OCRPage() {
   const [latex, setLatex] = useState("");
+  const [candidates, setCandidates] = useState([]);
+  // Recognized LaTeX with its per-token probabilities (stale once the text is edited)
+  const [recognition, setRecognition] = useState(null);
+  // Render check of a recognized formula against its input ({ latex, score, suspicious })
+  const [renderCheck, setRenderCheck] = useState(null);
+  const [showAlternatives, setShowAlternatives] = useState(false);
+  // Ink cleanup steps for photos and scans (all off: plain resize and pad)
+  const [cleanup, setCleanup] = useState({});
+  const [stages, setStages] = useState(null);
+  const { debugMode } = useDebug();
+  // Multi-line mode: the page is cut into text lines recognized one by one
+  const [multiLine, setMultiLine] = useState(false);
+  const [lineFormat, setLineFormat] = useState("aligned");
+  const [page, setPage] = useState(null); // { image, boxes }
+  const [lineResults, setLineResults] = useState([]);
+  // Batch mode: many images at once in a results table
+  const [batchMode, setBatchMode] = useState(false);
+  // PDF import: formula regions are selected on rendered pages
+  const [pdfFile, setPdfFile] = useState(null);
+  // Bumped whenever a result is saved so the history panel reloads
+  const [historyVersion, setHistoryVersion] = useState(0);
   const [imagePreview, setImagePreview] = useState(null);
   const [isReady, setIsReady] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
   const [progress, setProgress] = useState({});
   const [loadingMessage, setLoadingMessage] = useState("Initializing model...");
-  const workerRef = useRef(null);
   const fileInputRef = useRef(null);
+  // Model output and input image behind the editor, for correction capture
+  const resultRef = useRef(null);
+  const [corrections] = useState(() => createCorrectionCapture({ source: "ocr" }));
 
-  // Initialize worker
+  // Load the model through the shared pool
   useEffect(() => {
-    const worker = new OCRWorker();
-    workerRef.current = worker;
+    const pool = getOCRWorkerPool();
 
-    worker.onmessage = (e) => {
-      const { type, ...data } = e.data;
-      if (type === "ready") {
-        setIsReady(true);
-        setIsLoading(false);
-        setLoadingMessage("Model loaded successfully!");
-        console.log("Model loaded and ready");
-      } else if (type === "progress") {
+    const unsubscribe = pool.subscribe((type, data) => {
+      if (type === "progress") {
         const percent = data.total
           ? Math.round((data.loaded / data.total) * 100)
           : 0;
@@ -54,58 +70,75 @@ export default function OCRPage() {
           [data.file]: { loaded: data.loaded, total: data.total, percent },
         }));
         setLoadingMessage(`Loading ${data.file}: ${percent}%`);
-      } else if (type === "result") {
-        setLatex(data.output);
-        setIsLoading(false);
-        console.log(`Recognition completed in ${data.time}s`);
-      } else if (type === "error") {
-        console.error("Worker error:", data.error);
-        alert("Error: " + data.error);
-        setIsLoading(false);
-      }
-    };
-
-    worker.onerror = (error) => {
-      console.error("Worker error:", error);
-      alert("Worker error: " + error.message);
-      setIsLoading(false);
-    };
-
-    // Try loading model
-    const loadModel = async () => {
-      setIsLoading(true);
-      let source = RemoteSource.global;
-      try {
-        const res = await fetch(
-          "https://huggingface.co/alephpi/FormulaNet/resolve/main/config.json",
-          {
-            method: "HEAD",
-          },
-        );
-        if (!res.ok) throw new Error("Cannot reach Hugging Face");
-      } catch {
-        console.log("Using CN mirror");
-        source = RemoteSource.cn;
       }
-      worker.postMessage({ action: "init", modelConfig: source });
-    };
+    });
 
-    loadModel();
+    setIsLoading(true);
+    pool
+      .init()
+      .then(() => {
+        setIsReady(true);
+        setLoadingMessage("Model loaded successfully!");
+        console.log("Model loaded and ready");
+      })
+      .catch((error) => {
+        console.error("Worker error:", error);
+        alert("Error: " + error.message);
+      })
+      .finally(() => setIsLoading(false));
 
     return () => {
-      worker.terminate();
+      unsubscribe();
+      corrections.flush();
+      pool.cancel("ocr-page", "page unmounted");
       if (imagePreview) {
         URL.revokeObjectURL(imagePreview);
       }
     };
   }, []);
 
+  const saveToHistory = ({ image, latex, time }) => {
+    recordRecognition({ source: "ocr", latex, image, time }).then((saved) => {
+      if (saved) setHistoryVersion((v) => v + 1);
+    });
+  };
+
+  // Compare the rendered result with the input image in the background
+  const checkRendering = (output, image) => {
+    setRenderCheck(null);
+    verifyImageRendering(output, image).then((check) => {
+      if (check) setRenderCheck({ latex: output, ...check });
+    });
+  };
+
+  // Load a saved result back into the editor
+  const openHistoryEntry = (entry) => {
+    if (imagePreview) URL.revokeObjectURL(imagePreview);
+    setBatchMode(false);
+    setImagePreview(entry.thumbnail);
+    setLatex(entry.latex);
+    resultRef.current = null;
+    setRecognition(null);
+    setRenderCheck(null);
+    setCandidates([]);
+    setStages(null);
+    setPage(null);
+    setLineResults([]);
+  };
+
   const handleFile = (file) => {
     if (!file) return;
+    if (file.type === "application/pdf") {
+      if (imagePreview) URL.revokeObjectURL(imagePreview);
+      setImagePreview(null);
+      setPdfFile(file);
+      return;
+    }
     if (!file.type.startsWith("image/")) {
-      alert("Please upload an image file");
+      alert("Please upload an image or PDF file");
       return;
     }
+    setPdfFile(null);
 
     // Clean up previous preview
     if (imagePreview) {
@@ -137,11 +170,104 @@ export default function OCRPage() {
     };
     img.src = blobUrl;
 
-    workerRef.current.postMessage({
-      action: "predict",
-      image: file,
-      key: "predict",
-    });
+    if (multiLine) {
+      segmentPage(file);
+      return;
+    }
+
+    getOCRWorkerPool()
+      .submit({
+        image: file,
+        key: "ocr-page",
+        priority: PRIORITY.HIGH,
+        options: {
+          preprocess: { cleanup, debug: debugMode },
+          ...(showAlternatives && { numBeams: CANDIDATE_BEAMS }),
+        },
+        ...(showAlternatives && { timeoutMs: CANDIDATE_TIMEOUT_MS }),
+      })
+      .then(({ output, time, tokens, candidates, stages }) => {
+        setLatex(output);
+        resultRef.current = { output, image: file };
+        setRecognition({ latex: output, tokens });
+        setCandidates(candidates || []);
+        setStages(stages || null);
+        setIsLoading(false);
+        saveToHistory({ image: file, latex: output, time });
+        checkRendering(output, file);
+        console.log(`Recognition completed in ${time}s`);
+      })
+      .catch((error) => {
+        // A newer image replaced this one; its own request will clear loading
+        if (error.cancelled) return;
+        console.error("Worker error:", error);
+        alert("Error: " + error.message);
+        setIsLoading(false);
+      });
+  };
+
+  // Detect text lines with a projection profile, then recognize them
+  const segmentPage = async (file) => {
+    try {
+      // Value and rotation cleanup apply to the whole page; crop-to-ink applies per line
+      const { contrast, threshold, deskew } = cleanup;
+      const { image } = cleanupInk(await loadGreyImage(file), { contrast, threshold, deskew });
+      const boxes = segmentLines(image);
+      setPage({ file, image, boxes });
+      setStages(null);
+      await recognizeLines(image, boxes, file);
+    } catch (error) {
+      console.error("Line segmentation failed:", error);
+      alert("Error: " + error.message);
+      setIsLoading(false);
+    }
+  };
+
+  const recognizeLines = (image, boxes, file) => {
+    if (boxes.length === 0) {
+      alert("No text lines found. Try enabling Adaptive threshold for photos.");
+      setIsLoading(false);
+      return Promise.resolve();
+    }
+
+    setIsLoading(true);
+    const items = boxes.map((box, i) => ({
+      key: `ocr-page:line-${i}`,
+      pixels: preprocessGrey(cropImage(image, box), getOCRWorkerPool().getInputSize(), {
+        cleanup: { crop: cleanup.crop },
+      }).array,
+    }));
+
+    return getOCRWorkerPool()
+      .submitBatch({ items, key: "ocr-page:lines", priority: PRIORITY.HIGH })
+      .then(({ items: results, time }) => {
+        const lines = results.map((item) => item.output);
+        const combined = combineLines(lines, lineFormat);
+        setLineResults(lines);
+        setLatex(combined);
+        resultRef.current = { output: combined, image: file };
+        // Token confidence is per line and does not map onto the combined LaTeX
+        setRecognition(null);
+        setCandidates([]);
+        setIsLoading(false);
+        saveToHistory({ image: file, latex: combined, time });
+        console.log(`Recognized ${lines.length} lines in ${time}s`);
+      })
+      .catch((error) => {
+        if (error.cancelled) return;
+        console.error("Worker error:", error);
+        alert("Error: " + error.message);
+        setIsLoading(false);
+      });
+  };
+
+  const changeLineFormat = (format) => {
+    setLineFormat(format);
+    if (lineResults.length === 0) return;
+    const combined = combineLines(lineResults, format);
+    setLatex(combined);
+    // A different layout of the same lines is not a correction
+    if (resultRef.current) resultRef.current = { ...resultRef.current, output: combined };
   };
 
   const onFileChange = (e) => {
@@ -192,6 +318,29 @@ export default function OCRPage() {
       });
   };
 
+  // Shared by single-image and batch mode
+  const cleanupOptions = (
+    <fieldset className="mt-4" data-testid="cleanup-options">
+      <legend className="text-sm font-medium text-gray-600">
+        Image cleanup (photos and scans)
+      </legend>
+      <div className="mt-1 flex flex-wrap gap-x-4 gap-y-1">
+        {CLEANUP_STEPS.map(({ id, label }) => (
+          <label key={id} className="flex items-center gap-2 text-sm text-gray-600">
+            <input
+              type="checkbox"
+              checked={!!cleanup[id]}
+              onChange={(e) =>
+                setCleanup((prev) => ({ ...prev, [id]: e.target.checked }))
+              }
+            />
+            {label}
+          </label>
+        ))}
+      </div>
+    </fieldset>
+  );
+
   return (
     <div className="p-6 max-w-7xl mx-auto">
       <div className="mb-6">
@@ -213,130 +362,261 @@ export default function OCRPage() {
         </div>
       )}
 
-      <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
-        {/* Upload Section */}
-        <div className="border rounded-lg p-6 bg-white shadow-sm">
-          <h2 className="text-xl font-semibold mb-4 text-gray-700">
-            Upload Image
-          </h2>
-          <div
-            className="border-2 border-dashed border-gray-300 rounded-lg w-full h-80 flex items-center justify-center cursor-pointer hover:border-blue-400 transition-colors bg-gray-50"
-            onClick={() => fileInputRef.current?.click()}
-            onDrop={onDrop}
-            onDragOver={onDragOver}
-            onPaste={onPaste}
-          >
-            {imagePreview ? (
-              <img
-                src={imagePreview}
-                alt="Preview"
-                className="max-h-full max-w-full object-contain"
-              />
-            ) : (
-              <div className="text-center p-4">
-                <svg
-                  className="mx-auto h-12 w-12 text-gray-400"
-                  stroke="currentColor"
-                  fill="none"
-                  viewBox="0 0 48 48"
-                >
-                  <path
-                    d="M28 8H12a4 4 0 00-4 4v20m32-12v8m0 0v8a4 4 0 01-4 4H12a4 4 0 01-4-4v-4m32-4l-3.172-3.172a4 4 0 00-5.656 0L28 28M8 32l9.172-9.172a4 4 0 015.656 0L28 28m0 0l4 4m4-24h8m-4-4v8m-12 4h.02"
-                    strokeWidth={2}
-                    strokeLinecap="round"
-                    strokeLinejoin="round"
+      <div className="mb-4 flex gap-2" role="tablist">
+        <button
+          role="tab"
+          aria-selected={!batchMode}
+          onClick={() => setBatchMode(false)}
+          className={`px-4 py-2 text-sm rounded transition ${!batchMode ? "bg-blue-500 text-white" : "bg-gray-200 hover:bg-gray-300"}`}
+        >
+          Single Image
+        </button>
+        <button
+          role="tab"
+          aria-selected={batchMode}
+          onClick={() => setBatchMode(true)}
+          className={`px-4 py-2 text-sm rounded transition ${batchMode ? "bg-blue-500 text-white" : "bg-gray-200 hover:bg-gray-300"}`}
+        >
+          Batch
+        </button>
+      </div>
+
+      {batchMode ? (
+        <div className="space-y-4">
+          <div className="border rounded-lg p-4 bg-white shadow-sm">{cleanupOptions}</div>
+          <BatchRecognition options={{ preprocess: { cleanup } }} onRecognized={saveToHistory} />
+        </div>
+      ) : (
+        <>
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+            {/* Upload Section */}
+            <div className="border rounded-lg p-6 bg-white shadow-sm">
+              <h2 className="text-xl font-semibold mb-4 text-gray-700">
+                Upload Image
+              </h2>
+              <div
+                className="border-2 border-dashed border-gray-300 rounded-lg w-full h-80 flex items-center justify-center cursor-pointer hover:border-blue-400 transition-colors bg-gray-50"
+                onClick={() => fileInputRef.current?.click()}
+                onDrop={onDrop}
+                onDragOver={onDragOver}
+                onPaste={onPaste}
+              >
+                {imagePreview ? (
+                  <img
+                    src={imagePreview}
+                    alt="Preview"
+                    className="max-h-full max-w-full object-contain"
                   />
-                </svg>
-                <p className="mt-2 text-sm text-gray-600">
-                  Click to upload, drag & drop, or paste an image
-                </p>
-                <p className="mt-1 text-xs text-gray-500">
-                  PNG, JPG, GIF up to 10MB
-                </p>
+                ) : (
+                  <div className="text-center p-4">
+                    <svg
+                      className="mx-auto h-12 w-12 text-gray-400"
+                      stroke="currentColor"
+                      fill="none"
+                      viewBox="0 0 48 48"
+                    >
+                      <path
+                        d="M28 8H12a4 4 0 00-4 4v20m32-12v8m0 0v8a4 4 0 01-4 4H12a4 4 0 01-4-4v-4m32-4l-3.172-3.172a4 4 0 00-5.656 0L28 28M8 32l9.172-9.172a4 4 0 015.656 0L28 28m0 0l4 4m4-24h8m-4-4v8m-12 4h.02"
+                        strokeWidth={2}
+                        strokeLinecap="round"
+                        strokeLinejoin="round"
+                      />
+                    </svg>
+                    <p className="mt-2 text-sm text-gray-600">
+                      Click to upload, drag & drop, or paste an image
+                    </p>
+                    <p className="mt-1 text-xs text-gray-500">
+                      PNG, JPG, GIF up to 10MB, or a PDF
+                    </p>
+                  </div>
+                )}
+                <input
+                  ref={fileInputRef}
+                  type="file"
+                  accept="image/*,application/pdf"
+                  onChange={onFileChange}
+                  className="hidden"
+                />
               </div>
-            )}
-            <input
-              ref={fileInputRef}
-              type="file"
-              accept="image/*"
-              onChange={onFileChange}
-              className="hidden"
-            />
-          </div>
-          <div className="mt-4 flex gap-2">
-            <button
-              onClick={loadExampleImage}
-              disabled={!isReady}
-              className="px-4 py-2 text-sm bg-gray-200 hover:bg-gray-300 rounded transition disabled:opacity-50 disabled:cursor-not-allowed"
-            >
-              Load Example
-            </button>
-            <button
-              onClick={() => {
-                setImagePreview(null);
-                setLatex("");
-                if (fileInputRef.current) fileInputRef.current.value = "";
-              }}
-              className="px-4 py-2 text-sm bg-gray-200 hover:bg-gray-300 rounded transition"
-            >
-              Clear
-            </button>
-          </div>
-          {isLoading && (
-            <div className="mt-4 flex items-center text-sm text-blue-600">
-              <div className="animate-spin h-4 w-4 border-2 border-blue-500 border-t-transparent rounded-full mr-2"></div>
-              Processing image...
-            </div>
-          )}
-        </div>
-
-        {/* Output Section */}
-        <div className="space-y-6">
-          <div className="border rounded-lg p-6 bg-white shadow-sm">
-            <h2 className="text-xl font-semibold mb-4 text-gray-700">
-              Preview
-            </h2>
-            <div className="min-h-[100px] p-4 bg-gray-50 rounded border">
-              {latex ? (
-                <div className="overflow-x-auto">
-                  <BlockMath math={latex} />
+              <div className="mt-4 flex gap-2">
+                <button
+                  onClick={loadExampleImage}
+                  disabled={!isReady}
+                  className="px-4 py-2 text-sm bg-gray-200 hover:bg-gray-300 rounded transition disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Load Example
+                </button>
+                <button
+                  onClick={() => {
+                    setImagePreview(null);
+                    setLatex("");
+                    setCandidates([]);
+                    setStages(null);
+                    setPage(null);
+                    setLineResults([]);
+                    if (fileInputRef.current) fileInputRef.current.value = "";
+                  }}
+                  className="px-4 py-2 text-sm bg-gray-200 hover:bg-gray-300 rounded transition"
+                >
+                  Clear
+                </button>
+              </div>
+              <label className="mt-4 flex items-center gap-2 text-sm text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={showAlternatives}
+                  onChange={(e) => setShowAlternatives(e.target.checked)}
+                />
+                Show alternatives (beam search, slower)
+              </label>
+              {cleanupOptions}
+              <label className="mt-4 flex items-center gap-2 text-sm text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={multiLine}
+                  onChange={(e) => {
+                    setMultiLine(e.target.checked);
+                    setPage(null);
+                    setLineResults([]);
+                  }}
+                />
+                Multiple lines (worked solutions)
+              </label>
+              {multiLine && (
+                <div className="mt-2 flex items-center gap-2 text-sm text-gray-600">
+                  <label htmlFor="line-format">Output</label>
+                  <select
+                    id="line-format"
+                    value={lineFormat}
+                    onChange={(e) => changeLineFormat(e.target.value)}
+                    className="border rounded px-2 py-1"
+                  >
+                    <option value="aligned">aligned block</option>
+                    <option value="rows">one line per row</option>
+                  </select>
+                </div>
+              )}
+              {multiLine && page && (
+                <div className="mt-4">
+                  <LineBoxEditor
+                    image={page.image}
+                    boxes={page.boxes}
+                    onChange={(boxes) => setPage((prev) => ({ ...prev, boxes }))}
+                  />
+                  <button
+                    onClick={() => recognizeLines(page.image, page.boxes, page.file)}
+                    disabled={!isReady || isLoading}
+                    className="mt-2 px-4 py-2 text-sm bg-blue-500 hover:bg-blue-600 text-white rounded transition disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    Recognize Lines
+                  </button>
+                </div>
+              )}
+              {debugMode && <PreprocessStages stages={stages} />}
+              {isLoading && (
+                <div className="mt-4 flex items-center text-sm text-blue-600">
+                  <div className="animate-spin h-4 w-4 border-2 border-blue-500 border-t-transparent rounded-full mr-2"></div>
+                  Processing image...
                 </div>
-              ) : (
-                <p className="text-gray-500 text-center">
-                  LaTeX preview will appear here
-                </p>
               )}
             </div>
-          </div>
 
-          <div className="border rounded-lg p-6 bg-white shadow-sm">
-            <h2 className="text-xl font-semibold mb-4 text-gray-700">
-              LaTeX Code
-            </h2>
-            <textarea
-              value={latex}
-              onChange={(e) => setLatex(e.target.value)}
-              rows={8}
-              placeholder="LaTeX code will appear here..."
-              className="w-full font-mono text-sm p-3 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500 resize-none"
-            />
-            <div className="mt-4 flex gap-2">
-              <button
-                onClick={copyToClipboard}
-                disabled={!latex}
-                className="px-4 py-2 bg-blue-500 hover:bg-blue-600 text-white rounded transition disabled:opacity-50 disabled:cursor-not-allowed"
-              >
-                Copy to Clipboard
-              </button>
-              <button
-                onClick={() => setLatex("")}
-                className="px-4 py-2 bg-gray-200 hover:bg-gray-300 rounded transition"
-              >
-                Clear
-              </button>
+            {/* Output Section */}
+            <div className="space-y-6">
+              <div className="border rounded-lg p-6 bg-white shadow-sm">
+                <h2 className="text-xl font-semibold mb-4 text-gray-700">
+                  Preview
+                </h2>
+                <div className="min-h-[100px] p-4 bg-gray-50 rounded border">
+                  {latex ? (
+                    <div className="overflow-x-auto">
+                      <ConfidenceMath
+                        latex={latex}
+                        tokens={recognition?.latex === latex ? recognition.tokens : null}
+                        renderCheck={renderCheck?.latex === latex ? renderCheck : null}
+                      />
+                    </div>
+                  ) : (
+                    <p className="text-gray-500 text-center">
+                      LaTeX preview will appear here
+                    </p>
+                  )}
+                </div>
+                <CandidateList
+                  candidates={candidates}
+                  current={latex}
+                  onSelect={(candidate) => {
+                    setLatex(candidate.latex);
+                    setRecognition(candidate);
+                  }}
+                />
+              </div>
+
+              <div className="border rounded-lg p-6 bg-white shadow-sm">
+                <h2 className="text-xl font-semibold mb-4 text-gray-700">
+                  LaTeX Code
+                </h2>
+                <textarea
+                  value={latex}
+                  onChange={(e) => {
+                    setLatex(e.target.value);
+                    corrections.edit("result", e.target.value, resultRef.current);
+                  }}
+                  rows={8}
+                  placeholder="LaTeX code will appear here..."
+                  className="w-full font-mono text-sm p-3 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500 resize-none"
+                />
+                <div className="mt-4 flex gap-2">
+                  <button
+                    onClick={copyToClipboard}
+                    disabled={!latex}
+                    className="px-4 py-2 bg-blue-500 hover:bg-blue-600 text-white rounded transition disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    Copy to Clipboard
+                  </button>
+                  <ExportMenu latex={latex} />
+                  <button
+                    onClick={() => setLatex("")}
+                    className="px-4 py-2 bg-gray-200 hover:bg-gray-300 rounded transition"
+                  >
+                    Clear
+                  </button>
+                </div>
+              </div>
             </div>
           </div>
-        </div>
+          {pdfFile && (
+            <div className="mt-8 border rounded-lg p-6 bg-white shadow-sm">
+              <div className="mb-4 flex items-center justify-between">
+                <h2 className="text-xl font-semibold text-gray-700">
+                  {pdfFile.name}
+                </h2>
+                <button
+                  onClick={() => setPdfFile(null)}
+                  className="px-3 py-1 text-sm bg-gray-200 hover:bg-gray-300 rounded transition"
+                >
+                  Close PDF
+                </button>
+              </div>
+              <PdfRegionSelector
+                file={pdfFile}
+                options={{ preprocess: { cleanup } }}
+                onRecognized={saveToHistory}
+                onUseResult={(region) => {
+                  setLatex(region.latex);
+                  resultRef.current = { output: region.latex, image: region.image };
+                  setRecognition({ latex: region.latex, tokens: region.tokens });
+                  setCandidates([]);
+                  checkRendering(region.latex, region.image);
+                }}
+              />
+            </div>
+          )}
+        </>
+      )}
+
+      <div className="mt-8">
+        <RecognitionHistory refreshKey={historyVersion} onOpen={openHistoryEntry} />
       </div>
     </div>
   );
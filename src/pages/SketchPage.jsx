@@ -3,32 +3,36 @@ import {
   Excalidraw,
   exportToBlob,
   convertToExcalidrawElements,
+  newElementWith,
 } from "@excalidraw/excalidraw";
-import { BlockMath } from "react-katex";
 import "katex/dist/katex.min.css";
 import "@excalidraw/excalidraw/index.css";
 
-// Web Worker
-import OCRWorker from "../workers/ocrWorker?worker";
+// Shared OCR worker pool
+import { getOCRWorkerPool, PRIORITY } from "../workers/ocrWorkerPool";
+import CandidateList from "../components/CandidateList";
+import ConfidenceMath from "../components/ConfidenceMath";
 import { useDebug } from "../contexts/DebugContext";
-
-// Constants
-const RemoteSource = {
-  global: {
-    modelName: "alephpi/FormulaNet",
-    env_config: {
-      remoteHost: "https://huggingface.co/",
-      remotePathTemplate: "{model}/resolve/{revision}",
-    },
-  },
-  cn: {
-    modelName: "alephpi/FormulaNet",
-    env_config: {
-      remoteHost: "https://gh.llkk.cc/https://raw.githubusercontent.com/",
-      remotePathTemplate: "alephpi/Texo-web/refs/heads/master/models/model/",
-    },
-  },
-};
+import { canRasterizeStrokes, toStrokes } from "../workers/strokeRasterizer";
+import RecognitionHistory from "../components/RecognitionHistory";
+import ExportMenu from "../components/ExportMenu";
+import SceneImportButton from "../components/SceneImportButton";
+import { recordRecognition, THUMBNAIL_SIZE } from "../utils/recognitionHistory";
+import { createCorrectionCapture } from "../utils/corrections";
+import { verifyImageRendering } from "../utils/renderCheck";
+import { createLiveRecognition } from "../utils/liveRecognition";
+import {
+  getRecognitionBoxes,
+  groupElementsByBox,
+  getBoxName,
+  getBoxRegion,
+  nextBoxName,
+  nextBoxRect,
+} from "../utils/recognitionBoxes";
+
+// Beam width when "Show alternatives" is on (beam search is several times slower than greedy)
+const CANDIDATE_BEAMS = 4;
+const CANDIDATE_TIMEOUT_MS = 120000;
 
 // Additional CSS to fix Excalidraw pointer offset issue
 const excalidrawStyles = `
@@ -41,20 +45,15 @@ const excalidrawStyles = `
   }
 `;
 
-// OCR bounding box configuration (384x384 pixels)
-const OCR_BOX_X = 50;
-const OCR_BOX_Y = 50;
-const OCR_BOX_SIZE = 384;
-
-// Create the bounding box element
-const createBoundingBox = () => {
+// Create a recognition box element (a tagged rectangle users can move and resize)
+const createRecognitionBox = ({ x, y, width, height }, name) => {
   const elements = convertToExcalidrawElements([
     {
       type: "rectangle",
-      x: OCR_BOX_X,
-      y: OCR_BOX_Y,
-      width: OCR_BOX_SIZE,
-      height: OCR_BOX_SIZE,
+      x,
+      y,
+      width,
+      height,
       strokeColor: "#2563eb",
       backgroundColor: "transparent",
       fillStyle: "solid",
@@ -62,40 +61,59 @@ const createBoundingBox = () => {
       strokeStyle: "dashed",
       roughness: 0,
       opacity: 60,
-      locked: true,
+      customData: { recognitionBox: true, name },
     },
   ]);
   return elements[0];
 };
 
+// Same boxes with the same names in the same order (keeps the box list from re-rendering on every stroke)
+const sameBoxes = (a, b) =>
+  a.length === b.length &&
+  a.every((box, i) => box.id === b[i].id && getBoxName(box) === getBoxName(b[i]));
+
 export default function SketchPage() {
   const { debugMode } = useDebug();
   const [latex, setLatex] = useState("");
+  const [candidates, setCandidates] = useState([]);
+  // Recognized LaTeX with its per-token probabilities (stale once the text is edited)
+  const [recognition, setRecognition] = useState(null);
+  // Render checks of recognized formulas against their sketch, keyed by LaTeX ({ score, suspicious })
+  const [renderChecks, setRenderChecks] = useState({});
+  // One result per recognized box, in scene order; the editor shows the active one
+  const [results, setResults] = useState([]);
+  const [activeBoxId, setActiveBoxId] = useState(null);
+  const [boxes, setBoxes] = useState([]);
+  const [showAlternatives, setShowAlternatives] = useState(false);
   const [isReady, setIsReady] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
   const [progress, setProgress] = useState({});
   const [loadingMessage, setLoadingMessage] = useState("Initializing model...");
   const [excalidrawAPI, setExcalidrawAPI] = useState(null);
   const [autoConvert, setAutoConvert] = useState(false);
+  // Live mode re-recognizes boxes after every stroke group; its provisional result is shown until it settles
+  const [liveMode, setLiveMode] = useState(false);
+  const [livePreview, setLivePreview] = useState(null);
   const [timerProgress, setTimerProgress] = useState(0);
-  const workerRef = useRef(null);
-  const boundingBoxRef = useRef(createBoundingBox());
+  // Bumped whenever a result is saved so the history panel reloads
+  const [historyVersion, setHistoryVersion] = useState(0);
+  const initialBoxRef = useRef(createRecognitionBox(nextBoxRect([]), nextBoxName([])));
+  const activeBoxRef = useRef(null);
   const timerRef = useRef(null);
+  // Model output and sketch behind the editor, for correction capture
+  const resultRef = useRef(null);
+  const [corrections] = useState(() => createCorrectionCapture({ source: "sketch" }));
   const lastElementsCountRef = useRef(0);
+  const liveRef = useRef(null);
+  // Box contents already sent to the live scheduler, by box id
+  const liveSignaturesRef = useRef(new Map());
 
-  // Initialize worker
+  // Load the model through the shared pool
   useEffect(() => {
-    const worker = new OCRWorker();
-    workerRef.current = worker;
+    const pool = getOCRWorkerPool();
 
-    worker.onmessage = (e) => {
-      const { type, ...data } = e.data;
-      if (type === "ready") {
-        setIsReady(true);
-        setIsLoading(false);
-        setLoadingMessage("Model loaded successfully!");
-        console.log("Model loaded and ready");
-      } else if (type === "progress") {
+    const unsubscribe = pool.subscribe((type, data) => {
+      if (type === "progress") {
         const percent = data.total
           ? Math.round((data.loaded / data.total) * 100)
           : 0;
@@ -104,48 +122,182 @@ export default function SketchPage() {
           [data.file]: { loaded: data.loaded, total: data.total, percent },
         }));
         setLoadingMessage(`Loading ${data.file}: ${percent}%`);
-      } else if (type === "result") {
-        setLatex(data.output);
-        setIsLoading(false);
-        console.log(`Recognition completed in ${data.time}s`);
-      } else if (type === "error") {
-        console.error("Worker error:", data.error);
-        alert("Error: " + data.error);
-        setIsLoading(false);
       }
-    };
+    });
+
+    setIsLoading(true);
+    pool
+      .init()
+      .then(() => {
+        setIsReady(true);
+        setLoadingMessage("Model loaded successfully!");
+        console.log("Model loaded and ready");
+      })
+      .catch((error) => {
+        console.error("Worker error:", error);
+        alert("Error: " + error.message);
+      })
+      .finally(() => setIsLoading(false));
 
-    worker.onerror = (error) => {
-      console.error("Worker error:", error);
-      alert("Worker error: " + error.message);
-      setIsLoading(false);
+    return () => {
+      unsubscribe();
+      corrections.flush();
+      pool.cancel("sketch-page", "page unmounted");
     };
+  }, []);
 
-    // Try loading model
-    const loadModel = async () => {
-      setIsLoading(true);
-      let source = RemoteSource.global;
-      try {
-        const res = await fetch(
-          "https://huggingface.co/alephpi/FormulaNet/resolve/main/config.json",
-          {
-            method: "HEAD",
-          },
-        );
-        if (!res.ok) throw new Error("Cannot reach Hugging Face");
-      } catch {
-        console.log("Using CN mirror");
-        source = RemoteSource.cn;
-      }
-      worker.postMessage({ action: "init", modelConfig: source });
+  // Export only the area of one box with white background
+  const exportBox = (elements, region) =>
+    exportToBlob({
+      elements,
+      appState: {
+        ...excalidrawAPI.getAppState(),
+        exportBackground: true,
+        viewBackgroundColor: "#ffffff",
+        // Set the view to focus on the box area
+        width: region.width,
+        height: region.height,
+        offsetLeft: -region.x,  // Adjust the view so the box starts at 0,0
+        offsetTop: -region.y,
+      },
+      files: excalidrawAPI.getFiles(),
+      getDimensions: () => ({
+        width: region.width,
+        height: region.height,
+      }),
+      exportPadding: 0, // No padding to avoid including borders
+      scale: 1,
+      shouldAddWatermark: false,
+    });
+
+  // Save a result with a thumbnail of the sketch (exported small when the strokes went straight to the worker)
+  const saveToHistory = async ({ image, elements, latex, time }) => {
+    const thumbnailSource =
+      image ||
+      (await exportToBlob({
+        elements,
+        appState: {
+          ...excalidrawAPI.getAppState(),
+          exportBackground: true,
+          viewBackgroundColor: "#ffffff",
+        },
+        files: excalidrawAPI.getFiles(),
+        maxWidthOrHeight: THUMBNAIL_SIZE,
+      }).catch(() => null));
+
+    const saved = await recordRecognition({ source: "sketch", latex, image: thumbnailSource, time });
+    if (saved) setHistoryVersion((v) => v + 1);
+  };
+
+  // Compare the rendered result with the sketch in the background
+  const checkRendering = async (output, image) => {
+    const check = await verifyImageRendering(output, await Promise.resolve(image).catch(() => null));
+    if (check) setRenderChecks((prev) => ({ ...prev, [output]: check }));
+  };
+
+  // Save a finished result to the history and check its rendering
+  const recordResult = (result, elements) => {
+    const image = typeof result.image === "function" ? null : result.image;
+    saveToHistory({ image, elements, latex: result.output, time: result.time });
+    checkRendering(result.output, image || result.image());
+  };
+
+  // Show one box's result in the editor
+  const showResult = (result) => {
+    activeBoxRef.current = result.boxId;
+    setActiveBoxId(result.boxId);
+    setLatex(result.latex);
+    resultRef.current = { output: result.output, image: result.image };
+    setRecognition({ latex: result.output, tokens: result.tokens });
+    setCandidates(result.candidates);
+  };
+
+  // Edit the LaTeX of the active result
+  const updateLatex = (value) => {
+    setLatex(value);
+    setResults((prev) =>
+      prev.map((r) => (r.boxId === activeBoxRef.current ? { ...r, latex: value } : r))
+    );
+  };
+
+  // Load a saved result back into the editor
+  const openHistoryEntry = (entry) => {
+    setLatex(entry.latex);
+    activeBoxRef.current = null;
+    setActiveBoxId(null);
+    resultRef.current = null;
+    setRecognition(null);
+    setCandidates([]);
+  };
+
+  // Show an exported box in the debug preview
+  const showDebugPreview = (blob, name) => {
+    const debugDiv = document.getElementById("ocr-debug-preview");
+    if (!debugDiv) return;
+
+    const blobUrl = URL.createObjectURL(blob);
+    const img = new Image();
+    img.onload = () => {
+      console.log(`${name} image dimensions:`, img.width, "x", img.height);
+      debugDiv.innerHTML = '<h3>OCR Input Image (' + name + '):</h3><img src="' + blobUrl + '" style="max-width: 384px; max-height: 384px; border: 2px solid red;"/>';
     };
+    img.src = blobUrl;
+  };
 
-    loadModel();
+  // Recognize the elements of one box; resolves with its entry for the results list.
+  // Live runs are greedy, yield to manual conversions and are recorded only once they settle.
+  const recognizeBox = async (box, elements, { live = false } = {}) => {
+    const region = getBoxRegion(box);
+
+    let input;
+    if (canRasterizeStrokes(elements)) {
+      // Pen strokes only: the worker draws the points straight into the model input
+      input = { ink: { strokes: toStrokes(elements), region } };
+    } else {
+      const blob = await exportBox(elements, region);
+      console.log(`${getBoxName(box)} export:`, region, blob.size, "bytes");
+      showDebugPreview(blob, getBoxName(box));
+      input = { image: new File([blob], "sketch.png", { type: "image/png" }) };
+    }
 
-    return () => {
-      worker.terminate();
+    // Send to the pool for OCR processing (supersedes any pending recognition of this box)
+    const { output, time, tokens, candidates } = await getOCRWorkerPool().submit({
+      ...input,
+      key: `sketch-page:${box.id}`,
+      priority: live ? PRIORITY.NORMAL : PRIORITY.HIGH,
+      ...(showAlternatives && !live && {
+        options: { numBeams: CANDIDATE_BEAMS },
+        timeoutMs: CANDIDATE_TIMEOUT_MS,
+      }),
+    });
+
+    const result = {
+      boxId: box.id,
+      name: getBoxName(box),
+      output,
+      latex: output,
+      tokens,
+      candidates: candidates || [],
+      time,
+      // Pen-only sketches never became an image; export one only if the result is corrected
+      image: input.image || (() => exportBox(elements, region)),
     };
-  }, []);
+
+    if (!live) recordResult(result, elements);
+    console.log(`${getBoxName(box)} recognized in ${time}s`);
+    return result;
+  };
+
+  // Tell the live scheduler which boxes changed since the last stroke group
+  const queueLiveUpdates = (elements) => {
+    const signatures = liveSignaturesRef.current;
+    for (const { box, elements: inBox } of groupElementsByBox(elements)) {
+      const signature = [box, ...inBox].map((el) => `${el.id}:${el.version}`).join(",");
+      if (signatures.get(box.id) === signature) continue;
+      signatures.set(box.id, signature);
+      liveRef.current.update(box.id);
+    }
+  };
 
   const convertToLatex = async () => {
     if (!excalidrawAPI) {
@@ -158,132 +310,76 @@ export default function SketchPage() {
       return;
     }
 
-    const allElements = excalidrawAPI.getSceneElements();
-
-    // Filter elements within the OCR bounding box (exclude the box itself)
-    const elementsInBox = allElements.filter((el) => {
-      if (el.id === boundingBoxRef.current.id) return false; // Skip the bounding box itself
-      if (el.isDeleted) return false;
-
-      // Check if element is within the bounding box
-      const elRight = el.x + (el.width || 0);
-      const elBottom = el.y + (el.height || 0);
-      const boxRight = OCR_BOX_X + OCR_BOX_SIZE;
-      const boxBottom = OCR_BOX_Y + OCR_BOX_SIZE;
-
-      // Element must be at least partially within the box
-      const isInBox = !(
-        el.x > boxRight ||
-        elRight < OCR_BOX_X ||
-        el.y > boxBottom ||
-        elBottom < OCR_BOX_Y
-      );
-      
-      if (isInBox) {
-        console.log("Element included in OCR:", {
-          id: el.id,
-          type: el.type,
-          x: el.x,
-          y: el.y,
-          width: el.width,
-          height: el.height,
-          isInBox: true
-        });
-      }
-      
-      return isInBox;
-    });
-
-    if (elementsInBox.length === 0) {
-      alert("Please draw something inside the blue bounding box!");
+    const groups = groupElementsByBox(excalidrawAPI.getSceneElements());
+    if (groups.length === 0) {
+      alert("Please draw something inside a blue recognition box!");
       return;
     }
 
-    try {
-      setIsLoading(true);
-
-      // Calculate the exact bounding box coordinates
-      const boundingBox = {
-        minX: OCR_BOX_X,
-        minY: OCR_BOX_Y,
-        maxX: OCR_BOX_X + OCR_BOX_SIZE,
-        maxY: OCR_BOX_Y + OCR_BOX_SIZE,
-        width: OCR_BOX_SIZE,
-        height: OCR_BOX_SIZE
-      };
-      
-      console.log("Export bounding box coordinates:", boundingBox);
+    setIsLoading(true);
+    setRenderChecks({});
+    const settled = await Promise.allSettled(
+      groups.map(({ box, elements }) => recognizeBox(box, elements))
+    );
 
-      // Export only the bounding box area with white background
-      const blob = await exportToBlob({
-        elements: elementsInBox,
-        appState: {
-          ...excalidrawAPI.getAppState(),
-          exportBackground: true,
-          viewBackgroundColor: "#ffffff",
-          // Set the view to focus on the OCR box area
-          width: OCR_BOX_SIZE,
-          height: OCR_BOX_SIZE,
-          offsetLeft: -OCR_BOX_X,  // Adjust the view so the OCR box starts at 0,0
-          offsetTop: -OCR_BOX_Y,
-        },
-        files: excalidrawAPI.getFiles(),
-        getDimensions: (width, height) => ({
-          width: OCR_BOX_SIZE,
-          height: OCR_BOX_SIZE,
-        }),
-        exportPadding: 0, // No padding to avoid including borders
-        scale: 1,
-        shouldAddWatermark: false,
-      });
+    // Everything was superseded by a newer conversion, which owns the loading state now
+    if (settled.every((outcome) => outcome.status === "rejected" && outcome.reason.cancelled)) return;
+    setIsLoading(false);
 
-      // Debug: Log blob information
-      console.log("Blob size:", blob.size, "bytes");
-      console.log("Blob type:", blob.type);
-      
-      // Create and log a URL for the blob to see the actual image
-      const blobUrl = URL.createObjectURL(blob);
-      console.log("Blob URL:", blobUrl);
-      
-      // Create a temporary image to see what's being sent
-      const img = new Image();
-      img.onload = () => {
-        console.log("Image dimensions:", img.width, "x", img.height);
-        // Optionally create a preview of the OCR image
-        const debugDiv = document.getElementById('ocr-debug-preview');
-        if (debugDiv) {
-          debugDiv.innerHTML = '<h3>OCR Input Image:</h3><img src="' + blobUrl + '" style="max-width: 384px; max-height: 384px; border: 2px solid red;"/>';
-        }
-        URL.revokeObjectURL(blobUrl); // Clean up
-      };
-      img.src = blobUrl;
+    const recognized = settled.filter((outcome) => outcome.status === "fulfilled").map((outcome) => outcome.value);
+    if (recognized.length > 0) {
+      setResults(recognized);
+      showResult(recognized.find((r) => r.boxId === activeBoxRef.current) || recognized[0]);
+    }
 
-      // Convert blob to file
-      const file = new File([blob], "sketch.png", { type: "image/png" });
+    const failed = settled.find((outcome) => outcome.status === "rejected" && !outcome.reason.cancelled);
+    if (failed) {
+      console.error("Error converting sketch:", failed.reason);
+      alert("Failed to convert sketch: " + failed.reason.message);
+    }
+  };
 
-      console.log("File size:", file.size, "bytes");
-      console.log("File type:", file.type);
+  // Add a recognition box next to the existing ones
+  const addBox = () => {
+    const elements = excalidrawAPI.getSceneElements();
+    const existing = getRecognitionBoxes(elements);
+    const box = createRecognitionBox(nextBoxRect(existing), nextBoxName(existing));
+    excalidrawAPI.updateScene({ elements: [...elements, box] });
+    excalidrawAPI.scrollToContent(box, { fitToContent: false });
+  };
 
-      // Send to worker for OCR processing
-      workerRef.current.postMessage({
-        action: "predict",
-        image: file,
-        key: "predict",
-      });
-    } catch (error) {
-      console.error("Error converting sketch:", error);
-      alert("Failed to convert sketch: " + error.message);
-      setIsLoading(false);
-    }
+  // Update one box element (rename, remove)
+  const updateBox = (boxId, changes) => {
+    excalidrawAPI.updateScene({
+      elements: excalidrawAPI
+        .getSceneElements()
+        .map((el) => (el.id === boxId ? newElementWith(el, changes) : el)),
+    });
+  };
+
+  const renameBox = (box, name) => {
+    updateBox(box.id, { customData: { ...box.customData, name } });
+    setResults((prev) => prev.map((r) => (r.boxId === box.id ? { ...r, name } : r)));
+  };
+
+  const removeBox = (box) => {
+    liveRef.current?.cancel(box.id);
+    updateBox(box.id, { isDeleted: true });
+    setResults((prev) => prev.filter((r) => r.boxId !== box.id));
   };
 
   const clearCanvas = () => {
     if (excalidrawAPI) {
-      // Reset scene but keep the bounding box
+      // Reset scene but keep the recognition boxes
       excalidrawAPI.updateScene({
-        elements: [boundingBoxRef.current],
+        elements: getRecognitionBoxes(excalidrawAPI.getSceneElements()),
       });
       setLatex("");
+      setCandidates([]);
+      setResults([]);
+      setLivePreview(null);
+      activeBoxRef.current = null;
+      setActiveBoxId(null);
     }
   };
 
@@ -305,7 +401,49 @@ export default function SketchPage() {
 
     window.addEventListener("keydown", handleKeyPress);
     return () => window.removeEventListener("keydown", handleKeyPress);
-  }, [excalidrawAPI, isReady]);
+  }, [excalidrawAPI, isReady, showAlternatives]);
+
+  // Live recognition: each box is recognized in the background after every stroke group
+  // (one run per box at a time, see liveRecognition.js); settled results replace the box's result.
+  // It pauses during manual conversions, which share the boxes' job keys.
+  useEffect(() => {
+    if (!liveMode || !isReady || !excalidrawAPI || isLoading) return;
+
+    const live = createLiveRecognition({
+      recognize: async (boxId) => {
+        const group = groupElementsByBox(excalidrawAPI.getSceneElements()).find((g) => g.box.id === boxId);
+        if (!group) return null;
+        return { result: await recognizeBox(group.box, group.elements, { live: true }), elements: group.elements };
+      },
+      onResult: (boxId, outcome, { settled }) => {
+        if (!outcome) return;
+        if (!settled) {
+          setLivePreview({ boxId, latex: outcome.result.output });
+          return;
+        }
+
+        setLivePreview(null);
+        recordResult(outcome.result, outcome.elements);
+        const order = getRecognitionBoxes(excalidrawAPI.getSceneElements()).map((box) => box.id);
+        setResults((prev) =>
+          [...prev.filter((r) => r.boxId !== boxId), outcome.result].sort(
+            (a, b) => order.indexOf(a.boxId) - order.indexOf(b.boxId)
+          )
+        );
+        showResult(outcome.result);
+      },
+      onError: (boxId, error) => console.error("Live recognition failed:", error),
+    });
+    liveRef.current = live;
+    // Picks up boxes that changed while live mode was off or paused
+    queueLiveUpdates(excalidrawAPI.getSceneElements());
+
+    return () => {
+      live.dispose();
+      liveRef.current = null;
+      setLivePreview(null);
+    };
+  }, [liveMode, isReady, excalidrawAPI, isLoading]);
 
   // Auto-convert timer (5 seconds)
   useEffect(() => {
@@ -330,27 +468,14 @@ export default function SketchPage() {
 
       if (progress >= 100) {
         // Timer completed - check if there are elements to convert
-        const allElements = excalidrawAPI.getSceneElements();
-        const elementsInBox = allElements.filter((el) => {
-          if (el.id === boundingBoxRef.current.id) return false;
-          if (el.isDeleted) return false;
-          const elRight = el.x + (el.width || 0);
-          const elBottom = el.y + (el.height || 0);
-          const boxRight = OCR_BOX_X + OCR_BOX_SIZE;
-          const boxBottom = OCR_BOX_Y + OCR_BOX_SIZE;
-          return !(
-            el.x > boxRight ||
-            elRight < OCR_BOX_X ||
-            el.y > boxBottom ||
-            elBottom < OCR_BOX_Y
-          );
-        });
+        const elementCount = groupElementsByBox(excalidrawAPI.getSceneElements())
+          .reduce((count, group) => count + group.elements.length, 0);
 
         if (
-          elementsInBox.length > 0 &&
-          elementsInBox.length !== lastElementsCountRef.current
+          elementCount > 0 &&
+          elementCount !== lastElementsCountRef.current
         ) {
-          lastElementsCountRef.current = elementsInBox.length;
+          lastElementsCountRef.current = elementCount;
           convertToLatex();
         }
 
@@ -366,15 +491,19 @@ export default function SketchPage() {
         timerRef.current = null;
       }
     };
-  }, [autoConvert, isReady, excalidrawAPI, isLoading]);
+  }, [autoConvert, isReady, excalidrawAPI, isLoading, showAlternatives]);
+
+  const liveBox = livePreview && boxes.find((box) => box.id === livePreview.boxId);
 
   return (
     <div className="p-6 max-w-7xl mx-auto">
       <div className="mb-6">
         <h1 className="text-3xl font-bold text-gray-800">Sketch to LaTeX</h1>
         <p className="text-gray-600 mt-2">
-          Draw mathematical formulas inside the blue box (384×384px) and convert
-          them to LaTeX code. Texo OCR model under AGPL from Sicheng Mao
+          Draw mathematical formulas inside a blue recognition box and convert
+          them to LaTeX code. Move and resize boxes like any shape, or add more
+          to convert several formulas at once. Texo OCR model under AGPL from
+          Sicheng Mao
         </p>
       </div>
 
@@ -402,6 +531,12 @@ export default function SketchPage() {
           >
             <Excalidraw
               excalidrawAPI={(api) => setExcalidrawAPI(api)}
+              onChange={(elements, appState) => {
+                const next = getRecognitionBoxes(elements);
+                setBoxes((prev) => (sameBoxes(prev, next) ? prev : next));
+                // Strokes count once they are finished
+                if (liveRef.current && !appState.newElement) queueLiveUpdates(elements);
+              }}
               initialData={{
                 appState: {
                   viewBackgroundColor: "#ffffff",
@@ -412,7 +547,7 @@ export default function SketchPage() {
                   currentItemRoughness: 0,
                   currentItemOpacity: 100,
                 },
-                elements: [boundingBoxRef.current],
+                elements: [initialBoxRef.current],
                 scrollToContent: false,
               }}
               UIOptions={{
@@ -438,13 +573,50 @@ export default function SketchPage() {
             >
               Clear Canvas
             </button>
+            <button
+              onClick={addBox}
+              disabled={!excalidrawAPI}
+              className="px-4 py-2 bg-gray-200 hover:bg-gray-300 rounded transition disabled:opacity-50"
+            >
+              Add Box
+            </button>
+            <SceneImportButton excalidrawAPI={excalidrawAPI} keyPrefix="sketch-page:import" />
           </div>
 
+          {/* Recognition boxes, in scene order */}
+          {boxes.length > 0 && (
+            <ul className="mt-4 space-y-1" data-testid="recognition-boxes">
+              {boxes.map((box) => (
+                <li key={box.id} className="flex items-center gap-2 text-sm">
+                  <input
+                    type="text"
+                    value={getBoxName(box)}
+                    onChange={(e) => renameBox(box, e.target.value)}
+                    aria-label="Box name"
+                    className="px-2 py-1 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                  <span className="text-xs text-gray-500">
+                    {Math.round(Math.abs(box.width))}×{Math.round(Math.abs(box.height))}px
+                  </span>
+                  <button
+                    onClick={() => removeBox(box)}
+                    className="text-xs text-red-600 hover:underline"
+                  >
+                    Remove
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
           {/* Auto-convert toggle and timer */}
           <div className="mt-4 space-y-2">
             <div className="flex items-center gap-2">
               <button
-                onClick={() => setAutoConvert(!autoConvert)}
+                onClick={() => {
+                  setAutoConvert(!autoConvert);
+                  if (!autoConvert) setLiveMode(false);
+                }}
                 disabled={!isReady}
                 className={`flex items-center gap-2 px-3 py-2 rounded text-sm font-medium transition ${
                   autoConvert
@@ -482,6 +654,31 @@ export default function SketchPage() {
               </p>
             </div>
 
+            <label className="flex items-center gap-2 text-sm text-gray-600">
+              <input
+                type="checkbox"
+                checked={liveMode}
+                disabled={!isReady}
+                onChange={(e) => {
+                  setLiveMode(e.target.checked);
+                  if (e.target.checked) {
+                    setAutoConvert(false);
+                    liveSignaturesRef.current = new Map();
+                  }
+                }}
+              />
+              Live recognition (updates after each stroke group, settles when you pause)
+            </label>
+
+            <label className="flex items-center gap-2 text-sm text-gray-600">
+              <input
+                type="checkbox"
+                checked={showAlternatives}
+                onChange={(e) => setShowAlternatives(e.target.checked)}
+              />
+              Show alternatives (beam search, slower)
+            </label>
+
             {/* Visual timer progress bar */}
             {autoConvert && isReady && !isLoading && (
               <div className="space-y-1">
@@ -517,14 +714,56 @@ export default function SketchPage() {
 
         {/* Output Section */}
         <div className="space-y-6">
+          {results.length > 1 && (
+            <div className="border rounded-lg p-6 bg-white shadow-sm">
+              <h2 className="text-xl font-semibold mb-4 text-gray-700">
+                Results
+              </h2>
+              <ul className="space-y-2" data-testid="box-results">
+                {results.map((result) => (
+                  <li key={result.boxId}>
+                    <button
+                      onClick={() => showResult(result)}
+                      className={`w-full text-left p-2 rounded border transition ${
+                        result.boxId === activeBoxId
+                          ? "border-blue-500 bg-blue-50"
+                          : "border-gray-200 hover:bg-gray-50"
+                      }`}
+                    >
+                      <span className="block text-xs font-medium text-gray-500">{result.name}</span>
+                      <span className="block overflow-x-auto">
+                        <ConfidenceMath
+                          latex={result.latex}
+                          tokens={result.latex === result.output ? result.tokens : null}
+                          renderCheck={renderChecks[result.latex] ?? null}
+                        />
+                      </span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
           <div className="border rounded-lg p-6 bg-white shadow-sm">
             <h2 className="text-xl font-semibold mb-4 text-gray-700">
               Preview
             </h2>
             <div className="min-h-[100px] p-4 bg-gray-50 rounded border">
-              {latex ? (
+              {livePreview ? (
+                <div className="overflow-x-auto opacity-60" data-testid="live-preview">
+                  <ConfidenceMath latex={livePreview.latex} />
+                  <p className="mt-2 text-xs text-gray-500">
+                    Live preview{liveBox && boxes.length > 1 && ` of ${getBoxName(liveBox)}`}, settles when you pause
+                  </p>
+                </div>
+              ) : latex ? (
                 <div className="overflow-x-auto">
-                  <BlockMath math={latex} />
+                  <ConfidenceMath
+                    latex={latex}
+                    tokens={recognition?.latex === latex ? recognition.tokens : null}
+                    renderCheck={renderChecks[latex] ?? null}
+                  />
                 </div>
               ) : (
                 <p className="text-gray-500 text-center">
@@ -532,6 +771,14 @@ export default function SketchPage() {
                 </p>
               )}
             </div>
+            <CandidateList
+              candidates={candidates}
+              current={latex}
+              onSelect={(candidate) => {
+                updateLatex(candidate.latex);
+                setRecognition(candidate);
+              }}
+            />
           </div>
 
           <div className="border rounded-lg p-6 bg-white shadow-sm">
@@ -540,7 +787,10 @@ export default function SketchPage() {
             </h2>
             <textarea
               value={latex}
-              onChange={(e) => setLatex(e.target.value)}
+              onChange={(e) => {
+                updateLatex(e.target.value);
+                corrections.edit(activeBoxId ?? "result", e.target.value, resultRef.current);
+              }}
               rows={8}
               placeholder="LaTeX code will appear here..."
               className="w-full font-mono text-sm p-3 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500 resize-none"
@@ -553,6 +803,7 @@ export default function SketchPage() {
               >
                 Copy to Clipboard
               </button>
+              <ExportMenu latex={latex} />
               <button
                 onClick={() => setLatex("")}
                 className="px-4 py-2 bg-gray-200 hover:bg-gray-300 rounded transition"
@@ -563,6 +814,10 @@ export default function SketchPage() {
           </div>
         </div>
       </div>
+
+      <div className="mt-8">
+        <RecognitionHistory refreshKey={historyVersion} onOpen={openHistoryEntry} />
+      </div>
       
       {/* Debug preview for OCR input - controlled by global debug toggle */}
       <div id="ocr-debug-preview" style={{
@@ -0,0 +1,33 @@
+import { describe, it, expect } from 'vitest';
+import { toBatchJSON, toBatchCSV, quoteCSV } from '../batchExport';
+
+const rows = [
+  { name: 'ex1.png', latex: '\\frac{a}{b}', time: '0.84', status: 'done', error: null },
+  { name: 'ex2 "final".png', latex: 'f(x, y)\n= 1', time: '1.20', status: 'done', error: null, edited: true },
+  { name: 'blank.png', latex: '', time: null, status: 'error', error: 'inference failed' }
+];
+
+describe('batchExport', () => {
+  it('should export rows as JSON records', () => {
+    expect(JSON.parse(toBatchJSON(rows))).toEqual([
+      { file: 'ex1.png', latex: '\\frac{a}{b}', time: 0.84, status: 'done', error: null, edited: false },
+      { file: 'ex2 "final".png', latex: 'f(x, y)\n= 1', time: 1.2, status: 'done', error: null, edited: true },
+      { file: 'blank.png', latex: '', time: null, status: 'error', error: 'inference failed', edited: false }
+    ]);
+  });
+
+  it('should quote CSV fields and double embedded quotes', () => {
+    expect(quoteCSV('say "hi"')).toBe('"say ""hi"""');
+    expect(quoteCSV(null)).toBe('""');
+  });
+
+  it('should export rows as CSV with a header', () => {
+    const lines = toBatchCSV(rows).split('\r\n');
+
+    expect(lines[0]).toBe('file,latex,time,status,error');
+    expect(lines[1]).toBe('"ex1.png","\\frac{a}{b}","0.84","done",""');
+    expect(lines[2]).toBe('"ex2 ""final"".png","f(x, y)\n= 1","1.2","done",""');
+    expect(lines[3]).toBe('"blank.png","","","error","inference failed"');
+    expect(lines[4]).toBe('');
+  });
+});
@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { calculateRowContentHash } from '../contentHash';
+import { calculateRowContentHash, calculateTileHash, calculateSHA256 } from '../contentHash';
 
 describe('calculateRowContentHash', () => {
     it('should return empty string for empty input', () => {
@@ -51,3 +51,44 @@ describe('calculateRowContentHash', () => {
         expect(calculateRowContentHash(elements1)).toBe(calculateRowContentHash(elements2));
     });
 });
+
+describe('calculateTileHash', () => {
+    const tile = (value) => new Float32Array(384 * 384).fill(value);
+
+    it('should return a hex SHA-256 digest', async () => {
+        const hash = await calculateTileHash(tile(1));
+        expect(hash).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    it('should return the same hash for identical pixels', async () => {
+        expect(await calculateTileHash(tile(1))).toBe(await calculateTileHash(tile(1)));
+    });
+
+    it('should return a different hash when a single pixel changes', async () => {
+        const changed = tile(1);
+        changed[1000] = 0;
+        expect(await calculateTileHash(changed)).not.toBe(await calculateTileHash(tile(1)));
+    });
+
+    it('should return a different hash for another model', async () => {
+        const fp32 = await calculateTileHash(tile(1), 'alephpi/FormulaNet:fp32');
+        expect(fp32).toBe(await calculateTileHash(tile(1), 'alephpi/FormulaNet:fp32'));
+        expect(fp32).not.toBe(await calculateTileHash(tile(1), 'alephpi/FormulaNet:fp16'));
+        expect(fp32).not.toBe(await calculateTileHash(tile(1)));
+    });
+
+    it('should only hash the viewed part of the buffer', async () => {
+        const backing = new Float32Array(10).fill(0.5);
+        const view = backing.subarray(2, 6);
+        expect(await calculateTileHash(view)).toBe(await calculateTileHash(new Float32Array(4).fill(0.5)));
+    });
+});
+
+describe('calculateSHA256', () => {
+    it('should match the known digest of "abc"', async () => {
+        const bytes = new TextEncoder().encode('abc');
+        expect(await calculateSHA256(bytes.buffer)).toBe(
+            'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'
+        );
+    });
+});
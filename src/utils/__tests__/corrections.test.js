@@ -0,0 +1,133 @@
+/**
+ * Tests for OCR correction capture and training-set export
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createCorrectionCapture, isCorrection, buildTrainingSet, exportTrainingSet } from '../corrections.js';
+import { saveCorrection, deleteCorrection } from '../workspaceDB.js';
+import { readZip } from '../zip.js';
+
+vi.mock('../workspaceDB.js', () => ({
+  saveCorrection: vi.fn(async ({ id }) => id ?? 7),
+  deleteCorrection: vi.fn(async () => {})
+}));
+
+vi.mock('../logger.js', () => ({
+  default: { warn: vi.fn() }
+}));
+
+vi.mock('../../workers/ocrWorkerPool.js', () => ({
+  getOCRWorkerPool: () => ({ getModelId: () => 'alephpi/FormulaNet:fp32' })
+}));
+
+const png = (bytes = [1, 2, 3]) => new Blob([new Uint8Array(bytes)], { type: 'image/png' });
+
+describe('isCorrection', () => {
+  it('should ignore whitespace-only and emptied edits', () => {
+    expect(isCorrection('x^2', 'x^{2}')).toBe(true);
+    expect(isCorrection('x^2', ' x^2 ')).toBe(false);
+    expect(isCorrection('x^2', '')).toBe(false);
+  });
+});
+
+describe('createCorrectionCapture', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should save one correction per result once typing pauses', async () => {
+    const capture = createCorrectionCapture({ source: 'ocr', delayMs: 1000 });
+    const image = png();
+    const result = { output: 'x^2', image };
+
+    capture.edit('result', 'x^{', result);
+    capture.edit('result', 'x^{2}', result);
+    await vi.advanceTimersByTimeAsync(1000);
+
+    expect(saveCorrection).toHaveBeenCalledTimes(1);
+    expect(saveCorrection).toHaveBeenCalledWith({
+      id: undefined,
+      source: 'ocr',
+      image,
+      output: 'x^2',
+      corrected: 'x^{2}',
+      modelId: 'alephpi/FormulaNet:fp32'
+    });
+
+    capture.edit('result', 'x^{2}+1', result);
+    await vi.advanceTimersByTimeAsync(1000);
+
+    expect(saveCorrection).toHaveBeenLastCalledWith(expect.objectContaining({ id: 7, corrected: 'x^{2}+1' }));
+  });
+
+  it('should drop the correction when the edit is reverted', async () => {
+    const capture = createCorrectionCapture({ source: 'sketch', delayMs: 1000 });
+    const result = { output: 'a+b', image: png() };
+
+    capture.edit('result', 'a+c', result);
+    await vi.advanceTimersByTimeAsync(1000);
+    capture.edit('result', 'a+b', result);
+    await vi.advanceTimersByTimeAsync(1000);
+
+    expect(deleteCorrection).toHaveBeenCalledWith(7);
+  });
+
+  it('should export lazy images only when a correction is saved', async () => {
+    const capture = createCorrectionCapture({ source: 'magic-canvas', delayMs: 1000 });
+    const image = png();
+    const exportImage = vi.fn(async () => image);
+
+    capture.edit('row-0', 'y', { output: 'y', image: exportImage });
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(exportImage).not.toHaveBeenCalled();
+
+    capture.edit('row-0', 'y_1', { output: 'y', image: exportImage });
+    await capture.flush();
+
+    expect(exportImage).toHaveBeenCalledTimes(1);
+    expect(saveCorrection).toHaveBeenCalledWith(expect.objectContaining({ source: 'magic-canvas', image }));
+  });
+
+  it('should ignore edits without a model output', async () => {
+    const capture = createCorrectionCapture({ source: 'ocr', delayMs: 1000 });
+
+    capture.edit('result', 'typed by hand', null);
+    await capture.flush();
+
+    expect(saveCorrection).not.toHaveBeenCalled();
+  });
+});
+
+describe('training set export', () => {
+  const corrections = [
+    { id: 1, source: 'ocr', image: png([9]), output: 'x^2', corrected: 'x^{2}', modelId: 'm', timestamp: Date.UTC(2026, 0, 1) },
+    { id: 2, source: 'sketch', image: null, output: 'a', corrected: 'b', modelId: 'm', timestamp: Date.UTC(2026, 0, 2) },
+    { id: 3, source: 'sketch', image: new Blob(['j'], { type: 'image/jpeg' }), output: '\\alpha', corrected: '\\beta', modelId: null, timestamp: Date.UTC(2026, 0, 3) }
+  ];
+
+  it('should pair numbered images with a JSONL manifest', () => {
+    const { files, count, skipped } = buildTrainingSet(corrections);
+
+    expect(count).toBe(2);
+    expect(skipped).toBe(1);
+    expect(files.map(f => f.path)).toEqual(['images/000001.png', 'images/000002.jpg', 'manifest.jsonl']);
+    expect(files[2].data.trim().split('\n').map(line => JSON.parse(line))).toEqual([
+      { image: 'images/000001.png', formula: 'x^{2}', prediction: 'x^2', source: 'ocr', model: 'm', timestamp: '2026-01-01T00:00:00.000Z' },
+      { image: 'images/000002.jpg', formula: '\\beta', prediction: '\\alpha', source: 'sketch', model: null, timestamp: '2026-01-03T00:00:00.000Z' }
+    ]);
+  });
+
+  it('should write a zip that reads back', async () => {
+    const { blob } = await exportTrainingSet(corrections);
+    const entries = await readZip(blob);
+
+    expect(entries.map(e => e.path)).toEqual(['images/000001.png', 'images/000002.jpg', 'manifest.jsonl']);
+    expect(new Uint8Array(await entries[0].blob.arrayBuffer())).toEqual(new Uint8Array([9]));
+  });
+});
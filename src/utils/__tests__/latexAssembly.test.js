@@ -0,0 +1,157 @@
+import { describe, it, expect } from 'vitest';
+import {
+  tokenizeLatex,
+  joinTokens,
+  findOverlapLength,
+  getSeamSpacing,
+  balanceTokens,
+  assembleLatex,
+  SEAM_GAP_SMALL,
+  SEAM_GAP_LARGE
+} from '../latexAssembly';
+
+// Tiles as produced by extractTiles (384 wide, 64px overlap)
+const tile = (index, inkMinX, inkMaxX) => ({
+  id: `row-0-tile-${index}`,
+  index,
+  offsetX: index * 320,
+  width: 384,
+  overlap: index > 0 ? 64 : 0,
+  inkMinX,
+  inkMaxX
+});
+
+describe('latexAssembly', () => {
+  describe('tokenizeLatex', () => {
+    it('should split commands, symbols and characters', () => {
+      expect(tokenizeLatex('\\frac{a}{b} + \\{x\\}')).toEqual([
+        '\\frac', '{', 'a', '}', '{', 'b', '}', '+', '\\{', 'x', '\\}'
+      ]);
+    });
+
+    it('should keep spaces inside text arguments only', () => {
+      expect(tokenizeLatex('\\text{if } x')).toEqual(['\\text', '{', 'i', 'f', ' ', '}', 'x']);
+      expect(tokenizeLatex('\\mathrm{d x} + y')).toEqual(['\\mathrm', '{', 'd', ' ', 'x', '}', '+', 'y']);
+    });
+
+    it('should return no tokens for empty input', () => {
+      expect(tokenizeLatex('')).toEqual([]);
+      expect(tokenizeLatex(null)).toEqual([]);
+    });
+  });
+
+  describe('joinTokens', () => {
+    it('should only keep spaces needed after control words', () => {
+      expect(joinTokens(['\\alpha', 'x', '+', '\\beta', '^', '2'])).toBe('\\alpha x+\\beta^2');
+    });
+
+    it('should keep explicit space tokens', () => {
+      expect(joinTokens(['a', ' ', ' ', 'b', ' '])).toBe('a b');
+    });
+  });
+
+  describe('findOverlapLength', () => {
+    it('should find the longest suffix/prefix match', () => {
+      expect(findOverlapLength(['x', '+', '2', 'x'], ['2', 'x', '+', '1'])).toBe(2);
+      expect(findOverlapLength(['a', 'b'], ['c', 'd'])).toBe(0);
+    });
+
+    it('should respect the maximum length', () => {
+      expect(findOverlapLength(['a', 'b', 'c'], ['a', 'b', 'c'], 2)).toBe(0);
+      expect(findOverlapLength(['x', 'a', 'a'], ['a', 'a', 'y'], 1)).toBe(1);
+    });
+  });
+
+  describe('getSeamSpacing', () => {
+    it('should map gaps to spacing', () => {
+      expect(getSeamSpacing(null)).toEqual([]);
+      expect(getSeamSpacing(-20)).toEqual([]);
+      expect(getSeamSpacing(SEAM_GAP_SMALL)).toEqual([' ']);
+      expect(getSeamSpacing(SEAM_GAP_LARGE)).toEqual(['\\quad']);
+    });
+  });
+
+  describe('balanceTokens', () => {
+    it('should close unclosed braces and drop stray ones', () => {
+      expect(joinTokens(balanceTokens(tokenizeLatex('}x^{2')))).toBe('x^{2}');
+    });
+
+    it('should pair \\left and \\right', () => {
+      expect(joinTokens(balanceTokens(tokenizeLatex('\\left(x+1')))).toBe('\\left(x+1\\right.');
+      expect(joinTokens(balanceTokens(tokenizeLatex('x+1\\right)')))).toBe('x+1)');
+    });
+
+    it('should drop the null delimiter of a stray \\right', () => {
+      expect(joinTokens(balanceTokens(tokenizeLatex('x+1\\right.+2')))).toBe('x+1+2');
+    });
+
+    it('should close a \\left before its enclosing group ends', () => {
+      expect(joinTokens(balanceTokens(tokenizeLatex('{\\left[a}')))).toBe('{\\left[a\\right.}');
+    });
+
+    it('should leave balanced input unchanged', () => {
+      const tokens = tokenizeLatex('\\left(\\frac{a}{b}\\right)');
+      expect(balanceTokens(tokens)).toEqual(tokens);
+    });
+  });
+
+  describe('assembleLatex', () => {
+    it('should return an empty string without fragments', () => {
+      expect(assembleLatex([])).toBe('');
+      expect(assembleLatex(null)).toBe('');
+    });
+
+    it('should pass a single fragment through unchanged', () => {
+      expect(assembleLatex([{ tile: tile(0, 0, 200), latex: 'x ^ { 2 }' }])).toBe('x ^ { 2 }');
+      expect(assembleLatex([
+        { tile: tile(0, 0, 200), latex: '\\text{if } x>0' },
+        { tile: tile(1, 320, 500), latex: '' }
+      ])).toBe('\\text{if } x>0');
+    });
+
+    it('should keep spaces in text when merging', () => {
+      const latex = assembleLatex([
+        { tile: tile(0, 0, 384), latex: '\\text{if } x' },
+        { tile: tile(1, 320, 500), latex: 'x>0' }
+      ]);
+
+      expect(latex).toBe('\\text{if }x>0');
+    });
+
+    it('should remove tokens duplicated in the overlap', () => {
+      const latex = assembleLatex([
+        { tile: tile(0, 0, 384), latex: 'x^{2}+2x' },
+        { tile: tile(1, 320, 500), latex: '2x+1' }
+      ]);
+
+      expect(latex).toBe('x^{2}+2x+1');
+    });
+
+    it('should order fragments by tile offset', () => {
+      const latex = assembleLatex([
+        { tile: tile(1, 320, 500), latex: 'b+c' },
+        { tile: tile(0, 0, 384), latex: 'a+b' }
+      ]);
+
+      expect(latex).toBe('a+b+c');
+    });
+
+    it('should not dedupe across a blank seam and insert spacing instead', () => {
+      const latex = assembleLatex([
+        { tile: tile(0, 0, 300), latex: 'x=1' },
+        { tile: tile(1, 360, 500), latex: '1' }
+      ]);
+
+      expect(latex).toBe('x=1\\quad1');
+    });
+
+    it('should keep groups balanced across tile boundaries', () => {
+      const latex = assembleLatex([
+        { tile: tile(0, 0, 384), latex: '\\frac{a}{b' },
+        { tile: tile(1, 320, 500), latex: 'b}+\\left(c' }
+      ]);
+
+      expect(latex).toBe('\\frac{a}{b}+\\left(c\\right.');
+    });
+  });
+});
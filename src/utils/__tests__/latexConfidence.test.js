@@ -0,0 +1,114 @@
+import { describe, it, expect } from 'vitest';
+import katex from 'katex';
+import {
+  getLatexTokenConfidence,
+  getMinConfidence,
+  highlightLowConfidence,
+  countLowConfidence,
+  LOW_CONFIDENCE_COLOR
+} from '../latexConfidence';
+
+/**
+ * Build OCR token spans for a LaTeX string from [piece, prob] pairs
+ */
+function spans(pairs) {
+  let offset = 0;
+  return pairs.map(([text, prob]) => {
+    const token = { text, start: offset, end: offset + text.length, prob };
+    offset += text.length;
+    return token;
+  });
+}
+
+const RED = `{\\color{${LOW_CONFIDENCE_COLOR}}`;
+
+describe('getLatexTokenConfidence', () => {
+  it('should give each LaTeX token the lowest overlapping probability', () => {
+    // "\alpha" decoded as two OCR pieces
+    const tokens = spans([['\\al', 0.9], ['pha', 0.4], ['+', 0.99], ['1', 0.8]]);
+
+    expect(getLatexTokenConfidence('\\alpha+1', tokens)).toEqual([
+      { token: '\\alpha', start: 0, end: 6, confidence: 0.4 },
+      { token: '+', start: 6, end: 7, confidence: 0.99 },
+      { token: '1', start: 7, end: 8, confidence: 0.8 }
+    ]);
+  });
+
+  it('should leave tokens without OCR spans at null', () => {
+    expect(getLatexTokenConfidence('x', [])).toEqual([{ token: 'x', start: 0, end: 1, confidence: null }]);
+  });
+});
+
+describe('getMinConfidence', () => {
+  it('should return the lowest token probability', () => {
+    expect(getMinConfidence(spans([['x', 0.9], ['y', 0.3]]))).toBe(0.3);
+  });
+
+  it('should return null without tokens', () => {
+    expect(getMinConfidence([])).toBeNull();
+    expect(getMinConfidence(null)).toBeNull();
+  });
+});
+
+describe('highlightLowConfidence', () => {
+  it('should return the LaTeX unchanged without tokens', () => {
+    expect(highlightLowConfidence('x^{2}', [])).toBe('x^{2}');
+    expect(highlightLowConfidence('', [])).toBe('');
+  });
+
+  it('should tint low-confidence symbols only', () => {
+    const tokens = spans([['x', 0.95], ['+', 0.3], ['y', 0.99]]);
+
+    expect(highlightLowConfidence('x+y', tokens)).toBe(`x${RED}+}y`);
+  });
+
+  it('should keep scripts valid when tinting their argument', () => {
+    const tokens = spans([['x', 0.95], ['^', 0.2], ['2', 0.2]]);
+
+    const result = highlightLowConfidence('x^2', tokens);
+
+    expect(result).toBe(`x^${RED}2}`);
+    expect(() => katex.renderToString(result)).not.toThrow();
+  });
+
+  it('should not wrap structural commands or \\left delimiters', () => {
+    const latex = '\\frac{a}{b}\\left(c\\right)';
+    const tokens = [{ text: latex, start: 0, end: latex.length, prob: 0.1 }];
+
+    const result = highlightLowConfidence(latex, tokens);
+
+    expect(result).toBe(`\\frac{${RED}a}}{${RED}b}}\\left(${RED}c}\\right)`);
+    expect(() => katex.renderToString(result)).not.toThrow();
+  });
+
+  it('should not touch environment names', () => {
+    const latex = '\\begin{matrix}a&b\\end{matrix}';
+    const tokens = [{ text: latex, start: 0, end: latex.length, prob: 0.1 }];
+
+    const result = highlightLowConfidence(latex, tokens);
+
+    expect(result).toBe(`\\begin{matrix}${RED}a}&${RED}b}\\end{matrix}`);
+    expect(() => katex.renderToString(result)).not.toThrow();
+  });
+
+  it('should tint symbol commands and keep whitespace', () => {
+    const tokens = spans([['\\alpha', 0.2], [' ', 0.9], ['x', 0.9]]);
+
+    expect(highlightLowConfidence('\\alpha x', tokens)).toBe(`${RED}\\alpha} x`);
+  });
+
+  it('should respect a custom threshold and color', () => {
+    const tokens = spans([['x', 0.7]]);
+
+    expect(highlightLowConfidence('x', tokens)).toBe('x');
+    expect(highlightLowConfidence('x', tokens, { threshold: 0.8, color: 'orange' })).toBe('{\\color{orange}x}');
+  });
+});
+
+describe('countLowConfidence', () => {
+  it('should count the tinted symbols', () => {
+    const tokens = spans([['x', 0.1], ['^', 0.1], ['{', 0.1], ['2', 0.9], ['}', 0.1]]);
+
+    expect(countLowConfidence('x^{2}', tokens)).toBe(1);
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, it, expect } from 'vitest';
+import {
+  latexToUnicode,
+  renderLatexToMathML,
+  renderLatexToSvg,
+  exportFormula,
+  EXPORT_FORMATS
+} from '../latexExport';
+
+describe('latexExport', () => {
+  describe('latexToUnicode', () => {
+    it('should use Unicode superscripts and space out operators', () => {
+      expect(latexToUnicode('x^2+2x+1')).toBe('x² + 2x + 1');
+      expect(latexToUnicode('f(x)=-x^{n+1}')).toBe('f(x) = −xⁿ⁺¹');
+      expect(latexToUnicode('a_{ij}+b_0')).toBe('aᵢⱼ + b₀');
+      expect(latexToUnicode('90^{\\circ}')).toBe('90°');
+    });
+
+    it('should fall back to ^(...) when a character has no superscript form', () => {
+      expect(latexToUnicode('e^{-x^2}')).toBe('e^(−x²)');
+      expect(latexToUnicode('\\int_0^\\infty')).toBe('∫₀^∞');
+    });
+
+    it('should write fractions, roots and binomials inline', () => {
+      expect(latexToUnicode('\\frac{x+1}{2}')).toBe('(x + 1)/2');
+      expect(latexToUnicode('\\frac12')).toBe('1/2');
+      expect(latexToUnicode('\\sqrt{x^2+y^2}')).toBe('√(x² + y²)');
+      expect(latexToUnicode('\\sqrt[3]{8}=2')).toBe('∛8 = 2');
+      expect(latexToUnicode('\\left( \\frac{a}{b} \\right)^2')).toBe('(a/b)²');
+      expect(latexToUnicode('\\binom{n}{k}')).toBe('C(n, k)');
+    });
+
+    it('should map symbols, functions and fonts', () => {
+      expect(latexToUnicode('\\alpha\\beta \\leq \\pi')).toBe('αβ ≤ π');
+      expect(latexToUnicode('\\sin x + \\cos(y)')).toBe('sin x + cos(y)');
+      expect(latexToUnicode('x \\in \\mathbb{R}^n')).toBe('x ∈ ℝⁿ');
+      expect(latexToUnicode('\\text{if } x>0')).toBe('if x > 0');
+      expect(latexToUnicode('\\vec{v}\\cdot\\hat{n}')).toBe('v\u20d7·n\u0302');
+    });
+
+    it('should put matrix rows on separate lines', () => {
+      expect(latexToUnicode('\\begin{pmatrix} a & b \\\\ c & d \\end{pmatrix}')).toBe('a b\nc d');
+    });
+
+    it('should return an empty string for empty input', () => {
+      expect(latexToUnicode('')).toBe('');
+      expect(latexToUnicode(null)).toBe('');
+    });
+  });
+
+  describe('renderLatexToMathML', () => {
+    it('should return a math element keeping the LaTeX as annotation', () => {
+      const mathml = renderLatexToMathML('x^2');
+
+      expect(mathml.startsWith('<math')).toBe(true);
+      expect(mathml.endsWith('</math>')).toBe(true);
+      expect(mathml).toContain('<msup>');
+      expect(mathml).toContain('<annotation encoding="application/x-tex">x^2</annotation>');
+    });
+
+    it('should throw for LaTeX KaTeX cannot parse', () => {
+      expect(() => renderLatexToMathML('\\frac{')).toThrow();
+    });
+  });
+
+  describe('renderLatexToSvg', () => {
+    it('should wrap the KaTeX rendering in a standalone SVG', async () => {
+      const { svg, width, height } = await renderLatexToSvg('x^2');
+
+      expect(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg"')).toBe(true);
+      expect(svg).toContain('<foreignObject');
+      expect(svg).toContain('class="katex');
+      expect(width).toBeGreaterThan(0);
+      expect(height).toBeGreaterThan(0);
+      expect(document.body.children.length).toBe(0);
+    });
+  });
+
+  describe('exportFormula', () => {
+    it('should return text formats as text and as a typed file', async () => {
+      const { text, blob } = await exportFormula('x^2+1', 'unicode');
+
+      expect(text).toBe('x² + 1');
+      expect(blob.type).toBe('text/plain');
+      expect(EXPORT_FORMATS.map(f => f.id)).toEqual(['svg', 'png', 'mathml', 'unicode']);
+    });
+
+    it('should report PNG export without canvas support and unknown formats', async () => {
+      // jsdom has no canvas implementation
+      await expect(exportFormula('x', 'png')).rejects.toThrow('cannot draw PNG');
+      await expect(exportFormula('x', 'pdf')).rejects.toThrow('Unknown export format');
+    });
+  });
+});
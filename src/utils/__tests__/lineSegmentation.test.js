@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import {
+  horizontalProfile,
+  findInkRuns,
+  segmentLines,
+  cropImage,
+  alignAtRelation,
+  combineLines
+} from '../lineSegmentation';
+
+/**
+ * White page with black rectangles
+ * @param {number} width
+ * @param {number} height
+ * @param {Array<[number, number, number, number]>} rects - [x, y, w, h]
+ */
+function page(width, height, rects) {
+  const data = new Uint8Array(width * height).fill(255);
+  for (const [x, y, w, h] of rects) {
+    for (let yy = y; yy < y + h; yy++) data.fill(0, yy * width + x, yy * width + x + w);
+  }
+  return { width, height, data };
+}
+
+describe('lineSegmentation', () => {
+  it('should count ink per row', () => {
+    const profile = horizontalProfile(page(10, 4, [[2, 1, 5, 2]]));
+    expect(Array.from(profile)).toEqual([0, 5, 5, 0]);
+  });
+
+  it('should find runs of inked rows', () => {
+    expect(findInkRuns([0, 3, 4, 0, 0, 1, 0])).toEqual([
+      { start: 1, end: 3 },
+      { start: 5, end: 6 }
+    ]);
+    expect(findInkRuns([0, 3, 4, 0, 0, 1, 0], 2)).toEqual([{ start: 1, end: 3 }]);
+  });
+
+  it('should detect separate lines with their horizontal extent', () => {
+    const image = page(400, 300, [[20, 30, 300, 40], [50, 120, 200, 40], [20, 210, 350, 40]]);
+
+    const boxes = segmentLines(image, { padding: 5 });
+
+    expect(boxes).toEqual([
+      { x: 15, y: 25, width: 310, height: 50 },
+      { x: 45, y: 115, width: 210, height: 50 },
+      { x: 15, y: 205, width: 360, height: 50 }
+    ]);
+  });
+
+  it('should keep an exponent above its line', () => {
+    // Exponent band separated from the base by a 4px gap
+    const image = page(300, 200, [[100, 40, 20, 15], [20, 59, 200, 40], [20, 150, 200, 40]]);
+
+    const boxes = segmentLines(image, { padding: 0 });
+
+    expect(boxes).toHaveLength(2);
+    expect(boxes[0]).toMatchObject({ y: 40, height: 59 });
+  });
+
+  it('should attach stray marks to the nearest line', () => {
+    const image = page(300, 200, [[20, 20, 200, 40], [150, 75, 6, 3], [20, 130, 200, 40]]);
+
+    const boxes = segmentLines(image, { padding: 0 });
+
+    expect(boxes).toHaveLength(2);
+    expect(boxes[0]).toMatchObject({ y: 20, height: 58 });
+  });
+
+  it('should return no lines for a blank page', () => {
+    expect(segmentLines(page(50, 50, []))).toEqual([]);
+  });
+
+  it('should crop boxes clamped to the image', () => {
+    const image = page(10, 10, [[0, 0, 2, 2]]);
+
+    const crop = cropImage(image, { x: -3, y: -3, width: 5, height: 5 });
+
+    expect(crop).toMatchObject({ width: 2, height: 2 });
+    expect(Array.from(crop.data)).toEqual([0, 0, 0, 0]);
+  });
+
+  it('should align lines at their first top-level relation', () => {
+    expect(alignAtRelation('x^{2}=4')).toBe('x^{2}&=4');
+    expect(alignAtRelation('= 2x + 1')).toBe('&= 2x + 1');
+    expect(alignAtRelation('\\frac{a=b}{c} \\leq d')).toBe('\\frac{a=b}{c} &\\leq d');
+    expect(alignAtRelation('x + 1')).toBe('x + 1');
+  });
+
+  it('should combine lines into an aligned block or rows', () => {
+    const lines = ['(x+1)^{2}', '= x^{2}+2x+1', ''];
+
+    expect(combineLines(lines, 'aligned')).toBe('\\begin{aligned}\n(x+1)^{2} \\\\\n&= x^{2}+2x+1\n\\end{aligned}');
+    expect(combineLines(lines, 'rows')).toBe('(x+1)^{2}\n= x^{2}+2x+1');
+    expect(combineLines(['x=1'], 'aligned')).toBe('x=1');
+  });
+});
@@ -0,0 +1,133 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createLiveRecognition } from '../liveRecognition';
+
+/** recognize() mock whose runs are resolved by hand */
+function manualRecognize() {
+  const runs = [];
+  const recognize = vi.fn((key) => new Promise((resolve, reject) => runs.push({ key, resolve, reject })));
+  return { recognize, runs };
+}
+
+describe('createLiveRecognition', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should run once a stroke group ends and settle after a pause', async () => {
+    const onResult = vi.fn();
+    const live = createLiveRecognition({ recognize: async () => 'x', onResult, groupMs: 100, settleMs: 1000 });
+
+    live.update('box');
+    await vi.advanceTimersByTimeAsync(50);
+    live.update('box');
+    await vi.advanceTimersByTimeAsync(100);
+
+    expect(onResult.mock.calls).toEqual([['box', 'x', { settled: false }]]);
+
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(onResult).toHaveBeenLastCalledWith('box', 'x', { settled: true });
+    expect(onResult).toHaveBeenCalledTimes(2);
+  });
+
+  it('should keep one run in flight and only run the newest ink next', async () => {
+    const { recognize, runs } = manualRecognize();
+    const onResult = vi.fn();
+    const live = createLiveRecognition({ recognize, onResult, groupMs: 100, settleMs: 1000 });
+
+    live.update('box');
+    await vi.advanceTimersByTimeAsync(100);
+    expect(live.isRunning('box')).toBe(true);
+
+    // Three more stroke groups while the first run is slow
+    for (let i = 0; i < 3; i++) {
+      live.update('box');
+      await vi.advanceTimersByTimeAsync(100);
+    }
+    expect(recognize).toHaveBeenCalledTimes(1);
+
+    runs[0].resolve('x');
+    await vi.advanceTimersByTimeAsync(0);
+    expect(recognize).toHaveBeenCalledTimes(2);
+
+    // The outdated result is shown but never settles
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(onResult.mock.calls).toEqual([['box', 'x', { settled: false }]]);
+
+    runs[1].resolve('x+y');
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(onResult).toHaveBeenLastCalledWith('box', 'x+y', { settled: true });
+  });
+
+  it('should not settle while a new stroke group is pending', async () => {
+    const onResult = vi.fn();
+    const live = createLiveRecognition({ recognize: async () => 'x', onResult, groupMs: 100, settleMs: 300 });
+
+    live.update('box');
+    await vi.advanceTimersByTimeAsync(100);
+    live.update('box');
+    await vi.advanceTimersByTimeAsync(50);
+    await vi.advanceTimersByTimeAsync(250);
+
+    expect(onResult.mock.calls.filter(([, , info]) => info.settled)).toHaveLength(0);
+  });
+
+  it('should report failures but not cancelled runs', async () => {
+    const cancelled = Object.assign(new Error('superseded'), { cancelled: true });
+    const recognize = vi.fn()
+      .mockRejectedValueOnce(cancelled)
+      .mockImplementation(async (key) => {
+        if (key === 'b') throw new Error('inference failed');
+        return 'x';
+      });
+    const onError = vi.fn();
+    const live = createLiveRecognition({ recognize, onResult: vi.fn(), onError, groupMs: 100 });
+
+    live.update('a');
+    await vi.advanceTimersByTimeAsync(100);
+    live.update('b');
+    await vi.advanceTimersByTimeAsync(100);
+
+    expect(onError.mock.calls).toEqual([['b', new Error('inference failed')]]);
+  });
+
+  it('should run a cancelled run again so its result still settles', async () => {
+    const { recognize, runs } = manualRecognize();
+    const onResult = vi.fn();
+    const live = createLiveRecognition({ recognize, onResult, groupMs: 100, settleMs: 1000 });
+
+    live.update('box');
+    await vi.advanceTimersByTimeAsync(100);
+    runs[0].resolve('x');
+    live.update('box');
+    await vi.advanceTimersByTimeAsync(100);
+
+    // A manual conversion of the box supersedes the live run
+    runs[1].reject(Object.assign(new Error('superseded'), { cancelled: true }));
+    await vi.advanceTimersByTimeAsync(100);
+    expect(recognize).toHaveBeenCalledTimes(3);
+
+    runs[2].resolve('x+y');
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(onResult).toHaveBeenLastCalledWith('box', 'x+y', { settled: true });
+  });
+
+  it('should drop results of cancelled keys and after dispose', async () => {
+    const { recognize, runs } = manualRecognize();
+    const onResult = vi.fn();
+    const live = createLiveRecognition({ recognize, onResult, groupMs: 100 });
+
+    live.update('a');
+    live.update('b');
+    await vi.advanceTimersByTimeAsync(100);
+    live.cancel('a');
+    live.dispose();
+    runs.forEach((run) => run.resolve('x'));
+    await vi.advanceTimersByTimeAsync(5000);
+
+    expect(onResult).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,292 @@
+/**
+ * Tests for the resumable model download (ranges, restarts, checksums)
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { createHash } from 'node:crypto';
+import {
+  DOWNLOAD_CHUNK_SIZE,
+  remoteFileUrl,
+  gitBlobSha1,
+  verifyModelFile,
+  downloadFile,
+  downloadModel
+} from '../modelDownload.js';
+import { calculateSHA256 } from '../contentHash.js';
+import { sha256Blob } from '../../workers/sha256.js';
+
+vi.mock('../logger.js', () => ({
+  default: {
+    debug: vi.fn(),
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+const HF = { remoteHost: 'https://huggingface.co/', remotePathTemplate: '{model}/resolve/{revision}' };
+
+/**
+ * In-memory stand-in for the model store functions modelDownload.js uses
+ */
+function createMemoryStore() {
+  const files = new Map();
+  const chunks = new Map();
+  const manifests = new Map();
+  const key = (modelName, path) => `${modelName}|${path}`;
+
+  return {
+    files,
+    chunks,
+    manifests,
+    getStoredModel: async (modelName) => manifests.get(modelName) ?? null,
+    saveStoredModel: async (manifest) => { manifests.set(manifest.modelName, manifest); },
+    getModelFile: async (path, modelName) => files.get(key(modelName, path)) ?? null,
+    putModelFile: async (modelName, path, blob) => {
+      files.set(key(modelName, path), blob);
+      chunks.delete(key(modelName, path));
+    },
+    getDownloadChunks: async (modelName, path) => [...(chunks.get(key(modelName, path)) ?? [])],
+    addDownloadChunk: async (modelName, path, offset, blob) => {
+      const list = chunks.get(key(modelName, path)) ?? [];
+      list.push({ offset, blob });
+      chunks.set(key(modelName, path), list);
+    },
+    clearDownloadChunks: async (modelName, path) => { chunks.delete(key(modelName, path)); }
+  };
+}
+
+/**
+ * Fake fetch serving fixed file contents, honouring Range headers unless told not to
+ */
+function createServer(contents, { ranges = true } = {}) {
+  return vi.fn(async (url, init = {}) => {
+    const path = Object.keys(contents).find(p => url.endsWith(`/${p}`));
+    if (!path) return new Response('not found', { status: 404 });
+
+    const body = new TextEncoder().encode(contents[path]);
+    const range = init.headers?.Range;
+    if (range && ranges) {
+      const start = Number(/bytes=(\d+)-/.exec(range)[1]);
+      if (start >= body.length) return new Response(null, { status: 416 });
+      return new Response(body.slice(start), { status: 206, headers: { 'Content-Length': String(body.length - start) } });
+    }
+    return new Response(body, { status: 200, headers: { 'Content-Length': String(body.length) } });
+  });
+}
+
+describe('remoteFileUrl', () => {
+  it('should build Hugging Face resolve URLs', () => {
+    expect(remoteFileUrl(HF, 'alephpi/FormulaNet', 'onnx/encoder_model.onnx'))
+      .toBe('https://huggingface.co/alephpi/FormulaNet/resolve/main/onnx/encoder_model.onnx');
+  });
+
+  it('should support templates without a model placeholder', () => {
+    const mirror = { remoteHost: 'https://mirror.example/', remotePathTemplate: 'org/repo/models/model/' };
+    expect(remoteFileUrl(mirror, 'alephpi/FormulaNet', 'config.json'))
+      .toBe('https://mirror.example/org/repo/models/model/config.json');
+  });
+});
+
+describe('verifyModelFile', () => {
+  it('should compute git blob ids', async () => {
+    const buffer = new TextEncoder().encode('hello\n').buffer;
+    expect(await gitBlobSha1(buffer)).toBe('ce013625030ba8dba906f756967f9e9ca394464a');
+  });
+
+  it('should accept files matching their published SHA-256', async () => {
+    const blob = new Blob(['weights']);
+    const sha256 = await calculateSHA256(await blob.arrayBuffer());
+
+    await expect(verifyModelFile(blob, { size: 7, sha256 })).resolves.toEqual({ sha256, verified: true });
+  });
+
+  it('should hash large files in slices instead of reading them whole', async () => {
+    const bytes = new Uint8Array(DOWNLOAD_CHUNK_SIZE * 2 + 100).map((_, i) => i % 251);
+    const blob = new Blob([bytes]);
+    const wholeRead = vi.spyOn(blob, 'arrayBuffer');
+    const expected = { size: bytes.length, sha256: createHash('sha256').update(bytes).digest('hex') };
+
+    // Without worker support the slices are hashed in place
+    vi.stubGlobal('Worker', undefined);
+    try {
+      await expect(verifyModelFile(blob, expected)).resolves.toEqual({ sha256: expected.sha256, verified: true });
+      expect(wholeRead).not.toHaveBeenCalled();
+    } finally {
+      vi.unstubAllGlobals();
+    }
+  });
+
+  it('should hash large files in a worker', async () => {
+    const workers = [];
+    vi.stubGlobal('Worker', class {
+      constructor(url) {
+        this.url = String(url);
+        this.terminate = vi.fn();
+        workers.push(this);
+      }
+
+      postMessage({ blob, sliceSize }) {
+        sha256Blob(blob, sliceSize).then(sha256 => this.onmessage({ data: { type: 'result', sha256 } }));
+      }
+    });
+    try {
+      const bytes = new Uint8Array(DOWNLOAD_CHUNK_SIZE + 1).fill(7);
+      const sha256 = createHash('sha256').update(bytes).digest('hex');
+
+      await expect(verifyModelFile(new Blob([bytes]), { size: bytes.length, sha256 })).resolves.toEqual({ sha256, verified: true });
+      expect(workers).toHaveLength(1);
+      expect(workers[0].url).toMatch(/modelHashWorker\.js$/);
+      expect(workers[0].terminate).toHaveBeenCalled();
+
+      // Small files are hashed in one go
+      await verifyModelFile(new Blob(['{}']), undefined);
+      expect(workers).toHaveLength(1);
+    } finally {
+      vi.unstubAllGlobals();
+    }
+  });
+
+  it('should reject size and checksum mismatches', async () => {
+    await expect(verifyModelFile(new Blob(['short']), { size: 7 })).rejects.toThrow('expected 7 bytes');
+    await expect(verifyModelFile(new Blob(['weights']), { size: 7, sha256: 'f00' })).rejects.toThrow('checksum');
+  });
+
+  it('should mark files without a published checksum as unverified', async () => {
+    const result = await verifyModelFile(new Blob(['{}']), undefined);
+    expect(result.verified).toBe(false);
+  });
+});
+
+describe('downloadFile', () => {
+  const options = { url: 'https://huggingface.co/m/resolve/main/model.onnx', modelName: 'm', path: 'model.onnx' };
+
+  it('should resume from the stored chunks with a Range request', async () => {
+    const store = createMemoryStore();
+    await store.addDownloadChunk('m', 'model.onnx', 0, new Blob(['0123']));
+    const fetchImpl = createServer({ 'model.onnx': '0123456789' });
+
+    const blob = await downloadFile({ ...options, expected: { size: 10 }, fetchImpl, store });
+
+    expect(fetchImpl.mock.calls[0][1].headers.Range).toBe('bytes=4-');
+    expect(await blob.text()).toBe('0123456789');
+  });
+
+  it('should start over when the server ignores the Range header', async () => {
+    const store = createMemoryStore();
+    await store.addDownloadChunk('m', 'model.onnx', 0, new Blob(['xxxx']));
+    const fetchImpl = createServer({ 'model.onnx': '0123456789' }, { ranges: false });
+
+    const blob = await downloadFile({ ...options, fetchImpl, store });
+
+    expect(await blob.text()).toBe('0123456789');
+    expect(await store.getDownloadChunks('m', 'model.onnx')).toHaveLength(1);
+  });
+
+  it('should not request files whose chunks are complete', async () => {
+    const store = createMemoryStore();
+    await store.addDownloadChunk('m', 'model.onnx', 0, new Blob(['0123456789']));
+    const fetchImpl = createServer({ 'model.onnx': '0123456789' });
+
+    const blob = await downloadFile({ ...options, expected: { size: 10 }, fetchImpl, store });
+
+    expect(fetchImpl).not.toHaveBeenCalled();
+    expect(blob.size).toBe(10);
+  });
+
+  it('should report progress and return null for missing files', async () => {
+    const onProgress = vi.fn();
+    const fetchImpl = createServer({ 'model.onnx': '0123456789' });
+
+    await downloadFile({ ...options, fetchImpl, store: createMemoryStore(), onProgress });
+    expect(onProgress).toHaveBeenLastCalledWith({ file: 'model.onnx', loaded: 10, total: 10, status: 'progress' });
+
+    const missing = await downloadFile({ ...options, path: 'absent.json', url: 'https://x/absent.json', fetchImpl, store: createMemoryStore() });
+    expect(missing).toBeNull();
+  });
+});
+
+describe('downloadModel', () => {
+  const contents = {
+    'config.json': '{"a":1}',
+    'tokenizer.json': '{"b":2}',
+    'tokenizer_config.json': '{"c":3}',
+    'onnx/encoder_model.onnx': 'encoder-weights',
+    'onnx/decoder_model_merged.onnx': 'decoder-weights'
+  };
+  const config = { modelName: 'org/model', env_config: HF };
+
+  it('should store every file and record it in the manifest', async () => {
+    const store = createMemoryStore();
+
+    const manifest = await downloadModel(config, { dtype: 'fp32', fetchImpl: createServer(contents), store });
+
+    expect(manifest.files.map(f => f.path).sort()).toEqual(Object.keys(contents).sort());
+    expect(manifest.totalSize).toBe(Object.values(contents).join('').length);
+    expect(await (await store.getModelFile('onnx/encoder_model.onnx', 'org/model')).text()).toBe('encoder-weights');
+    expect(store.manifests.get('org/model')).toEqual(manifest);
+  });
+
+  it('should skip files already downloaded', async () => {
+    const store = createMemoryStore();
+    await downloadModel(config, { dtype: 'fp32', fetchImpl: createServer(contents), store });
+
+    const fetchImpl = createServer(contents);
+    await downloadModel(config, { dtype: 'fp32', fetchImpl, store });
+
+    expect(fetchImpl).not.toHaveBeenCalled();
+  });
+
+  it('should not fetch the published checksums once every file is stored', async () => {
+    const store = createMemoryStore();
+    const withManifest = { ...config, manifestUrl: 'https://huggingface.co/api/models/org/model/tree/main' };
+    const serve = createServer(contents);
+    await downloadModel(withManifest, {
+      dtype: 'fp32',
+      fetchImpl: vi.fn(async (url, init) => (url.includes('/api/') ? new Response('[]') : serve(url, init))),
+      store
+    });
+
+    const fetchImpl = vi.fn(async () => { throw new Error('offline'); });
+    const manifest = await downloadModel(withManifest, { dtype: 'fp32', fetchImpl, store });
+
+    expect(fetchImpl).not.toHaveBeenCalled();
+    expect(manifest).toEqual(store.manifests.get('org/model'));
+  });
+
+  it('should fetch the published checksums when a file is missing', async () => {
+    const store = createMemoryStore();
+    await downloadModel(config, { dtype: 'fp32', fetchImpl: createServer(contents), store });
+    store.files.delete('org/model|onnx/decoder_model_merged.onnx');
+
+    const serve = createServer(contents);
+    const fetchImpl = vi.fn(async (url, init) => (url.includes('/api/') ? new Response('[]') : serve(url, init)));
+    await downloadModel({ ...config, manifestUrl: 'https://huggingface.co/api/models/org/model/tree/main' },
+      { dtype: 'fp32', fetchImpl, store });
+
+    expect(fetchImpl.mock.calls.map(([url]) => url.split('/').pop()))
+      .toEqual(['main', 'decoder_model_merged.onnx']);
+  });
+
+  it('should verify checksums from the manifest and discard corrupt files', async () => {
+    const tree = await Promise.all(Object.entries(contents).map(async ([path, text]) => {
+      const buffer = new TextEncoder().encode(text).buffer;
+      return path.endsWith('.onnx')
+        ? { type: 'file', path, size: buffer.byteLength, lfs: { oid: await calculateSHA256(buffer), size: buffer.byteLength } }
+        : { type: 'file', path, size: buffer.byteLength, oid: await gitBlobSha1(buffer) };
+    }));
+    const serve = createServer({ ...contents, 'onnx/encoder_model.onnx': 'encoder-weighTs' });
+    const fetchImpl = vi.fn(async (url, init) => (
+      url.includes('/api/') ? new Response(JSON.stringify(tree)) : serve(url, init)
+    ));
+    const store = createMemoryStore();
+
+    await expect(downloadModel({ ...config, manifestUrl: 'https://huggingface.co/api/models/org/model/tree/main' },
+      { dtype: 'fp32', fetchImpl, store })).rejects.toThrow('Downloaded onnx/encoder_model.onnx is corrupt');
+
+    expect(await store.getModelFile('onnx/encoder_model.onnx', 'org/model')).toBeNull();
+    expect(await store.getDownloadChunks('org/model', 'onnx/encoder_model.onnx')).toEqual([]);
+    expect(store.manifests.get('org/model').files.every(f => f.verified)).toBe(true);
+  });
+});
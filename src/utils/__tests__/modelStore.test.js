@@ -0,0 +1,130 @@
+/**
+ * Tests for the offline model store (file selection and transformers.js cache adapter)
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  resolveModelFiles,
+  availablePrecisions,
+  modelWeightFiles,
+  createModelFileCache,
+  LOCAL_MODEL_NAME,
+  LOCAL_MODEL_PATH
+} from '../modelStore.js';
+
+const file = (path, data = '{}') => ({ path, blob: new Blob([data]) });
+
+const modelFiles = (root = '') => [
+  file(`${root}config.json`),
+  file(`${root}generation_config.json`),
+  file(`${root}tokenizer.json`),
+  file(`${root}tokenizer_config.json`),
+  file(`${root}onnx/encoder_model.onnx`, 'encoder'),
+  file(`${root}onnx/decoder_model_merged.onnx`, 'decoder')
+];
+
+describe('resolveModelFiles', () => {
+  it('should strip the picked folder name from paths', () => {
+    const files = resolveModelFiles(modelFiles('FormulaNet/'));
+
+    expect(files.map(f => f.path)).toEqual([
+      'config.json',
+      'generation_config.json',
+      'tokenizer.json',
+      'tokenizer_config.json',
+      'onnx/encoder_model.onnx',
+      'onnx/decoder_model_merged.onnx'
+    ]);
+  });
+
+  it('should ignore hidden files, archive metadata and unrelated files', () => {
+    const files = resolveModelFiles([
+      ...modelFiles('model/'),
+      file('model/README.md', '# FormulaNet'),
+      file('model/.DS_Store'),
+      file('__MACOSX/model/._config.json')
+    ]);
+
+    expect(files.map(f => f.path)).not.toContain('README.md');
+    expect(files).toHaveLength(6);
+  });
+
+  it('should prefer the folder that holds the encoder as the model root', () => {
+    const files = resolveModelFiles([
+      file('config.json', '{"unrelated":true}'),
+      ...modelFiles('weights/FormulaNet/')
+    ]);
+
+    expect(files.map(f => f.path)).toContain('onnx/encoder_model.onnx');
+    expect(files.map(f => f.path)).not.toContain('weights/FormulaNet/config.json');
+  });
+
+  it('should keep ONNX Runtime files found anywhere under runtime/', () => {
+    const files = resolveModelFiles([
+      ...modelFiles(),
+      file('runtime-1.22/ort-wasm-simd-threaded.jsep.wasm', 'wasm')
+    ]);
+
+    expect(files.map(f => f.path)).toContain('runtime/ort-wasm-simd-threaded.jsep.wasm');
+  });
+
+  it('should name every missing required file', () => {
+    const incomplete = modelFiles().filter(f => f.path !== 'tokenizer.json' && f.path !== 'config.json');
+
+    expect(() => resolveModelFiles(incomplete)).toThrow('Missing model files: config.json, tokenizer.json');
+  });
+
+  it('should accept a model that only ships quantized weights', () => {
+    const files = resolveModelFiles([
+      ...modelFiles('FormulaNet/').filter(f => !f.path.includes('/onnx/')),
+      file('FormulaNet/onnx/encoder_model_quantized.onnx'),
+      file('FormulaNet/onnx/decoder_model_merged_quantized.onnx')
+    ]);
+
+    expect(availablePrecisions(files.map(f => f.path))).toEqual(['q8']);
+  });
+
+  it('should reject a model without a complete set of weights', () => {
+    const encoderOnly = modelFiles().filter(f => f.path !== 'onnx/decoder_model_merged.onnx');
+
+    expect(() => resolveModelFiles(encoderOnly)).toThrow('Missing ONNX weights');
+  });
+});
+
+describe('modelWeightFiles', () => {
+  it('should use the transformers.js file suffix for each precision', () => {
+    expect(modelWeightFiles('fp32')).toEqual(['onnx/encoder_model.onnx', 'onnx/decoder_model_merged.onnx']);
+    expect(modelWeightFiles('fp16')).toEqual(['onnx/encoder_model_fp16.onnx', 'onnx/decoder_model_merged_fp16.onnx']);
+    expect(modelWeightFiles('q8')[0]).toBe('onnx/encoder_model_quantized.onnx');
+  });
+});
+
+describe('createModelFileCache', () => {
+  const stored = { 'config.json': new Blob(['{"model_type":"vision-encoder-decoder"}']) };
+  const readFile = vi.fn(async (path) => stored[path] ?? null);
+
+  it('should serve imported files for local model paths', async () => {
+    const cache = createModelFileCache(LOCAL_MODEL_NAME, readFile);
+
+    const response = await cache.match(`${LOCAL_MODEL_PATH}${LOCAL_MODEL_NAME}/config.json`);
+
+    expect(readFile).toHaveBeenCalledWith('config.json');
+    expect(response.headers.get('Content-Length')).toBe(String(stored['config.json'].size));
+    expect(await response.json()).toEqual({ model_type: 'vision-encoder-decoder' });
+  });
+
+  it('should miss for files that were not imported', async () => {
+    const cache = createModelFileCache(LOCAL_MODEL_NAME, readFile);
+
+    expect(await cache.match(`${LOCAL_MODEL_PATH}${LOCAL_MODEL_NAME}/generation_config.json`)).toBeUndefined();
+  });
+
+  it('should miss for remote URLs', async () => {
+    const cache = createModelFileCache(LOCAL_MODEL_NAME, readFile);
+    readFile.mockClear();
+
+    expect(await cache.match('https://huggingface.co/alephpi/FormulaNet/resolve/main/config.json')).toBeUndefined();
+    expect(readFile).not.toHaveBeenCalled();
+  });
+});
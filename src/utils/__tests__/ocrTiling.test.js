@@ -0,0 +1,129 @@
+import { describe, it, expect } from 'vitest';
+import {
+  TILE_SIZE,
+  TILE_OVERLAP,
+  getElementBounds,
+  getInkBounds,
+  calculateTilePositions,
+  extractTiles
+} from '../ocrTiling';
+import { RowManager } from '../rowManager';
+
+const element = (id, x, y, width, height, extra = {}) => ({ id, x, y, width, height, ...extra });
+
+describe('ocrTiling', () => {
+  describe('getElementBounds', () => {
+    it('should normalize negative width and height', () => {
+      expect(getElementBounds(element('a', 100, 100, -40, -20))).toEqual({
+        minX: 60, minY: 80, maxX: 100, maxY: 100
+      });
+    });
+  });
+
+  describe('getInkBounds', () => {
+    it('should return null for empty or invalid input', () => {
+      expect(getInkBounds([])).toBeNull();
+      expect(getInkBounds(null)).toBeNull();
+      expect(getInkBounds([{ id: 'x' }])).toBeNull();
+    });
+
+    it('should combine bounds and skip deleted elements', () => {
+      const bounds = getInkBounds([
+        element('a', 10, 20, 30, 40),
+        element('b', 100, 5, 50, 10),
+        element('c', -500, 0, 10, 10, { isDeleted: true })
+      ]);
+
+      expect(bounds).toEqual({ minX: 10, minY: 5, maxX: 150, maxY: 60, width: 140, height: 55 });
+    });
+  });
+
+  describe('calculateTilePositions', () => {
+    it('should use a single tile when ink fits', () => {
+      expect(calculateTilePositions(0)).toEqual([0]);
+      expect(calculateTilePositions(TILE_SIZE)).toEqual([0]);
+    });
+
+    it('should step by tile size minus overlap', () => {
+      const stride = TILE_SIZE - TILE_OVERLAP;
+      expect(calculateTilePositions(TILE_SIZE + 1)).toEqual([0, stride]);
+      expect(calculateTilePositions(1000)).toEqual([0, stride, 2 * stride]);
+    });
+
+    it('should cover the full width', () => {
+      for (const width of [385, 704, 705, 2000, 5000]) {
+        const positions = calculateTilePositions(width);
+        expect(positions[positions.length - 1] + TILE_SIZE).toBeGreaterThanOrEqual(width);
+      }
+    });
+
+    it('should reject invalid overlap', () => {
+      expect(() => calculateTilePositions(1000, { overlap: TILE_SIZE })).toThrow();
+      expect(() => calculateTilePositions(1000, { overlap: -1 })).toThrow();
+    });
+  });
+
+  describe('extractTiles', () => {
+    const rowManager = new RowManager({ rowHeight: 384, startY: 0 });
+    const row = rowManager.getRowForY(400); // row-1: 384-768
+
+    it('should return no tiles for a row without ink', () => {
+      expect(extractTiles(row, [])).toEqual([]);
+      expect(extractTiles(null, [element('a', 0, 0, 10, 10)])).toEqual([]);
+    });
+
+    it('should align tiles with the row and the ink start', () => {
+      const tiles = extractTiles(row, [element('a', 50, 420, 100, 80)]);
+
+      expect(tiles).toHaveLength(1);
+      expect(tiles[0]).toMatchObject({
+        id: 'row-1-tile-0',
+        rowId: 'row-1',
+        index: 0,
+        offsetX: 50,
+        offsetY: 384,
+        width: TILE_SIZE,
+        height: 384,
+        overlap: 0,
+        elementIds: ['a'],
+        inkMinX: 50,
+        inkMaxX: 150
+      });
+    });
+
+    it('should follow the configured row height', () => {
+      const tallManager = new RowManager({ rowHeight: 500, startY: 0 });
+      const tallRow = tallManager.getRowForY(10);
+
+      const [tile] = extractTiles(tallRow, [element('a', 0, 10, 20, 20)]);
+      expect(tile.height).toBe(500);
+    });
+
+    it('should record overlapping offsets and per-tile elements for wide rows', () => {
+      const tiles = extractTiles(row, [
+        element('left', 0, 400, 100, 50),
+        element('middle', 340, 400, 60, 50),
+        element('right', 900, 400, 100, 50)
+      ]);
+
+      expect(tiles.map(t => t.offsetX)).toEqual([0, 320, 640]);
+      expect(tiles.map(t => t.overlap)).toEqual([0, TILE_OVERLAP, TILE_OVERLAP]);
+      expect(tiles[0].elementIds).toEqual(['left', 'middle']);
+      expect(tiles[1].elementIds).toEqual(['middle']);
+      expect(tiles[2].elementIds).toEqual(['right']);
+    });
+
+    it('should clip ink extents to each tile', () => {
+      const tiles = extractTiles(row, [
+        element('wide', 0, 400, 500, 50),
+        element('far', 900, 400, 100, 50)
+      ]);
+
+      expect(tiles.map(t => [t.inkMinX, t.inkMaxX])).toEqual([
+        [0, 384],
+        [320, 500],
+        [900, 1000]
+      ]);
+    });
+  });
+});
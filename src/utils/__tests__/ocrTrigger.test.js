@@ -1,5 +1,7 @@
-import { describe, it, expect, vi } from 'vitest';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
 import { triggerOCRForRow } from '../ocrTrigger';
+import { RowManager } from '../rowManager';
+import { getOCRWorkerPool, PRIORITY } from '../../workers/ocrWorkerPool.js';
 import Logger from '../logger';
 
 // Mock Logger
@@ -12,16 +14,107 @@ vi.mock('../logger', () => ({
     }
 }));
 
+// Mock Excalidraw export (rasterization)
+vi.mock('@excalidraw/excalidraw', () => ({
+    exportToCanvas: vi.fn(async () => ({ width: 100, height: 50 }))
+}));
+
+// jsdom has no canvas implementation: stub the 2D context and PNG encoding
+HTMLCanvasElement.prototype.getContext = vi.fn(() => ({
+    fillRect: vi.fn(),
+    drawImage: vi.fn()
+}));
+HTMLCanvasElement.prototype.toBlob = function (callback, type) {
+    callback(new Blob(['png'], { type }));
+};
+
+// Preprocessing is stubbed: tilePixels decides what the model would "see" for each tile
+let pixelCounter = 0;
+let tilePixels = () => `unique-${++pixelCounter}`;
+
+vi.mock('../../workers/imageProcessor.js', () => ({
+    preprocessImg: vi.fn(async (image) => ({
+        array: Float32Array.from(tilePixels(image), c => c.charCodeAt(0) / 255),
+        width: 384,
+        height: 384
+    }))
+}));
+
+// In-memory OCR cache instead of IndexedDB
+const ocrCache = vi.hoisted(() => new Map());
+
+vi.mock('../workspaceDB.js', () => ({
+    getCachedOCRResult: vi.fn(async (tileHash) => ocrCache.get(tileHash) || null),
+    cacheOCRResult: vi.fn(async (tileHash, latex, metadata) => {
+        ocrCache.set(tileHash, { tileHash, latex, metadata });
+    }),
+    loadOCRPrecision: vi.fn(async () => 'fp32'),
+    loadOCRModelSelection: vi.fn(async () => ({ modelId: 'formulanet', source: 'auto' })),
+    saveOCRModelReport: vi.fn(async () => {})
+}));
+
+// The pool downloads remote models into IndexedDB before spawning workers
+vi.mock('../modelDownload.js', () => ({
+    downloadModel: vi.fn(async () => ({}))
+}));
+
+const stroke = (id, x = 10) => ({ id, type: 'freedraw', x, y: 100, width: 100, height: 50 });
+
+// Fake OCR worker: becomes ready on init and answers predict (and each predictBatch item) with workerReply
+let workerReply = () => ({ type: 'result', output: 'x^{2}', time: '0.10' });
+let predictMessages = [];
+let batchMessages = [];
+
+class FakeOCRWorker {
+    postMessage(message) {
+        setTimeout(() => {
+            if (message.action === 'init') {
+                this.onmessage({ data: { type: 'ready' } });
+            } else if (message.action === 'predict') {
+                predictMessages.push(message);
+                this.onmessage({ data: { ...workerReply(message), key: message.key } });
+            } else if (message.action === 'predictBatch') {
+                batchMessages.push(message);
+                const replies = message.items.map(item => workerReply(item));
+                const failed = replies.find(reply => reply.type === 'error');
+                this.onmessage({
+                    data: failed
+                        ? { ...failed, key: message.key }
+                        : { type: 'result', items: replies.map((reply, i) => ({ ...reply, key: message.items[i].key })), time: '0.30', key: message.key }
+                });
+            }
+        }, 0);
+    }
+
+    terminate() {}
+}
+
+vi.stubGlobal('Worker', FakeOCRWorker);
+vi.stubGlobal('fetch', vi.fn(async () => ({ ok: true })));
+
 describe('triggerOCRForRow', () => {
-    it('should log OCR trigger event', () => {
-        const rowId = 'row-1';
-        const elements = [{ id: '1' }];
+    let rowManager;
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        workerReply = () => ({ type: 'result', output: 'x^{2}', time: '0.10' });
+        tilePixels = () => `unique-${++pixelCounter}`;
+        predictMessages = [];
+        batchMessages = [];
+        ocrCache.clear();
+        rowManager = new RowManager({ rowHeight: 384, startY: 0 });
+        rowManager.setActiveRow('row-0');
+    });
+
+    it('should log OCR trigger event', async () => {
+        const rowId = 'row-0';
+        const elements = [stroke('1')];
 
-        triggerOCRForRow(rowId, elements);
+        await triggerOCRForRow(rowId, elements, { rowManager });
 
         expect(Logger.info).toHaveBeenCalledWith(
             'OCR',
-            'OCR triggered for row (STUB)',
+            'OCR triggered for row',
             expect.objectContaining({
                 rowId,
                 elementCount: 1
@@ -29,18 +122,328 @@ describe('triggerOCRForRow', () => {
         );
     });
 
-    it('should handle null elements', () => {
-        const rowId = 'row-1';
+    it('should handle null elements', async () => {
+        const rowId = 'row-0';
 
-        triggerOCRForRow(rowId, null);
+        const result = await triggerOCRForRow(rowId, null, { rowManager });
 
         expect(Logger.info).toHaveBeenCalledWith(
             'OCR',
-            'OCR triggered for row (STUB)',
+            'OCR triggered for row',
             expect.objectContaining({
                 rowId,
                 elementCount: 0
             })
         );
+        expect(result.success).toBe(false);
+        expect(rowManager.getRow(rowId).ocrStatus).toBe('pending');
+    });
+
+    it('should write transcribed LaTeX back to the row', async () => {
+        const result = await triggerOCRForRow('row-0', [stroke('1')], { rowManager });
+
+        expect(result.success).toBe(true);
+        expect(result.data.latex).toBe('x^{2}');
+        expect(result.data.fragments).toHaveLength(1);
+
+        const row = rowManager.getRow('row-0');
+        expect(row.ocrStatus).toBe('complete');
+        expect(row.transcribedLatex).toBe('x^{2}');
+        expect(row.recognizedLatex).toBe('x^{2}');
+        expect(row.errorMessage).toBeNull();
+    });
+
+    it('should mark row as processing while OCR runs', async () => {
+        const pending = triggerOCRForRow('row-0', [stroke('1')], { rowManager });
+
+        expect(rowManager.getRow('row-0').ocrStatus).toBe('processing');
+        await pending;
+    });
+
+    it('should set error status when the worker fails', async () => {
+        workerReply = () => ({ type: 'error', error: 'inference failed' });
+
+        const result = await triggerOCRForRow('row-0', [stroke('1')], { rowManager });
+
+        expect(result.success).toBe(false);
+        expect(result.error).toBe('inference failed');
+
+        const row = rowManager.getRow('row-0');
+        expect(row.ocrStatus).toBe('error');
+        expect(row.errorMessage).toBe(result.userMessage);
+    });
+
+    it('should discard results superseded by a newer trigger', async () => {
+        workerReply = () => ({ type: 'result', output: 'old', time: '0.10' });
+        const first = triggerOCRForRow('row-0', [stroke('1')], { rowManager });
+
+        workerReply = () => ({ type: 'result', output: 'new', time: '0.10' });
+        const second = triggerOCRForRow('row-0', [stroke('1'), stroke('2', 200)], { rowManager });
+
+        const [firstResult, secondResult] = await Promise.all([first, second]);
+
+        expect(firstResult.stale).toBe(true);
+        expect(secondResult.success).toBe(true);
+        expect(rowManager.getRow('row-0').transcribedLatex).toBe('new');
+    });
+
+    it('should run a row again when the pool is terminated mid-OCR', async () => {
+        // Hold the first prediction so the job is still running at terminate()
+        workerReply = () => ({ type: 'progress' });
+        const pending = triggerOCRForRow('row-0', [stroke('1')], { rowManager });
+        await vi.waitFor(() => expect(predictMessages).toHaveLength(1));
+
+        workerReply = () => ({ type: 'result', output: 'x^{2}', time: '0.10' });
+        getOCRWorkerPool().terminate();
+        const result = await pending;
+
+        expect(result.success).toBe(true);
+        expect(predictMessages).toHaveLength(2);
+        expect(rowManager.getRow('row-0').ocrStatus).toBe('complete');
+    });
+
+    it('should set error status when the row is interrupted twice', async () => {
+        workerReply = () => ({ type: 'progress' });
+        const pending = triggerOCRForRow('row-0', [stroke('1')], { rowManager });
+
+        await vi.waitFor(() => expect(predictMessages).toHaveLength(1));
+        getOCRWorkerPool().terminate();
+        await vi.waitFor(() => expect(predictMessages).toHaveLength(2));
+        getOCRWorkerPool().terminate();
+        const result = await pending;
+
+        expect(result.interrupted).toBe(true);
+        const row = rowManager.getRow('row-0');
+        expect(row.ocrStatus).toBe('error');
+        expect(row.errorMessage).toBe(result.userMessage);
+    });
+
+    it('should queue the active row ahead of deactivated rows', async () => {
+        const pool = getOCRWorkerPool();
+        const submit = vi.spyOn(pool, 'submitBatch');
+        const submitOne = vi.spyOn(pool, 'submit');
+        const priorities = () => [...submit.mock.calls, ...submitOne.mock.calls].map(([job]) => job.priority);
+
+        await triggerOCRForRow('row-0', [stroke('1')], { rowManager });
+        rowManager.setActiveRow('row-1');
+        await triggerOCRForRow('row-0', [stroke('2')], { rowManager });
+
+        expect(priorities()).toEqual([PRIORITY.HIGH, PRIORITY.NORMAL]);
+        submit.mockRestore();
+        submitOne.mockRestore();
+    });
+
+    it('should recognize one fragment per tile for wide rows', async () => {
+        workerReply = (message) => ({ type: 'result', output: `f${message.key.split(':')[1]}`, time: '0.10' });
+
+        const result = await triggerOCRForRow('row-0', [stroke('1', 0), stroke('2', 900)], { rowManager });
+
+        expect(result.data.fragments.map(f => f.tile.index)).toEqual([0, 1, 2]);
+        expect(result.data.fragments.map(f => f.latex)).toEqual(['f0', 'f1', 'f2']);
+    });
+
+    it('should cut tiles as wide as the selected model input', async () => {
+        const pool = getOCRWorkerPool();
+        const { resolveModelConfig } = pool;
+        pool.resolveModelConfig = async () => ({ modelId: 'wide', modelName: 'test/WideModel', inputSize: 640 });
+        pool.terminate();
+        try {
+            const result = await triggerOCRForRow('row-0', [stroke('1', 0), stroke('2', 900)], { rowManager });
+
+            expect(result.data.fragments.map(f => f.tile.width)).toEqual([640, 640]);
+        } finally {
+            pool.resolveModelConfig = resolveModelConfig;
+            pool.terminate();
+        }
+    });
+
+    it('should send the tiles of a wide row as one batch', async () => {
+        const result = await triggerOCRForRow('row-0', [stroke('1', 0), stroke('2', 900)], { rowManager });
+
+        expect(predictMessages).toHaveLength(0);
+        expect(batchMessages).toHaveLength(1);
+        expect(batchMessages[0].key).toBe('row-0:batch-0');
+        expect(batchMessages[0].items.map(item => item.key)).toEqual(['row-0:0', 'row-0:1', 'row-0:2']);
+        expect(batchMessages[0].items[0].pixels).toBeInstanceOf(Float32Array);
+        expect(result.data.fragments.map(f => f.time)).toEqual(['0.10', '0.10', '0.10']);
+        await vi.waitFor(() => expect(ocrCache.size).toBe(3));
+    });
+
+    it('should draw pen strokes directly instead of exporting the row', async () => {
+        const { exportToCanvas } = await import('@excalidraw/excalidraw');
+        const { preprocessImg } = await import('../../workers/imageProcessor.js');
+        vi.stubGlobal('OffscreenCanvas', class {
+            getContext() {
+                return new Proxy({}, {
+                    get: (target, prop) => prop === 'getImageData'
+                        ? (x, y, w, h) => ({ data: new Uint8ClampedArray(w * h * 4).fill(255) })
+                        : () => {}
+                });
+            }
+        });
+
+        try {
+            const pen = { ...stroke('1'), points: [[0, 0], [50, 25], [100, 50]] };
+            const first = await triggerOCRForRow('row-0', [pen], { rowManager });
+            await vi.waitFor(() => expect(ocrCache.size).toBe(1));
+            const second = await triggerOCRForRow('row-0', [pen], { rowManager });
+
+            expect(exportToCanvas).not.toHaveBeenCalled();
+            expect(preprocessImg).not.toHaveBeenCalled();
+            expect(predictMessages[0].pixels).toHaveLength(384 * 384);
+            expect(second.data.fragments[0].cached).toBe(true);
+            expect(second.data.fragments[0].tileHash).toBe(first.data.fragments[0].tileHash);
+        } finally {
+            vi.unstubAllGlobals();
+            vi.stubGlobal('Worker', FakeOCRWorker);
+            vi.stubGlobal('fetch', vi.fn(async () => ({ ok: true })));
+        }
+    });
+
+    it('should skip rows unknown to RowManager', async () => {
+        const result = await triggerOCRForRow('row-99', [stroke('1')], { rowManager });
+
+        expect(result.success).toBe(false);
+        expect(Logger.warn).toHaveBeenCalled();
+    });
+
+    it('should store the tile hash on the row and send preprocessed pixels to the worker', async () => {
+        await triggerOCRForRow('row-0', [stroke('1')], { rowManager });
+
+        expect(rowManager.getRow('row-0').tileHash).toMatch(/^[0-9a-f]{64}$/);
+        expect(predictMessages[0].pixels).toBeInstanceOf(Float32Array);
+    });
+
+    it('should reuse cached results for unchanged tile pixels', async () => {
+        tilePixels = () => 'same ink';
+
+        const first = await triggerOCRForRow('row-0', [stroke('1')], { rowManager });
+        await vi.waitFor(() => expect(ocrCache.size).toBe(1));
+
+        workerReply = () => ({ type: 'result', output: 'should not run', time: '0.10' });
+        const second = await triggerOCRForRow('row-0', [stroke('1')], { rowManager });
+
+        expect(predictMessages).toHaveLength(1);
+        expect(second.data.latex).toBe('x^{2}');
+        expect(second.data.fragments[0].cached).toBe(true);
+        expect(rowManager.getRow('row-0').tileHash).toBe(first.data.fragments[0].tileHash);
+    });
+
+    it('should not reuse results cached for another OCR precision', async () => {
+        const { loadOCRPrecision } = await import('../workspaceDB.js');
+        tilePixels = () => 'same ink';
+
+        await triggerOCRForRow('row-0', [stroke('1')], { rowManager });
+        await vi.waitFor(() => expect(ocrCache.size).toBe(1));
+
+        // Changing the precision restarts the pool with the new setting
+        loadOCRPrecision.mockResolvedValueOnce('fp16');
+        getOCRWorkerPool().terminate();
+        try {
+            workerReply = () => ({ type: 'result', output: 'x^{3}', time: '0.10' });
+            const result = await triggerOCRForRow('row-0', [stroke('1')], { rowManager });
+
+            expect(predictMessages).toHaveLength(2);
+            expect(result.data.fragments[0].cached).toBe(false);
+            expect(result.data.latex).toBe('x^{3}');
+        } finally {
+            getOCRWorkerPool().terminate();
+        }
+    });
+
+    it('should not reuse results cached for another model', async () => {
+        tilePixels = () => 'same ink';
+
+        await triggerOCRForRow('row-0', [stroke('1')], { rowManager });
+        await vi.waitFor(() => expect(ocrCache.size).toBe(1));
+
+        // The model picker restarts the pool, which then resolves the new model
+        const pool = getOCRWorkerPool();
+        const { resolveModelConfig } = pool;
+        pool.resolveModelConfig = async () => ({ modelId: 'other', modelName: 'test/OtherModel', inputSize: 384 });
+        pool.terminate();
+        try {
+            const result = await triggerOCRForRow('row-0', [stroke('1')], { rowManager });
+
+            expect(pool.getModelId()).toBe('test/OtherModel:fp32');
+            expect(predictMessages).toHaveLength(2);
+            expect(result.data.fragments[0].cached).toBe(false);
+        } finally {
+            pool.resolveModelConfig = resolveModelConfig;
+            pool.terminate();
+        }
+    });
+
+    it('should run inference when the tile pixels changed', async () => {
+        await triggerOCRForRow('row-0', [stroke('1')], { rowManager });
+        await triggerOCRForRow('row-0', [stroke('1')], { rowManager });
+
+        expect(predictMessages).toHaveLength(2);
+    });
+
+    it('should fall back to inference when the cache lookup fails', async () => {
+        const { getCachedOCRResult } = await import('../workspaceDB.js');
+        getCachedOCRResult.mockRejectedValueOnce(new Error('db closed'));
+
+        const result = await triggerOCRForRow('row-0', [stroke('1')], { rowManager });
+
+        expect(result.success).toBe(true);
+        expect(predictMessages).toHaveLength(1);
+        expect(Logger.warn).toHaveBeenCalledWith('OCR', 'OCR cache lookup failed', expect.any(Object));
+    });
+
+    it('should store per-token confidence on the row', async () => {
+        const tokens = [
+            { text: 'x', start: 0, end: 1, prob: 0.98 },
+            { text: '^{2}', start: 1, end: 5, prob: 0.41 }
+        ];
+        workerReply = () => ({ type: 'result', output: 'x^{2}', time: '0.10', tokens });
+
+        await triggerOCRForRow('row-0', [stroke('1')], { rowManager });
+
+        const row = rowManager.getRow('row-0');
+        expect(row.ocrTokens).toEqual([{ tileIndex: 0, tokens }]);
+        expect(row.ocrConfidence).toBe(0.41);
+    });
+
+    it('should align each token with the strokes it was read from', async () => {
+        await triggerOCRForRow('row-0', [stroke('1', 10), stroke('2', 150)], { rowManager });
+
+        const row = rowManager.getRow('row-0');
+        expect(row.alignmentSource).toBe('projection');
+        expect(row.strokeAlignment.map(t => [t.text, t.elementIds])).toEqual([
+            ['x', ['1']],
+            ['^', ['2']],
+            ['{', ['2']],
+            ['2', ['2']],
+            ['}', ['2']]
+        ]);
+    });
+
+    it('should use cross-attention spans when the worker reports them', async () => {
+        const tokens = [
+            { text: 'x', start: 0, end: 1, prob: 0.9, span: [0, 0.5] },
+            { text: '^{2}', start: 1, end: 5, prob: 0.9, span: [0.5, 1] }
+        ];
+        workerReply = () => ({ type: 'result', output: 'x^{2}', time: '0.10', tokens });
+
+        await triggerOCRForRow('row-0', [stroke('1')], { rowManager });
+
+        expect(rowManager.getRow('row-0').alignmentSource).toBe('attention');
+    });
+
+    it('should restore token confidence from the cache', async () => {
+        const tokens = [{ text: 'x', start: 0, end: 1, prob: 0.5 }];
+        workerReply = () => ({ type: 'result', output: 'x', time: '0.10', tokens });
+        tilePixels = () => 'same ink';
+
+        await triggerOCRForRow('row-0', [stroke('1')], { rowManager });
+        await vi.waitFor(() => expect(ocrCache.size).toBe(1));
+        rowManager.updateRow('row-0', { ocrTokens: null, ocrConfidence: null });
+
+        await triggerOCRForRow('row-0', [stroke('1')], { rowManager });
+
+        expect(predictMessages).toHaveLength(1);
+        expect(rowManager.getRow('row-0').ocrConfidence).toBe(0.5);
     });
 });
@@ -0,0 +1,63 @@
+import { describe, it, expect, vi } from 'vitest';
+import { openPdf, normalizeSelection, isRegion, groupRegionsByPage, MIN_REGION_SIZE } from '../pdfRegions';
+
+// pdf.js fails to load once, then loads
+const pdfjsLoad = vi.hoisted(() => ({ failures: 1 }));
+
+vi.mock('pdfjs-dist', () => {
+  if (pdfjsLoad.failures-- > 0) throw new Error('Failed to fetch dynamically imported module');
+  return {
+    GlobalWorkerOptions: {},
+    getDocument: () => ({ promise: Promise.resolve({ numPages: 3 }) })
+  };
+});
+
+vi.mock('pdfjs-dist/build/pdf.worker.min.mjs?url', () => ({ default: '/pdf.worker.min.mjs' }));
+
+const bounds = { width: 1000, height: 1400 };
+
+describe('pdfRegions', () => {
+  it('should normalize drags in any direction', () => {
+    expect(normalizeSelection({ x: 300, y: 200 }, { x: 100.4, y: 50.6 }, bounds)).toEqual({
+      x: 100,
+      y: 51,
+      width: 200,
+      height: 149
+    });
+  });
+
+  it('should clamp selections to the page', () => {
+    expect(normalizeSelection({ x: -20, y: 1300 }, { x: 50, y: 1500 }, bounds)).toEqual({
+      x: 0,
+      y: 1300,
+      width: 50,
+      height: 100
+    });
+  });
+
+  it('should ignore selections too small to be a region', () => {
+    expect(isRegion({ x: 0, y: 0, width: MIN_REGION_SIZE, height: 40 })).toBe(true);
+    expect(isRegion({ x: 0, y: 0, width: 40, height: MIN_REGION_SIZE - 1 })).toBe(false);
+  });
+
+  it('should group regions by page in reading order', () => {
+    const regions = [
+      { id: 1, page: 3, rect: { x: 0, y: 500 } },
+      { id: 2, page: 1, rect: { x: 0, y: 100 } },
+      { id: 3, page: 3, rect: { x: 0, y: 200 } },
+      { id: 4, page: 3, rect: { x: 400, y: 200 } }
+    ];
+
+    expect(groupRegionsByPage(regions).map(({ page, regions: list }) => [page, list.map(r => r.id)])).toEqual([
+      [1, [2]],
+      [3, [3, 4, 1]]
+    ]);
+  });
+
+  it('should load pdf.js again after a failed load', async () => {
+    const file = { arrayBuffer: async () => new ArrayBuffer(8) };
+
+    await expect(openPdf(file)).rejects.toThrow();
+    await expect(openPdf(file)).resolves.toMatchObject({ numPages: 3 });
+  });
+});
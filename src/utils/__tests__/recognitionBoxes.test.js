@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import {
+  isRecognitionBox,
+  getRecognitionBoxes,
+  getElementsInBox,
+  groupElementsByBox,
+  nextBoxName,
+  nextBoxRect,
+  BOX_GAP,
+  DEFAULT_BOX_SIZE
+} from '../recognitionBoxes';
+
+const box = (id, x, y, name = id, size = 100) => ({
+  id,
+  type: 'rectangle',
+  x,
+  y,
+  width: size,
+  height: size,
+  customData: { recognitionBox: true, name }
+});
+
+const stroke = (id, x, y) => ({ id, type: 'freedraw', x, y, width: 20, height: 10 });
+
+describe('recognitionBoxes', () => {
+  it('should only treat tagged rectangles as boxes', () => {
+    expect(isRecognitionBox(box('a', 0, 0))).toBe(true);
+    expect(isRecognitionBox({ id: 'r', type: 'rectangle', x: 0, y: 0, width: 10, height: 10 })).toBe(false);
+    expect(isRecognitionBox(stroke('s', 0, 0))).toBe(false);
+  });
+
+  it('should list live boxes top to bottom, then left to right', () => {
+    const elements = [
+      box('lower', 0, 300),
+      box('right', 200, 0),
+      { ...box('deleted', 0, 0), isDeleted: true },
+      box('left', 0, 0)
+    ];
+
+    expect(getRecognitionBoxes(elements).map(b => b.id)).toEqual(['left', 'right', 'lower']);
+  });
+
+  it('should collect elements overlapping a box, but not boxes or deleted elements', () => {
+    const target = box('a', 0, 0);
+    const elements = [
+      target,
+      box('b', 50, 50),
+      stroke('inside', 10, 10),
+      stroke('overlapping', 90, 95),
+      stroke('outside', 150, 10),
+      { ...stroke('deleted', 10, 10), isDeleted: true }
+    ];
+
+    expect(getElementsInBox(elements, target).map(el => el.id)).toEqual(['inside', 'overlapping']);
+  });
+
+  it('should group elements by box in scene order and drop empty boxes', () => {
+    const elements = [
+      box('second', 0, 200),
+      box('empty', 500, 500),
+      box('first', 0, 0),
+      stroke('s1', 10, 210),
+      stroke('s2', 10, 10)
+    ];
+
+    expect(groupElementsByBox(elements).map(g => [g.box.id, g.elements.map(el => el.id)])).toEqual([
+      ['first', ['s2']],
+      ['second', ['s1']]
+    ]);
+  });
+
+  it('should name and place new boxes next to the existing ones', () => {
+    expect(nextBoxName([])).toBe('Box 1');
+    expect(nextBoxName([box('a', 0, 0, 'Box 1'), box('b', 0, 0, 'Box 3')])).toBe('Box 2');
+
+    expect(nextBoxRect([])).toEqual({ x: 50, y: 50, width: DEFAULT_BOX_SIZE, height: DEFAULT_BOX_SIZE });
+    expect(nextBoxRect([box('a', 50, 80), box('b', 300, 20)])).toEqual({
+      x: 400 + BOX_GAP,
+      y: 20,
+      width: DEFAULT_BOX_SIZE,
+      height: DEFAULT_BOX_SIZE
+    });
+  });
+});
@@ -0,0 +1,47 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { recordRecognition } from '../recognitionHistory';
+import { addRecognitionHistory } from '../workspaceDB.js';
+import Logger from '../logger.js';
+
+vi.mock('../workspaceDB.js', () => ({
+  addRecognitionHistory: vi.fn(async (entry) => ({ ...entry, id: 1, timestamp: 0 }))
+}));
+
+vi.mock('../logger.js', () => ({
+  default: { warn: vi.fn() }
+}));
+
+vi.mock('../../workers/ocrWorkerPool.js', () => ({
+  getOCRWorkerPool: () => ({ getModelId: () => 'alephpi/FormulaNet:fp16' })
+}));
+
+describe('recordRecognition', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should save the result with model id and numeric time', async () => {
+    const saved = await recordRecognition({ source: 'sketch', latex: 'x^2', time: '0.35' });
+
+    expect(addRecognitionHistory).toHaveBeenCalledWith({
+      source: 'sketch',
+      latex: 'x^2',
+      thumbnail: null,
+      modelId: 'alephpi/FormulaNet:fp16',
+      time: 0.35
+    });
+    expect(saved.id).toBe(1);
+  });
+
+  it('should skip empty results', async () => {
+    expect(await recordRecognition({ source: 'ocr', latex: '' })).toBeNull();
+    expect(addRecognitionHistory).not.toHaveBeenCalled();
+  });
+
+  it('should log instead of throwing when the database fails', async () => {
+    addRecognitionHistory.mockRejectedValueOnce(new Error('quota exceeded'));
+
+    expect(await recordRecognition({ source: 'ocr', latex: 'y' })).toBeNull();
+    expect(Logger.warn).toHaveBeenCalledWith('RecognitionHistory', 'Cannot save recognition to history', { error: 'quota exceeded' });
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Tests for the render check (rendered LaTeX vs. input similarity)
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  COMPARE_SIZE,
+  SUSPICIOUS_SCORE,
+  pixelsToGrey,
+  ssim,
+  compareRendering,
+  verifyRendering
+} from '../renderCheck.js';
+
+// White greyscale image with black rectangles drawn in
+const drawImage = (width, height, rects) => {
+  const data = new Uint8Array(width * height).fill(255);
+  for (const [x0, y0, w, h] of rects) {
+    for (let y = y0; y < y0 + h; y++) {
+      for (let x = x0; x < x0 + w; x++) data[y * width + x] = 0;
+    }
+  }
+  return { width, height, data };
+};
+
+// A "plus" sign (with a given stroke width) and an "equals" sign of the same size
+const plus = (size, x = 0, y = 0, stroke = 0.1) => [
+  [x + size * (0.5 - stroke / 2), y, size * stroke, size],
+  [x, y + size * (0.5 - stroke / 2), size, size * stroke]
+].map(r => r.map(Math.round));
+const equals = (size, x = 0, y = 0) => [[x, y + size * 0.3, size, size * 0.1], [x, y + size * 0.6, size, size * 0.1]]
+  .map(r => r.map(Math.round));
+
+describe('renderCheck', () => {
+  it('should convert model pixels back to greyscale', () => {
+    const grey = pixelsToGrey(Float32Array.from([0, 0.5, 1, 2]), 2);
+
+    expect(grey).toEqual({ width: 2, height: 2, data: Uint8Array.from([0, 128, 255, 255]) });
+  });
+
+  it('should score identical images as 1', () => {
+    const a = Float32Array.from({ length: 32 * 32 }, (_, i) => (i % 7) / 7);
+
+    expect(ssim(a, a, 32)).toBeCloseTo(1, 5);
+  });
+
+  it('should ignore position and scale of the ink', () => {
+    const small = drawImage(100, 80, plus(40, 10, 20));
+    const large = drawImage(400, 300, plus(200, 150, 50));
+
+    expect(compareRendering(small, large)).toBeGreaterThan(0.8);
+  });
+
+  it('should tolerate a different stroke width', () => {
+    const thin = drawImage(200, 200, plus(160, 20, 20));
+    const bold = drawImage(200, 200, plus(160, 20, 20, 0.16));
+
+    expect(compareRendering(thin, bold)).toBeGreaterThan(SUSPICIOUS_SCORE);
+  });
+
+  it('should score different shapes as suspicious', () => {
+    const a = drawImage(200, 200, plus(160, 20, 20));
+    const b = drawImage(200, 200, equals(160, 20, 20));
+
+    expect(compareRendering(a, b)).toBeLessThan(SUSPICIOUS_SCORE);
+  });
+
+  it('should mark LaTeX that does not render as suspicious', async () => {
+    const tile = drawImage(COMPARE_SIZE, COMPARE_SIZE, plus(64, 32, 32));
+
+    await expect(verifyRendering('\\frac{1}{', tile)).resolves.toEqual({ score: 0, suspicious: true });
+  });
+
+  it('should skip the check without a canvas', async () => {
+    const tile = drawImage(COMPARE_SIZE, COMPARE_SIZE, plus(64, 32, 32));
+
+    await expect(verifyRendering('x+1', tile)).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,207 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  parseExcalidrawScene,
+  getStrokeGeometry,
+  classifyElement,
+  clusterElements,
+  classifyScene,
+  recognizeClusters,
+  attachRecognitions,
+  createFormulaLabel,
+  isImportedElement,
+  isRowInk,
+  CLOSED_SHAPE_SIZE
+} from '../sceneImport';
+
+/** Freedraw element from relative points; width and height follow the points */
+const freedraw = (id, x, y, points) => {
+  const xs = points.map(p => p[0]);
+  const ys = points.map(p => p[1]);
+  return {
+    id,
+    type: 'freedraw',
+    x,
+    y,
+    width: Math.max(...xs) - Math.min(...xs),
+    height: Math.max(...ys) - Math.min(...ys),
+    points
+  };
+};
+
+// A small "x": two crossing strokes
+const glyph = (id, x, y, size = 30) => [
+  freedraw(`${id}a`, x, y, [[0, 0], [size / 2, size / 2 + 2], [size, size]]),
+  freedraw(`${id}b`, x, y, [[size, 0], [size / 2 + 2, size / 2], [0, size]])
+];
+
+const circle = (id, x, y, r) => freedraw(id, x, y, Array.from({ length: 33 }, (_, i) => {
+  const a = (i / 32) * 2 * Math.PI;
+  return [r + r * Math.cos(a), r + r * Math.sin(a)];
+}));
+
+describe('sceneImport', () => {
+  describe('parseExcalidrawScene', () => {
+    it('should read elements and files, dropping deleted elements', () => {
+      const text = JSON.stringify({
+        type: 'excalidraw',
+        elements: [{ id: 'a', type: 'text' }, { id: 'b', type: 'text', isDeleted: true }],
+        files: { f: { id: 'f' } }
+      });
+
+      const scene = parseExcalidrawScene(text);
+
+      expect(scene.elements.map(el => el.id)).toEqual(['a']);
+      expect(scene.files).toEqual({ f: { id: 'f' } });
+    });
+
+    it('should reject files that are not Excalidraw scenes', () => {
+      expect(() => parseExcalidrawScene('{oops')).toThrow('invalid JSON');
+      expect(() => parseExcalidrawScene('{"type":"other","elements":[]}')).toThrow('Not an Excalidraw file');
+    });
+  });
+
+  describe('classifyElement', () => {
+    it('should classify by element type first', () => {
+      expect(classifyElement({ id: 'a', type: 'arrow', points: [[0, 0], [100, 0]] })).toBe('arrow');
+      expect(classifyElement({ id: 't', type: 'text', text: 'note' })).toBe('text');
+      expect(classifyElement({ id: 'r', type: 'rectangle', width: 10, height: 10 })).toBe('diagram');
+    });
+
+    it('should treat large closed strokes as shapes but keep small loops as letters', () => {
+      expect(getStrokeGeometry(circle('c', 0, 0, 100)).closed).toBe(true);
+      expect(classifyElement(circle('big', 0, 0, CLOSED_SHAPE_SIZE))).toBe('diagram');
+      expect(classifyElement(circle('o', 0, 0, 12))).toBe('math');
+    });
+
+    it('should keep horizontal bars as math and long slanted lines as connectors', () => {
+      const bar = freedraw('bar', 0, 0, [[0, 0], [250, 3], [500, 2]]);
+      const connector = freedraw('conn', 0, 0, [[0, 0], [150, 150], [300, 300]]);
+      const slash = freedraw('slash', 0, 0, [[0, 30], [10, 15], [20, 0]]);
+
+      expect(classifyElement(bar)).toBe('math');
+      expect(classifyElement(connector)).toBe('diagram');
+      expect(classifyElement(slash)).toBe('math');
+    });
+  });
+
+  describe('clusterElements', () => {
+    it('should group nearby strokes and separate distant formulas in scene order', () => {
+      const elements = [...glyph('far', 600, 400), ...glyph('x', 0, 0), ...glyph('y', 45, 0)];
+
+      const clusters = clusterElements(elements);
+
+      expect(clusters.map(c => c.elements.map(el => el.id))).toEqual([
+        ['xa', 'xb', 'ya', 'yb'],
+        ['fara', 'farb']
+      ]);
+      expect(clusters[0].id).toBe('formula-xa');
+      expect(clusters[0].bounds).toMatchObject({ minX: 0, minY: 0, maxX: 75, maxY: 30 });
+    });
+  });
+
+  describe('classifyScene', () => {
+    it('should only keep clusters that look like formulas', () => {
+      const elements = [
+        ...glyph('x', 0, 0),
+        freedraw('underline', 0, 300, [[0, 0], [100, 1], [200, 0]]),
+        circle('shape', 400, 0, 150),
+        { id: 'arrow', type: 'arrow', x: 0, y: 0, width: 100, height: 0, points: [[0, 0], [100, 0]] },
+        { id: 'label', type: 'text', x: 0, y: 0, width: 40, height: 20, text: 'hi' }
+      ];
+
+      const { classes, clusters, counts } = classifyScene(elements);
+
+      expect(clusters.map(c => c.id)).toEqual(['formula-xa']);
+      expect(classes.get('underline')).toBe('math');
+      expect(counts).toEqual({ math: 3, text: 1, arrow: 1, diagram: 1 });
+    });
+  });
+
+  describe('recognizeClusters', () => {
+    it('should send each cluster as ink with its own key', async () => {
+      const clusters = clusterElements([...glyph('x', 0, 0), ...glyph('far', 600, 400)]);
+      const pool = {
+        init: vi.fn(async () => {}),
+        submit: vi.fn(async ({ key }) => {
+          if (key.endsWith('formula-fara')) throw new Error('inference failed');
+          return { output: 'x', tokens: [] };
+        })
+      };
+      const onProgress = vi.fn();
+
+      const results = await recognizeClusters(clusters, { pool, keyPrefix: 'import', onProgress });
+
+      expect(pool.submit.mock.calls[0][0]).toMatchObject({
+        key: 'import:formula-xa',
+        ink: { region: { x: -16, y: -16, width: 62, height: 62 } }
+      });
+      expect(pool.submit.mock.calls[0][0].ink.strokes).toHaveLength(2);
+      expect(results.map(r => r.latex ?? r.error)).toEqual(['x', 'inference failed']);
+      expect(onProgress).toHaveBeenLastCalledWith(2, 2);
+    });
+
+    it('should not queue more clusters than the pool accepts', async () => {
+      const queueLimit = 20;
+      const clusters = Array.from({ length: 25 }, (_, i) => clusterElements(glyph(`g${i}`, i * 600, 0))[0]);
+      let queued = 0;
+      const pool = {
+        init: async () => {},
+        submit: vi.fn(async ({ key }) => {
+          if (queued >= queueLimit) throw new Error('OCR queue is full');
+          queued++;
+          await new Promise(resolve => setTimeout(resolve, 1));
+          queued--;
+          return { output: key, tokens: [] };
+        })
+      };
+
+      const results = await recognizeClusters(clusters, { pool, keyPrefix: 'import' });
+
+      expect(results).toHaveLength(25);
+      expect(results.every(r => r.latex === `import:${r.cluster.id}`)).toBe(true);
+      expect(results.map(r => r.cluster)).toEqual(clusters);
+    });
+
+    it('should drop clusters superseded by a newer import', async () => {
+      const cancelled = Object.assign(new Error('cancelled'), { cancelled: true });
+      const pool = { init: async () => {}, submit: vi.fn(async () => { throw cancelled; }) };
+
+      const results = await recognizeClusters(clusterElements(glyph('x', 0, 0)), { pool, keyPrefix: 'import' });
+
+      expect(results).toEqual([]);
+    });
+  });
+
+  describe('attachRecognitions', () => {
+    it('should tag every element and attach LaTeX to recognized clusters', () => {
+      const elements = [...glyph('x', 0, 0), { id: 'arrow', type: 'arrow', customData: { keep: 1 } }];
+      const { classes, clusters } = classifyScene(elements);
+
+      const tagged = attachRecognitions(elements, classes, [{ cluster: clusters[0], latex: 'x' }]);
+
+      expect(tagged[0].customData).toEqual({ inkClass: 'math', formulaCluster: 'formula-xa', latex: 'x' });
+      expect(tagged[2].customData).toEqual({ keep: 1, inkClass: 'arrow' });
+      expect(elements[0].customData).toBeUndefined();
+      expect(tagged.every(isImportedElement)).toBe(true);
+    });
+
+    it('should place a label under the cluster', () => {
+      const [cluster] = clusterElements(glyph('x', 10, 20));
+
+      const label = createFormulaLabel(cluster, 'x^2');
+
+      expect(label).toMatchObject({ type: 'text', x: 10, text: 'x^2', customData: { formulaLabel: 'formula-xa' } });
+      expect(label.y).toBeGreaterThan(cluster.bounds.maxY);
+      expect(isImportedElement(label)).toBe(true);
+      expect(isImportedElement({ id: 'drawn', type: 'freedraw' })).toBe(false);
+    });
+
+    it('should only leave imported math ink to the row OCR', () => {
+      expect(isRowInk({ id: 'drawn', type: 'freedraw' })).toBe(true);
+      expect(isRowInk({ id: 'x', type: 'freedraw', customData: { inkClass: 'math', latex: 'x' } })).toBe(true);
+      expect(isRowInk({ id: 'a', type: 'arrow', customData: { inkClass: 'arrow' } })).toBe(false);
+      expect(isRowInk({ id: 't', type: 'text', customData: { inkClass: 'text' } })).toBe(false);
+      expect(isRowInk({ id: 'l', type: 'text', customData: { formulaLabel: 'formula-x', latex: 'x' } })).toBe(false);
+    });
+  });
+});
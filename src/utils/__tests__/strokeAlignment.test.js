@@ -0,0 +1,129 @@
+import { describe, it, expect } from 'vitest';
+import {
+  isGlyphless,
+  inheritSpans,
+  projectionSpans,
+  attentionSpans,
+  elementsInSpan,
+  alignFragment,
+  alignRow,
+  alignmentAt,
+  alignmentForElements
+} from '../strokeAlignment';
+
+// Horizontal pen stroke of the given width
+const stroke = (id, x, width = 40) => ({
+  id,
+  type: 'freedraw',
+  x,
+  y: 0,
+  width,
+  height: 10,
+  points: [[0, 0], [width / 2, 10], [width, 0]]
+});
+
+const tile = (index, offsetX, elementIds, width = 400) => ({
+  id: `row-0-tile-${index}`,
+  rowId: 'row-0',
+  index,
+  offsetX,
+  offsetY: 0,
+  width,
+  height: 100,
+  overlap: 0,
+  elementIds,
+  inkMinX: offsetX,
+  inkMaxX: offsetX + width
+});
+
+describe('strokeAlignment', () => {
+  it('should let structural tokens borrow a neighbour span', () => {
+    expect(isGlyphless('^')).toBe(true);
+    expect(isGlyphless('\\{')).toBe(false);
+
+    const tokens = ['\\frac', '{', 'a', '}', '{', 'b', '}'];
+    const spans = [null, null, [0, 1], null, null, [2, 3], null];
+
+    expect(inheritSpans(tokens, spans)).toEqual([[0, 1], [0, 1], [0, 1], [0, 1], [2, 3], [2, 3], [2, 3]]);
+  });
+
+  it('should cut the ink into equal shares for visible tokens', () => {
+    const elements = [stroke('a', 0), stroke('b', 100), stroke('c', 200)];
+
+    const spans = projectionSpans(['a', '+', '^', 'b'], elements, tile(0, 0, []));
+
+    expect(spans[2]).toBeNull();
+    expect(elementsInSpan(elements, spans[0])).toEqual(['a']);
+    expect(elementsInSpan(elements, spans[1])).toEqual(['b']);
+    expect(elementsInSpan(elements, spans[3])).toEqual(['c']);
+  });
+
+  it('should map attention spans back to scene x through the model input fit', () => {
+    // A 400 x 100 tile fills the width of a 384 input: scale 0.96, no horizontal padding
+    const spans = attentionSpans(
+      [{ start: 0, end: 1 }, { start: 1, end: 2 }, { start: 2, end: 3 }],
+      [{ start: 0, end: 2, span: [0, 0.25] }, { start: 2, end: 3 }],
+      tile(0, 100, []),
+      384
+    );
+
+    expect(spans[0]).toEqual([100, 200]);
+    expect(spans[1]).toEqual([100, 200]);
+    expect(spans[2]).toBeNull();
+  });
+
+  it('should fall back to the nearest element for empty spans', () => {
+    const elements = [stroke('a', 0), stroke('b', 300)];
+
+    expect(elementsInSpan(elements, [250, 260])).toEqual(['b']);
+    expect(elementsInSpan(elements, null)).toEqual([]);
+  });
+
+  it('should align a fragment only with its own tile elements', () => {
+    const elements = [stroke('a', 0), stroke('b', 100), stroke('other', 500)];
+
+    const { source, tokens } = alignFragment({ tile: tile(0, 0, ['a', 'b']), latex: 'a b' }, elements, 384);
+
+    expect(source).toBe('projection');
+    expect(tokens).toEqual([
+      { text: 'a', start: 0, end: 1, elementIds: ['a'] },
+      { text: 'b', start: 2, end: 3, elementIds: ['b'] }
+    ]);
+  });
+
+  it('should map fragment alignments onto the assembled row LaTeX', () => {
+    const elements = [stroke('a', 0), stroke('p', 100), stroke('b', 200), stroke('m', 500), stroke('c', 600)];
+    const fragments = [
+      { tile: tile(1, 300, ['b', 'm', 'c']), latex: 'b-c', tokens: [] },
+      { tile: tile(0, 0, ['a', 'p', 'b']), latex: 'a+b', tokens: [] }
+    ];
+
+    // "b" was recognized by both tiles and kept once
+    const { strokeAlignment, alignmentSource } = alignRow('a+b-c', fragments, elements, 384);
+
+    expect(alignmentSource).toBe('projection');
+    expect(strokeAlignment.map(t => [t.text, t.start, t.elementIds])).toEqual([
+      ['a', 0, ['a']],
+      ['+', 1, ['p']],
+      ['b', 2, ['b']],
+      ['-', 3, ['m']],
+      ['c', 4, ['c']]
+    ]);
+  });
+
+  it('should find tokens by caret position and by selected elements', () => {
+    const alignment = [
+      { text: 'x', start: 0, end: 1, elementIds: ['s1'] },
+      { text: '+', start: 2, end: 3, elementIds: ['s2'] },
+      { text: 'y', start: 4, end: 5, elementIds: ['s3', 's4'] }
+    ];
+
+    expect(alignmentAt(alignment, 2).text).toBe('+');
+    expect(alignmentAt(alignment, 5).text).toBe('y');
+    expect(alignmentAt(alignment, 1).text).toBe('x');
+    expect(alignmentAt(null, 0)).toBeNull();
+
+    expect(alignmentForElements(alignment, ['s4', 's1']).map(t => t.text)).toEqual(['x', 'y']);
+    expect(alignmentForElements(alignment, [])).toEqual([]);
+  });
+});
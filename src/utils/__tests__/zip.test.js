@@ -0,0 +1,124 @@
+/**
+ * Tests for the minimal zip reader
+ * @vitest-environment node
+ */
+
+import { describe, it, expect } from 'vitest';
+import { deflateRawSync } from 'node:zlib';
+import { readZip, writeZip, crc32 } from '../zip.js';
+
+/**
+ * Build a zip archive in memory (CRCs are left at 0; the reader does not check them)
+ * @param {Array<{path: string, data?: string, deflate?: boolean, flags?: number}>} files
+ * @returns {Blob}
+ */
+function buildZip(files) {
+  const encoder = new TextEncoder();
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const { path, data = '', deflate = false, flags = 0 } of files) {
+    const name = encoder.encode(path);
+    const raw = encoder.encode(data);
+    const body = deflate ? new Uint8Array(deflateRawSync(raw)) : raw;
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(6, flags, true);
+    local.setUint16(8, deflate ? 8 : 0, true);
+    local.setUint32(18, body.length, true);
+    local.setUint32(22, raw.length, true);
+    local.setUint16(26, name.length, true);
+    locals.push(new Uint8Array(local.buffer), name, body);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(8, flags, true);
+    central.setUint16(10, deflate ? 8 : 0, true);
+    central.setUint32(20, body.length, true);
+    central.setUint32(24, raw.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+    centrals.push(new Uint8Array(central.buffer), name);
+
+    offset += 30 + name.length + body.length;
+  }
+
+  const directorySize = centrals.reduce((sum, part) => sum + part.length, 0);
+  const eocd = new DataView(new ArrayBuffer(22));
+  eocd.setUint32(0, 0x06054b50, true);
+  eocd.setUint16(8, files.length, true);
+  eocd.setUint16(10, files.length, true);
+  eocd.setUint32(12, directorySize, true);
+  eocd.setUint32(16, offset, true);
+
+  return new Blob([...locals, ...centrals, new Uint8Array(eocd.buffer)]);
+}
+
+describe('readZip', () => {
+  it('should read stored and deflated entries', async () => {
+    const zip = buildZip([
+      { path: 'model/config.json', data: '{"model_type":"vision-encoder-decoder"}' },
+      { path: 'model/tokenizer.json', data: 'x'.repeat(500), deflate: true }
+    ]);
+
+    const entries = await readZip(zip);
+
+    expect(entries.map(e => e.path)).toEqual(['model/config.json', 'model/tokenizer.json']);
+    expect(await entries[0].blob.text()).toBe('{"model_type":"vision-encoder-decoder"}');
+    expect(await entries[1].blob.text()).toBe('x'.repeat(500));
+    expect(entries[1].size).toBe(500);
+  });
+
+  it('should skip directories and filtered entries', async () => {
+    const zip = buildZip([
+      { path: 'model/' },
+      { path: 'model/README.md', data: 'readme' },
+      { path: 'model/config.json', data: '{}' }
+    ]);
+
+    const entries = await readZip(zip, { filter: path => path.endsWith('.json') });
+
+    expect(entries.map(e => e.path)).toEqual(['model/config.json']);
+  });
+
+  it('should reject files that are not zip archives', async () => {
+    await expect(readZip(new Blob(['not a zip']))).rejects.toThrow('Not a zip archive');
+  });
+
+  it('should reject encrypted entries', async () => {
+    const zip = buildZip([{ path: 'secret.onnx', data: 'x', flags: 1 }]);
+
+    await expect(readZip(zip)).rejects.toThrow('Encrypted');
+  });
+});
+
+describe('writeZip', () => {
+  it('should compute the standard CRC-32', () => {
+    expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xcbf43926);
+  });
+
+  it('should write archives that read back', async () => {
+    const png = new Uint8Array([0x89, 0x50, 0x4e, 0x47]);
+    const zip = await writeZip([
+      { path: 'images/0001.png', data: new Blob([png]) },
+      { path: 'manifest.jsonl', data: '{"formula":"x^{2}"}\n' }
+    ]);
+
+    const entries = await readZip(zip);
+
+    expect(entries.map(e => e.path)).toEqual(['images/0001.png', 'manifest.jsonl']);
+    expect(new Uint8Array(await entries[0].blob.arrayBuffer())).toEqual(png);
+    expect(await entries[1].blob.text()).toBe('{"formula":"x^{2}"}\n');
+  });
+
+  it('should store checksums and UTF-8 names in the headers', async () => {
+    const zip = await writeZip([{ path: 'é.txt', data: '123456789' }], { date: new Date(2026, 0, 2, 3, 4, 6) });
+    const view = new DataView(await zip.arrayBuffer());
+
+    expect(view.getUint16(6, true) & 0x800).toBe(0x800);
+    expect(view.getUint32(14, true)).toBe(0xcbf43926);
+    expect(view.getUint16(12, true)).toBe(((2026 - 1980) << 9) | (1 << 5) | 2);
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Export of Batch OCR Results
+ *
+ * Serializes the rows of the batch recognition table (see
+ * components/BatchRecognition.jsx) to JSON or CSV for grading sheets and
+ * spreadsheets. CSV follows RFC 4180: every field is quoted and embedded
+ * quotes are doubled, so LaTeX with commas, quotes and line breaks survives.
+ *
+ * All functions are pure.
+ */
+
+/** Columns written for every row, in order */
+export const BATCH_EXPORT_COLUMNS = ['file', 'latex', 'time', 'status', 'error'];
+
+/**
+ * @typedef {Object} BatchRow
+ * @property {string} name - File name
+ * @property {string} latex - Recognized (or edited) LaTeX
+ * @property {string|null} time - Processing time in seconds
+ * @property {'queued'|'processing'|'done'|'error'} status - Row status
+ * @property {string|null} error - Error message for failed rows
+ * @property {boolean} [edited] - Whether the LaTeX was changed by hand
+ */
+
+/**
+ * Plain export record for one row
+ * @param {BatchRow} row - Table row
+ * @returns {{file: string, latex: string, time: number|null, status: string, error: string|null, edited: boolean}}
+ */
+export function toExportRecord(row) {
+  return {
+    file: row.name,
+    latex: row.latex || '',
+    time: row.time != null ? parseFloat(row.time) : null,
+    status: row.status,
+    error: row.error || null,
+    edited: !!row.edited
+  };
+}
+
+/**
+ * Serialize rows as a JSON array
+ * @param {BatchRow[]} rows - Table rows
+ * @returns {string}
+ */
+export function toBatchJSON(rows) {
+  return JSON.stringify(rows.map(toExportRecord), null, 2);
+}
+
+/**
+ * Quote one CSV field
+ * @param {*} value - Field value (null and undefined become empty)
+ * @returns {string}
+ */
+export function quoteCSV(value) {
+  const text = value == null ? '' : String(value);
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Serialize rows as CSV with a header line
+ * @param {BatchRow[]} rows - Table rows
+ * @returns {string} CRLF-separated CSV
+ */
+export function toBatchCSV(rows) {
+  const lines = [BATCH_EXPORT_COLUMNS.join(',')];
+  for (const record of rows.map(toExportRecord)) {
+    lines.push(BATCH_EXPORT_COLUMNS.map(column => quoteCSV(record[column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
@@ -26,3 +26,40 @@ export function calculateRowContentHash(elements) {
     hash = hash >>> 0;
     return hash.toString(36);
 }
+
+/**
+ * Calculate a content-addressed hash of a preprocessed OCR tile
+ * Two tiles hash equal only if the same model would see identical pixels,
+ * so the hash can key cached OCR results. Another model or precision gives
+ * another hash, so its results are never served for this one.
+ * @param {Float32Array} pixels - Preprocessed pixel buffer (model input size squared, grayscale, normalized)
+ * @param {string} [modelId] - Model that recognizes the tile (see OCRWorkerPool.getModelId)
+ * @returns {Promise<string>} Hex-encoded SHA-256 digest
+ */
+export async function calculateTileHash(pixels, modelId) {
+    if (!modelId) {
+        return calculateSHA256(pixels);
+    }
+
+    const prefix = new TextEncoder().encode(`${modelId}\0`);
+    const bytes = new Uint8Array(prefix.length + pixels.byteLength);
+    bytes.set(prefix);
+    bytes.set(new Uint8Array(pixels.buffer, pixels.byteOffset, pixels.byteLength), prefix.length);
+    return calculateSHA256(bytes);
+}
+
+/**
+ * Calculate the SHA-256 digest of binary data (e.g. model file checksums)
+ * @param {ArrayBuffer|ArrayBufferView} data - Bytes to hash
+ * @returns {Promise<string>} Hex-encoded SHA-256 digest
+ */
+export async function calculateSHA256(data) {
+    const bytes = ArrayBuffer.isView(data)
+        ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+        : new Uint8Array(data);
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+
+    return Array.from(new Uint8Array(digest))
+        .map(b => b.toString(16).padStart(2, '0'))
+        .join('');
+}
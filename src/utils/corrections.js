@@ -0,0 +1,156 @@
+/**
+ * OCR Correction Capture and Training-pair Export
+ *
+ * When a recognized formula is fixed by hand, the (input image, model
+ * output, corrected LaTeX) triple is saved to the workspace (see
+ * workspaceDB.js). Edits are debounced, and every further edit of the same
+ * result updates one correction instead of adding a new one per keystroke;
+ * editing back to the model output removes it again.
+ *
+ * The Database page exports all corrections as an im2latex-style dataset:
+ * a zip with an `images/` folder and a `manifest.jsonl` with one
+ * `{"image", "formula"}` line per pair (plus the model prediction).
+ */
+
+import Logger from './logger.js';
+import { saveCorrection, deleteCorrection } from './workspaceDB.js';
+import { writeZip } from './zip.js';
+import { getOCRWorkerPool } from '../workers/ocrWorkerPool.js';
+
+/** Quiet period after the last keystroke before an edit is saved */
+export const CORRECTION_DELAY_MS = 1500;
+
+const IMAGE_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp'
+};
+
+/**
+ * Whether an edit changes the model output
+ * Surrounding whitespace is ignored; an emptied result is not a correction.
+ * @param {string} output - Model output
+ * @param {string} corrected - Edited LaTeX
+ * @returns {boolean}
+ */
+export function isCorrection(output, corrected) {
+  const fixed = (corrected || '').trim();
+  return fixed !== '' && fixed !== (output || '').trim();
+}
+
+/**
+ * @typedef {Object} RecognizedInput
+ * @property {string} output - LaTeX the model produced
+ * @property {Blob|(() => Promise<Blob>)|null} image - Input image, or a function exporting it on demand
+ */
+
+/**
+ * Create a correction recorder for one page
+ *
+ * Results are identified by a key (one per editor, or one per Magic Canvas
+ * row); a new model output under the same key starts a new correction.
+ *
+ * @param {Object} options
+ * @param {string} options.source - Page name stored with each correction
+ * @param {number} [options.delayMs=CORRECTION_DELAY_MS] - Debounce delay
+ * @returns {{edit: (key: string, corrected: string, input: RecognizedInput|null) => void, flush: () => Promise<void>}}
+ */
+export function createCorrectionCapture({ source, delayMs = CORRECTION_DELAY_MS }) {
+  const results = new Map(); // key -> { output, image, corrected, id, timer, saving }
+
+  const persist = (entry) => {
+    entry.timer = null;
+    entry.saving = entry.saving.then(async () => {
+      try {
+        if (isCorrection(entry.output, entry.corrected)) {
+          if (typeof entry.image === 'function') {
+            entry.image = await entry.image().catch(() => null);
+          }
+          entry.id = await saveCorrection({
+            id: entry.id ?? undefined,
+            source,
+            image: entry.image ?? null,
+            output: entry.output,
+            corrected: entry.corrected.trim(),
+            modelId: getOCRWorkerPool().getModelId()
+          });
+        } else if (entry.id != null) {
+          await deleteCorrection(entry.id);
+          entry.id = null;
+        }
+      } catch (error) {
+        Logger.warn('Corrections', 'Cannot save OCR correction', { source, error: error.message });
+      }
+    });
+    return entry.saving;
+  };
+
+  return {
+    edit(key, corrected, input) {
+      if (!input?.output) return;
+
+      let entry = results.get(key);
+      if (!entry || entry.output !== input.output) {
+        // A fresh recognition: save what is pending for the old one first
+        if (entry?.timer) {
+          clearTimeout(entry.timer);
+          persist(entry);
+        }
+        entry = { output: input.output, image: input.image ?? null, corrected, id: null, timer: null, saving: Promise.resolve() };
+        results.set(key, entry);
+      }
+
+      entry.corrected = corrected;
+      if (entry.timer) clearTimeout(entry.timer);
+      entry.timer = setTimeout(() => persist(entry), delayMs);
+    },
+
+    async flush() {
+      await Promise.all([...results.values()].map((entry) => {
+        if (!entry.timer) return entry.saving;
+        clearTimeout(entry.timer);
+        return persist(entry);
+      }));
+    }
+  };
+}
+
+/**
+ * Build the im2latex-style training set from saved corrections
+ * Corrections without an input image are left out.
+ * @param {Object[]} corrections - From getCorrections()
+ * @returns {{files: Array<{path: string, data: Blob|string}>, count: number, skipped: number}}
+ */
+export function buildTrainingSet(corrections) {
+  const files = [];
+  const lines = [];
+
+  for (const correction of corrections) {
+    if (!correction.image) continue;
+
+    const name = String(lines.length + 1).padStart(6, '0');
+    const image = `images/${name}.${IMAGE_EXTENSIONS[correction.image.type] || 'png'}`;
+    files.push({ path: image, data: correction.image });
+    lines.push(JSON.stringify({
+      image,
+      formula: correction.corrected,
+      prediction: correction.output,
+      source: correction.source,
+      model: correction.modelId ?? null,
+      timestamp: new Date(correction.timestamp).toISOString()
+    }));
+  }
+
+  files.push({ path: 'manifest.jsonl', data: lines.map(line => `${line}\n`).join('') });
+  return { files, count: lines.length, skipped: corrections.length - lines.length };
+}
+
+/**
+ * Export corrections as a zip of images plus a JSONL manifest
+ * @param {Object[]} corrections - From getCorrections()
+ * @returns {Promise<{blob: Blob, count: number, skipped: number}>}
+ */
+export async function exportTrainingSet(corrections) {
+  const { files, count, skipped } = buildTrainingSet(corrections);
+  return { blob: await writeZip(files), count, skipped };
+}
@@ -0,0 +1,252 @@
+/**
+ * LaTeX Fragment Assembly for Tiled Row OCR
+ *
+ * Merges the per-tile LaTeX fragments of a row (see ocrTiling.js) into one
+ * expression:
+ * - Tokens recognized twice in the overlap between two tiles are dropped
+ * - Spacing is inserted from the ink gap at each tile seam
+ * - Braces and \left/\right pairs are re-balanced across tile boundaries
+ *
+ * All functions are pure.
+ */
+
+/**
+ * Seam spacing thresholds (px of blank ink between tiles)
+ * Below SMALL: no space; below LARGE: a plain space; otherwise a visible \quad
+ */
+export const SEAM_GAP_SMALL = 10;
+export const SEAM_GAP_LARGE = 30;
+
+// Control word (\alpha), control symbol (\{, \\), or any single non-space char
+const TOKEN_PATTERN = /\\[a-zA-Z]+|\\[^a-zA-Z]|\S/g;
+
+// Same, also matching whitespace runs
+const TOKEN_OR_SPACE_PATTERN = /\\[a-zA-Z]+|\\[^a-zA-Z]|\s+|\S/g;
+
+// Commands whose argument is set as text, where spaces are significant
+const TEXT_COMMANDS = new Set(['\\text', '\\textrm', '\\textit', '\\textbf', '\\mathrm', '\\mbox']);
+
+/**
+ * @typedef {Object} LatexFragment
+ * @property {import('./ocrTiling.js').Tile} tile - Tile the fragment was recognized from
+ * @property {string} latex - Recognized LaTeX for the tile
+ */
+
+/**
+ * Split LaTeX into tokens, ignoring whitespace
+ * Whitespace inside a text argument (\text{if x}) is kept as a ' ' token.
+ *
+ * @param {string} latex - LaTeX string
+ * @returns {string[]} Tokens
+ */
+export function tokenizeLatex(latex) {
+  if (!latex) return [];
+
+  const tokens = [];
+  let textCommand = false; // Previous token was a text command
+  let textDepth = 0; // Brace depth inside a text argument
+
+  for (const [token] of latex.matchAll(TOKEN_OR_SPACE_PATTERN)) {
+    if (/^\s/.test(token)) {
+      if (textDepth > 0) tokens.push(' ');
+      continue;
+    }
+
+    if (textDepth > 0) {
+      if (token === '{') textDepth++;
+      else if (token === '}') textDepth--;
+    } else if (textCommand && token === '{') {
+      textDepth = 1;
+    }
+    textCommand = TEXT_COMMANDS.has(token);
+    tokens.push(token);
+  }
+
+  return tokens;
+}
+
+/**
+ * Split LaTeX into tokens with their character offsets, ignoring whitespace
+ *
+ * @param {string} latex - LaTeX string
+ * @returns {Array<{token: string, start: number, end: number}>} Tokens in order
+ */
+export function tokenizeLatexWithOffsets(latex) {
+  if (!latex) return [];
+  return Array.from(latex.matchAll(TOKEN_PATTERN), match => ({
+    token: match[0],
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+}
+
+/**
+ * Join tokens back into a compact LaTeX string
+ * Spaces are kept where they are explicit ' ' tokens or needed to end a
+ * control word (\alpha x).
+ *
+ * @param {string[]} tokens - Tokens
+ * @returns {string} LaTeX string
+ */
+export function joinTokens(tokens) {
+  let out = '';
+  for (const token of tokens) {
+    if (token === ' ') {
+      if (out && !out.endsWith(' ')) out += ' ';
+      continue;
+    }
+    if (/\\[a-zA-Z]+$/.test(out) && /^[a-zA-Z]/.test(token)) {
+      out += ' ';
+    }
+    out += token;
+  }
+  return out.trim();
+}
+
+/**
+ * Find how many tokens at the end of `prev` are repeated at the start of `curr`
+ *
+ * @param {string[]} prev - Tokens of the left fragment
+ * @param {string[]} curr - Tokens of the right fragment
+ * @param {number} [maxLength=Infinity] - Longest overlap to consider
+ * @returns {number} Length of the longest suffix/prefix match (0 if none)
+ */
+export function findOverlapLength(prev, curr, maxLength = Infinity) {
+  const limit = Math.min(prev.length, curr.length, maxLength);
+
+  for (let k = limit; k > 0; k--) {
+    let matches = true;
+    for (let i = 0; i < k; i++) {
+      if (prev[prev.length - k + i] !== curr[i]) {
+        matches = false;
+        break;
+      }
+    }
+    if (matches) return k;
+  }
+
+  return 0;
+}
+
+/**
+ * Pick the separator for a tile seam from the ink gap
+ *
+ * @param {number|null} gap - Blank pixels between the two tiles' ink (<= 0 if ink crosses the seam)
+ * @returns {string[]} Tokens to insert at the seam
+ */
+export function getSeamSpacing(gap) {
+  if (gap === null || gap === undefined || gap < SEAM_GAP_SMALL) return [];
+  if (gap < SEAM_GAP_LARGE) return [' '];
+  return ['\\quad'];
+}
+
+/**
+ * Re-balance braces and \left/\right pairs
+ *
+ * Stray closers are dropped (a stray \right keeps its delimiter as a plain
+ * token, except the null delimiter `.`), unclosed openers are closed at the
+ * end, and a \left still open when its enclosing group closes gets a
+ * matching \right. inserted.
+ *
+ * @param {string[]} tokens - Tokens
+ * @returns {string[]} Balanced tokens
+ */
+export function balanceTokens(tokens) {
+  const out = [];
+  const stack = []; // 'brace' | 'left'
+  let strayRight = false;
+
+  for (const token of tokens) {
+    const afterStrayRight = strayRight;
+    strayRight = false;
+
+    if (afterStrayRight && token === '.') {
+      continue; // Null delimiter of a dropped \right
+    } else if (token === '{') {
+      stack.push('brace');
+      out.push(token);
+    } else if (token === '}') {
+      if (!stack.includes('brace')) continue; // stray closer
+      while (stack[stack.length - 1] === 'left') {
+        stack.pop();
+        out.push('\\right', '.');
+      }
+      stack.pop();
+      out.push(token);
+    } else if (token === '\\left') {
+      stack.push('left');
+      out.push(token);
+    } else if (token === '\\right') {
+      if (stack[stack.length - 1] === 'left') {
+        stack.pop();
+        out.push(token);
+      } else {
+        // Drop \right and keep the delimiter that follows as a plain token
+        strayRight = true;
+      }
+    } else {
+      out.push(token);
+    }
+  }
+
+  while (stack.length > 0) {
+    if (stack.pop() === 'left') {
+      out.push('\\right', '.');
+    } else {
+      out.push('}');
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Merge per-tile LaTeX fragments into one row expression
+ *
+ * @param {LatexFragment[]} fragments - Fragments, in any order
+ * @returns {string} Merged LaTeX
+ */
+export function assembleLatex(fragments) {
+  if (!Array.isArray(fragments) || fragments.length === 0) return '';
+
+  const ordered = [...fragments]
+    .filter(f => f && f.tile)
+    .sort((a, b) => a.tile.offsetX - b.tile.offsetX);
+
+  // A single tile needs no merging: keep the model output as it is
+  const recognized = ordered.filter(f => tokenizeLatex(f.latex).length > 0);
+  if (recognized.length === 1) return recognized[0].latex;
+
+  let merged = [];
+  let prevTile = null;
+  let prevTokens = [];
+
+  for (const { tile, latex } of ordered) {
+    const tokens = tokenizeLatex(latex);
+    if (tokens.length === 0) continue;
+
+    if (!prevTile) {
+      merged = [...tokens];
+    } else {
+      const gap = tile.inkMinX !== null && tile.inkMinX !== undefined &&
+        prevTile.inkMaxX !== null && prevTile.inkMaxX !== undefined
+        ? tile.inkMinX - prevTile.inkMaxX
+        : null;
+
+      let skip = 0;
+      if (gap === null || gap <= 0) {
+        // Ink crosses the seam: the overlap strip was recognized by both tiles
+        const overlapShare = (tile.overlap || 0) / tile.width;
+        const maxOverlap = Math.ceil(Math.max(prevTokens.length, tokens.length) * overlapShare) + 2;
+        skip = findOverlapLength(prevTokens, tokens, maxOverlap);
+      }
+
+      merged.push(...getSeamSpacing(gap), ...tokens.slice(skip));
+    }
+
+    prevTile = tile;
+    prevTokens = tokens;
+  }
+
+  return joinTokens(balanceTokens(merged));
+}
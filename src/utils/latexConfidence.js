@@ -0,0 +1,169 @@
+/**
+ * OCR Token Confidence for Recognized LaTeX
+ *
+ * The OCR worker reports the probability of every decoded token together with
+ * its character span in the output string. These helpers map those spans
+ * onto LaTeX tokens and tint the low-confidence symbols for KaTeX, so users
+ * can see which parts of a transcription are guesses.
+ *
+ * All functions are pure.
+ */
+
+import { tokenizeLatexWithOffsets } from './latexAssembly.js';
+
+/** Tokens below this probability are highlighted */
+export const LOW_CONFIDENCE_THRESHOLD = 0.6;
+
+/** Tint used for low-confidence symbols (Tailwind red-600) */
+export const LOW_CONFIDENCE_COLOR = '#dc2626';
+
+/**
+ * @typedef {Object} TokenConfidence
+ * @property {string} text - Decoded text of the OCR token
+ * @property {number} start - Start offset in the recognized LaTeX
+ * @property {number} end - End offset in the recognized LaTeX (exclusive)
+ * @property {number} prob - Probability of the token (0-1)
+ */
+
+// Characters that only carry structure and cannot be wrapped in a group
+const STRUCTURAL_CHARS = new Set(['{', '}', '[', ']', '^', '_', '&', '$', '#', '%', '~', "'"]);
+
+// Escaped characters that render as a symbol
+const SYMBOL_ESCAPES = new Set(['\\{', '\\}', '\\|', '\\#', '\\%', '\\&', '\\$', '\\_']);
+
+// The token after these is a delimiter that must stay attached
+const DELIMITER_COMMANDS = new Set([
+  '\\left', '\\right', '\\middle',
+  '\\big', '\\Big', '\\bigg', '\\Bigg',
+  '\\bigl', '\\bigr', '\\Bigl', '\\Bigr', '\\biggl', '\\biggr', '\\Biggl', '\\Biggr'
+]);
+
+// The brace group after these is a name, not math
+const NAME_COMMANDS = new Set(['\\begin', '\\end']);
+
+// Commands that take arguments, change style or only add space
+const NON_SYMBOL_COMMANDS = new Set([
+  '\\frac', '\\dfrac', '\\tfrac', '\\sqrt', '\\binom', '\\stackrel', '\\overset', '\\underset',
+  '\\mathrm', '\\mathbf', '\\mathbb', '\\mathcal', '\\mathit', '\\mathsf', '\\mathtt', '\\mathfrak',
+  '\\boldsymbol', '\\text', '\\textbf', '\\textit', '\\operatorname', '\\color', '\\textcolor',
+  '\\hat', '\\bar', '\\vec', '\\dot', '\\ddot', '\\tilde', '\\widehat', '\\widetilde',
+  '\\overline', '\\underline', '\\overrightarrow', '\\overleftarrow', '\\not',
+  '\\displaystyle', '\\textstyle', '\\scriptstyle', '\\limits', '\\nolimits',
+  '\\quad', '\\qquad', '\\hline'
+]);
+
+/**
+ * Attach a confidence to every LaTeX token of the recognized string
+ * A LaTeX token gets the lowest probability of the OCR tokens overlapping it.
+ *
+ * @param {string} latex - Recognized LaTeX
+ * @param {TokenConfidence[]} tokens - Per-token probabilities from the OCR worker
+ * @returns {Array<{token: string, start: number, end: number, confidence: number|null}>}
+ */
+export function getLatexTokenConfidence(latex, tokens) {
+  const ocrTokens = Array.isArray(tokens) ? tokens : [];
+
+  return tokenizeLatexWithOffsets(latex).map(({ token, start, end }) => {
+    let confidence = null;
+    for (const t of ocrTokens) {
+      if (t.start < end && t.end > start && typeof t.prob === 'number') {
+        confidence = confidence === null ? t.prob : Math.min(confidence, t.prob);
+      }
+    }
+    return { token, start, end, confidence };
+  });
+}
+
+/**
+ * Lowest token probability of a recognition
+ *
+ * @param {TokenConfidence[]} tokens - Per-token probabilities
+ * @returns {number|null} Minimum probability, or null without tokens
+ */
+export function getMinConfidence(tokens) {
+  if (!Array.isArray(tokens) || tokens.length === 0) return null;
+  return Math.min(...tokens.map(t => t.prob));
+}
+
+/**
+ * Check whether a LaTeX token renders as a symbol that can be tinted on its own
+ *
+ * @param {Array<{token: string}>} latexTokens - Tokens of the expression
+ * @param {number} i - Index of the token to check
+ * @returns {boolean}
+ */
+function isSymbolToken(latexTokens, i) {
+  const { token } = latexTokens[i];
+  const previous = latexTokens[i - 1]?.token;
+
+  if (previous && DELIMITER_COMMANDS.has(previous)) return false;
+  if (STRUCTURAL_CHARS.has(token)) return false;
+
+  if (token.startsWith('\\')) {
+    if (!/^\\[a-zA-Z]+$/.test(token)) return SYMBOL_ESCAPES.has(token);
+    if (DELIMITER_COMMANDS.has(token) || NAME_COMMANDS.has(token) || NON_SYMBOL_COMMANDS.has(token)) {
+      return false;
+    }
+    // Unknown commands followed by an argument are left alone
+    const next = latexTokens[i + 1]?.token;
+    return next !== '{' && next !== '[';
+  }
+
+  return true;
+}
+
+/**
+ * Wrap low-confidence symbols in `{\color{...}...}` groups
+ * Structure (braces, scripts, \frac, environments, \left/\right delimiters)
+ * is never wrapped, so the result parses wherever the input did.
+ *
+ * @param {string} latex - Recognized LaTeX
+ * @param {TokenConfidence[]} tokens - Per-token probabilities from the OCR worker
+ * @param {Object} [options]
+ * @param {number} [options.threshold=LOW_CONFIDENCE_THRESHOLD] - Highlight below this probability
+ * @param {string} [options.color=LOW_CONFIDENCE_COLOR] - Highlight color
+ * @returns {string} LaTeX with low-confidence symbols colored (unchanged without tokens)
+ */
+export function highlightLowConfidence(latex, tokens, {
+  threshold = LOW_CONFIDENCE_THRESHOLD,
+  color = LOW_CONFIDENCE_COLOR
+} = {}) {
+  if (!latex) return '';
+  if (!Array.isArray(tokens) || tokens.length === 0) return latex;
+
+  const latexTokens = getLatexTokenConfidence(latex, tokens);
+  let out = '';
+  let cursor = 0;
+
+  for (let i = 0; i < latexTokens.length; i++) {
+    const t = latexTokens[i];
+
+    // Skip the environment name in \begin{...} / \end{...}
+    if (t.token === '{' && NAME_COMMANDS.has(latexTokens[i - 1]?.token)) {
+      while (i < latexTokens.length - 1 && latexTokens[i].token !== '}') i++;
+      continue;
+    }
+
+    if (t.confidence !== null && t.confidence < threshold && isSymbolToken(latexTokens, i)) {
+      out += `${latex.slice(cursor, t.start)}{\\color{${color}}${t.token}}`;
+      cursor = t.end;
+    }
+  }
+
+  return out + latex.slice(cursor);
+}
+
+/**
+ * Count symbols below the confidence threshold (what highlightLowConfidence tints)
+ *
+ * @param {string} latex - Recognized LaTeX
+ * @param {TokenConfidence[]} tokens - Per-token probabilities
+ * @param {number} [threshold=LOW_CONFIDENCE_THRESHOLD] - Confidence threshold
+ * @returns {number}
+ */
+export function countLowConfidence(latex, tokens, threshold = LOW_CONFIDENCE_THRESHOLD) {
+  const latexTokens = getLatexTokenConfidence(latex, tokens);
+  return latexTokens
+    .filter((t, i) => t.confidence !== null && t.confidence < threshold && isSymbolToken(latexTokens, i))
+    .length;
+}
@@ -0,0 +1,477 @@
+/**
+ * Export of Recognized Formulas
+ *
+ * Word, slides and chat tools do not understand LaTeX, so a result can be
+ * exported as:
+ * - SVG: the KaTeX rendering in a foreignObject, with the KaTeX stylesheet
+ *   and fonts inlined so the file renders on its own
+ * - PNG: that SVG drawn onto a canvas at a higher resolution
+ * - MathML: KaTeX's MathML output, which Word and LibreOffice paste as
+ *   editable equations
+ * - Unicode text: a plain-text approximation such as `x² + 2x + 1`
+ *
+ * The Unicode conversion is pure; SVG and PNG need a browser with canvas
+ * support. The render check (see renderCheck.js) draws formulas the same way.
+ */
+
+import katex from 'katex';
+import Logger from './logger.js';
+import { tokenizeLatexWithOffsets } from './latexAssembly.js';
+
+/** Formats offered by the export menu (see components/ExportMenu.jsx) */
+export const EXPORT_FORMATS = [
+  { id: 'svg', label: 'SVG', extension: 'svg', type: 'image/svg+xml' },
+  { id: 'png', label: 'PNG', extension: 'png', type: 'image/png' },
+  { id: 'mathml', label: 'MathML', extension: 'mml', type: 'application/mathml+xml' },
+  { id: 'unicode', label: 'Unicode text', extension: 'txt', type: 'text/plain' }
+];
+
+// Font size of exported renderings, in CSS pixels
+const EXPORT_FONT_SIZE = 32;
+const EXPORT_PADDING = 8;
+// PNG resolution relative to the SVG, for sharp pastes on high-DPI screens
+const PNG_SCALE = 2;
+
+let katexStylePromise = null;
+
+/**
+ * Read a font file as a data URL
+ * @private
+ */
+async function fetchDataUrl(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`HTTP ${response.status} for ${url}`);
+  const blob = await response.blob();
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Collect the KaTeX stylesheet with its fonts inlined
+ * An SVG drawn as an image cannot load external files, so each KaTeX font
+ * is embedded as a data URL (woff2 only). Built once and cached.
+ * @private
+ * @returns {Promise<string>} CSS text
+ */
+function getKatexStyle() {
+  katexStylePromise ??= (async () => {
+    const rules = [];
+
+    for (const sheet of document.styleSheets) {
+      let cssRules;
+      try {
+        cssRules = sheet.cssRules;
+      } catch {
+        continue; // Cross-origin sheet
+      }
+
+      for (const rule of cssRules) {
+        const text = rule.cssText;
+        if (rule.type === CSSRule.FONT_FACE_RULE && text.includes('KaTeX_')) {
+          const match = /url\(["']?([^"')]+\.woff2)["']?\)/.exec(text);
+          if (!match) continue;
+          try {
+            const dataUrl = await fetchDataUrl(new URL(match[1], sheet.href || document.baseURI));
+            rules.push(text.replace(/src:[^;]+;/, `src: url("${dataUrl}") format("woff2");`));
+          } catch (error) {
+            Logger.debug('LatexExport', 'Cannot inline KaTeX font', { error: error.message });
+          }
+        } else if (text.includes('.katex')) {
+          rules.push(text);
+        }
+      }
+    }
+
+    return rules.join('\n');
+  })();
+  return katexStylePromise;
+}
+
+/**
+ * Wrap KaTeX HTML into a standalone SVG
+ * The formula is laid out in the page to measure it and to get well-formed XHTML.
+ *
+ * @param {string} html - Output of katex.renderToString
+ * @param {Object} [options]
+ * @param {number} [options.fontSize=EXPORT_FONT_SIZE] - Font size in CSS pixels
+ * @param {number} [options.padding=EXPORT_PADDING] - White margin in CSS pixels
+ * @returns {Promise<{svg: string, width: number, height: number}>}
+ */
+export async function katexHtmlToSvg(html, { fontSize = EXPORT_FONT_SIZE, padding = EXPORT_PADDING } = {}) {
+  const holder = document.createElement('div');
+  holder.setAttribute('xmlns', 'http://www.w3.org/1999/xhtml');
+  holder.style.cssText = `position:absolute;left:-10000px;top:0;display:inline-block;padding:${padding}px;font-size:${fontSize}px;color:#000;background:#fff`;
+  holder.innerHTML = html;
+  document.body.appendChild(holder);
+
+  let markup;
+  let width;
+  let height;
+  try {
+    await document.fonts?.ready;
+    const rect = holder.getBoundingClientRect();
+    width = Math.max(1, Math.ceil(rect.width));
+    height = Math.max(1, Math.ceil(rect.height));
+    holder.style.position = 'static';
+    markup = new XMLSerializer().serializeToString(holder);
+  } finally {
+    holder.remove();
+  }
+
+  const style = await getKatexStyle();
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+    `<style><![CDATA[${style}]]></style>` +
+    `<foreignObject x="0" y="0" width="100%" height="100%">${markup}</foreignObject></svg>`;
+  return { svg, width, height };
+}
+
+/**
+ * Render LaTeX with KaTeX to a standalone SVG
+ * Throws katex.ParseError when the LaTeX does not render.
+ * @param {string} latex - LaTeX to render
+ * @param {Object} [options] - See katexHtmlToSvg
+ * @returns {Promise<{svg: string, width: number, height: number}>}
+ */
+export async function renderLatexToSvg(latex, options) {
+  const html = katex.renderToString(latex, { displayMode: true, throwOnError: true });
+  return katexHtmlToSvg(html, options);
+}
+
+/**
+ * Draw an SVG onto a canvas with a white background
+ * @param {{svg: string, width: number, height: number}} image - From katexHtmlToSvg
+ * @param {HTMLCanvasElement} canvas - Target, resized to the SVG times `scale`
+ * @param {number} [scale=1] - Resolution factor
+ * @returns {Promise<CanvasRenderingContext2D|null>} Null where the browser has no canvas
+ */
+export async function drawSvgToCanvas({ svg, width, height }, canvas, scale = 1) {
+  const ctx = canvas.getContext('2d');
+  if (!ctx) return null;
+
+  const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+  try {
+    const img = new Image();
+    img.src = url;
+    await img.decode();
+
+    canvas.width = Math.ceil(width * scale);
+    canvas.height = Math.ceil(height * scale);
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+    return ctx;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * Render LaTeX to a PNG
+ * @param {string} latex - LaTeX to render
+ * @param {Object} [options]
+ * @param {number} [options.scale=PNG_SCALE] - Resolution relative to the SVG
+ * @returns {Promise<Blob|null>} Null where the browser has no canvas
+ */
+export async function renderLatexToPng(latex, { scale = PNG_SCALE } = {}) {
+  const image = await renderLatexToSvg(latex);
+  const canvas = document.createElement('canvas');
+  if (!(await drawSvgToCanvas(image, canvas, scale))) return null;
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))), 'image/png');
+  });
+}
+
+/**
+ * Render LaTeX to a MathML `<math>` element
+ * KaTeX keeps the LaTeX as an annotation, so the formula stays editable.
+ * Throws katex.ParseError when the LaTeX does not render.
+ * @param {string} latex - LaTeX to render
+ * @returns {string} MathML markup
+ */
+export function renderLatexToMathML(latex) {
+  const html = katex.renderToString(latex, { displayMode: true, output: 'mathml', throwOnError: true });
+  const match = /<math[\s\S]*<\/math>/.exec(html);
+  return match ? match[0] : html;
+}
+
+const GREEK = {
+  alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε', zeta: 'ζ',
+  eta: 'η', theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν',
+  xi: 'ξ', pi: 'π', varpi: 'ϖ', rho: 'ρ', varrho: 'ϱ', sigma: 'σ', varsigma: 'ς', tau: 'τ',
+  upsilon: 'υ', phi: 'ϕ', varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+  Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ',
+  Upsilon: 'Υ', Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω'
+};
+
+// Symbols written without surrounding spaces
+const SYMBOLS = {
+  infty: '∞', partial: '∂', nabla: '∇', sum: '∑', prod: '∏', coprod: '∐', int: '∫', iint: '∬',
+  iiint: '∭', oint: '∮', cdot: '·', ldots: '…', cdots: '⋯', vdots: '⋮', ddots: '⋱', dots: '…',
+  forall: '∀', exists: '∃', nexists: '∄', neg: '¬', lnot: '¬', emptyset: '∅', varnothing: '∅',
+  circ: '∘', degree: '°', prime: '′', hbar: 'ℏ', ell: 'ℓ', Re: 'ℜ', Im: 'ℑ', aleph: 'ℵ',
+  angle: '∠', triangle: '△', langle: '⟨', rangle: '⟩', lvert: '|', rvert: '|', vert: '|',
+  lVert: '‖', rVert: '‖', Vert: '‖', lfloor: '⌊', rfloor: '⌋', lceil: '⌈', rceil: '⌉',
+  backslash: '\\', star: '⋆', ast: '∗', bullet: '•', therefore: '∴', because: '∵'
+};
+
+// Operators and relations, written with a space on each side
+const BINARY = {
+  '+': '+', '-': '−', '=': '=', '<': '<', '>': '>',
+  '\\pm': '±', '\\mp': '∓', '\\times': '×', '\\div': '÷', '\\leq': '≤', '\\le': '≤',
+  '\\geq': '≥', '\\ge': '≥', '\\neq': '≠', '\\ne': '≠', '\\approx': '≈', '\\equiv': '≡',
+  '\\sim': '∼', '\\simeq': '≃', '\\cong': '≅', '\\propto': '∝', '\\ll': '≪', '\\gg': '≫',
+  '\\to': '→', '\\rightarrow': '→', '\\leftarrow': '←', '\\gets': '←', '\\Rightarrow': '⇒',
+  '\\Leftarrow': '⇐', '\\leftrightarrow': '↔', '\\Leftrightarrow': '⇔', '\\iff': '⇔',
+  '\\implies': '⇒', '\\mapsto': '↦', '\\in': '∈', '\\notin': '∉', '\\ni': '∋',
+  '\\subset': '⊂', '\\subseteq': '⊆', '\\supset': '⊃', '\\supseteq': '⊇', '\\cup': '∪',
+  '\\cap': '∩', '\\setminus': '∖', '\\wedge': '∧', '\\land': '∧', '\\vee': '∨', '\\lor': '∨',
+  '\\oplus': '⊕', '\\otimes': '⊗', '\\perp': '⊥', '\\parallel': '∥'
+};
+
+// Escaped characters and spacing (\{, \%, \,, \\ ...)
+const CONTROL_SYMBOLS = {
+  '{': '{', '}': '}', '|': '‖', '%': '%', '$': '$', '&': '&', '#': '#', '_': '_',
+  ',': ' ', ';': ' ', ':': ' ', ' ': ' ', '!': '', '\\': '\n'
+};
+
+const SUPERSCRIPTS = {
+  0: '⁰', 1: '¹', 2: '²', 3: '³', 4: '⁴', 5: '⁵', 6: '⁶', 7: '⁷', 8: '⁸', 9: '⁹',
+  '+': '⁺', '-': '⁻', '−': '⁻', '=': '⁼', '(': '⁽', ')': '⁾',
+  a: 'ᵃ', b: 'ᵇ', c: 'ᶜ', d: 'ᵈ', e: 'ᵉ', f: 'ᶠ', g: 'ᵍ', h: 'ʰ', i: 'ⁱ', j: 'ʲ', k: 'ᵏ',
+  l: 'ˡ', m: 'ᵐ', n: 'ⁿ', o: 'ᵒ', p: 'ᵖ', r: 'ʳ', s: 'ˢ', t: 'ᵗ', u: 'ᵘ', v: 'ᵛ', w: 'ʷ',
+  x: 'ˣ', y: 'ʸ', z: 'ᶻ', T: 'ᵀ'
+};
+
+const SUBSCRIPTS = {
+  0: '₀', 1: '₁', 2: '₂', 3: '₃', 4: '₄', 5: '₅', 6: '₆', 7: '₇', 8: '₈', 9: '₉',
+  '+': '₊', '-': '₋', '−': '₋', '=': '₌', '(': '₍', ')': '₎',
+  a: 'ₐ', e: 'ₑ', h: 'ₕ', i: 'ᵢ', j: 'ⱼ', k: 'ₖ', l: 'ₗ', m: 'ₘ', n: 'ₙ', o: 'ₒ', p: 'ₚ',
+  r: 'ᵣ', s: 'ₛ', t: 'ₜ', u: 'ᵤ', v: 'ᵥ', x: 'ₓ'
+};
+
+const DOUBLE_STRUCK = { C: 'ℂ', H: 'ℍ', N: 'ℕ', P: 'ℙ', Q: 'ℚ', R: 'ℝ', Z: 'ℤ' };
+
+// Combining marks for accents
+const ACCENTS = {
+  hat: '\u0302', widehat: '\u0302', bar: '\u0304', overline: '\u0305', tilde: '\u0303',
+  widetilde: '\u0303', vec: '\u20d7', dot: '\u0307', ddot: '\u0308', underline: '\u0332'
+};
+
+const ROOTS = { 3: '∛', 4: '∜' };
+
+const FUNCTIONS = new Set([
+  'sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'arcsin', 'arccos', 'arctan', 'sinh', 'cosh', 'tanh',
+  'log', 'ln', 'lg', 'exp', 'lim', 'sup', 'inf', 'max', 'min', 'det', 'dim', 'ker', 'gcd',
+  'deg', 'arg', 'Pr', 'mod', 'bmod'
+]);
+
+// Tokens a function name is written right against ("sin²x", "log(x)")
+const FUNCTION_FOLLOWERS = new Set(['(', '[', '{', '^', '_', '\\left']);
+
+// Commands whose argument is kept as it is
+const FONT_COMMANDS = new Set([
+  'mathrm', 'mathit', 'mathbf', 'mathsf', 'mathtt', 'mathcal', 'mathfrak', 'mathscr',
+  'boldsymbol', 'bm', 'operatorname', 'boxed'
+]);
+
+// Commands whose argument is plain text (spaces are kept)
+const TEXT_COMMANDS = new Set(['text', 'textrm', 'textit', 'textbf', 'textnormal', 'mbox']);
+
+// Commands that only affect layout
+const LAYOUT_COMMANDS = new Set([
+  'displaystyle', 'textstyle', 'scriptstyle', 'limits', 'nolimits', 'big', 'Big', 'bigg',
+  'Bigg', 'bigl', 'bigr', 'Bigl', 'Bigr', 'biggl', 'biggr', 'not'
+]);
+
+/**
+ * Whether a piece of text must be parenthesized as a fraction part or radicand
+ * @private
+ */
+function needsParens(text) {
+  if (/^\(.*\)$/.test(text) && !/\)\s*\(/.test(text)) return false;
+  return /[\s+\-−=/·×÷]/.test(text);
+}
+
+const wrap = (text) => (needsParens(text) ? `(${text})` : text);
+
+/**
+ * Superscript or subscript in Unicode, or `^(...)` when a character has no form
+ * @private
+ */
+function toScript(text, marker) {
+  if (marker === '^' && text === '∘') return '°';
+  if (/^′+$/.test(text)) return text;
+
+  const compact = text.replace(/\s+/g, '');
+  const map = marker === '^' ? SUPERSCRIPTS : SUBSCRIPTS;
+  const mapped = [...compact].map(c => map[c]);
+  if (compact && mapped.every(Boolean)) return mapped.join('');
+  return [...compact].length === 1 ? `${marker}${compact}` : `${marker}(${text})`;
+}
+
+/**
+ * Approximate LaTeX in plain Unicode text
+ * Superscripts and subscripts use Unicode forms where every character has
+ * one (`x^{n+1}` → `xⁿ⁺¹`, otherwise `x^(…)`), fractions become `a/b`,
+ * roots `√x`, and operators get spaces (`x^2+2x+1` → `x² + 2x + 1`).
+ * Matrix rows and `\\` become new lines.
+ *
+ * @param {string} latex - LaTeX to convert
+ * @returns {string} Plain text
+ */
+export function latexToUnicode(latex) {
+  const source = latex || '';
+  const tokens = tokenizeLatexWithOffsets(source);
+  let i = 0;
+
+  const peek = () => tokens[i]?.token;
+
+  // Source of a braced group as written (keeps the spaces of \text{...})
+  const readRawGroup = () => {
+    if (peek() !== '{') return i < tokens.length ? tokens[i++].token : '';
+    const open = tokens[i];
+    let depth = 0;
+    for (let j = i; j < tokens.length; j++) {
+      if (tokens[j].token === '{') depth++;
+      else if (tokens[j].token === '}' && --depth === 0) {
+        i = j + 1;
+        return source.slice(open.end, tokens[j].start);
+      }
+    }
+    i = tokens.length;
+    return source.slice(open.end);
+  };
+
+  const readSequence = (close) => {
+    let out = '';
+    while (i < tokens.length && peek() !== close) out += readItem(out);
+    return out;
+  };
+
+  const readDelimited = (open, close) => {
+    if (peek() !== open) return null;
+    i++;
+    const inner = readSequence(close);
+    if (peek() === close) i++;
+    return inner;
+  };
+
+  const readArgument = () => readDelimited('{', '}') ?? (i < tokens.length ? readItem('') : '');
+
+  // Operators are unary at the start, after an opening bracket or after another operator
+  const binary = (symbol, before) => {
+    const unary = ['+', '−', '±', '∓'].includes(symbol) && /(^|[([{|,=<>≤≥≠≈+−±∓×÷→⇒∈])$/.test(before.trimEnd());
+    return unary ? symbol : ` ${symbol} `;
+  };
+
+  function readItem(before) {
+    const token = tokens[i++].token;
+
+    if (token === '{') {
+      const inner = readSequence('}');
+      if (peek() === '}') i++;
+      return inner;
+    }
+    if (token === '}') return '';
+    if (token === '^' || token === '_') return toScript(readArgument(), token);
+    if (token === "'") return '′';
+    if (token === '~' || token === '&') return ' ';
+    if (BINARY[token]) return binary(BINARY[token], before);
+    if (!token.startsWith('\\')) return token;
+
+    const name = token.slice(1);
+    if (name in CONTROL_SYMBOLS) return CONTROL_SYMBOLS[name];
+    if (GREEK[name]) return GREEK[name];
+    if (SYMBOLS[name]) return SYMBOLS[name];
+
+    switch (name) {
+      case 'frac':
+      case 'dfrac':
+      case 'tfrac':
+      case 'cfrac': {
+        const numerator = readArgument();
+        const denominator = readArgument();
+        return `${wrap(numerator)}/${wrap(denominator)}`;
+      }
+      case 'sqrt': {
+        const index = readDelimited('[', ']');
+        const radicand = wrap(readArgument());
+        if (ROOTS[index]) return ROOTS[index] + radicand;
+        return `${index ? toScript(index, '^') : ''}√${radicand}`;
+      }
+      case 'binom': {
+        const n = readArgument();
+        const k = readArgument();
+        return `C(${n}, ${k})`;
+      }
+      case 'left':
+      case 'right':
+        // \left. and \right. are invisible
+        if (peek() === '.') i++;
+        return '';
+      case 'begin':
+        if (readRawGroup() === 'array') readRawGroup(); // Column spec
+        return '';
+      case 'end':
+        readRawGroup();
+        return '';
+      case 'mathbb':
+        return [...readArgument()].map(c => DOUBLE_STRUCK[c] ?? c).join('');
+      case 'overset':
+      case 'underset':
+      case 'stackrel':
+        readArgument();
+        return readArgument();
+      default:
+        break;
+    }
+
+    if (TEXT_COMMANDS.has(name)) return readRawGroup();
+    if (ACCENTS[name]) return [...readArgument()].map(c => c + ACCENTS[name]).join('');
+    if (name === 'quad' || name === 'qquad') return ' ';
+    if (LAYOUT_COMMANDS.has(name)) return '';
+    if (FONT_COMMANDS.has(name)) return readArgument();
+    if (FUNCTIONS.has(name)) return FUNCTION_FOLLOWERS.has(peek()) ? name : `${name} `;
+    return name; // Unknown command: keep its name
+  }
+
+  return readSequence(null)
+    .replace(/[ \t]{2,}/g, ' ')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Render a formula in one export format
+ * @param {string} latex - LaTeX to export
+ * @param {string} formatId - Id from EXPORT_FORMATS
+ * @returns {Promise<{blob: Blob, text?: string}>} File contents; `text` for text formats (copied as text)
+ * @throws {Error} For LaTeX KaTeX cannot render, or PNG without canvas support
+ */
+export async function exportFormula(latex, formatId) {
+  const format = EXPORT_FORMATS.find(f => f.id === formatId);
+  if (!format) throw new Error(`Unknown export format: ${formatId}`);
+
+  const asText = (text) => ({ text, blob: new Blob([text], { type: format.type }) });
+
+  switch (format.id) {
+    case 'svg':
+      return asText((await renderLatexToSvg(latex)).svg);
+    case 'png': {
+      const blob = await renderLatexToPng(latex);
+      if (!blob) throw new Error('This browser cannot draw PNG images');
+      return { blob };
+    }
+    case 'mathml':
+      return asText(renderLatexToMathML(latex));
+    default:
+      return asText(latexToUnicode(latex));
+  }
+}
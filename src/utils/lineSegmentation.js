@@ -0,0 +1,204 @@
+/**
+ * Line Segmentation for Multi-line OCR
+ *
+ * The model reads one expression per square input, so a photo of a worked
+ * solution has to be cut into text lines first. Lines are found with a
+ * horizontal projection profile (ink pixels per image row): runs of inked
+ * rows are lines, blank runs are the gaps between them. Small gaps (the
+ * space above an exponent or around a fraction bar) are merged away.
+ *
+ * Recognized lines are combined into an `aligned` block or one line per row.
+ *
+ * All functions are pure. Images are `{ width, height, data }` with one
+ * 8-bit grey value per pixel (see workers/inkCleanup.js).
+ */
+
+import { tokenizeLatexWithOffsets } from './latexAssembly.js';
+
+/** Grey level below which a pixel counts as ink */
+export const INK_LEVEL = 128;
+
+/**
+ * Output formats for multi-line results
+ * aligned: one `\begin{aligned}` block aligned at the first relation of each line
+ * rows: one LaTeX line per detected row
+ */
+export const LINE_FORMATS = ['aligned', 'rows'];
+
+// Relations the aligned format aligns on
+const RELATIONS = new Set([
+  '=', '<', '>', '\\leq', '\\geq', '\\le', '\\ge', '\\neq', '\\ne',
+  '\\approx', '\\equiv', '\\sim', '\\simeq', '\\cong', '\\propto'
+]);
+
+/**
+ * @typedef {Object} LineBox
+ * @property {number} x - Left edge in image pixels
+ * @property {number} y - Top edge in image pixels
+ * @property {number} width - Box width
+ * @property {number} height - Box height
+ */
+
+/**
+ * Count ink pixels in every image row
+ *
+ * @param {{width: number, height: number, data: Uint8Array}} image - Grey image
+ * @returns {Uint32Array} Ink count per row
+ */
+export function horizontalProfile({ width, height, data }) {
+  const profile = new Uint32Array(height);
+  for (let y = 0; y < height; y++) {
+    let count = 0;
+    for (let x = 0; x < width; x++) {
+      if (data[y * width + x] < INK_LEVEL) count++;
+    }
+    profile[y] = count;
+  }
+  return profile;
+}
+
+/**
+ * Find runs of inked rows in a profile
+ *
+ * @param {ArrayLike<number>} profile - Ink count per row
+ * @param {number} [minInk=1] - Rows with fewer ink pixels count as blank (speck filter)
+ * @returns {Array<{start: number, end: number}>} Runs (end exclusive)
+ */
+export function findInkRuns(profile, minInk = 1) {
+  const runs = [];
+  let start = -1;
+
+  for (let y = 0; y <= profile.length; y++) {
+    const inked = y < profile.length && profile[y] >= minInk;
+    if (inked && start < 0) start = y;
+    if (!inked && start >= 0) {
+      runs.push({ start, end: y });
+      start = -1;
+    }
+  }
+  return runs;
+}
+
+/**
+ * Detect text lines in a page image
+ *
+ * @param {{width: number, height: number, data: Uint8Array}} image - Grey image (ink darker than INK_LEVEL)
+ * @param {Object} [options]
+ * @param {number} [options.mergeGap=0.3] - Gaps smaller than this fraction of the median run height are merged
+ * @param {number} [options.minLineHeight=0.25] - Runs shorter than this fraction of the median height join their nearest neighbour
+ * @param {number} [options.padding=8] - Blank border (px) added around each line box
+ * @returns {LineBox[]} Line boxes from top to bottom
+ */
+export function segmentLines(image, { mergeGap = 0.3, minLineHeight = 0.25, padding = 8 } = {}) {
+  const { width, height, data } = image;
+  // Ignore rows with only a few specks of noise
+  const minInk = Math.max(1, Math.round(width * 0.002));
+  let runs = findInkRuns(horizontalProfile(image), minInk);
+  if (runs.length === 0) return [];
+
+  const heights = runs.map(r => r.end - r.start).sort((a, b) => a - b);
+  const median = heights[Math.floor(heights.length / 2)];
+
+  // Merge runs separated by small gaps (exponents, fraction bars, dots of i/j)
+  runs = runs.reduce((merged, run) => {
+    const prev = merged[merged.length - 1];
+    if (prev && run.start - prev.end < median * mergeGap) {
+      prev.end = run.end;
+    } else {
+      merged.push({ ...run });
+    }
+    return merged;
+  }, []);
+
+  // Attach slivers (stray marks, detached accents) to the closest line
+  for (let i = 0; i < runs.length && runs.length > 1; i++) {
+    const run = runs[i];
+    if (run.end - run.start >= median * minLineHeight) continue;
+
+    const above = runs[i - 1];
+    const below = runs[i + 1];
+    const target = !below || (above && run.start - above.end <= below.start - run.end) ? above : below;
+    target.start = Math.min(target.start, run.start);
+    target.end = Math.max(target.end, run.end);
+    runs.splice(i, 1);
+    i--;
+  }
+
+  return runs.map(({ start, end }) => {
+    // Horizontal extent of the ink inside the band
+    let minX = width;
+    let maxX = -1;
+    for (let y = start; y < end; y++) {
+      for (let x = 0; x < width; x++) {
+        if (data[y * width + x] >= INK_LEVEL) continue;
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+      }
+    }
+
+    const x = Math.max(0, minX - padding);
+    const y = Math.max(0, start - padding);
+    return {
+      x,
+      y,
+      width: Math.min(width, maxX + 1 + padding) - x,
+      height: Math.min(height, end + padding) - y
+    };
+  });
+}
+
+/**
+ * Cut a box out of an image (clamped to the image)
+ *
+ * @param {{width: number, height: number, data: Uint8Array}} image - Grey image
+ * @param {LineBox} box - Area to copy
+ * @returns {{width: number, height: number, data: Uint8Array}}
+ */
+export function cropImage(image, box) {
+  const x0 = Math.max(0, Math.round(box.x));
+  const y0 = Math.max(0, Math.round(box.y));
+  const x1 = Math.min(image.width, Math.round(box.x + box.width));
+  const y1 = Math.min(image.height, Math.round(box.y + box.height));
+  const width = Math.max(0, x1 - x0);
+  const height = Math.max(0, y1 - y0);
+
+  const data = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    const row = (y0 + y) * image.width;
+    data.set(image.data.subarray(row + x0, row + x0 + width), y * width);
+  }
+  return { width, height, data };
+}
+
+/**
+ * Insert the alignment point before the first top-level relation
+ *
+ * @param {string} latex - One recognized line
+ * @returns {string} Line with `&` added (unchanged if it has no relation)
+ */
+export function alignAtRelation(latex) {
+  let depth = 0;
+  for (const { token, start } of tokenizeLatexWithOffsets(latex)) {
+    if (token === '{') depth++;
+    else if (token === '}') depth--;
+    else if (depth === 0 && RELATIONS.has(token)) {
+      return `${latex.slice(0, start)}&${latex.slice(start)}`;
+    }
+  }
+  return latex;
+}
+
+/**
+ * Combine recognized lines into one result
+ *
+ * @param {string[]} lines - LaTeX per line, top to bottom
+ * @param {'aligned'|'rows'} [format='aligned'] - Output format (see LINE_FORMATS)
+ * @returns {string} Combined LaTeX (empty lines are dropped)
+ */
+export function combineLines(lines, format = 'aligned') {
+  const kept = lines.map(line => (line || '').trim()).filter(Boolean);
+  if (format === 'rows') return kept.join('\n');
+  if (kept.length <= 1) return kept[0] || '';
+
+  return `\\begin{aligned}\n${kept.map(alignAtRelation).join(' \\\\\n')}\n\\end{aligned}`;
+}
@@ -0,0 +1,149 @@
+/**
+ * Live Recognition Scheduling while Writing
+ *
+ * Re-runs recognition in the background as the user writes, one input per
+ * key (a Sketch page recognition box):
+ * - Strokes are grouped: a run starts once nothing changed for `groupMs`
+ * - At most one run per key is in flight. Changes arriving meanwhile only
+ *   mark the key dirty, and the newest ink runs when the current run ends,
+ *   so slow devices skip intermediate states instead of queueing them
+ * - Results are provisional; the latest one settles once the input has been
+ *   idle for `settleMs` with nothing left to run
+ * - A run cancelled by the pool is started again after `groupMs`, so the
+ *   preview does not stay on an older provisional result
+ *
+ * The caller submits each run under the key's OCR job key, so the pool also
+ * drops any queued or running job a run supersedes (e.g. a manual
+ * conversion of the same box).
+ */
+
+/** Pause after the last stroke that ends a stroke group */
+export const LIVE_GROUP_MS = 400;
+
+/** Idle time after which the latest provisional result settles */
+export const LIVE_SETTLE_MS = 1500;
+
+/**
+ * Create a live recognition scheduler
+ *
+ * @param {Object} options
+ * @param {(key: string) => Promise<*>} options.recognize - Recognizes the current input of a key
+ * @param {(key: string, result: *, info: {settled: boolean}) => void} options.onResult - Called with
+ *   every provisional result, then once more with `settled: true`
+ * @param {(key: string, error: Error) => void} [options.onError] - Called when a run fails
+ *   (cancelled runs are run again instead)
+ * @param {number} [options.groupMs=LIVE_GROUP_MS] - Stroke group pause
+ * @param {number} [options.settleMs=LIVE_SETTLE_MS] - Idle time before a result settles
+ * @returns {{update: (key: string) => void, cancel: (key: string) => void, dispose: () => void, isRunning: (key: string) => boolean}}
+ */
+export function createLiveRecognition({
+  recognize,
+  onResult,
+  onError,
+  groupMs = LIVE_GROUP_MS,
+  settleMs = LIVE_SETTLE_MS
+}) {
+  const states = new Map(); // key -> { version, groupTimer, settleTimer, running, dirty, latest }
+  let disposed = false;
+
+  const getState = (key) => {
+    if (!states.has(key)) {
+      states.set(key, { version: 0, groupTimer: null, settleTimer: null, running: false, dirty: false, latest: null });
+    }
+    return states.get(key);
+  };
+
+  const clearTimers = (state) => {
+    clearTimeout(state.groupTimer);
+    clearTimeout(state.settleTimer);
+    state.groupTimer = null;
+    state.settleTimer = null;
+  };
+
+  const scheduleSettle = (key, state) => {
+    clearTimeout(state.settleTimer);
+    state.settleTimer = setTimeout(() => {
+      state.settleTimer = null;
+      // Only the result of the newest ink settles
+      if (state.running || state.dirty || state.latest?.version !== state.version) return;
+      onResult(key, state.latest.result, { settled: true });
+    }, settleMs);
+  };
+
+  const scheduleRun = (key, state) => {
+    state.groupTimer = setTimeout(() => {
+      state.groupTimer = null;
+      if (state.running) state.dirty = true;
+      else run(key, state);
+    }, groupMs);
+  };
+
+  const run = (key, state) => {
+    state.running = true;
+    state.dirty = false;
+    const version = state.version;
+    let cancelled = false;
+
+    Promise.resolve()
+      .then(() => recognize(key))
+      .then((result) => {
+        if (disposed || states.get(key) !== state) return;
+        state.latest = { version, result };
+        onResult(key, result, { settled: false });
+      })
+      .catch((error) => {
+        if (disposed || states.get(key) !== state) return;
+        if (error?.cancelled) cancelled = true;
+        else onError?.(key, error);
+      })
+      .finally(() => {
+        state.running = false;
+        if (disposed || states.get(key) !== state) return;
+        if (state.dirty) run(key, state);
+        else if (cancelled && !state.groupTimer) scheduleRun(key, state);
+        else scheduleSettle(key, state);
+      });
+  };
+
+  return {
+    /**
+     * Note that the input of a key changed (e.g. a stroke was added)
+     * @param {string} key
+     */
+    update(key) {
+      if (disposed) return;
+      const state = getState(key);
+      state.version++;
+      clearTimers(state);
+      scheduleRun(key, state);
+    },
+
+    /**
+     * Forget a key (e.g. its box was removed); a run in flight is ignored
+     * @param {string} key
+     */
+    cancel(key) {
+      const state = states.get(key);
+      if (!state) return;
+      clearTimers(state);
+      states.delete(key);
+    },
+
+    /**
+     * Stop all scheduling; results of runs in flight are ignored
+     */
+    dispose() {
+      disposed = true;
+      states.forEach(clearTimers);
+      states.clear();
+    },
+
+    /**
+     * @param {string} key
+     * @returns {boolean} Whether a run for the key is in flight
+     */
+    isRunning(key) {
+      return states.get(key)?.running ?? false;
+    }
+  };
+}
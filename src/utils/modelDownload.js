@@ -0,0 +1,348 @@
+/**
+ * Resumable OCR Model Download
+ *
+ * Downloads the files of a registry model (see modelRegistry.js) into the
+ * model store instead of leaving it to transformers.js, which starts over
+ * whenever a download is interrupted. Each file is streamed to IndexedDB in
+ * chunks; an interrupted file resumes from its last stored chunk with an
+ * HTTP Range request. Every file is checked against the checksum published
+ * in the model repo before it is kept, and the model only counts as
+ * downloaded once all of its files are.
+ *
+ * Checksums come from the Hugging Face tree API: LFS files (the ONNX
+ * weights) carry a SHA-256, small files their git blob SHA-1. When that API
+ * is unreachable (e.g. behind the CN mirror) files are only checked against
+ * their expected size and the manifest records them as unverified.
+ */
+
+import Logger from './logger.js';
+import { calculateSHA256 } from './contentHash.js';
+import { sha256Blob } from '../workers/sha256.js';
+import {
+  REQUIRED_MODEL_FILES,
+  modelWeightFiles,
+  getStoredModel,
+  saveStoredModel,
+  getModelFile,
+  putModelFile,
+  getDownloadChunks,
+  addDownloadChunk,
+  clearDownloadChunks
+} from './modelStore.js';
+
+/** Bytes buffered in memory before a chunk is written to IndexedDB */
+export const DOWNLOAD_CHUNK_SIZE = 4 * 1024 * 1024;
+
+// Loaded by from_pretrained when the repo has it
+const OPTIONAL_MODEL_FILES = ['generation_config.json'];
+
+/** Default storage: the model store */
+const modelStoreAccess = {
+  getStoredModel,
+  saveStoredModel,
+  getModelFile,
+  putModelFile,
+  getDownloadChunks,
+  addDownloadChunk,
+  clearDownloadChunks
+};
+
+/**
+ * @typedef {Object} ExpectedFile
+ * @property {number} size - Size in bytes
+ * @property {string} [sha256] - SHA-256 of the contents (LFS files)
+ * @property {string} [gitSha1] - Git blob SHA-1 (regular files)
+ */
+
+/**
+ * URL of a model file on a remote source, built the way transformers.js does
+ * @param {{remoteHost: string, remotePathTemplate: string}} envConfig - Source config
+ * @param {string} modelName - Repo id
+ * @param {string} path - Path relative to the model root
+ * @param {string} [revision='main'] - Branch or tag
+ * @returns {string}
+ */
+export function remoteFileUrl({ remoteHost, remotePathTemplate }, modelName, path, revision = 'main') {
+  const repoPath = remotePathTemplate
+    .replaceAll('{model}', modelName)
+    .replaceAll('{revision}', encodeURIComponent(revision));
+  return [remoteHost, repoPath, path].map(part => part.replace(/^\/+|\/+$/g, '')).join('/');
+}
+
+/**
+ * Read the published size and checksum of every file in the model repo
+ * @param {string} manifestUrl - Hugging Face tree API URL (recursive)
+ * @param {Function} [fetchImpl=fetch]
+ * @returns {Promise<Map<string, ExpectedFile>>} Keyed by path
+ */
+export async function fetchExpectedFiles(manifestUrl, fetchImpl = fetch) {
+  const response = await fetchImpl(manifestUrl);
+  if (!response.ok) throw new Error(`HTTP ${response.status} for ${manifestUrl}`);
+
+  const expected = new Map();
+  for (const entry of await response.json()) {
+    if (entry.type !== 'file') continue;
+    expected.set(entry.path, entry.lfs
+      ? { size: entry.lfs.size, sha256: entry.lfs.oid }
+      : { size: entry.size, gitSha1: entry.oid });
+  }
+  return expected;
+}
+
+/**
+ * Git blob id of some contents: SHA-1 of "blob <size>\0" followed by the bytes
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {Promise<string>} Hex digest
+ */
+export async function gitBlobSha1(buffer) {
+  const header = new TextEncoder().encode(`blob ${buffer.byteLength}\0`);
+  const bytes = new Uint8Array(header.length + buffer.byteLength);
+  bytes.set(header);
+  bytes.set(new Uint8Array(buffer), header.length);
+
+  const digest = await crypto.subtle.digest('SHA-1', bytes);
+  return Array.from(new Uint8Array(digest))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * SHA-256 of a file too large to read at once, hashed in a worker
+ * Without worker support (Node, tests) the slices are hashed here instead.
+ * @param {Blob} blob - File contents
+ * @returns {Promise<string>} Hex digest
+ */
+function hashLargeFile(blob) {
+  if (typeof Worker === 'undefined') return sha256Blob(blob, DOWNLOAD_CHUNK_SIZE);
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('../workers/modelHashWorker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = ({ data }) => {
+      worker.terminate();
+      if (data.type === 'result') resolve(data.sha256);
+      else reject(new Error(data.error));
+    };
+    worker.onerror = (event) => {
+      worker.terminate();
+      reject(new Error(event.message || 'Hashing worker failed'));
+    };
+    worker.postMessage({ blob, sliceSize: DOWNLOAD_CHUNK_SIZE });
+  });
+}
+
+/**
+ * Check downloaded contents against the published size and checksum
+ * Regular git files are small (anything large is stored in LFS) and are
+ * hashed in one go with WebCrypto; the weights are hashed slice by slice in
+ * a worker, so they are never held in memory as a whole.
+ * @param {Blob} blob - Downloaded file
+ * @param {ExpectedFile|undefined} expected - Published values, if known
+ * @returns {Promise<{sha256: string, verified: boolean}>} `verified` is false when no checksum was published
+ * @throws {Error} On a size or checksum mismatch
+ */
+export async function verifyModelFile(blob, expected) {
+  if (expected && blob.size !== expected.size) {
+    throw new Error(`expected ${expected.size} bytes, got ${blob.size}`);
+  }
+
+  let sha256;
+  if (expected?.gitSha1 || blob.size <= DOWNLOAD_CHUNK_SIZE) {
+    const buffer = await blob.arrayBuffer();
+    sha256 = await calculateSHA256(buffer);
+    if (expected?.gitSha1 && await gitBlobSha1(buffer) !== expected.gitSha1) {
+      throw new Error('checksum mismatch');
+    }
+  } else {
+    sha256 = await hashLargeFile(blob);
+  }
+
+  if (expected?.sha256 && sha256 !== expected.sha256) {
+    throw new Error('SHA-256 checksum mismatch');
+  }
+
+  return { sha256, verified: !!(expected?.sha256 || expected?.gitSha1) };
+}
+
+/**
+ * Download one file, resuming from the chunks already stored
+ *
+ * @param {Object} options
+ * @param {string} options.url - File URL
+ * @param {string} options.modelName - Repo id the file is stored under
+ * @param {string} options.path - Path relative to the model root
+ * @param {ExpectedFile} [options.expected] - Published size and checksum
+ * @param {Function} [options.onProgress] - Called with {file, loaded, total, status}
+ * @param {Function} [options.fetchImpl=fetch]
+ * @param {Object} [options.store] - Storage functions (defaults to the model store)
+ * @returns {Promise<Blob|null>} The complete file, or null when it does not exist on the server
+ */
+export async function downloadFile({ url, modelName, path, expected, onProgress, fetchImpl = fetch, store = modelStoreAccess }) {
+  let chunks = await store.getDownloadChunks(modelName, path);
+  let offset = chunks.reduce((sum, chunk) => sum + chunk.blob.size, 0);
+
+  const complete = expected && offset === expected.size;
+  if (!complete) {
+    const response = await fetchImpl(url, offset > 0 ? { headers: { Range: `bytes=${offset}-` } } : {});
+
+    if (response.status === 404) return null;
+    if (offset > 0 && response.status === 416) {
+      // Everything was already stored
+    } else if (!response.ok) {
+      throw new Error(`HTTP ${response.status} for ${path}`);
+    } else {
+      if (offset > 0 && response.status !== 206) {
+        // The server ignored the Range header: start this file over
+        Logger.info('ModelDownload', 'Server cannot resume, restarting file', { path });
+        await store.clearDownloadChunks(modelName, path);
+        chunks = [];
+        offset = 0;
+      } else if (offset > 0) {
+        Logger.info('ModelDownload', 'Resuming download', { path, offset });
+      }
+
+      const length = Number(response.headers.get('Content-Length')) || 0;
+      const total = expected?.size ?? (length ? offset + length : undefined);
+      const reader = response.body.getReader();
+      let parts = [];
+      let buffered = 0;
+
+      const writeChunk = async () => {
+        if (buffered === 0) return;
+        const blob = new Blob(parts);
+        await store.addDownloadChunk(modelName, path, offset, blob);
+        chunks.push({ offset, blob });
+        offset += buffered;
+        parts = [];
+        buffered = 0;
+      };
+
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        parts.push(value);
+        buffered += value.byteLength;
+        if (buffered >= DOWNLOAD_CHUNK_SIZE) await writeChunk();
+        onProgress?.({ file: path, loaded: offset + buffered, total, status: 'progress' });
+      }
+      await writeChunk();
+    }
+  }
+
+  return new Blob(chunks.map(chunk => chunk.blob));
+}
+
+/**
+ * Whether a stored model has every file a precision needs
+ * Optional files count once they are stored or known to be absent.
+ * @param {Object} manifest - Stored manifest
+ * @param {string[]} required - Paths the precision needs
+ * @param {Object} store - Storage functions
+ * @returns {Promise<boolean>}
+ */
+async function isDownloadComplete(manifest, required, store) {
+  const recorded = new Set([...(manifest.files ?? []).map(f => f.path), ...(manifest.absentFiles ?? [])]);
+  if (![...required, ...OPTIONAL_MODEL_FILES].every(path => recorded.has(path))) return false;
+
+  for (const path of required) {
+    if (!(await store.getModelFile(path, manifest.modelName))) return false;
+  }
+  return true;
+}
+
+/**
+ * Download (or finish downloading) a model for one precision
+ *
+ * Files already stored and checked are skipped. A file that fails its
+ * checksum is discarded so the next attempt downloads it again. When every
+ * file is already stored the published checksums are not fetched, so a
+ * downloaded model starts without network access.
+ *
+ * @param {Object} modelConfig - Worker model config from toRemoteConfig (modelName, env_config, manifestUrl)
+ * @param {Object} options
+ * @param {string} options.dtype - Weight precision (key of MODEL_PRECISIONS)
+ * @param {Function} [options.onProgress] - Called with {file, loaded, total, status}
+ * @param {Function} [options.fetchImpl=fetch]
+ * @param {Object} [options.store] - Storage functions (defaults to the model store)
+ * @returns {Promise<Object>} Manifest of the downloaded model
+ * @throws {Error} When a file cannot be downloaded or fails its checksum
+ */
+export async function downloadModel(modelConfig, { dtype, onProgress, fetchImpl = fetch, store = modelStoreAccess }) {
+  const { modelName, env_config: envConfig, manifestUrl } = modelConfig;
+  const required = [...REQUIRED_MODEL_FILES, ...modelWeightFiles(dtype)];
+  const previous = await store.getStoredModel(modelName);
+
+  if (previous && await isDownloadComplete(previous, required, store)) {
+    Logger.debug('ModelDownload', 'Model already downloaded', { modelName, dtype });
+    return previous;
+  }
+
+  let expectedFiles = null;
+  if (manifestUrl) {
+    try {
+      expectedFiles = await fetchExpectedFiles(manifestUrl, fetchImpl);
+    } catch (error) {
+      Logger.warn('ModelDownload', 'Cannot read published checksums, checking sizes only', { error: error.message });
+    }
+  }
+
+  // Optional files the server did not have last time are not asked for again
+  const optional = OPTIONAL_MODEL_FILES.filter(path => (
+    expectedFiles ? expectedFiles.has(path) : !previous?.absentFiles?.includes(path)
+  ));
+
+  const manifest = {
+    modelName,
+    name: modelName,
+    source: 'download',
+    sourceHost: envConfig.remoteHost,
+    ...previous,
+    files: [...(previous?.files ?? [])]
+  };
+  const unpublished = OPTIONAL_MODEL_FILES.filter(path => !optional.includes(path));
+  if (unpublished.length > 0) {
+    manifest.absentFiles = [...new Set([...(manifest.absentFiles ?? []), ...unpublished])];
+  }
+
+  for (const path of [...required, ...optional]) {
+    const expected = expectedFiles?.get(path);
+    const known = manifest.files.find(f => f.path === path);
+    const unchanged = known && (!expected || known.size === expected.size);
+    if (unchanged && await store.getModelFile(path, modelName)) {
+      continue;
+    }
+
+    const blob = await downloadFile({
+      url: remoteFileUrl(envConfig, modelName, path),
+      modelName,
+      path,
+      expected,
+      onProgress,
+      fetchImpl,
+      store
+    });
+    if (!blob) {
+      if (required.includes(path)) throw new Error(`Model file ${path} not found`);
+      manifest.absentFiles = [...new Set([...(manifest.absentFiles ?? []), path])];
+      await store.saveStoredModel(manifest);
+      continue;
+    }
+
+    let check;
+    try {
+      check = await verifyModelFile(blob, expected);
+    } catch (error) {
+      await store.clearDownloadChunks(modelName, path);
+      throw new Error(`Downloaded ${path} is corrupt (${error.message}); it will be downloaded again`);
+    }
+
+    await store.putModelFile(modelName, path, blob);
+    manifest.files = manifest.files.filter(f => f.path !== path);
+    manifest.files.push({ path, size: blob.size, sha256: check.sha256, verified: check.verified });
+    manifest.totalSize = manifest.files.reduce((sum, f) => sum + f.size, 0);
+    manifest.updatedAt = Date.now();
+    await store.saveStoredModel(manifest);
+    onProgress?.({ file: path, loaded: blob.size, total: blob.size, status: 'done' });
+  }
+
+  return manifest;
+}
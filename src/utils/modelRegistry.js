@@ -0,0 +1,105 @@
+/**
+ * OCR Model Registry
+ *
+ * The one list of OCR models the app can load: the repo each is downloaded
+ * from, its remote sources, the tokenizer it decodes with and the square
+ * input size its encoder expects. The active model and source are picked per
+ * workspace (session state `ocrModel` and `ocrModelSource`); the worker pool
+ * turns them into the worker init message, and preprocessing reads the
+ * input size from here instead of hard-coding it.
+ */
+
+/**
+ * @typedef {Object} ModelSource
+ * @property {string} label - Name shown in the source picker
+ * @property {string} remoteHost - transformers.js `env.remoteHost`
+ * @property {string} remotePathTemplate - transformers.js `env.remotePathTemplate`
+ */
+
+/**
+ * @typedef {Object} OCRModel
+ * @property {string} id - Registry id, saved per workspace
+ * @property {string} label - Name shown in the model picker
+ * @property {string} description - One-line summary for the picker
+ * @property {string} modelName - Repo id passed to `from_pretrained`
+ * @property {string} tokenizer - Repo id the tokenizer is loaded from
+ * @property {number} inputSize - Side of the square greyscale model input, in pixels
+ * @property {boolean} importable - Whether an offline import (see modelStore.js) can stand in for the download
+ * @property {string} probeUrl - Small file requested to check whether the first source is reachable
+ * @property {string} manifestUrl - Hugging Face tree API listing of the repo, with file sizes and checksums
+ * @property {Object<string, ModelSource>} sources - Remote sources, in fallback order
+ */
+
+/** Registry id of the model used when a workspace has not picked one */
+export const DEFAULT_MODEL_ID = 'formulanet';
+
+/** Source id that tries the offline import, then every remote source in order */
+export const AUTO_SOURCE = 'auto';
+
+/** @type {Object<string, OCRModel>} */
+export const MODELS = {
+  formulanet: {
+    id: 'formulanet',
+    label: 'FormulaNet',
+    description: 'Printed and handwritten formulas to LaTeX',
+    modelName: 'alephpi/FormulaNet',
+    tokenizer: 'alephpi/FormulaNet',
+    inputSize: 384,
+    importable: true,
+    probeUrl: 'https://huggingface.co/alephpi/FormulaNet/resolve/main/config.json',
+    manifestUrl: 'https://huggingface.co/api/models/alephpi/FormulaNet/tree/main?recursive=true',
+    sources: {
+      huggingface: {
+        label: 'Hugging Face',
+        remoteHost: 'https://huggingface.co/',
+        remotePathTemplate: '{model}/resolve/{revision}'
+      },
+      'cn-mirror': {
+        label: 'CN mirror',
+        remoteHost: 'https://gh.llkk.cc/https://raw.githubusercontent.com/',
+        remotePathTemplate: 'alephpi/Texo-web/refs/heads/master/models/model/'
+      }
+    }
+  }
+};
+
+/** Input size of the default model, for code that runs before a model is picked */
+export const DEFAULT_INPUT_SIZE = MODELS[DEFAULT_MODEL_ID].inputSize;
+
+/**
+ * Look up a model, falling back to the default for unknown ids
+ * (e.g. a workspace saved with a model that was since removed)
+ * @param {string} [id] - Registry id
+ * @returns {OCRModel}
+ */
+export function getModel(id) {
+  return MODELS[id] || MODELS[DEFAULT_MODEL_ID];
+}
+
+/**
+ * All registered models, for pickers
+ * @returns {OCRModel[]}
+ */
+export function listModels() {
+  return Object.values(MODELS);
+}
+
+/**
+ * Build the worker init config for one remote source of a model
+ * @param {OCRModel} model - Registry entry
+ * @param {string} sourceId - Key in `model.sources`
+ * @returns {{modelId: string, modelName: string, tokenizer: string, inputSize: number, source: string,
+ *   manifestUrl: string, env_config: Object}}
+ */
+export function toRemoteConfig(model, sourceId) {
+  const { remoteHost, remotePathTemplate } = model.sources[sourceId];
+  return {
+    modelId: model.id,
+    modelName: model.modelName,
+    tokenizer: model.tokenizer,
+    inputSize: model.inputSize,
+    source: sourceId,
+    manifestUrl: model.manifestUrl,
+    env_config: { remoteHost, remotePathTemplate }
+  };
+}
@@ -0,0 +1,503 @@
+/**
+ * Offline OCR Model Store
+ *
+ * Keeps model files imported from a local folder or zip archive (ONNX
+ * weights, tokenizer and configs) in a dedicated IndexedDB database, so the
+ * OCR worker can load FormulaNet on air-gapped machines. It is separate from
+ * workspaceDB: models are shared by every workspace and are far too large to
+ * go through workspace export.
+ *
+ * One imported model is installed at a time; importing replaces it.
+ * Models downloaded from a remote source (see modelDownload.js) are kept
+ * next to it under their repo id, together with the chunks of files whose
+ * download was interrupted, so the download can resume where it stopped.
+ */
+
+import { calculateSHA256 } from './contentHash.js';
+
+const DB_NAME = 'texo-model-store';
+const DB_VERSION = 2;
+
+const STORES = {
+  MODELS: 'models',          // Manifest per model, keyed by modelName
+  FILES: 'model-files',      // File contents, keyed by [modelName, path]
+  CHUNKS: 'download-chunks'  // Partial downloads, keyed by [modelName, path, offset]
+};
+
+/** Model id the worker loads imported files under */
+export const LOCAL_MODEL_NAME = 'local/FormulaNet';
+
+/**
+ * Prefix transformers.js puts in front of local model paths. The scheme is
+ * not fetchable, so an optional file missing from the store fails at once
+ * instead of reaching the network (or the dev server's index.html fallback).
+ */
+export const LOCAL_MODEL_PATH = 'indexeddb://texo-models/';
+
+/** Config and tokenizer files the worker needs besides the weights */
+export const REQUIRED_MODEL_FILES = [
+  'config.json',
+  'tokenizer.json',
+  'tokenizer_config.json'
+];
+
+/**
+ * Weight precisions the worker can load, with the ONNX file suffix
+ * transformers.js uses for each `dtype`
+ */
+export const MODEL_PRECISIONS = {
+  fp32: { label: 'fp32 (full precision)', suffix: '' },
+  fp16: { label: 'fp16 (half size)', suffix: '_fp16' },
+  q8: { label: 'q8 (8-bit quantized, smallest)', suffix: '_quantized' }
+};
+
+/**
+ * ONNX Runtime files that, when present next to the model, replace the
+ * runtime download from the CDN. Stored under `runtime/`.
+ */
+export const RUNTIME_FILES = {
+  wasm: 'ort-wasm-simd-threaded.jsep.wasm',
+  mjs: 'ort-wasm-simd-threaded.jsep.mjs'
+};
+
+// Model files worth importing (weights, external weight data, JSON configs)
+const MODEL_FILE_PATTERN = /\.(json|onnx|onnx_data)$/i;
+
+/**
+ * ONNX files loaded for a precision
+ * @param {string} dtype - Key of MODEL_PRECISIONS
+ * @returns {string[]} Encoder and decoder paths relative to the model root
+ */
+export function modelWeightFiles(dtype) {
+  const { suffix } = MODEL_PRECISIONS[dtype];
+  return [`onnx/encoder_model${suffix}.onnx`, `onnx/decoder_model_merged${suffix}.onnx`];
+}
+
+/**
+ * Precisions with a complete set of weights among the given paths
+ * @param {Iterable<string>} paths - File paths relative to the model root
+ * @returns {string[]} Keys of MODEL_PRECISIONS
+ */
+export function availablePrecisions(paths) {
+  const found = new Set(paths);
+  return Object.keys(MODEL_PRECISIONS).filter(dtype => modelWeightFiles(dtype).every(path => found.has(path)));
+}
+
+/**
+ * @typedef {Object} ModelManifest
+ * @property {string} modelName - Model id used by the worker (LOCAL_MODEL_NAME)
+ * @property {string} name - Display name (folder or zip file name)
+ * @property {'folder'|'zip'} source - Where the files came from
+ * @property {string} version - Short fingerprint of all file checksums
+ * @property {string|null} transformersVersion - `transformers_version` from config.json
+ * @property {number} importedAt - Import timestamp
+ * @property {number} totalSize - Sum of file sizes in bytes
+ * @property {string[]} precisions - Precisions with complete weights (keys of MODEL_PRECISIONS)
+ * @property {boolean} hasRuntime - Whether ONNX Runtime files were imported
+ * @property {Array<{path: string, size: number, sha256: string}>} files - Imported files
+ */
+
+let db = null;
+let initPromise = null;
+
+/**
+ * Open the model store database
+ * @returns {Promise<IDBDatabase>}
+ */
+export async function initModelStore() {
+  if (db) return db;
+  if (initPromise) return initPromise;
+
+  initPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onerror = () => {
+      initPromise = null;
+      reject(request.error);
+    };
+
+    request.onsuccess = () => {
+      db = request.result;
+      initPromise = null;
+      resolve(db);
+    };
+
+    request.onupgradeneeded = (event) => {
+      const upgradeDb = event.target.result;
+
+      if (event.oldVersion < 1) {
+        upgradeDb.createObjectStore(STORES.MODELS, { keyPath: 'modelName' });
+        const fileStore = upgradeDb.createObjectStore(STORES.FILES, { keyPath: ['modelName', 'path'] });
+        fileStore.createIndex('modelName', 'modelName', { unique: false });
+      }
+
+      if (event.oldVersion < 2) {
+        const chunkStore = upgradeDb.createObjectStore(STORES.CHUNKS, { keyPath: ['modelName', 'path', 'offset'] });
+        chunkStore.createIndex('modelName', 'modelName', { unique: false });
+        chunkStore.createIndex('file', ['modelName', 'path'], { unique: false });
+      }
+    };
+  });
+
+  return initPromise;
+}
+
+/**
+ * Pick the model files out of a folder or archive listing
+ * The model root is the shallowest folder with a config.json (preferring one
+ * that also holds an encoder), so both "FormulaNet/..." and bare file
+ * listings work. Hidden files and macOS archive metadata are ignored.
+ *
+ * @param {Array<{path: string, blob: Blob}>} entries - Files with their relative paths
+ * @returns {Array<{path: string, blob: Blob}>} Files keyed by path relative to the model root
+ * @throws {Error} If a required file is missing or no precision has complete weights
+ */
+export function resolveModelFiles(entries) {
+  const clean = entries
+    .map(entry => ({ ...entry, path: entry.path.replace(/\\/g, '/').replace(/^\/+/, '') }))
+    .filter(entry => !entry.path.split('/').some(part => part.startsWith('.') || part === '__MACOSX'));
+
+  const paths = clean.map(entry => entry.path);
+  const roots = clean
+    .filter(entry => entry.path === 'config.json' || entry.path.endsWith('/config.json'))
+    .map(entry => entry.path.slice(0, -'config.json'.length))
+    .sort((a, b) => a.split('/').length - b.split('/').length);
+  const root = roots.find(r => paths.some(path => path.startsWith(`${r}onnx/encoder_model`))) ?? roots[0] ?? '';
+
+  const files = [];
+  for (const entry of clean) {
+    const fileName = entry.path.split('/').pop();
+    if (Object.values(RUNTIME_FILES).includes(fileName)) {
+      files.push({ path: `runtime/${fileName}`, blob: entry.blob });
+    } else if (entry.path.startsWith(root) && MODEL_FILE_PATTERN.test(entry.path)) {
+      files.push({ path: entry.path.slice(root.length), blob: entry.blob });
+    }
+  }
+
+  const found = new Set(files.map(file => file.path));
+  const missing = REQUIRED_MODEL_FILES.filter(path => !found.has(path));
+  if (missing.length > 0) {
+    throw new Error(`Missing model files: ${missing.join(', ')}`);
+  }
+  if (availablePrecisions(found).length === 0) {
+    throw new Error(`Missing ONNX weights: expected ${modelWeightFiles('fp32').join(' and ')} or their _fp16/_quantized variants`);
+  }
+
+  return files;
+}
+
+/**
+ * Import model files into the store, replacing the installed model
+ *
+ * @param {Array<{path: string, blob: Blob}>} entries - Files from a folder picker or zip archive
+ * @param {Object} options
+ * @param {string} options.name - Display name
+ * @param {'folder'|'zip'} options.source - Where the files came from
+ * @param {Function} [options.onProgress] - Called with {file, index, total} while checksumming
+ * @returns {Promise<ModelManifest>}
+ */
+export async function importModel(entries, { name, source, onProgress }) {
+  const files = resolveModelFiles(entries);
+  const records = [];
+
+  for (let i = 0; i < files.length; i++) {
+    const { path, blob } = files[i];
+    onProgress?.({ file: path, index: i, total: files.length });
+    records.push({ path, blob, size: blob.size, sha256: await calculateSHA256(await blob.arrayBuffer()) });
+  }
+
+  const config = JSON.parse(await files.find(file => file.path === 'config.json').blob.text());
+  const fingerprint = records
+    .map(record => `${record.path}:${record.sha256}`)
+    .sort()
+    .join('\n');
+
+  const manifest = {
+    modelName: LOCAL_MODEL_NAME,
+    name,
+    source,
+    version: (await calculateSHA256(new TextEncoder().encode(fingerprint))).slice(0, 12),
+    transformersVersion: config.transformers_version ?? null,
+    importedAt: Date.now(),
+    totalSize: records.reduce((sum, record) => sum + record.size, 0),
+    precisions: availablePrecisions(records.map(record => record.path)),
+    hasRuntime: records.some(record => record.path.startsWith('runtime/')),
+    files: records.map(({ path, size, sha256 }) => ({ path, size, sha256 }))
+  };
+
+  await initModelStore();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([STORES.MODELS, STORES.FILES], 'readwrite');
+    const manifestStore = tx.objectStore(STORES.MODELS);
+    const fileStore = tx.objectStore(STORES.FILES);
+
+    manifestStore.delete(LOCAL_MODEL_NAME);
+    fileStore.index('modelName').openCursor(IDBKeyRange.only(LOCAL_MODEL_NAME)).onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      cursor.delete();
+      cursor.continue();
+    };
+    for (const { path, blob } of records) {
+      fileStore.put({ modelName: LOCAL_MODEL_NAME, path, blob });
+    }
+    manifestStore.put(manifest);
+
+    tx.oncomplete = () => resolve(manifest);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Model import aborted'));
+  });
+}
+
+/**
+ * Get the installed model manifest
+ * @returns {Promise<ModelManifest|null>} Manifest, or null when no model is imported
+ */
+export async function getInstalledModel() {
+  await initModelStore();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([STORES.MODELS], 'readonly');
+    const request = tx.objectStore(STORES.MODELS).get(LOCAL_MODEL_NAME);
+
+    request.onsuccess = () => resolve(request.result || null);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Read one stored model file
+ * @param {string} path - Path relative to the model root (e.g. 'onnx/encoder_model.onnx')
+ * @param {string} [modelName=LOCAL_MODEL_NAME] - Imported model or downloaded repo id
+ * @returns {Promise<Blob|null>} File contents, or null if not stored
+ */
+export async function getModelFile(path, modelName = LOCAL_MODEL_NAME) {
+  await initModelStore();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([STORES.FILES], 'readonly');
+    const request = tx.objectStore(STORES.FILES).get([modelName, path]);
+
+    request.onsuccess = () => resolve(request.result?.blob ?? null);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Remove the imported model (the worker falls back to downloading)
+ * @returns {Promise<void>}
+ */
+export async function deleteInstalledModel() {
+  return deleteModelFiles(LOCAL_MODEL_NAME);
+}
+
+/**
+ * Get the manifest of any stored model
+ * @param {string} modelName - LOCAL_MODEL_NAME or a downloaded repo id
+ * @returns {Promise<Object|null>}
+ */
+export async function getStoredModel(modelName) {
+  await initModelStore();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([STORES.MODELS], 'readonly');
+    const request = tx.objectStore(STORES.MODELS).get(modelName);
+
+    request.onsuccess = () => resolve(request.result || null);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Create or replace a model manifest
+ * @param {Object} manifest - Manifest with a `modelName`
+ * @returns {Promise<void>}
+ */
+export async function saveStoredModel(manifest) {
+  await initModelStore();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([STORES.MODELS], 'readwrite');
+    tx.objectStore(STORES.MODELS).put(manifest);
+
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+/**
+ * Store a finished (verified) file and drop its download chunks
+ * @param {string} modelName - Downloaded repo id
+ * @param {string} path - Path relative to the model root
+ * @param {Blob} blob - File contents
+ * @returns {Promise<void>}
+ */
+export async function putModelFile(modelName, path, blob) {
+  await initModelStore();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([STORES.FILES, STORES.CHUNKS], 'readwrite');
+    tx.objectStore(STORES.FILES).put({ modelName, path, blob });
+    tx.objectStore(STORES.CHUNKS).delete(IDBKeyRange.bound([modelName, path, 0], [modelName, path, Infinity]));
+
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+/**
+ * Read the chunks downloaded so far for one file
+ * @param {string} modelName - Downloaded repo id
+ * @param {string} path - Path relative to the model root
+ * @returns {Promise<Array<{offset: number, blob: Blob}>>} In file order
+ */
+export async function getDownloadChunks(modelName, path) {
+  await initModelStore();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([STORES.CHUNKS], 'readonly');
+    const request = tx.objectStore(STORES.CHUNKS).index('file').getAll([modelName, path]);
+
+    request.onsuccess = () => resolve(
+      request.result
+        .map(({ offset, blob }) => ({ offset, blob }))
+        .sort((a, b) => a.offset - b.offset)
+    );
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Append one chunk of a file being downloaded
+ * @param {string} modelName - Downloaded repo id
+ * @param {string} path - Path relative to the model root
+ * @param {number} offset - Byte offset of the chunk in the file
+ * @param {Blob} blob - Chunk contents
+ * @returns {Promise<void>}
+ */
+export async function addDownloadChunk(modelName, path, offset, blob) {
+  await initModelStore();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([STORES.CHUNKS], 'readwrite');
+    tx.objectStore(STORES.CHUNKS).put({ modelName, path, offset, blob });
+
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+/**
+ * Drop the partial download of one file (to restart it)
+ * @param {string} modelName - Downloaded repo id
+ * @param {string} path - Path relative to the model root
+ * @returns {Promise<void>}
+ */
+export async function clearDownloadChunks(modelName, path) {
+  await initModelStore();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([STORES.CHUNKS], 'readwrite');
+    tx.objectStore(STORES.CHUNKS).delete(IDBKeyRange.bound([modelName, path, 0], [modelName, path, Infinity]));
+
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+/**
+ * Storage used by every stored model, per file
+ * Includes partial downloads, so the space they take is visible too.
+ * @returns {Promise<Array<{modelName: string, name: string, totalSize: number,
+ *   files: Array<{path: string, size: number, status: 'verified'|'stored'|'partial'}>}>>}
+ */
+export async function getModelStorage() {
+  await initModelStore();
+
+  const [manifests, files, chunks] = await new Promise((resolve, reject) => {
+    const tx = db.transaction([STORES.MODELS, STORES.FILES, STORES.CHUNKS], 'readonly');
+    const requests = [STORES.MODELS, STORES.FILES, STORES.CHUNKS].map(name => tx.objectStore(name).getAll());
+
+    tx.oncomplete = () => resolve(requests.map(request => request.result));
+    tx.onerror = () => reject(tx.error);
+  });
+
+  const models = new Map();
+  const modelFor = (modelName) => {
+    if (!models.has(modelName)) {
+      const manifest = manifests.find(m => m.modelName === modelName);
+      models.set(modelName, { modelName, name: manifest?.name ?? modelName, manifest, files: new Map() });
+    }
+    return models.get(modelName);
+  };
+
+  for (const { modelName, path, blob } of files) {
+    const model = modelFor(modelName);
+    const verified = model.manifest?.files?.find(f => f.path === path)?.verified;
+    model.files.set(path, { path, size: blob.size, status: verified ? 'verified' : 'stored' });
+  }
+  for (const { modelName, path, blob } of chunks) {
+    const model = modelFor(modelName);
+    const entry = model.files.get(path) ?? { path, size: 0, status: 'partial' };
+    entry.size += blob.size;
+    model.files.set(path, entry);
+  }
+
+  return [...models.values()].map(({ modelName, name, files: byPath }) => {
+    const list = [...byPath.values()].sort((a, b) => a.path.localeCompare(b.path));
+    return { modelName, name, totalSize: list.reduce((sum, f) => sum + f.size, 0), files: list };
+  });
+}
+
+/**
+ * Delete every file, partial download and the manifest of one model
+ * @param {string} modelName - LOCAL_MODEL_NAME or a downloaded repo id
+ * @returns {Promise<void>}
+ */
+export async function deleteModelFiles(modelName) {
+  await initModelStore();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([STORES.MODELS, STORES.FILES, STORES.CHUNKS], 'readwrite');
+    tx.objectStore(STORES.MODELS).delete(modelName);
+    for (const name of [STORES.FILES, STORES.CHUNKS]) {
+      tx.objectStore(name).index('modelName').openCursor(IDBKeyRange.only(modelName)).onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+        cursor.delete();
+        cursor.continue();
+      };
+    }
+
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+/**
+ * Build a transformers.js custom cache (`env.customCache`) that serves
+ * imported files. transformers.js looks files up by
+ * `${env.localModelPath}${modelName}/${file}`; other keys miss.
+ *
+ * @param {string} [modelName=LOCAL_MODEL_NAME] - Model id passed to from_pretrained
+ * @param {Function} [readFile] - Reads a file by relative path (defaults to the stored files of `modelName`)
+ * @returns {{match: Function, put: Function}} Cache API subset used by transformers.js
+ */
+export function createModelFileCache(modelName = LOCAL_MODEL_NAME, readFile = (path) => getModelFile(path, modelName)) {
+  const prefix = `${LOCAL_MODEL_PATH}${modelName}/`;
+
+  return {
+    async match(request) {
+      const key = typeof request === 'string' ? request : request.url;
+      if (!key.startsWith(prefix)) return undefined;
+
+      const blob = await readFile(key.slice(prefix.length));
+      if (!blob) return undefined;
+      return new Response(blob, { headers: { 'Content-Length': String(blob.size) } });
+    },
+
+    // Stored files are read-only
+    async put() {}
+  };
+}
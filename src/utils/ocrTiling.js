@@ -0,0 +1,169 @@
+/**
+ * OCR Tile Extraction for Magic Canvas Rows
+ *
+ * Rows are one OCR tile tall (RowManager.rowHeight, 384px by default) but can
+ * be arbitrarily wide. Squashing a wide row into a single square makes long
+ * derivations unreadable, so the row's ink bounding box is cut into
+ * overlapping tiles as wide as the selected model's input instead. Each tile
+ * records its x-offset so the per-tile LaTeX fragments can be reassembled in
+ * order.
+ *
+ * All functions are pure; rasterization happens in the OCR pipeline.
+ */
+
+import { DEFAULT_INPUT_SIZE } from './modelRegistry.js';
+
+/** Default width of a single OCR tile (the default model's input size) */
+export const TILE_SIZE = DEFAULT_INPUT_SIZE;
+
+/** Horizontal overlap between neighbouring tiles (16.7% of a default tile) */
+export const TILE_OVERLAP = 64;
+
+/**
+ * @typedef {Object} InkBounds
+ * @property {number} minX - Left edge of the ink
+ * @property {number} minY - Top edge of the ink
+ * @property {number} maxX - Right edge of the ink
+ * @property {number} maxY - Bottom edge of the ink
+ * @property {number} width - maxX - minX
+ * @property {number} height - maxY - minY
+ */
+
+/**
+ * @typedef {Object} Tile
+ * @property {string} id - Stable tile identifier (format: "{rowId}-tile-{index}")
+ * @property {string} rowId - Row the tile belongs to
+ * @property {number} index - Tile index from left to right
+ * @property {number} offsetX - Left edge of the tile in canvas coordinates
+ * @property {number} offsetY - Top edge of the tile (the row's yStart)
+ * @property {number} width - Tile width (the tileSize option)
+ * @property {number} height - Tile height (the row's height)
+ * @property {number} overlap - Overlap with the previous tile in pixels (0 for the first tile)
+ * @property {string[]} elementIds - IDs of elements whose bounds intersect the tile
+ * @property {number|null} inkMinX - Left edge of the ink inside the tile (null if the tile is empty)
+ * @property {number|null} inkMaxX - Right edge of the ink inside the tile (null if the tile is empty)
+ */
+
+/**
+ * Get the bounding box of a single Excalidraw element
+ * Handles negative width/height (elements drawn right-to-left or bottom-to-top)
+ *
+ * @param {Object} element - Excalidraw element with x, y, width, height
+ * @returns {{minX: number, minY: number, maxX: number, maxY: number}}
+ */
+export function getElementBounds(element) {
+  const width = element.width || 0;
+  const height = element.height || 0;
+
+  return {
+    minX: Math.min(element.x, element.x + width),
+    minY: Math.min(element.y, element.y + height),
+    maxX: Math.max(element.x, element.x + width),
+    maxY: Math.max(element.y, element.y + height)
+  };
+}
+
+/**
+ * Get the combined ink bounding box of a set of elements
+ *
+ * @param {Array} elements - Excalidraw elements
+ * @returns {InkBounds|null} Bounds, or null if there is no usable element
+ */
+export function getInkBounds(elements) {
+  if (!Array.isArray(elements)) return null;
+
+  let bounds = null;
+
+  for (const element of elements) {
+    if (!element || element.isDeleted) continue;
+    if (typeof element.x !== 'number' || typeof element.y !== 'number') continue;
+
+    const b = getElementBounds(element);
+    if (!bounds) {
+      bounds = { ...b };
+    } else {
+      bounds.minX = Math.min(bounds.minX, b.minX);
+      bounds.minY = Math.min(bounds.minY, b.minY);
+      bounds.maxX = Math.max(bounds.maxX, b.maxX);
+      bounds.maxY = Math.max(bounds.maxY, b.maxY);
+    }
+  }
+
+  if (!bounds) return null;
+
+  return {
+    ...bounds,
+    width: bounds.maxX - bounds.minX,
+    height: bounds.maxY - bounds.minY
+  };
+}
+
+/**
+ * Calculate tile start offsets covering a given width
+ * Stride is tileSize - overlap; a single tile is used when the ink fits.
+ *
+ * @param {number} width - Width to cover in pixels
+ * @param {Object} [options]
+ * @param {number} [options.tileSize=TILE_SIZE] - Tile width
+ * @param {number} [options.overlap=TILE_OVERLAP] - Overlap between tiles
+ * @returns {number[]} Tile offsets relative to the start of the covered range
+ */
+export function calculateTilePositions(width, { tileSize = TILE_SIZE, overlap = TILE_OVERLAP } = {}) {
+  if (overlap < 0 || overlap >= tileSize) {
+    throw new Error(`Invalid tile overlap: ${overlap} (must be in [0, ${tileSize}))`);
+  }
+
+  if (!(width > tileSize)) {
+    return [0];
+  }
+
+  const stride = tileSize - overlap;
+  const numTiles = Math.ceil((width - overlap) / stride);
+
+  return Array.from({ length: numTiles }, (_, i) => i * stride);
+}
+
+/**
+ * Extract overlapping tiles covering a row's ink
+ *
+ * Tiles span the full row height so they stay aligned with RowManager rows,
+ * and start at the left edge of the ink bounding box.
+ *
+ * @param {import('./rowManager.js').Row} row - Row to tile (uses id, yStart, yEnd)
+ * @param {Array} elements - Excalidraw elements in the row
+ * @param {Object} [options]
+ * @param {number} [options.tileSize=TILE_SIZE] - Tile width
+ * @param {number} [options.overlap=TILE_OVERLAP] - Overlap between tiles
+ * @returns {Tile[]} Tiles ordered left to right (empty if the row has no ink)
+ */
+export function extractTiles(row, elements, { tileSize = TILE_SIZE, overlap = TILE_OVERLAP } = {}) {
+  if (!row) return [];
+
+  const bounds = getInkBounds(elements);
+  if (!bounds) return [];
+
+  const rowHeight = row.yEnd - row.yStart;
+  const elementBounds = elements
+    .filter(el => el && !el.isDeleted && typeof el.x === 'number' && typeof el.y === 'number')
+    .map(el => ({ id: el.id, ...getElementBounds(el) }));
+
+  return calculateTilePositions(bounds.width, { tileSize, overlap }).map((relativeX, index) => {
+    const offsetX = bounds.minX + relativeX;
+    const tileRight = offsetX + tileSize;
+    const inTile = elementBounds.filter(b => b.maxX >= offsetX && b.minX <= tileRight);
+
+    return {
+      id: `${row.id}-tile-${index}`,
+      rowId: row.id,
+      index,
+      offsetX,
+      offsetY: row.yStart,
+      width: tileSize,
+      height: rowHeight,
+      overlap: index > 0 ? overlap : 0,
+      elementIds: inTile.map(b => b.id),
+      inkMinX: inTile.length > 0 ? Math.max(offsetX, Math.min(...inTile.map(b => b.minX))) : null,
+      inkMaxX: inTile.length > 0 ? Math.min(tileRight, Math.max(...inTile.map(b => b.maxX))) : null
+    };
+  });
+}
@@ -1,31 +1,362 @@
 import Logger from './logger.js';
+import { extractTiles, getInkBounds } from './ocrTiling.js';
+import { assembleLatex } from './latexAssembly.js';
+import { calculateTileHash } from './contentHash.js';
+import { getMinConfidence } from './latexConfidence.js';
+import { alignRow } from './strokeAlignment.js';
+import { pixelsToGrey, verifyRendering } from './renderCheck.js';
+import { getCachedOCRResult, cacheOCRResult } from './workspaceDB.js';
+import { preprocessImg } from '../workers/imageProcessor.js';
+import { canRasterizeStrokes, toStrokes, rasterizeStrokes } from '../workers/strokeRasterizer.js';
+import { getOCRWorkerPool, PRIORITY } from '../workers/ocrWorkerPool.js';
+
+const OCR_ERROR_MESSAGE = 'Could not transcribe. Try rewriting more clearly.';
+const OCR_INTERRUPTED_MESSAGE = 'Transcription was interrupted. Switch rows to try again.';
+
+// Most tiles stacked into one batched inference
+const MAX_BATCH_SIZE = 8;
+
+let requestCounter = 0;
+let excalidrawModulePromise = null;
+
+// Latest request key per row, used to drop superseded results
+const latestRequestByRow = new Map();
+
+/**
+ * Crop one tile out of the rasterized row ink
+ * @param {HTMLCanvasElement} source - Canvas holding the whole row ink
+ * @param {import('./ocrTiling.js').InkBounds} bounds - Ink bounds the source canvas was rendered from
+ * @param {import('./ocrTiling.js').Tile} tile - Tile to crop
+ * @returns {Promise<Blob>} PNG of the tile on a white background
+ */
+function renderTile(source, bounds, tile) {
+    const canvas = document.createElement('canvas');
+    canvas.width = tile.width;
+    canvas.height = tile.height;
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, tile.width, tile.height);
+
+    // Excalidraw pads the export by half the stroke width on each side
+    const strokeInsetX = (source.width - bounds.width) / 2;
+    const strokeInsetY = (source.height - bounds.height) / 2;
+    ctx.drawImage(
+        source,
+        bounds.minX - tile.offsetX - strokeInsetX,
+        bounds.minY - tile.offsetY - strokeInsetY
+    );
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+            if (blob) resolve(blob);
+            else reject(new Error(`Failed to rasterize ${tile.id}`));
+        }, 'image/png');
+    });
+}
+
+/**
+ * Rasterize row elements and cut them into tile images
+ * @param {Array} elements - Excalidraw elements in the row
+ * @param {Array<import('./ocrTiling.js').Tile>} tiles - Tiles from extractTiles
+ * @param {Object} [files] - Excalidraw binary files (for image elements)
+ * @returns {Promise<Blob[]>} One PNG per tile, in tile order
+ */
+async function rasterizeRowTiles(elements, tiles, files = {}) {
+    // Loaded on demand so importing this module stays cheap
+    excalidrawModulePromise ??= import('@excalidraw/excalidraw');
+    const { exportToCanvas } = await excalidrawModulePromise;
+
+    const source = await exportToCanvas({
+        elements,
+        appState: {
+            exportBackground: true,
+            viewBackgroundColor: '#ffffff'
+        },
+        files,
+        exportPadding: 0
+    });
+
+    const bounds = getInkBounds(elements);
+    return Promise.all(tiles.map(tile => renderTile(source, bounds, tile)));
+}
+
+/**
+ * Draw pen-only row ink straight into model-sized tile buffers
+ * Skips the Excalidraw export and PNG round trip; the same strokes always
+ * give the same pixels, so cache keys stay stable.
+ *
+ * @param {Array} elements - freedraw/line elements in the row
+ * @param {Array<import('./ocrTiling.js').Tile>} tiles - Tiles from extractTiles
+ * @param {number} inputSize - Model input size
+ * @returns {Float32Array[]} One inputSize x inputSize buffer per tile, in tile order
+ */
+function rasterizeRowStrokes(elements, tiles, inputSize) {
+    const strokes = toStrokes(elements);
+    return tiles.map(tile => rasterizeStrokes(strokes, {
+        region: { x: tile.offsetX, y: tile.offsetY, width: tile.width, height: tile.height },
+        targetSize: inputSize
+    }));
+}
+
+/**
+ * Preprocess a tile and look it up in the OCR cache
+ *
+ * The tile is preprocessed here (instead of in the worker) so the exact
+ * buffer the model would see can be hashed and looked up first.
+ *
+ * @param {import('./ocrTiling.js').Tile} tile - Tile to recognize
+ * @param {{blob?: Blob, pixels?: Float32Array}} input - Rasterized tile, or its model input when already drawn
+ * @param {number} inputSize - Model input size
+ * @param {string|null} modelId - Loaded model, part of the cache key
+ * @returns {Promise<{tile: Object, image: File|null, pixels: Float32Array, tileHash: string, fragment: Object|null}>}
+ *   `fragment` is the cached result, or null on a miss
+ */
+async function prepareTile(tile, { blob, pixels: drawn }, inputSize, modelId) {
+    const image = blob ? new File([blob], `${tile.id}.png`, { type: 'image/png' }) : null;
+    const pixels = drawn ?? (await preprocessImg(image, inputSize)).array;
+    const tileHash = await calculateTileHash(pixels, modelId);
+
+    let fragment = null;
+    try {
+        const cached = await getCachedOCRResult(tileHash);
+        if (cached) {
+            fragment = { tile, latex: cached.latex, tokens: cached.metadata?.tokens ?? null, time: '0.00', tileHash, cached: true };
+        }
+    } catch (error) {
+        Logger.warn('OCR', 'OCR cache lookup failed', { tileId: tile.id, error: error.message });
+    }
+
+    return { tile, image, pixels, tileHash, fragment };
+}
+
+/**
+ * Store a fresh recognition in the OCR cache and build its fragment
+ * @param {Object} prepared - Result of prepareTile
+ * @param {{output: string, time: string, tokens?: Array}} result - Worker result
+ * @returns {{tile: Object, latex: string, tokens: Array|null, time: string, tileHash: string, cached: boolean}}
+ */
+function storeTileResult({ tile, tileHash }, { output, time, tokens }) {
+    cacheOCRResult(tileHash, output, { time, tokens }).catch(error => {
+        Logger.warn('OCR', 'Failed to cache OCR result', { tileId: tile.id, error: error.message });
+    });
+
+    return { tile, latex: output, tokens: tokens ?? null, time, tileHash, cached: false };
+}
 
 /**
- * Trigger OCR processing for a row (STUB for Epic 2)
+ * Recognize the tiles of a row, reusing cached results for unchanged pixels
+ *
+ * A single uncached tile is sent as a normal job; several are stacked into
+ * batched jobs of up to MAX_BATCH_SIZE images, so the model runs once per
+ * batch instead of once per tile.
+ *
+ * @param {import('../workers/ocrWorkerPool.js').OCRWorkerPool} pool - Worker pool
+ * @param {Array<import('./ocrTiling.js').Tile>} tiles - Tiles of the row
+ * @param {Array<{blob?: Blob, pixels?: Float32Array}>} inputs - Rasterized tiles, in tile order
+ * @param {number} priority - Pool priority
+ * @returns {Promise<Array<{tile: Object, latex: string, tokens: Array|null, time: string, tileHash: string, cached: boolean, pixels: Float32Array}>>}
+ *   Fragments in tile order, with the model input they were recognized from
+ */
+async function recognizeTiles(pool, tiles, inputs, priority) {
+    const prepared = await Promise.all(tiles.map((tile, i) => prepareTile(tile, inputs[i], pool.getInputSize(), pool.getModelId())));
+    const pending = prepared.filter(p => !p.fragment);
+
+    // Tile keys are "{rowId}:{tileIndex}" so pool.cancel(rowId) reaches all of them
+    const tileKey = ({ tile }) => `${tile.rowId}:${tile.index}`;
+
+    if (pending.length === 1) {
+        const [p] = pending;
+        const result = await pool.submit({ image: p.image, pixels: p.pixels, key: tileKey(p), priority });
+        p.fragment = storeTileResult(p, result);
+    } else if (pending.length > 1) {
+        const batches = [];
+        for (let i = 0; i < pending.length; i += MAX_BATCH_SIZE) {
+            batches.push(pending.slice(i, i + MAX_BATCH_SIZE));
+        }
+
+        await Promise.all(batches.map(async (batch, n) => {
+            const { items, time } = await pool.submitBatch({
+                items: batch.map(p => ({ key: tileKey(p), image: p.image, pixels: p.pixels })),
+                key: `${batch[0].tile.rowId}:batch-${n}`,
+                priority
+            });
+
+            // Split the batch time evenly so row totals stay comparable
+            const itemTime = (parseFloat(time) / batch.length).toFixed(2);
+            batch.forEach((p, i) => {
+                p.fragment = storeTileResult(p, { ...items[i], time: itemTime });
+            });
+        }));
+    }
+
+    return prepared.map(p => ({ ...p.fragment, pixels: p.pixels }));
+}
+
+/**
+ * Compare each fragment's rendering with its tile and flag the row if one looks off
+ *
+ * Runs after the row result is written; the score is only stored while the
+ * row still holds the same recognition.
+ *
+ * @param {import('./rowManager.js').RowManager} rowManager - RowManager to update
+ * @param {string} rowId - Row ID
+ * @param {Array} fragments - Fragments from recognizeTiles
+ * @param {string} tileHash - Row tile hash the fragments belong to
+ * @returns {Promise<void>}
+ */
+async function verifyRowRendering(rowManager, rowId, fragments, tileHash) {
+    const checks = await Promise.all(fragments.map(f => {
+        const size = Math.round(Math.sqrt(f.pixels.length));
+        return verifyRendering(f.latex, pixelsToGrey(f.pixels, size));
+    }));
+
+    const scores = checks.filter(Boolean).map(c => c.score);
+    if (scores.length === 0 || rowManager.getRow(rowId)?.tileHash !== tileHash) return;
+
+    const renderScore = Math.min(...scores);
+    const suspicious = checks.some(c => c?.suspicious);
+    rowManager.updateRow(rowId, { renderScore, suspicious });
+
+    if (suspicious) {
+        Logger.info('OCR', 'Rendered LaTeX does not match row ink', { rowId, renderScore });
+    }
+}
+
+/**
+ * Run OCR for a row and write the result back to RowManager
+ *
+ * Cuts the row's ink into overlapping tiles (see ocrTiling.js), rasterizes
+ * them (pen strokes are drawn directly, see strokeRasterizer.js), sends the
+ * tiles through the shared OCR worker pool (batched, skipping tiles whose
+ * preprocessed pixels are already in the OCR cache), merges the fragments
+ * (see latexAssembly.js) and updates `transcribedLatex`, `recognizedLatex`, `tileHash`, `ocrTokens`, `ocrConfidence`,
+ * `strokeAlignment` (see strokeAlignment.js), `ocrStatus` and `errorMessage`.
+ * Results for a row that was re-triggered in the meantime are discarded.
+ * The rendered LaTeX is then compared with the tiles in the background
+ * (see renderCheck.js), setting `renderScore` and `suspicious`.
+ *
  * @param {string} rowId - Row ID to process
  * @param {Array} elements - Elements in the row
+ * @param {Object} options - Pipeline options
+ * @param {import('./rowManager.js').RowManager} options.rowManager - RowManager to update
+ * @param {Object} [options.files] - Excalidraw binary files for the scene
+ * @param {number} [options.priority] - Pool priority (defaults to HIGH for the active row, NORMAL otherwise)
+ * @param {boolean} [options.retried] - Set on the one re-run after the pool dropped the row's jobs
+ * @returns {Promise<{success: boolean, data?: Object, error?: string, userMessage?: string, stale?: boolean,
+ *   interrupted?: boolean}>} `interrupted` when the pool dropped the jobs twice (row set to error)
  */
-export function triggerOCRForRow(rowId, elements) {
-    Logger.info('OCR', 'OCR triggered for row (STUB)', {
+export async function triggerOCRForRow(rowId, elements, { rowManager, files, priority, retried = false } = {}) {
+    Logger.info('OCR', 'OCR triggered for row', {
         rowId,
         elementCount: elements ? elements.length : 0,
         timestamp: new Date().toISOString()
     });
 
-    // TODO: Epic 2 - Implement actual OCR pipeline here
-    // 1. Extract overlapping tiles from row bounding box (ocrTiling.js)
-    // 2. Send tiles to OCR worker pool (ocrWorkerPool.js)
-    // 3. Merge LaTeX fragments (latexAssembly.js)
-    // 4. Post-process LaTeX (ocrPostProcessor.js)
-    // 5. Update row.transcribedLatex and row.ocrStatus = 'complete'
-
-    // STUB: Simulate async OCR processing
-    setTimeout(() => {
-        Logger.info('OCR', 'OCR completed for row (STUB)', { rowId });
-        // Update row status (will be real implementation in Epic 2)
-        // rowManager.updateRow(rowId, {
-        //   ocrStatus: 'complete',
-        //   transcribedLatex: '...'
-        // });
-    }, 500);
+    if (!rowManager || !rowManager.getRow(rowId)) {
+        Logger.warn('OCR', 'Skipping OCR for unknown row', { rowId });
+        return { success: false, error: `Row ${rowId} not found` };
+    }
+
+    if (!elements || elements.length === 0) {
+        Logger.debug('OCR', 'Skipping OCR for empty row', { rowId });
+        return { success: false, error: 'Row has no elements' };
+    }
+
+    const pool = getOCRWorkerPool();
+    const row = rowManager.getRow(rowId);
+    const jobPriority = priority ?? (rowManager.activeRowId === rowId ? PRIORITY.HIGH : PRIORITY.NORMAL);
+
+    // Supersede any queued or running tiles from an earlier trigger of this row
+    pool.cancel(rowId, 'row re-triggered');
+
+    const requestId = ++requestCounter;
+    latestRequestByRow.set(rowId, requestId);
+    const isStale = () => latestRequestByRow.get(rowId) !== requestId || !rowManager.getRow(rowId);
+
+    rowManager.updateRow(rowId, { ocrStatus: 'processing', errorMessage: null });
+
+    try {
+        // Tiles are preprocessed here, so the model (and its input size) must be known first
+        await pool.init();
+
+        const tiles = extractTiles(row, elements, { tileSize: pool.getInputSize() });
+        const inputs = canRasterizeStrokes(elements) && typeof OffscreenCanvas !== 'undefined'
+            ? rasterizeRowStrokes(elements, tiles, pool.getInputSize()).map(pixels => ({ pixels }))
+            : (await rasterizeRowTiles(elements, tiles, files)).map(blob => ({ blob }));
+
+        if (isStale()) {
+            return { success: false, stale: true };
+        }
+
+        const fragments = await recognizeTiles(pool, tiles, inputs, jobPriority);
+
+        const latex = assembleLatex(fragments);
+        const time = fragments.reduce((sum, f) => sum + parseFloat(f.time), 0).toFixed(2);
+        const tileHash = fragments.map(f => f.tileHash).join(',');
+        const cacheHits = fragments.filter(f => f.cached).length;
+        const ocrTokens = fragments.map(f => ({ tileIndex: f.tile.index, tokens: f.tokens || [] }));
+        const ocrConfidence = getMinConfidence(ocrTokens.flatMap(t => t.tokens));
+        const { strokeAlignment, alignmentSource } = alignRow(latex, fragments, elements, pool.getInputSize());
+
+        if (isStale()) {
+            Logger.debug('OCR', 'Discarding superseded OCR result', { rowId });
+            return { success: false, stale: true };
+        }
+
+        rowManager.updateRow(rowId, {
+            ocrStatus: 'complete',
+            transcribedLatex: latex,
+            recognizedLatex: latex,
+            tileHash,
+            ocrTokens,
+            ocrConfidence,
+            strokeAlignment,
+            alignmentSource,
+            renderScore: null,
+            suspicious: false,
+            errorMessage: null
+        });
+
+        verifyRowRendering(rowManager, rowId, fragments, tileHash).catch(error => {
+            Logger.warn('OCR', 'Render check failed for row', { rowId, error: error.message });
+        });
+
+        Logger.info('OCR', 'OCR completed for row', { rowId, tileCount: tiles.length, cacheHits, time, latex });
+        return { success: true, data: { latex, time, fragments } };
+    } catch (error) {
+        if (isStale()) {
+            Logger.debug('OCR', 'OCR for row superseded', { rowId, reason: error.message });
+            return { success: false, stale: true, error: error.message };
+        }
+
+        if (error.cancelled) {
+            // Evicted from a full queue or the pool was terminated (e.g. model change): run once more
+            if (!retried) {
+                Logger.info('OCR', 'OCR for row interrupted, retrying', { rowId, reason: error.message });
+                return await triggerOCRForRow(rowId, elements, { rowManager, files, priority, retried: true });
+            }
+
+            Logger.warn('OCR', 'OCR for row interrupted', { rowId, reason: error.message });
+            rowManager.updateRow(rowId, { ocrStatus: 'error', errorMessage: OCR_INTERRUPTED_MESSAGE });
+            return { success: false, interrupted: true, error: error.message, userMessage: OCR_INTERRUPTED_MESSAGE };
+        }
+
+        Logger.error('OCR', 'OCR failed for row', {
+            rowId,
+            error: error.message,
+            stack: error.stack
+        });
+
+        rowManager.updateRow(rowId, {
+            ocrStatus: 'error',
+            errorMessage: OCR_ERROR_MESSAGE
+        });
+
+        return { success: false, error: error.message, userMessage: OCR_ERROR_MESSAGE };
+    } finally {
+        if (latestRequestByRow.get(rowId) === requestId) {
+            latestRequestByRow.delete(rowId);
+        }
+    }
 }
@@ -0,0 +1,150 @@
+/**
+ * PDF Page Rendering and Formula Region Selection
+ *
+ * PDF pages are rendered locally with pdf.js (nothing is uploaded) at a
+ * fixed scale, and formula regions are selected on the rendered page by
+ * rubber-banding. Region rectangles are kept in rendered-page pixels so they
+ * can be cut straight out of the page canvas for recognition.
+ *
+ * pdf.js is loaded on demand, so importing this module stays cheap.
+ */
+
+/** Render scale (1 = 72 dpi); 2 keeps small print legible for the model */
+export const PDF_RENDER_SCALE = 2;
+
+/** Selections smaller than this (rendered px) are treated as clicks */
+export const MIN_REGION_SIZE = 8;
+
+/**
+ * @typedef {Object} Rect
+ * @property {number} x - Left edge
+ * @property {number} y - Top edge
+ * @property {number} width - Width
+ * @property {number} height - Height
+ */
+
+let pdfjsPromise = null;
+
+/**
+ * Load pdf.js and point it at its bundled worker
+ * @returns {Promise<Object>} The pdfjs-dist module
+ */
+async function loadPdfjs() {
+  pdfjsPromise ??= Promise.all([
+    import('pdfjs-dist'),
+    import('pdfjs-dist/build/pdf.worker.min.mjs?url')
+  ]).then(([pdfjs, worker]) => {
+    pdfjs.GlobalWorkerOptions.workerSrc = worker.default;
+    return pdfjs;
+  }).catch((error) => {
+    // Let the next PDF try again (e.g. the chunk failed to load while offline)
+    pdfjsPromise = null;
+    throw error;
+  });
+  return pdfjsPromise;
+}
+
+/**
+ * Open a PDF file
+ * @param {File|Blob} file - PDF file
+ * @returns {Promise<Object>} pdf.js document (`numPages`, `getPage`, `destroy`)
+ */
+export async function openPdf(file) {
+  const pdfjs = await loadPdfjs();
+  return pdfjs.getDocument({ data: new Uint8Array(await file.arrayBuffer()) }).promise;
+}
+
+/**
+ * Render one page onto a canvas
+ * @param {Object} pdf - Document from openPdf
+ * @param {number} pageNumber - 1-based page number
+ * @param {HTMLCanvasElement} canvas - Target canvas (resized to the page)
+ * @param {number} [scale=PDF_RENDER_SCALE] - Render scale
+ * @returns {Promise<{width: number, height: number}>} Rendered size in pixels
+ */
+export async function renderPdfPage(pdf, pageNumber, canvas, scale = PDF_RENDER_SCALE) {
+  const page = await pdf.getPage(pageNumber);
+  const viewport = page.getViewport({ scale });
+
+  canvas.width = Math.floor(viewport.width);
+  canvas.height = Math.floor(viewport.height);
+  await page.render({ canvas, canvasContext: canvas.getContext('2d'), viewport }).promise;
+
+  return { width: canvas.width, height: canvas.height };
+}
+
+/**
+ * Turn two drag corners into a rectangle clamped to the page
+ * @param {{x: number, y: number}} start - Pointer-down position
+ * @param {{x: number, y: number}} end - Current pointer position
+ * @param {{width: number, height: number}} bounds - Page size
+ * @returns {Rect}
+ */
+export function normalizeSelection(start, end, bounds) {
+  const clampX = (v) => Math.min(Math.max(0, v), bounds.width);
+  const clampY = (v) => Math.min(Math.max(0, v), bounds.height);
+  const x0 = clampX(Math.min(start.x, end.x));
+  const y0 = clampY(Math.min(start.y, end.y));
+  const x1 = clampX(Math.max(start.x, end.x));
+  const y1 = clampY(Math.max(start.y, end.y));
+
+  return {
+    x: Math.round(x0),
+    y: Math.round(y0),
+    width: Math.round(x1 - x0),
+    height: Math.round(y1 - y0)
+  };
+}
+
+/**
+ * Whether a selection is large enough to be a region
+ * @param {Rect} rect - Selection
+ * @returns {boolean}
+ */
+export function isRegion(rect) {
+  return rect.width >= MIN_REGION_SIZE && rect.height >= MIN_REGION_SIZE;
+}
+
+/**
+ * Group regions by page number
+ * @param {Array<{page: number}>} regions - Regions in selection order
+ * @returns {Array<{page: number, regions: Array}>} Pages in ascending order; regions top to bottom
+ */
+export function groupRegionsByPage(regions) {
+  const pages = new Map();
+  for (const region of regions) {
+    if (!pages.has(region.page)) pages.set(region.page, []);
+    pages.get(region.page).push(region);
+  }
+
+  return [...pages.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([page, list]) => ({
+      page,
+      regions: [...list].sort((a, b) => a.rect.y - b.rect.y || a.rect.x - b.rect.x)
+    }));
+}
+
+/**
+ * Cut a region out of a rendered page as a PNG
+ * @param {HTMLCanvasElement} source - Rendered page
+ * @param {Rect} rect - Region in page pixels
+ * @returns {Promise<Blob>}
+ */
+export function cropCanvas(source, rect) {
+  const canvas = document.createElement('canvas');
+  canvas.width = rect.width;
+  canvas.height = rect.height;
+
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, rect.width, rect.height);
+  ctx.drawImage(source, rect.x, rect.y, rect.width, rect.height, 0, 0, rect.width, rect.height);
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => {
+      if (blob) resolve(blob);
+      else reject(new Error('Failed to crop PDF region'));
+    }, 'image/png');
+  });
+}
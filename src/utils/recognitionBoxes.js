@@ -0,0 +1,127 @@
+/**
+ * Recognition Boxes on the Sketch Page
+ *
+ * A recognition box is an ordinary Excalidraw rectangle tagged with
+ * `customData.recognitionBox`, so users move and resize it like any other
+ * shape and it is saved with the scene. Each box is recognized on its own,
+ * from the elements that overlap it; results are listed in scene order
+ * (top to bottom, then left to right).
+ */
+
+/** Side of a new box: the model input size, so strokes are not rescaled */
+export const DEFAULT_BOX_SIZE = 384;
+
+/** Gap left between a new box and the boxes already on the scene */
+export const BOX_GAP = 40;
+
+/**
+ * @typedef {Object} Rect
+ * @property {number} x - Left edge
+ * @property {number} y - Top edge
+ * @property {number} width - Width
+ * @property {number} height - Height
+ */
+
+/**
+ * Whether an element is a recognition box
+ * @param {Object} element - Excalidraw element
+ * @returns {boolean}
+ */
+export function isRecognitionBox(element) {
+  return element?.type === 'rectangle' && !!element.customData?.recognitionBox;
+}
+
+/**
+ * Name shown for a box
+ * @param {Object} box - Recognition box element
+ * @returns {string}
+ */
+export function getBoxName(box) {
+  return box.customData?.name || 'Box';
+}
+
+/**
+ * Scene rectangle covered by a box (Excalidraw keeps rectangles normalized,
+ * this only guards against negative sizes from older scenes)
+ * @param {Object} box - Recognition box element
+ * @returns {Rect}
+ */
+export function getBoxRegion(box) {
+  return {
+    x: Math.min(box.x, box.x + box.width),
+    y: Math.min(box.y, box.y + box.height),
+    width: Math.abs(box.width),
+    height: Math.abs(box.height)
+  };
+}
+
+/**
+ * Live recognition boxes in scene order
+ * @param {Array<Object>} elements - Scene elements
+ * @returns {Array<Object>} Boxes top to bottom, then left to right
+ */
+export function getRecognitionBoxes(elements) {
+  return elements
+    .filter((el) => !el.isDeleted && isRecognitionBox(el))
+    .sort((a, b) => getBoxRegion(a).y - getBoxRegion(b).y || getBoxRegion(a).x - getBoxRegion(b).x);
+}
+
+/**
+ * Elements to recognize for a box: everything at least partially inside it,
+ * except deleted elements and the boxes themselves
+ * @param {Array<Object>} elements - Scene elements
+ * @param {Object} box - Recognition box element
+ * @returns {Array<Object>}
+ */
+export function getElementsInBox(elements, box) {
+  const { x, y, width, height } = getBoxRegion(box);
+
+  return elements.filter((el) => {
+    if (el.isDeleted || isRecognitionBox(el)) return false;
+
+    const elRight = el.x + (el.width || 0);
+    const elBottom = el.y + (el.height || 0);
+    return !(el.x > x + width || elRight < x || el.y > y + height || elBottom < y);
+  });
+}
+
+/**
+ * Pair every box with the elements it holds, dropping empty boxes
+ * @param {Array<Object>} elements - Scene elements
+ * @returns {Array<{box: Object, elements: Array<Object>}>} In scene order
+ */
+export function groupElementsByBox(elements) {
+  return getRecognitionBoxes(elements)
+    .map((box) => ({ box, elements: getElementsInBox(elements, box) }))
+    .filter((group) => group.elements.length > 0);
+}
+
+/**
+ * First free "Box N" name
+ * @param {Array<Object>} boxes - Existing boxes
+ * @returns {string}
+ */
+export function nextBoxName(boxes) {
+  const names = new Set(boxes.map(getBoxName));
+  let n = 1;
+  while (names.has(`Box ${n}`)) n++;
+  return `Box ${n}`;
+}
+
+/**
+ * Where to put a new box: right of the rightmost box, level with the first
+ * @param {Array<Object>} boxes - Existing boxes
+ * @param {Rect} [origin] - Position of the first box on an empty scene
+ * @returns {Rect}
+ */
+export function nextBoxRect(boxes, origin = { x: 50, y: 50 }) {
+  const size = { width: DEFAULT_BOX_SIZE, height: DEFAULT_BOX_SIZE };
+  if (boxes.length === 0) return { x: origin.x, y: origin.y, ...size };
+
+  const regions = boxes.map(getBoxRegion);
+  return {
+    x: Math.max(...regions.map((r) => r.x + r.width)) + BOX_GAP,
+    y: Math.min(...regions.map((r) => r.y)),
+    ...size
+  };
+}
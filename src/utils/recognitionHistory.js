@@ -0,0 +1,71 @@
+/**
+ * Recognition History
+ *
+ * Every result of the OCR and Sketch pages is saved to the per-workspace
+ * history store (see workspaceDB.js) together with a small thumbnail of the
+ * input, so it survives reloads and can be searched and re-opened later.
+ */
+
+import Logger from './logger.js';
+import { addRecognitionHistory } from './workspaceDB.js';
+import { getOCRWorkerPool } from '../workers/ocrWorkerPool.js';
+
+/** Longest side of a saved thumbnail, in pixels */
+export const THUMBNAIL_SIZE = 96;
+
+/**
+ * Scale an image down to a JPEG data URL small enough to keep in IndexedDB
+ * @param {Blob} image - Input image
+ * @param {number} [size=THUMBNAIL_SIZE] - Longest side
+ * @returns {Promise<string|null>} Data URL, or null where canvas is unavailable
+ */
+export async function createThumbnail(image, size = THUMBNAIL_SIZE) {
+  if (typeof createImageBitmap !== 'function') return null;
+
+  const bitmap = await createImageBitmap(image);
+  const scale = Math.min(1, size / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+  canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+
+  const ctx = canvas.getContext('2d');
+  if (!ctx) {
+    bitmap.close?.();
+    return null;
+  }
+  // JPEG has no alpha; transparent sketch exports would turn black
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close?.();
+
+  return canvas.toDataURL('image/jpeg', 0.8);
+}
+
+/**
+ * Save a recognition result to the history
+ * Never throws: a failed save is logged and the page carries on.
+ * @param {Object} result
+ * @param {string} result.source - Page that produced it ('ocr' or 'sketch')
+ * @param {string} result.latex - Recognized LaTeX
+ * @param {Blob} [result.image] - Input image, for the thumbnail
+ * @param {string|number} [result.time] - Inference time in seconds
+ * @returns {Promise<Object|null>} Saved entry, or null if it could not be saved
+ */
+export async function recordRecognition({ source, latex, image, time }) {
+  if (!latex) return null;
+
+  try {
+    const thumbnail = image ? await createThumbnail(image).catch(() => null) : null;
+    return await addRecognitionHistory({
+      source,
+      latex,
+      thumbnail,
+      modelId: getOCRWorkerPool().getModelId(),
+      time: time == null ? null : Number(time)
+    });
+  } catch (error) {
+    Logger.warn('RecognitionHistory', 'Cannot save recognition to history', { error: error.message });
+    return null;
+  }
+}
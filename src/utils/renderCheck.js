@@ -0,0 +1,230 @@
+/**
+ * Render Check for Recognized LaTeX
+ *
+ * The equivalence checker only tells whether recognized LaTeX is valid math,
+ * not whether it is the math that was written. As a second opinion, the
+ * LaTeX is rendered with KaTeX to a bitmap, both the bitmap and the input are
+ * normalized the same way as the model input (see preprocessGrey: crop to
+ * ink, fit into a white square) and compared with a structural similarity
+ * (SSIM) score. A low score marks the result as suspicious so the user
+ * re-checks it. The LaTeX is drawn like the SVG and PNG exports (see
+ * latexExport.js).
+ */
+
+import katex from 'katex';
+import Logger from './logger.js';
+import { katexHtmlToSvg, drawSvgToCanvas } from './latexExport.js';
+import { preprocessGrey, loadGreyImage } from '../workers/imageProcessor.js';
+import { cropToInk } from '../workers/inkCleanup.js';
+
+/** Side of the square both images are compared at */
+export const COMPARE_SIZE = 128;
+
+/** Results scoring below this are marked as suspicious */
+export const SUSPICIOUS_SCORE = 0.2;
+
+// Font size the LaTeX is rendered at, in CSS pixels
+const RENDER_FONT_SIZE = 48;
+const RENDER_PADDING = 8;
+
+// Handwriting and typeset glyphs never line up stroke for stroke; blurring
+// both images first compares layout and shape instead of exact pixels
+const BLUR_RADIUS = 4;
+
+const SSIM_WINDOW = 8;
+const SSIM_STRIDE = 4;
+const SSIM_C1 = 0.01 ** 2;
+const SSIM_C2 = 0.03 ** 2;
+// Windows this white in both images hold no ink and are left out
+const BLANK_LEVEL = 0.98;
+
+/**
+ * Convert model input pixels back to an 8-bit greyscale image
+ * @param {Float32Array} pixels - Values in [0, 1], 1 = white
+ * @param {number} width - Image width
+ * @param {number} [height=width] - Image height
+ * @returns {{width: number, height: number, data: Uint8Array}}
+ */
+export function pixelsToGrey(pixels, width, height = width) {
+  const data = new Uint8Array(width * height);
+  for (let i = 0; i < data.length; i++) {
+    data[i] = Math.round(Math.min(1, Math.max(0, pixels[i])) * 255);
+  }
+  return { width, height, data };
+}
+
+/**
+ * Box blur of a square image, applied horizontally then vertically
+ * @param {Float32Array} pixels - Square image
+ * @param {number} size - Side length
+ * @param {number} [radius=BLUR_RADIUS] - Blur radius in pixels
+ * @returns {Float32Array}
+ */
+export function boxBlur(pixels, size, radius = BLUR_RADIUS) {
+  const pass = (src, horizontal) => {
+    const out = new Float32Array(src.length);
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        let sum = 0;
+        let count = 0;
+        for (let d = -radius; d <= radius; d++) {
+          const sx = horizontal ? x + d : x;
+          const sy = horizontal ? y : y + d;
+          if (sx < 0 || sy < 0 || sx >= size || sy >= size) continue;
+          sum += src[sy * size + sx];
+          count++;
+        }
+        out[y * size + x] = sum / count;
+      }
+    }
+    return out;
+  };
+  return pass(pass(pixels, true), false);
+}
+
+/**
+ * Normalize a greyscale image for comparison
+ * Crops tight to the ink and fits it into a COMPARE_SIZE square, like the
+ * model input, so position and scale do not count against the score. (The
+ * cleanup crop keeps a fixed margin in pixels, which would.)
+ * @param {{width: number, height: number, data: Uint8Array}} image - Greyscale image
+ * @returns {Float32Array} COMPARE_SIZE x COMPARE_SIZE, 1 = white
+ */
+export function normalizeForComparison(image) {
+  const { array } = preprocessGrey(cropToInk(image, { margin: 0 }), COMPARE_SIZE);
+  return boxBlur(array, COMPARE_SIZE);
+}
+
+/**
+ * Mean structural similarity of two square images
+ * Computed over sliding windows and averaged; 1 means identical. Windows
+ * that are blank in both images are skipped, otherwise the white margins
+ * would push every score towards 1.
+ * @param {Float32Array} a - First image, values in [0, 1]
+ * @param {Float32Array} b - Second image, same size
+ * @param {number} size - Side length
+ * @param {Object} [options]
+ * @param {number} [options.window=SSIM_WINDOW] - Window side
+ * @param {number} [options.stride=SSIM_STRIDE] - Step between windows
+ * @returns {number} Score in [-1, 1]
+ */
+export function ssim(a, b, size, { window = SSIM_WINDOW, stride = SSIM_STRIDE } = {}) {
+  const n = window * window;
+  let total = 0;
+  let windows = 0;
+
+  for (let y0 = 0; y0 + window <= size; y0 += stride) {
+    for (let x0 = 0; x0 + window <= size; x0 += stride) {
+      let sumA = 0, sumB = 0, sumAA = 0, sumBB = 0, sumAB = 0;
+      for (let y = y0; y < y0 + window; y++) {
+        for (let x = x0; x < x0 + window; x++) {
+          const va = a[y * size + x];
+          const vb = b[y * size + x];
+          sumA += va;
+          sumB += vb;
+          sumAA += va * va;
+          sumBB += vb * vb;
+          sumAB += va * vb;
+        }
+      }
+
+      const meanA = sumA / n;
+      const meanB = sumB / n;
+      if (meanA > BLANK_LEVEL && meanB > BLANK_LEVEL) continue;
+
+      const varA = sumAA / n - meanA * meanA;
+      const varB = sumBB / n - meanB * meanB;
+      const cov = sumAB / n - meanA * meanB;
+
+      total += ((2 * meanA * meanB + SSIM_C1) * (2 * cov + SSIM_C2)) /
+        ((meanA * meanA + meanB * meanB + SSIM_C1) * (varA + varB + SSIM_C2));
+      windows++;
+    }
+  }
+
+  return windows ? total / windows : 1;
+}
+
+/**
+ * Structural similarity of a rendering and the original input
+ * @param {{width: number, height: number, data: Uint8Array}} rendered - Rendered LaTeX
+ * @param {{width: number, height: number, data: Uint8Array}} original - Input image
+ * @returns {number} SSIM score
+ */
+export function compareRendering(rendered, original) {
+  return ssim(normalizeForComparison(rendered), normalizeForComparison(original), COMPARE_SIZE);
+}
+
+/**
+ * Render LaTeX with KaTeX to a greyscale bitmap
+ * Throws katex.ParseError when the LaTeX does not render.
+ * @param {string} latex - LaTeX to render
+ * @returns {Promise<{width: number, height: number, data: Uint8Array}|null>}
+ *   Null where the browser cannot rasterize HTML (no canvas)
+ */
+export async function renderLatexToGrey(latex) {
+  const html = katex.renderToString(latex, { displayMode: true, throwOnError: true });
+
+  const canvas = document.createElement('canvas');
+  if (!canvas.getContext('2d')) return null;
+
+  const image = await katexHtmlToSvg(html, { fontSize: RENDER_FONT_SIZE, padding: RENDER_PADDING });
+  const ctx = await drawSvgToCanvas(image, canvas);
+  if (!ctx) return null;
+
+  const { width, height } = canvas;
+  const { data: rgba } = ctx.getImageData(0, 0, width, height);
+  const data = new Uint8Array(width * height);
+  for (let i = 0; i < data.length; i++) {
+    data[i] = Math.round(0.299 * rgba[i * 4] + 0.587 * rgba[i * 4 + 1] + 0.114 * rgba[i * 4 + 2]);
+  }
+  return { width, height, data };
+}
+
+/**
+ * Check recognized LaTeX against the image it was recognized from
+ *
+ * LaTeX that KaTeX cannot render scores 0. Never throws: where rendering is
+ * not possible (no canvas, tainted canvas) the check is skipped.
+ *
+ * @param {string} latex - Recognized LaTeX
+ * @param {{width: number, height: number, data: Uint8Array}} original - Input image, greyscale
+ * @returns {Promise<{score: number, suspicious: boolean}|null>} Null when the check was skipped
+ */
+export async function verifyRendering(latex, original) {
+  if (!latex || !original) return null;
+
+  let rendered;
+  try {
+    rendered = await renderLatexToGrey(latex);
+  } catch (error) {
+    if (error instanceof katex.ParseError) {
+      return { score: 0, suspicious: true };
+    }
+    Logger.debug('RenderCheck', 'Cannot render LaTeX for comparison', { error: error.message });
+    return null;
+  }
+  if (!rendered) return null;
+
+  const score = compareRendering(rendered, original);
+  return { score, suspicious: score < SUSPICIOUS_SCORE };
+}
+
+/**
+ * Check recognized LaTeX against an input image file
+ * @param {string} latex - Recognized LaTeX
+ * @param {Blob|null} image - Image the LaTeX was recognized from
+ * @returns {Promise<{score: number, suspicious: boolean}|null>} Null when the check was skipped
+ */
+export async function verifyImageRendering(latex, image) {
+  if (!latex || !image) return null;
+
+  let original;
+  try {
+    original = await loadGreyImage(image);
+  } catch (error) {
+    Logger.debug('RenderCheck', 'Cannot decode input for comparison', { error: error.message });
+    return null;
+  }
+  return verifyRendering(latex, original);
+}
@@ -16,13 +16,20 @@
  * @property {number} yEnd - Bottom Y coordinate of the row (yStart + rowHeight)
  * @property {boolean} isActive - True if this is the currently active row (Story 1.4)
  * @property {Set<string>} elementIds - IDs of Excalidraw elements in this row
- * @property {'pending'|'processing'|'completed'|'error'} ocrStatus - OCR processing status
+ * @property {'pending'|'processing'|'complete'|'error'} ocrStatus - OCR processing status
  * @property {'pending'|'processing'|'validated'|'invalid'|'error'} validationStatus - Validation status
  * @property {string|null} transcribedLatex - LaTeX result from OCR
+ * @property {string|null} recognizedLatex - Model output behind transcribedLatex (kept when the LaTeX is corrected by hand)
  * @property {Object|null} validationResult - Result from equivalence checking
  * @property {number} lastModified - Timestamp of last modification
  * @property {Date|null} activatedAt - When row was last activated (Story 1.4)
- * @property {string|null} tileHash - Hash of OCR tile for caching
+ * @property {string|null} tileHash - Hash of the row's preprocessed OCR tile(s) and model, comma-separated per tile (keys the OCR cache)
+ * @property {Array<{tileIndex: number, tokens: Array<import('./latexConfidence.js').TokenConfidence>}>|null} ocrTokens - Per-token OCR probabilities of each tile's fragment
+ * @property {number|null} ocrConfidence - Lowest token probability across the row's OCR output
+ * @property {Array<import('./strokeAlignment.js').TokenAlignment>|null} strokeAlignment - Elements each token of `recognizedLatex` was read from (see strokeAlignment.js)
+ * @property {'attention'|'projection'|'mixed'|null} alignmentSource - How strokeAlignment was computed
+ * @property {number|null} renderScore - Similarity of the rendered LaTeX to the row ink (see renderCheck.js)
+ * @property {boolean} suspicious - True when the rendered LaTeX does not look like the row ink
  * @property {string|null} errorMessage - Error message if processing failed
  */
 
@@ -622,10 +629,17 @@ export class RowManager {
       ocrStatus: 'pending',
       validationStatus: 'pending',
       transcribedLatex: null,
+      recognizedLatex: null,
       validationResult: null,
       lastModified: Date.now(),
       activatedAt: null, // Story 1.4, AC #9
       tileHash: null,
+      ocrTokens: null,
+      ocrConfidence: null,
+      strokeAlignment: null,
+      alignmentSource: null,
+      renderScore: null,
+      suspicious: false,
       errorMessage: null
     };
   }
@@ -673,10 +687,17 @@ export class RowManager {
       ocrStatus: 'pending',
       validationStatus: 'pending',
       transcribedLatex: null,
+      recognizedLatex: null,
       validationResult: null,
       lastModified: Date.now(),
       activatedAt: null,
       tileHash: null,
+      ocrTokens: null,
+      ocrConfidence: null,
+      strokeAlignment: null,
+      alignmentSource: null,
+      renderScore: null,
+      suspicious: false,
       errorMessage: null
     };
 
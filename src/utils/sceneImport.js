@@ -0,0 +1,338 @@
+/**
+ * Excalidraw Scene Import with Math Ink Classification
+ *
+ * A whiteboard scene mixes handwritten formulas with arrows, text and
+ * diagrams; only the formulas should reach the OCR model. Elements are
+ * classified by type first (arrows, text and shapes are never math), then
+ * pen strokes by their geometry: large closed loops are drawn shapes, long
+ * straight strokes that are not horizontal are connectors. The remaining
+ * math ink is grouped into clusters by proximity, scaled to the handwriting
+ * size, and clusters that look like formulas are recognized one by one.
+ *
+ * Each recognized cluster keeps its LaTeX in the `customData` of its strokes
+ * (`formulaCluster`, `latex`) and gets a text label underneath. Every
+ * imported element is tagged with its class (`customData.inkClass`) so the
+ * Magic Canvas row OCR only reads the math ink and skips text, arrows,
+ * diagrams and labels.
+ */
+
+import { getInkBounds } from './ocrTiling.js';
+import { toStrokes } from '../workers/strokeRasterizer.js';
+
+/** Classes an imported element can get */
+export const INK_CLASSES = ['math', 'text', 'arrow', 'diagram'];
+
+/** Closed strokes larger than this (scene px) are drawn shapes, not letters like "o" */
+export const CLOSED_SHAPE_SIZE = 160;
+
+/** Strokes larger than this on either side are drawings, except straight horizontal bars */
+export const MAX_GLYPH_SIZE = 400;
+
+/** Straight strokes longer than this that are not horizontal are connectors */
+export const MAX_STRAIGHT_SIZE = 160;
+
+// Strokes whose ends are this close (relative to their size) are closed
+const CLOSED_RATIO = 0.2;
+// Chord / path length above which a stroke counts as straight
+const STRAIGHT_RATIO = 0.95;
+// Bars within this angle of the horizontal are fraction bars, minus or equals signs
+const HORIZONTAL_DEGREES = 20;
+
+// Strokes closer than this many median stroke heights belong to one formula
+const CLUSTER_GAP_FACTOR = 0.8;
+const MIN_CLUSTER_GAP = 16;
+const MAX_CLUSTER_GAP = 96;
+
+// Padding around a cluster in the model input region
+const REGION_PADDING = 16;
+
+// Clusters in flight at once (keeps the pool queue short so interactive requests are not evicted)
+const IMPORT_CONCURRENCY = 3;
+
+const SHAPE_TYPES = ['rectangle', 'ellipse', 'diamond', 'frame', 'magicframe', 'image', 'embeddable', 'iframe'];
+const STROKE_TYPES = ['freedraw', 'line'];
+
+/**
+ * @typedef {Object} FormulaCluster
+ * @property {string} id - Cluster id (`formula-` + id of its first stroke)
+ * @property {Array<Object>} elements - Math strokes in the cluster
+ * @property {import('./ocrTiling.js').InkBounds} bounds - Combined bounds of the strokes
+ */
+
+/**
+ * Parse the contents of a .excalidraw file
+ * @param {string} text - File contents
+ * @returns {{elements: Array<Object>, files: Object}}
+ * @throws {Error} When the file is not an Excalidraw scene
+ */
+export function parseExcalidrawScene(text) {
+  let scene;
+  try {
+    scene = JSON.parse(text);
+  } catch {
+    throw new Error('Not an Excalidraw file (invalid JSON)');
+  }
+  if (scene?.type !== 'excalidraw' || !Array.isArray(scene.elements)) {
+    throw new Error('Not an Excalidraw file');
+  }
+  return { elements: scene.elements.filter(el => !el.isDeleted), files: scene.files || {} };
+}
+
+/**
+ * Shape measurements of a pen stroke
+ * @param {Object} element - freedraw or line element
+ * @returns {{size: number, length: number, chord: number, closed: boolean, straight: boolean, angle: number}}
+ *   `angle` is the direction of the chord in degrees from the horizontal (0-90)
+ */
+export function getStrokeGeometry(element) {
+  const points = element.points || [];
+  const size = Math.max(Math.abs(element.width || 0), Math.abs(element.height || 0));
+
+  let length = 0;
+  for (let i = 1; i < points.length; i++) {
+    length += Math.hypot(points[i][0] - points[i - 1][0], points[i][1] - points[i - 1][1]);
+  }
+
+  const first = points[0] || [0, 0];
+  const last = points[points.length - 1] || first;
+  const dx = last[0] - first[0];
+  const dy = last[1] - first[1];
+  const chord = Math.hypot(dx, dy);
+
+  return {
+    size,
+    length,
+    chord,
+    closed: points.length > 2 && chord <= CLOSED_RATIO * size,
+    straight: length > 0 && chord / length >= STRAIGHT_RATIO,
+    angle: chord > 0 ? Math.atan2(Math.abs(dy), Math.abs(dx)) * 180 / Math.PI : 0
+  };
+}
+
+/**
+ * Classify one element as math ink, text, arrow or diagram
+ * @param {Object} element - Excalidraw element
+ * @returns {string} One of INK_CLASSES
+ */
+export function classifyElement(element) {
+  if (element.type === 'arrow') return 'arrow';
+  if (element.type === 'text') return 'text';
+  if (SHAPE_TYPES.includes(element.type) || !STROKE_TYPES.includes(element.type)) return 'diagram';
+
+  const geometry = getStrokeGeometry(element);
+  if (geometry.closed && geometry.size > CLOSED_SHAPE_SIZE) return 'diagram';
+
+  if (geometry.straight) {
+    const horizontal = geometry.angle <= HORIZONTAL_DEGREES;
+    if (!horizontal && geometry.size > MAX_STRAIGHT_SIZE) return 'diagram';
+    return 'math';
+  }
+
+  return geometry.size > MAX_GLYPH_SIZE ? 'diagram' : 'math';
+}
+
+/**
+ * Distance below which two strokes are part of one formula
+ * Scales with the handwriting: CLUSTER_GAP_FACTOR median stroke heights.
+ * @param {Array<Object>} elements - Math strokes
+ * @returns {number} Gap in scene px
+ */
+export function clusterGap(elements) {
+  const heights = elements
+    .map(el => Math.abs(el.height || 0))
+    .filter(h => h > 0)
+    .sort((a, b) => a - b);
+  if (heights.length === 0) return MIN_CLUSTER_GAP;
+
+  const median = heights[Math.floor(heights.length / 2)];
+  return Math.min(MAX_CLUSTER_GAP, Math.max(MIN_CLUSTER_GAP, median * CLUSTER_GAP_FACTOR));
+}
+
+/**
+ * Group strokes whose bounds are within `gap` of each other (transitively)
+ * @param {Array<Object>} elements - Math strokes
+ * @param {number} [gap] - Merge distance (defaults to clusterGap)
+ * @returns {Array<FormulaCluster>} Clusters top to bottom, then left to right
+ */
+export function clusterElements(elements, gap = clusterGap(elements)) {
+  const bounds = elements.map(el => getInkBounds([el]));
+  const parent = elements.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+  for (let i = 0; i < elements.length; i++) {
+    for (let j = i + 1; j < elements.length; j++) {
+      const a = bounds[i];
+      const b = bounds[j];
+      const near = a.minX - gap <= b.maxX && b.minX - gap <= a.maxX &&
+        a.minY - gap <= b.maxY && b.minY - gap <= a.maxY;
+      if (near) parent[find(i)] = find(j);
+    }
+  }
+
+  const groups = new Map();
+  elements.forEach((el, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(el);
+  });
+
+  return [...groups.values()]
+    .map(group => ({ id: `formula-${group[0].id}`, elements: group, bounds: getInkBounds(group) }))
+    .sort((a, b) => a.bounds.minY - b.bounds.minY || a.bounds.minX - b.bounds.minX);
+}
+
+/**
+ * Whether a cluster of math ink is worth recognizing
+ * A lone straight stroke is an underline or a stray connector, not a formula.
+ * @param {FormulaCluster} cluster
+ * @returns {boolean}
+ */
+export function looksLikeFormula(cluster) {
+  if (cluster.elements.length > 1) return true;
+  return !getStrokeGeometry(cluster.elements[0]).straight;
+}
+
+/**
+ * Classify every element of a scene and find its formulas
+ * @param {Array<Object>} elements - Scene elements
+ * @returns {{classes: Map<string, string>, clusters: Array<FormulaCluster>, counts: Object<string, number>}}
+ *   Class per element id, formula clusters in scene order, and element counts per class
+ */
+export function classifyScene(elements) {
+  const classes = new Map();
+  const counts = Object.fromEntries(INK_CLASSES.map(c => [c, 0]));
+
+  for (const element of elements) {
+    const inkClass = classifyElement(element);
+    classes.set(element.id, inkClass);
+    counts[inkClass]++;
+  }
+
+  const math = elements.filter(el => classes.get(el.id) === 'math');
+  const clusters = clusterElements(math).filter(looksLikeFormula);
+  return { classes, clusters, counts };
+}
+
+/**
+ * Recognize formula clusters through the OCR worker pool
+ * Strokes go to the worker as points (see strokeRasterizer.js), at most
+ * IMPORT_CONCURRENCY clusters at a time so large scenes do not overflow the
+ * pool queue. A cluster that fails keeps `error`; one superseded by a newer
+ * import is dropped.
+ *
+ * @param {Array<FormulaCluster>} clusters
+ * @param {Object} options
+ * @param {Object} options.pool - OCR worker pool (init, submit)
+ * @param {string} options.keyPrefix - Job key prefix, e.g. "sketch-import"
+ * @param {number} [options.priority] - Pool priority
+ * @param {Function} [options.onProgress] - Called with (completed, total) after each cluster
+ * @returns {Promise<Array<{cluster: FormulaCluster, latex?: string, tokens?: Array, error?: string}>>}
+ *   Results in cluster order
+ */
+export async function recognizeClusters(clusters, { pool, keyPrefix, priority, onProgress }) {
+  await pool.init();
+
+  const recognize = async (cluster) => {
+    const { minX, minY, width, height } = cluster.bounds;
+    const region = {
+      x: minX - REGION_PADDING,
+      y: minY - REGION_PADDING,
+      width: width + 2 * REGION_PADDING,
+      height: height + 2 * REGION_PADDING
+    };
+
+    try {
+      const { output, tokens } = await pool.submit({
+        ink: { strokes: toStrokes(cluster.elements), region },
+        key: `${keyPrefix}:${cluster.id}`,
+        priority
+      });
+      return { cluster, latex: output, tokens };
+    } catch (error) {
+      if (error.cancelled) return null;
+      return { cluster, error: error.message };
+    }
+  };
+
+  const results = new Array(clusters.length).fill(null);
+  let next = 0;
+  let completed = 0;
+
+  // Each runner takes the next cluster once its previous one is done
+  const runner = async () => {
+    while (next < clusters.length) {
+      const index = next++;
+      results[index] = await recognize(clusters[index]);
+      onProgress?.(++completed, clusters.length);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(IMPORT_CONCURRENCY, clusters.length) }, runner));
+
+  return results.filter(Boolean);
+}
+
+/**
+ * Tag imported elements with their class and attach recognized LaTeX
+ * @param {Array<Object>} elements - Imported elements
+ * @param {Map<string, string>} classes - From classifyScene
+ * @param {Array<{cluster: FormulaCluster, latex?: string}>} results - From recognizeClusters
+ * @returns {Array<Object>} New element objects; the input is not modified
+ */
+export function attachRecognitions(elements, classes, results) {
+  const byElement = new Map();
+  for (const result of results) {
+    for (const el of result.cluster.elements) byElement.set(el.id, result);
+  }
+
+  return elements.map((el) => {
+    const result = byElement.get(el.id);
+    const customData = { ...el.customData, inkClass: classes.get(el.id) };
+    if (result?.latex != null) {
+      customData.formulaCluster = result.cluster.id;
+      customData.latex = result.latex;
+    }
+    return { ...el, customData };
+  });
+}
+
+/**
+ * Text label skeleton showing a cluster's LaTeX under it
+ * (for convertToExcalidrawElements)
+ * @param {FormulaCluster} cluster
+ * @param {string} latex - Recognized LaTeX
+ * @returns {Object} Text element skeleton
+ */
+export function createFormulaLabel(cluster, latex) {
+  return {
+    type: 'text',
+    x: cluster.bounds.minX,
+    y: cluster.bounds.maxY + REGION_PADDING / 2,
+    text: latex,
+    fontSize: 16,
+    fontFamily: 3, // Monospace (Cascadia)
+    strokeColor: '#2563eb',
+    customData: { formulaLabel: cluster.id, latex }
+  };
+}
+
+/**
+ * Whether an element came from a scene import (imported ink or a formula label)
+ * @param {Object} element - Excalidraw element
+ * @returns {boolean}
+ */
+export function isImportedElement(element) {
+  return !!(element?.customData?.inkClass || element?.customData?.formulaLabel);
+}
+
+/**
+ * Whether the Magic Canvas row OCR should read an element
+ * Imported math ink is read with the rest of its row; imported text,
+ * arrows, diagrams and formula labels are not.
+ * @param {Object} element - Excalidraw element
+ * @returns {boolean}
+ */
+export function isRowInk(element) {
+  const customData = element?.customData;
+  if (customData?.formulaLabel) return false;
+  return !customData?.inkClass || customData.inkClass === 'math';
+}
@@ -0,0 +1,300 @@
+/**
+ * Token-to-Stroke Alignment for Row OCR
+ *
+ * Approximates which strokes each token of a row's LaTeX was read from, so
+ * the canvas can highlight the ink behind a symbol and the editor can show
+ * the tokens behind selected ink. Each tile is aligned on its own:
+ * - With cross-attention (the worker adds a `span` to model tokens when the
+ *   decoder exports attention outputs, see workers/attentionSpans.js), a
+ *   token's slice of the model input is mapped back to the scene through the
+ *   same fit the tile was drawn into the model input with
+ * - Otherwise the tile's ink is projected onto the x axis and cut into equal
+ *   shares of ink, one per visible token, left to right
+ * Structural tokens that draw nothing themselves ({, ^, \frac, ...) take the
+ * span of a neighbour. Tile alignments are then mapped onto the assembled row
+ * LaTeX (see latexAssembly.js).
+ *
+ * Only the x axis is used, so stacked structures (fractions, limits) are
+ * aligned loosely. All functions are pure.
+ */
+
+import { tokenizeLatexWithOffsets } from './latexAssembly.js';
+import { getElementBounds } from './ocrTiling.js';
+import { fitRegion, toStrokes } from '../workers/strokeRasterizer.js';
+
+// Tokens that only structure the LaTeX; they borrow the span of the next visible token
+const GLYPHLESS_TOKENS = new Set([
+  '{', '^', '_', '\\left', '\\right', '\\frac', '\\dfrac', '\\tfrac', '\\sqrt',
+  '\\mathrm', '\\mathbf', '\\mathit', '\\mathbb', '\\mathcal', '\\operatorname', '\\text',
+  '\\displaystyle', '\\limits', '\\big', '\\Big', '\\bigg', '\\Bigg'
+]);
+
+// Tokens closing a structure or spacing; they borrow the span of the previous visible token
+const TRAILING_GLYPHLESS_TOKENS = new Set([
+  '}', '&', '\\\\', '\\,', '\\;', '\\:', '\\!', '\\ ', '\\quad', '\\qquad'
+]);
+
+// Fragment tokens searched ahead for each row token (skips tokens deduplicated at seams)
+const MATCH_LOOKAHEAD = 8;
+
+// Ink samples per element for elements without points (text, images)
+const BOX_SAMPLES = 8;
+
+/**
+ * @typedef {Object} TokenAlignment
+ * @property {string} text - Token text
+ * @property {number} start - Offset of the token in the LaTeX
+ * @property {number} end - Offset after the token
+ * @property {string[]} elementIds - Elements the token was read from (may be empty)
+ */
+
+/**
+ * Whether a LaTeX token draws nothing by itself
+ * @param {string} token - Token from tokenizeLatex
+ * @returns {boolean}
+ */
+export function isGlyphless(token) {
+  return GLYPHLESS_TOKENS.has(token) || TRAILING_GLYPHLESS_TOKENS.has(token);
+}
+
+/**
+ * Give tokens without a span the span of a neighbour
+ * Opening tokens look right first, closing tokens left first.
+ *
+ * @param {string[]} tokens - Tokens
+ * @param {Array<[number, number]|null>} spans - Span per token
+ * @returns {Array<[number, number]|null>} New spans; null only when no token has one
+ */
+export function inheritSpans(tokens, spans) {
+  const nearest = (i, step) => {
+    for (let j = i + step; j >= 0 && j < tokens.length; j += step) {
+      if (spans[j] && !isGlyphless(tokens[j])) return spans[j];
+    }
+    return null;
+  };
+
+  return tokens.map((token, i) => {
+    if (spans[i]) return spans[i];
+    const [first, second] = TRAILING_GLYPHLESS_TOKENS.has(token) ? [-1, 1] : [1, -1];
+    return nearest(i, first) ?? nearest(i, second);
+  });
+}
+
+/**
+ * Horizontal ink samples of elements, clipped to an x range
+ * Pen strokes contribute each segment's length at its midpoint; other
+ * elements spread their width evenly.
+ *
+ * @param {Array<Object>} elements - Excalidraw elements
+ * @param {number} minX - Left clip
+ * @param {number} maxX - Right clip
+ * @returns {Array<{x: number, mass: number}>} Samples sorted by x
+ */
+function inkSamples(elements, minX, maxX) {
+  const samples = [];
+
+  for (const element of elements) {
+    const [stroke] = toStrokes([element]);
+    if (stroke) {
+      const { points } = stroke;
+      if (points.length === 1) samples.push({ x: points[0][0], mass: 1 });
+      for (let i = 1; i < points.length; i++) {
+        const [x0, y0] = points[i - 1];
+        const [x1, y1] = points[i];
+        samples.push({ x: (x0 + x1) / 2, mass: Math.hypot(x1 - x0, y1 - y0) || 1 });
+      }
+    } else {
+      const bounds = getElementBounds(element);
+      const width = bounds.maxX - bounds.minX;
+      for (let i = 0; i < BOX_SAMPLES; i++) {
+        samples.push({ x: bounds.minX + (width * (i + 0.5)) / BOX_SAMPLES, mass: width / BOX_SAMPLES || 1 });
+      }
+    }
+  }
+
+  return samples
+    .filter(s => s.x >= minX && s.x <= maxX)
+    .sort((a, b) => a.x - b.x);
+}
+
+/**
+ * Split a tile's ink into equal shares, one per visible token (projection heuristic)
+ * @param {string[]} tokens - Tokens of the tile's LaTeX
+ * @param {Array<Object>} elements - Elements of the tile
+ * @param {import('./ocrTiling.js').Tile} tile - Tile
+ * @returns {Array<[number, number]|null>} Scene x span per token; null for glyphless tokens
+ */
+export function projectionSpans(tokens, elements, tile) {
+  const samples = inkSamples(elements, tile.offsetX, tile.offsetX + tile.width);
+  const visible = tokens.filter(token => !isGlyphless(token)).length;
+  if (samples.length === 0 || visible === 0) return tokens.map(() => null);
+
+  const total = samples.reduce((sum, s) => sum + s.mass, 0);
+  // x where the cumulative ink first reaches `share` of the total
+  const quantile = (share) => {
+    let mass = 0;
+    for (const s of samples) {
+      mass += s.mass;
+      if (mass >= share * total - 1e-9) return s.x;
+    }
+    return samples[samples.length - 1].x;
+  };
+
+  let k = 0;
+  return tokens.map(token => {
+    if (isGlyphless(token)) return null;
+    const span = [k === 0 ? samples[0].x : quantile(k / visible), quantile((k + 1) / visible)];
+    k++;
+    return span;
+  });
+}
+
+/**
+ * Map cross-attention spans of model tokens onto LaTeX tokens, in scene x
+ * @param {Array<{start: number, end: number}>} tokens - LaTeX tokens with offsets
+ * @param {Array<{start: number, end: number, span?: [number, number]}>} modelTokens - Worker tokens
+ * @param {import('./ocrTiling.js').Tile} tile - Tile the model input was drawn from
+ * @param {number} inputSize - Side of the model input
+ * @returns {Array<[number, number]|null>} Scene x span per token
+ */
+export function attentionSpans(tokens, modelTokens, tile, inputSize) {
+  const region = { x: tile.offsetX, y: tile.offsetY, width: tile.width, height: tile.height };
+  const { scale, offsetX } = fitRegion(region, inputSize);
+  const toScene = (share) => (share * inputSize - offsetX) / scale;
+
+  return tokens.map(({ start, end }) => {
+    const spans = modelTokens
+      .filter(t => t.span && t.start < end && t.end > start)
+      .map(t => t.span);
+    if (spans.length === 0) return null;
+    return [toScene(Math.min(...spans.map(s => s[0]))), toScene(Math.max(...spans.map(s => s[1])))];
+  });
+}
+
+/**
+ * Elements read for a scene x span
+ * An element counts when its centre lies in the span or at least half of it
+ * does; if none does, the element whose centre is nearest is used.
+ *
+ * @param {Array<Object>} elements - Elements of the tile
+ * @param {[number, number]|null} span - Scene x span
+ * @returns {string[]} Element ids
+ */
+export function elementsInSpan(elements, span) {
+  if (!span || elements.length === 0) return [];
+  const [minX, maxX] = span;
+
+  const boxes = elements.map(element => {
+    const bounds = getElementBounds(element);
+    return { id: element.id, ...bounds, centre: (bounds.minX + bounds.maxX) / 2 };
+  });
+
+  const inside = boxes.filter(box => {
+    const overlap = Math.min(box.maxX, maxX) - Math.max(box.minX, minX);
+    return (box.centre >= minX && box.centre <= maxX) || overlap >= (box.maxX - box.minX) / 2;
+  });
+  if (inside.length > 0) return inside.map(box => box.id);
+
+  const middle = (minX + maxX) / 2;
+  const nearest = boxes.reduce((best, box) => (
+    Math.abs(box.centre - middle) < Math.abs(best.centre - middle) ? box : best
+  ));
+  return [nearest.id];
+}
+
+/**
+ * Align the LaTeX of one tile with the tile's elements
+ * @param {{tile: import('./ocrTiling.js').Tile, latex: string, tokens?: Array|null}} fragment - Fragment
+ *   from the row OCR; model tokens carry a `span` when cross-attention was available
+ * @param {Array<Object>} elements - Row elements
+ * @param {number} inputSize - Side of the model input
+ * @returns {{source: string, tokens: TokenAlignment[]}} Source is 'attention' or 'projection';
+ *   offsets index into the fragment's LaTeX
+ */
+export function alignFragment(fragment, elements, inputSize) {
+  const { tile, latex } = fragment;
+  const tokens = tokenizeLatexWithOffsets(latex);
+  const ids = new Set(tile.elementIds || []);
+  const tileElements = elements.filter(el => ids.has(el.id) && !el.isDeleted);
+  const texts = tokens.map(t => t.token);
+
+  const useAttention = (fragment.tokens || []).some(t => t.span);
+  const spans = inheritSpans(texts, useAttention
+    ? attentionSpans(tokens, fragment.tokens, tile, inputSize)
+    : projectionSpans(texts, tileElements, tile));
+
+  return {
+    source: useAttention ? 'attention' : 'projection',
+    tokens: tokens.map((t, i) => ({
+      text: t.token,
+      start: t.start,
+      end: t.end,
+      elementIds: elementsInSpan(tileElements, spans[i])
+    }))
+  };
+}
+
+/**
+ * Align a row's assembled LaTeX with its strokes
+ * Fragment tokens are matched to the row tokens in order; tokens dropped as
+ * seam duplicates are skipped, and tokens added during assembly (seam
+ * spacing, re-balanced braces) get no elements.
+ *
+ * @param {string} latex - Assembled row LaTeX (from assembleLatex)
+ * @param {Array} fragments - Fragments the LaTeX was assembled from
+ * @param {Array<Object>} elements - Row elements
+ * @param {number} inputSize - Side of the model input
+ * @returns {{strokeAlignment: TokenAlignment[], alignmentSource: string|null}} Offsets index into
+ *   `latex`; the source is 'attention', 'projection' or 'mixed' (null without fragments)
+ */
+export function alignRow(latex, fragments, elements, inputSize) {
+  const aligned = [...fragments]
+    .filter(f => f && f.tile)
+    .sort((a, b) => a.tile.offsetX - b.tile.offsetX)
+    .map(f => alignFragment(f, elements, inputSize));
+
+  const sources = new Set(aligned.map(a => a.source));
+  const alignmentSource = sources.size === 0 ? null : sources.size === 1 ? [...sources][0] : 'mixed';
+
+  const candidates = aligned.flatMap(a => a.tokens);
+  let next = 0;
+  const strokeAlignment = tokenizeLatexWithOffsets(latex).map(({ token, start, end }) => {
+    const limit = Math.min(candidates.length, next + MATCH_LOOKAHEAD);
+    for (let i = next; i < limit; i++) {
+      if (candidates[i].text === token) {
+        next = i + 1;
+        return { text: token, start, end, elementIds: candidates[i].elementIds };
+      }
+    }
+    return { text: token, start, end, elementIds: [] };
+  });
+
+  return { strokeAlignment, alignmentSource };
+}
+
+/**
+ * Token at a caret position
+ * A caret right after a token (as after typing or clicking past it) selects that token.
+ *
+ * @param {TokenAlignment[]|null} alignment - Row stroke alignment
+ * @param {number} offset - Caret offset in the LaTeX
+ * @returns {TokenAlignment|null}
+ */
+export function alignmentAt(alignment, offset) {
+  if (!alignment) return null;
+  return alignment.find(t => t.start <= offset && offset < t.end) ??
+    alignment.find(t => t.end === offset) ??
+    null;
+}
+
+/**
+ * Tokens read from any of the given elements
+ * @param {TokenAlignment[]|null} alignment - Row stroke alignment
+ * @param {string[]} elementIds - Selected element ids
+ * @returns {TokenAlignment[]} Tokens in LaTeX order
+ */
+export function alignmentForElements(alignment, elementIds) {
+  if (!alignment || !elementIds || elementIds.length === 0) return [];
+  const ids = new Set(elementIds);
+  return alignment.filter(t => t.elementIds.some(id => ids.has(id)));
+}
@@ -3,13 +3,16 @@
  *
  * Manages multiple workspaces with isolated data stores for:
  * - CAS canonical form cache
+ * - OCR result cache (content-addressed by preprocessed tile hash)
  * - Session state persistence
  * - Diagnostic logs
+ * - Recognition history
+ * - Hand corrections of OCR output (training pairs)
  * - Workspace metadata
  */
 
 const DB_NAME = 'texo-workspace-db';
-const DB_VERSION = 2; // Incremented for Story 1.7: Magic Canvas state persistence
+const DB_VERSION = 5; // Incremented for OCR corrections
 const DEFAULT_WORKSPACE = 'default';
 
 // Store names
@@ -19,13 +22,19 @@ const STORES = {
   SESSION_STATE: 'session-state',
   DIAGNOSTIC_LOGS: 'diagnostic-logs',
   TRANSFORMERS_CACHE: 'transformers-cache',
-  MAGIC_CANVAS_STATE: 'magic-canvas-state' // Story 1.7: Canvas and row state persistence
+  MAGIC_CANVAS_STATE: 'magic-canvas-state', // Story 1.7: Canvas and row state persistence
+  OCR_TILE_CACHE: 'ocr-tile-cache', // OCR output per preprocessed tile hash
+  RECOGNITION_HISTORY: 'recognition-history', // Saved results from the OCR and Sketch pages
+  OCR_CORRECTIONS: 'ocr-corrections' // (input image, model output, corrected LaTeX) triples
 };
 
 let db = null;
 let currentWorkspace = DEFAULT_WORKSPACE;
 let initPromise = null; // Guard against concurrent initialization
 
+// OCR cache lookups since page load (not persisted)
+const ocrCacheCounters = { hits: 0, misses: 0 };
+
 /**
  * Initialize the database with versioned schema
  */
@@ -109,6 +118,30 @@ export async function initWorkspaceDB() {
         // No indexes needed - keyed by workspace-specific string
         console.log('[WorkspaceDB] Created magic-canvas-state store for Story 1.7');
       }
+
+      // Version 3: OCR tile result cache
+      if (oldVersion < 3) {
+        const ocrStore = db.createObjectStore(STORES.OCR_TILE_CACHE, { keyPath: ['workspaceId', 'tileHash'] });
+        ocrStore.createIndex('workspaceId', 'workspaceId', { unique: false });
+        ocrStore.createIndex('timestamp', 'timestamp', { unique: false });
+        console.log('[WorkspaceDB] Created ocr-tile-cache store');
+      }
+
+      // Version 4: Recognition history
+      if (oldVersion < 4) {
+        const historyStore = db.createObjectStore(STORES.RECOGNITION_HISTORY, { keyPath: 'id', autoIncrement: true });
+        historyStore.createIndex('workspaceId', 'workspaceId', { unique: false });
+        historyStore.createIndex('timestamp', 'timestamp', { unique: false });
+        console.log('[WorkspaceDB] Created recognition-history store');
+      }
+
+      // Version 5: OCR corrections
+      if (oldVersion < 5) {
+        const correctionStore = db.createObjectStore(STORES.OCR_CORRECTIONS, { keyPath: 'id', autoIncrement: true });
+        correctionStore.createIndex('workspaceId', 'workspaceId', { unique: false });
+        correctionStore.createIndex('timestamp', 'timestamp', { unique: false });
+        console.log('[WorkspaceDB] Created ocr-corrections store');
+      }
     };
   });
 
@@ -133,6 +166,9 @@ const DEFAULT_SESSION_STATE = {
   theme: 'light',                     // UI theme
   editorFontSize: 16,                 // Editor font size in px
   validationHighlights: true,         // Show inline validation highlights
+  ocrPrecision: 'fp32',               // OCR model weights: 'fp32', 'fp16' or 'q8'
+  ocrModel: 'formulanet',             // OCR model id (see modelRegistry.js)
+  ocrModelSource: 'auto',             // Where the model is loaded from ('auto' or a registry source id)
 };
 
 /**
@@ -283,14 +319,24 @@ export async function deleteWorkspace(workspaceId) {
     STORES.CAS_CACHE,
     STORES.SESSION_STATE,
     STORES.DIAGNOSTIC_LOGS,
-    STORES.TRANSFORMERS_CACHE
+    STORES.TRANSFORMERS_CACHE,
+    STORES.OCR_TILE_CACHE,
+    STORES.RECOGNITION_HISTORY,
+    STORES.OCR_CORRECTIONS
   ], 'readwrite');
 
   // Delete workspace metadata
   tx.objectStore(STORES.WORKSPACES).delete(workspaceId);
 
   // Delete workspace data from all stores
-  const stores = [STORES.CAS_CACHE, STORES.SESSION_STATE, STORES.TRANSFORMERS_CACHE];
+  const stores = [
+    STORES.CAS_CACHE,
+    STORES.SESSION_STATE,
+    STORES.TRANSFORMERS_CACHE,
+    STORES.OCR_TILE_CACHE,
+    STORES.RECOGNITION_HISTORY,
+    STORES.OCR_CORRECTIONS
+  ];
   for (const storeName of stores) {
     const store = tx.objectStore(storeName);
     const index = store.index('workspaceId');
@@ -420,6 +466,281 @@ export async function clearCASCache() {
   });
 }
 
+/**
+ * Cache OCR output for a preprocessed tile (workspace-scoped)
+ * @param {string} tileHash - Hash of the preprocessed pixel buffer and model id (see calculateTileHash)
+ * @param {string} latex - Recognized LaTeX
+ * @param {Object} [metadata] - Extra info (e.g. inference time)
+ */
+export async function cacheOCRResult(tileHash, latex, metadata = {}) {
+  if (!db) await initWorkspaceDB();
+
+  const entry = {
+    workspaceId: currentWorkspace,
+    tileHash,
+    latex,
+    timestamp: Date.now(),
+    metadata
+  };
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([STORES.OCR_TILE_CACHE], 'readwrite');
+    const store = tx.objectStore(STORES.OCR_TILE_CACHE);
+    const request = store.put(entry);
+
+    request.onsuccess = () => resolve(entry);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Get cached OCR output for a preprocessed tile (workspace-scoped with TTL)
+ * Every lookup counts as a hit or miss in getCacheStats().
+ * @param {string} tileHash - Hash of the preprocessed pixel buffer and model id (see calculateTileHash)
+ * @param {number} [ttlDays=7] - Entries older than this are dropped
+ * @returns {Promise<Object|null>} Cache entry, or null on a miss
+ */
+export async function getCachedOCRResult(tileHash, ttlDays = 7) {
+  if (!db) await initWorkspaceDB();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([STORES.OCR_TILE_CACHE], 'readonly');
+    const store = tx.objectStore(STORES.OCR_TILE_CACHE);
+    const request = store.get([currentWorkspace, tileHash]);
+
+    request.onsuccess = () => {
+      let result = request.result || null;
+
+      // Check TTL
+      if (result && Date.now() - result.timestamp > ttlDays * 24 * 60 * 60 * 1000) {
+        const deleteTx = db.transaction([STORES.OCR_TILE_CACHE], 'readwrite');
+        deleteTx.objectStore(STORES.OCR_TILE_CACHE).delete([currentWorkspace, tileHash]);
+        result = null;
+      }
+
+      if (result) {
+        ocrCacheCounters.hits++;
+      } else {
+        ocrCacheCounters.misses++;
+      }
+      resolve(result);
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Clear OCR tile cache for current workspace
+ */
+export async function clearOCRCache() {
+  if (!db) await initWorkspaceDB();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([STORES.OCR_TILE_CACHE], 'readwrite');
+    const store = tx.objectStore(STORES.OCR_TILE_CACHE);
+    const index = store.index('workspaceId');
+    const request = index.openCursor(IDBKeyRange.only(currentWorkspace));
+
+    let deleteCount = 0;
+    request.onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (cursor) {
+        cursor.delete();
+        deleteCount++;
+        cursor.continue();
+      }
+    };
+
+    tx.oncomplete = () => {
+      ocrCacheCounters.hits = 0;
+      ocrCacheCounters.misses = 0;
+      logDiagnostic('info', 'cache', `Cleared ${deleteCount} OCR cache entries`);
+      resolve(deleteCount);
+    };
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+/**
+ * Save a recognition result to the history of the current workspace
+ * @param {Object} entry - Result to save
+ * @param {string} entry.source - Page that produced it ('ocr' or 'sketch')
+ * @param {string} entry.latex - Recognized LaTeX
+ * @param {string|null} [entry.thumbnail] - Data URL of the input image
+ * @param {string|null} [entry.modelId] - Model that produced the result
+ * @param {number|null} [entry.time] - Inference time in seconds
+ * @returns {Promise<Object>} Saved entry, with its id
+ */
+export async function addRecognitionHistory(entry) {
+  if (!db) await initWorkspaceDB();
+
+  const record = {
+    thumbnail: null,
+    modelId: null,
+    time: null,
+    ...entry,
+    workspaceId: currentWorkspace,
+    timestamp: Date.now()
+  };
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([STORES.RECOGNITION_HISTORY], 'readwrite');
+    const store = tx.objectStore(STORES.RECOGNITION_HISTORY);
+    const request = store.add(record);
+
+    request.onsuccess = () => resolve({ ...record, id: request.result });
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Get the recognition history of the current workspace, newest first
+ * @param {Object} [options]
+ * @param {string} [options.query] - Only entries whose LaTeX contains this substring
+ * @param {number} [options.limit=200] - Maximum number of entries
+ * @returns {Promise<Object[]>}
+ */
+export async function getRecognitionHistory(options = {}) {
+  if (!db) await initWorkspaceDB();
+
+  const { query = '', limit = 200 } = options;
+  const needle = query.trim().toLowerCase();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([STORES.RECOGNITION_HISTORY], 'readonly');
+    const store = tx.objectStore(STORES.RECOGNITION_HISTORY);
+    const index = store.index('workspaceId');
+    // Ids grow with time, so walking the index backwards is newest first
+    const request = index.openCursor(IDBKeyRange.only(currentWorkspace), 'prev');
+
+    const entries = [];
+    request.onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (cursor && entries.length < limit) {
+        if (!needle || cursor.value.latex.toLowerCase().includes(needle)) {
+          entries.push(cursor.value);
+        }
+        cursor.continue();
+      } else {
+        resolve(entries);
+      }
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Delete one recognition history entry
+ * @param {number} id - Entry id
+ */
+export async function deleteRecognitionHistory(id) {
+  if (!db) await initWorkspaceDB();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([STORES.RECOGNITION_HISTORY], 'readwrite');
+    tx.objectStore(STORES.RECOGNITION_HISTORY).delete(id);
+
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+/**
+ * Save a hand correction of an OCR result (workspace-scoped)
+ * Saving again with the returned id updates the same correction.
+ * @param {Object} correction
+ * @param {number} [correction.id] - Id of a correction to update
+ * @param {string} correction.source - Where the result was edited ('ocr', 'sketch' or 'magic-canvas')
+ * @param {Blob|null} correction.image - Input image the model saw
+ * @param {string} correction.output - LaTeX the model produced
+ * @param {string} correction.corrected - LaTeX after the user's edit
+ * @param {string|null} [correction.modelId] - Model that produced the output
+ * @returns {Promise<number>} Correction id
+ */
+export async function saveCorrection(correction) {
+  if (!db) await initWorkspaceDB();
+
+  const { id, ...fields } = correction;
+  const record = {
+    modelId: null,
+    ...fields,
+    ...(id != null && { id }),
+    workspaceId: currentWorkspace,
+    timestamp: Date.now()
+  };
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([STORES.OCR_CORRECTIONS], 'readwrite');
+    const request = tx.objectStore(STORES.OCR_CORRECTIONS).put(record);
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Get all corrections of the current workspace, oldest first
+ * @returns {Promise<Object[]>}
+ */
+export async function getCorrections() {
+  if (!db) await initWorkspaceDB();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([STORES.OCR_CORRECTIONS], 'readonly');
+    const index = tx.objectStore(STORES.OCR_CORRECTIONS).index('workspaceId');
+    const request = index.getAll(IDBKeyRange.only(currentWorkspace));
+
+    request.onsuccess = () => resolve(request.result || []);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Delete one correction (e.g. when an edit is reverted to the model output)
+ * @param {number} id - Correction id
+ */
+export async function deleteCorrection(id) {
+  if (!db) await initWorkspaceDB();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([STORES.OCR_CORRECTIONS], 'readwrite');
+    tx.objectStore(STORES.OCR_CORRECTIONS).delete(id);
+
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+/**
+ * Clear all corrections for current workspace
+ */
+export async function clearCorrections() {
+  if (!db) await initWorkspaceDB();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([STORES.OCR_CORRECTIONS], 'readwrite');
+    const store = tx.objectStore(STORES.OCR_CORRECTIONS);
+    const index = store.index('workspaceId');
+    const request = index.openCursor(IDBKeyRange.only(currentWorkspace));
+
+    let deleteCount = 0;
+    request.onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (cursor) {
+        cursor.delete();
+        deleteCount++;
+        cursor.continue();
+      }
+    };
+
+    tx.oncomplete = () => {
+      logDiagnostic('info', 'cache', `Cleared ${deleteCount} OCR corrections`);
+      resolve(deleteCount);
+    };
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
 /**
  * Clear transformers cache metadata for current workspace
  */
@@ -459,6 +780,8 @@ export async function getCacheStats() {
   const stats = {
     workspaceId: currentWorkspace,
     casCache: { count: 0, oldestEntry: null, newestEntry: null },
+    ocrCache: { count: 0, hits: ocrCacheCounters.hits, misses: ocrCacheCounters.misses },
+    corrections: { count: 0 },
     transformersCache: { count: 0 },
     sessionState: { count: 0 },
     diagnosticLogs: { count: 0, byLevel: {} }
@@ -467,6 +790,8 @@ export async function getCacheStats() {
   return new Promise((resolve, reject) => {
     const tx = db.transaction([
       STORES.CAS_CACHE,
+      STORES.OCR_TILE_CACHE,
+      STORES.OCR_CORRECTIONS,
       STORES.TRANSFORMERS_CACHE,
       STORES.SESSION_STATE,
       STORES.DIAGNOSTIC_LOGS
@@ -494,6 +819,20 @@ export async function getCacheStats() {
       }
     };
 
+    // OCR tile cache stats
+    const ocrStore = tx.objectStore(STORES.OCR_TILE_CACHE);
+    const ocrRequest = ocrStore.index('workspaceId').count(IDBKeyRange.only(currentWorkspace));
+    ocrRequest.onsuccess = () => {
+      stats.ocrCache.count = ocrRequest.result;
+    };
+
+    // OCR correction stats
+    const correctionStore = tx.objectStore(STORES.OCR_CORRECTIONS);
+    const correctionRequest = correctionStore.index('workspaceId').count(IDBKeyRange.only(currentWorkspace));
+    correctionRequest.onsuccess = () => {
+      stats.corrections.count = correctionRequest.result;
+    };
+
     // Transformers cache stats
     const transformersStore = tx.objectStore(STORES.TRANSFORMERS_CACHE);
     const transformersIndex = transformersStore.index('workspaceId');
@@ -712,6 +1051,48 @@ export async function loadSessionState(key) {
   });
 }
 
+/**
+ * Load the OCR model precision for the current workspace
+ * @returns {Promise<string>} 'fp32', 'fp16' or 'q8'
+ */
+export async function loadOCRPrecision() {
+  return (await loadSessionState('ocrPrecision')) || DEFAULT_SESSION_STATE.ocrPrecision;
+}
+
+/**
+ * Load the OCR model picked for the current workspace
+ * @returns {Promise<{modelId: string, source: string}>} Registry model id and source id
+ */
+export async function loadOCRModelSelection() {
+  const [modelId, source] = await Promise.all([
+    loadSessionState('ocrModel'),
+    loadSessionState('ocrModelSource')
+  ]);
+  return {
+    modelId: modelId || DEFAULT_SESSION_STATE.ocrModel,
+    source: source || DEFAULT_SESSION_STATE.ocrModelSource
+  };
+}
+
+/**
+ * Record the size and speed measured after loading the OCR model
+ * Keeps the latest report per precision so they can be compared.
+ * @param {Object} report - {dtype, modelSize, loadTime, warmupTime}
+ */
+export async function saveOCRModelReport(report) {
+  const reports = (await loadSessionState('ocrModelReports')) || {};
+  reports[report.dtype] = { ...report, timestamp: Date.now() };
+  return saveSessionState('ocrModelReports', reports);
+}
+
+/**
+ * Get the OCR model reports for the current workspace
+ * @returns {Promise<Object>} Reports keyed by precision
+ */
+export async function getOCRModelReports() {
+  return (await loadSessionState('ocrModelReports')) || {};
+}
+
 /**
  * Log diagnostic message
  */
@@ -0,0 +1,251 @@
+/**
+ * Minimal ZIP Archive Reader and Writer
+ *
+ * Reads the central directory of a .zip file and extracts entries as Blobs.
+ * Supports stored and deflated entries (the two methods every zip tool
+ * writes); deflate uses the browser's DecompressionStream. Entries are sliced
+ * from the source Blob, so the archive is never loaded into memory at once.
+ *
+ * Writing stores entries uncompressed, which suits exports that are mostly
+ * PNGs (already compressed).
+ *
+ * ZIP64 and encrypted archives are rejected.
+ */
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+const EOCD_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xffff;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+const FLAG_ENCRYPTED = 0x1;
+const FLAG_UTF8 = 0x800;
+
+const ZIP_VERSION = 20; // 2.0: the minimum for stored entries in folders
+
+let crcTable = null;
+
+/**
+ * @typedef {Object} ZipEntry
+ * @property {string} path - Path inside the archive ('/' separated)
+ * @property {number} size - Uncompressed size in bytes
+ * @property {Blob} blob - Entry contents
+ */
+
+/**
+ * Read a byte range of a Blob
+ * @param {Blob} blob - Source
+ * @param {number} start - Start offset
+ * @param {number} end - End offset (exclusive)
+ * @returns {Promise<DataView>}
+ */
+async function readRange(blob, start, end) {
+  return new DataView(await blob.slice(start, end).arrayBuffer());
+}
+
+/**
+ * Locate the end of central directory record
+ * @param {Blob} blob - Archive
+ * @returns {Promise<{entryCount: number, directorySize: number, directoryOffset: number}>}
+ */
+async function readEndOfCentralDirectory(blob) {
+  const tailStart = Math.max(0, blob.size - EOCD_SIZE - MAX_COMMENT_SIZE);
+  const tail = await readRange(blob, tailStart, blob.size);
+
+  for (let i = tail.byteLength - EOCD_SIZE; i >= 0; i--) {
+    if (tail.getUint32(i, true) !== EOCD_SIGNATURE) continue;
+
+    const entryCount = tail.getUint16(i + 10, true);
+    const directorySize = tail.getUint32(i + 12, true);
+    const directoryOffset = tail.getUint32(i + 16, true);
+    if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+      throw new Error('ZIP64 archives are not supported');
+    }
+    return { entryCount, directorySize, directoryOffset };
+  }
+
+  throw new Error('Not a zip archive (end of central directory not found)');
+}
+
+/**
+ * Decompress one entry
+ * @param {Blob} data - Compressed bytes
+ * @param {number} method - Compression method
+ * @param {string} path - Entry path (for error messages)
+ * @returns {Promise<Blob>}
+ */
+async function inflateEntry(data, method, path) {
+  if (method === METHOD_STORED) return data;
+  if (method === METHOD_DEFLATE) {
+    const stream = data.stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Response(stream).blob();
+  }
+  throw new Error(`Unsupported compression method ${method} for ${path}`);
+}
+
+/**
+ * Read entries from a zip archive
+ *
+ * @param {Blob} blob - The .zip file
+ * @param {Object} [options]
+ * @param {(path: string) => boolean} [options.filter] - Only extract entries whose path passes
+ * @returns {Promise<ZipEntry[]>} File entries in archive order (directories are skipped)
+ */
+export async function readZip(blob, { filter = () => true } = {}) {
+  const { entryCount, directorySize, directoryOffset } = await readEndOfCentralDirectory(blob);
+  const directory = await readRange(blob, directoryOffset, directoryOffset + directorySize);
+  const decoder = new TextDecoder();
+  const entries = [];
+
+  let offset = 0;
+  for (let i = 0; i < entryCount; i++) {
+    if (directory.getUint32(offset, true) !== CENTRAL_SIGNATURE) {
+      throw new Error('Corrupt zip archive (bad central directory entry)');
+    }
+
+    const flags = directory.getUint16(offset + 8, true);
+    const method = directory.getUint16(offset + 10, true);
+    const compressedSize = directory.getUint32(offset + 20, true);
+    const size = directory.getUint32(offset + 24, true);
+    const nameLength = directory.getUint16(offset + 28, true);
+    const extraLength = directory.getUint16(offset + 30, true);
+    const commentLength = directory.getUint16(offset + 32, true);
+    const localOffset = directory.getUint32(offset + 42, true);
+    const path = decoder.decode(
+      new Uint8Array(directory.buffer, directory.byteOffset + offset + 46, nameLength)
+    );
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (path.endsWith('/') || !filter(path)) continue;
+    if (flags & FLAG_ENCRYPTED) {
+      throw new Error(`Encrypted zip entries are not supported: ${path}`);
+    }
+    if (compressedSize === 0xffffffff || size === 0xffffffff || localOffset === 0xffffffff) {
+      throw new Error('ZIP64 archives are not supported');
+    }
+
+    // The local header repeats the name and may carry a different extra field
+    const local = await readRange(blob, localOffset, localOffset + 30);
+    if (local.getUint32(0, true) !== LOCAL_SIGNATURE) {
+      throw new Error(`Corrupt zip archive (bad local header for ${path})`);
+    }
+    const dataStart = localOffset + 30 + local.getUint16(26, true) + local.getUint16(28, true);
+    const data = blob.slice(dataStart, dataStart + compressedSize);
+
+    entries.push({ path, size, blob: await inflateEntry(data, method, path) });
+  }
+
+  return entries;
+}
+
+/**
+ * CRC-32 (IEEE) of a byte array, as stored in zip headers
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} Unsigned checksum
+ */
+export function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Date and time in MS-DOS format (2-second resolution, local time)
+ * @param {Date} date - Timestamp
+ * @returns {{time: number, date: number}}
+ */
+function toDosDateTime(date) {
+  const year = Math.max(1980, date.getFullYear());
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Write a zip archive
+ *
+ * @param {Array<{path: string, data: Blob|Uint8Array|string}>} files - Entries in archive order
+ * @param {Object} [options]
+ * @param {Date} [options.date] - Modification time stored for every entry (defaults to now)
+ * @returns {Promise<Blob>} The .zip file
+ */
+export async function writeZip(files, { date = new Date() } = {}) {
+  if (files.length >= 0xffff) {
+    throw new Error('Too many entries (ZIP64 is not supported)');
+  }
+
+  const encoder = new TextEncoder();
+  const stamp = toDosDateTime(date);
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const { path, data } of files) {
+    const name = encoder.encode(path);
+    const bytes = typeof data === 'string'
+      ? encoder.encode(data)
+      : data instanceof Uint8Array ? data : new Uint8Array(await data.arrayBuffer());
+    const crc = crc32(bytes);
+    if (offset + 30 + name.length + bytes.length > 0xffffffff) {
+      throw new Error('Archive too large (ZIP64 is not supported)');
+    }
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, LOCAL_SIGNATURE, true);
+    local.setUint16(4, ZIP_VERSION, true);
+    local.setUint16(6, FLAG_UTF8, true);
+    local.setUint16(8, METHOD_STORED, true);
+    local.setUint16(10, stamp.time, true);
+    local.setUint16(12, stamp.date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, bytes.length, true);
+    local.setUint32(22, bytes.length, true);
+    local.setUint16(26, name.length, true);
+    locals.push(new Uint8Array(local.buffer), name, bytes);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, CENTRAL_SIGNATURE, true);
+    central.setUint16(4, ZIP_VERSION, true);
+    central.setUint16(6, ZIP_VERSION, true);
+    central.setUint16(8, FLAG_UTF8, true);
+    central.setUint16(10, METHOD_STORED, true);
+    central.setUint16(12, stamp.time, true);
+    central.setUint16(14, stamp.date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, bytes.length, true);
+    central.setUint32(24, bytes.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+    centrals.push(new Uint8Array(central.buffer), name);
+
+    offset += 30 + name.length + bytes.length;
+  }
+
+  const directorySize = centrals.reduce((sum, part) => sum + part.length, 0);
+  const eocd = new DataView(new ArrayBuffer(EOCD_SIZE));
+  eocd.setUint32(0, EOCD_SIGNATURE, true);
+  eocd.setUint16(8, files.length, true);
+  eocd.setUint16(10, files.length, true);
+  eocd.setUint32(12, directorySize, true);
+  eocd.setUint32(16, offset, true);
+
+  return new Blob([...locals, ...centrals, new Uint8Array(eocd.buffer)], { type: 'application/zip' });
+}
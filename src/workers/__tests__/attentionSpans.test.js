@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import { patchGrid, columnSpan, attentionSpans } from '../attentionSpans';
+
+/** Attention weights over a side x side grid, all on the given columns */
+function gridWeights(side, columns, skip = 0) {
+  const weights = new Array(skip + side * side).fill(0);
+  for (let y = 0; y < side; y++) {
+    for (const x of columns) weights[skip + y * side + x] = 1;
+  }
+  return weights;
+}
+
+describe('patchGrid', () => {
+  it('should find square grids, with or without leading tokens', () => {
+    expect(patchGrid(144)).toEqual({ side: 12, skip: 0 });
+    expect(patchGrid(577)).toEqual({ side: 24, skip: 1 });
+    expect(patchGrid(578)).toEqual({ side: 24, skip: 2 });
+    expect(patchGrid(150)).toBeNull();
+  });
+});
+
+describe('columnSpan', () => {
+  it('should return the columns near the attention peak as input fractions', () => {
+    expect(columnSpan(gridWeights(4, [1, 2]))).toEqual([0.25, 0.75]);
+    expect(columnSpan(gridWeights(4, [3], 1))).toEqual([0.75, 1]);
+  });
+
+  it('should give up on unknown layouts and empty weights', () => {
+    expect(columnSpan(new Array(150).fill(1))).toBeNull();
+    expect(columnSpan(new Array(16).fill(0))).toBeNull();
+  });
+});
+
+describe('attentionSpans', () => {
+  it('should sum layers and heads of the last query for one batch row', () => {
+    const side = 2;
+    const patches = side * side;
+    // [batch 2, heads 1, queries 1, patches 4]: row 0 looks left, row 1 looks right
+    const layer = { dims: [2, 1, 1, patches], data: [...gridWeights(side, [0]), ...gridWeights(side, [1])] };
+    const crossAttentions = [[layer, layer], [layer]];
+
+    expect(attentionSpans(crossAttentions, 0, 2)).toEqual([[0, 0.5], [0, 0.5]]);
+    expect(attentionSpans(crossAttentions, 1, 3)).toEqual([[0.5, 1], [0.5, 1], null]);
+    expect(attentionSpans(undefined, 0, 2)).toEqual([null, null]);
+  });
+});
@@ -0,0 +1,119 @@
+import { describe, it, expect, vi } from 'vitest';
+import { beamSearch, topK } from '../beamSearch';
+
+const START = 0;
+const EOS = 1;
+
+/**
+ * Build a step function from a table of next-token probabilities
+ * keyed by the generated prefix (without the start token)
+ */
+function tableStep(table, vocabSize = 5) {
+  return vi.fn(async (sequences) => sequences.map(tokens => {
+    const probs = table[tokens.slice(1).join(',')] || { [EOS]: 1 };
+    return Array.from({ length: vocabSize }, (_, id) => Math.log(probs[id] ?? 1e-9));
+  }));
+}
+
+describe('topK', () => {
+  it('should return indices of the largest values, largest first', () => {
+    expect(topK([0.1, 0.5, 0.2, 0.9, 0.3], 3)).toEqual([3, 1, 4]);
+  });
+
+  it('should return all indices when k exceeds the length', () => {
+    expect(topK([2, 1], 5)).toEqual([0, 1]);
+  });
+});
+
+describe('beamSearch', () => {
+  it('should find a sequence greedy decoding misses', async () => {
+    // Greedy picks 2 (0.6) then is stuck with 0.5; 3 (0.4) leads to a 0.9 continuation
+    const step = tableStep({
+      '': { 2: 0.6, 3: 0.4 },
+      '2': { 4: 0.5, [EOS]: 0.5 },
+      '3': { 4: 0.9, [EOS]: 0.1 },
+      '2,4': { [EOS]: 1 },
+      '3,4': { [EOS]: 1 }
+    });
+
+    const [best] = await beamSearch({ step, startTokenId: START, eosTokenId: EOS, numBeams: 2, lengthPenalty: 0 });
+
+    expect(best.tokens).toEqual([3, 4]);
+    expect(best.logProb).toBeCloseTo(Math.log(0.4 * 0.9));
+  });
+
+  it('should return hypotheses sorted by score with log-probabilities', async () => {
+    const step = tableStep({
+      '': { 2: 0.5, 3: 0.3, 4: 0.2 }
+    });
+
+    const results = await beamSearch({ step, startTokenId: START, eosTokenId: EOS, numBeams: 3, lengthPenalty: 0 });
+
+    expect(results.map(r => r.tokens)).toEqual([[2], [3], [4]]);
+    expect(results.map(r => r.logProb)).toEqual([Math.log(0.5), Math.log(0.3), Math.log(0.2)].map(v => expect.closeTo(v)));
+  });
+
+  it('should report the log-probability of each generated token', async () => {
+    const step = tableStep({
+      '': { 2: 0.6, 3: 0.4 },
+      '2': { 4: 0.5, [EOS]: 0.5 },
+      '3': { 4: 0.9, [EOS]: 0.1 },
+      '3,4': { [EOS]: 1 }
+    });
+
+    const [best] = await beamSearch({ step, startTokenId: START, eosTokenId: EOS, numBeams: 2, lengthPenalty: 0 });
+
+    expect(best.tokenLogProbs).toEqual([expect.closeTo(Math.log(0.4)), expect.closeTo(Math.log(0.9))]);
+  });
+
+  it('should limit the number of returned sequences', async () => {
+    const step = tableStep({ '': { 2: 0.5, 3: 0.3, 4: 0.2 } });
+
+    const results = await beamSearch({
+      step, startTokenId: START, eosTokenId: EOS, numBeams: 3, numReturnSequences: 2
+    });
+
+    expect(results).toHaveLength(2);
+  });
+
+  it('should exclude start and end tokens from hypotheses', async () => {
+    const step = tableStep({ '': { 2: 1 } });
+
+    const [best] = await beamSearch({ step, startTokenId: START, eosTokenId: EOS, numBeams: 1 });
+
+    expect(best.tokens).toEqual([2]);
+  });
+
+  it('should accept several end-of-sequence tokens', async () => {
+    const step = tableStep({ '': { 2: 1 }, '2': { 4: 1 } });
+
+    const [best] = await beamSearch({ step, startTokenId: START, eosTokenId: [EOS, 4], numBeams: 1 });
+
+    expect(best.tokens).toEqual([2]);
+  });
+
+  it('should stop at maxLength and keep unfinished beams', async () => {
+    // Never emits EOS
+    const step = vi.fn(async (sequences) => sequences.map(() => [-10, -10, -0.1, -5, -5]));
+
+    const results = await beamSearch({ step, startTokenId: START, eosTokenId: EOS, numBeams: 2, maxLength: 4 });
+
+    expect(step).toHaveBeenCalledTimes(3);
+    expect(results[0].tokens).toEqual([2, 2, 2]);
+  });
+
+  it('should step all beams together with equal-length prefixes', async () => {
+    const step = tableStep({
+      '': { 2: 0.5, 3: 0.5 },
+      '2': { 4: 1 },
+      '3': { 4: 1 }
+    });
+
+    await beamSearch({ step, startTokenId: START, eosTokenId: EOS, numBeams: 2 });
+
+    for (const [sequences] of step.mock.calls) {
+      expect(new Set(sequences.map(s => s.length)).size).toBe(1);
+    }
+    expect(step.mock.calls[1][0]).toHaveLength(2);
+  });
+});
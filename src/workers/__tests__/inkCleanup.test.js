@@ -0,0 +1,104 @@
+import { describe, it, expect } from 'vitest';
+import {
+  stretchContrast,
+  adaptiveThreshold,
+  estimateSkew,
+  rotateImage,
+  cropToInk,
+  cleanupInk,
+  CROP_MARGIN
+} from '../inkCleanup';
+
+/**
+ * Build a grey image filled with one value
+ */
+const blank = (width, height, value = 255) => ({ width, height, data: new Uint8Array(width * height).fill(value) });
+
+/**
+ * Draw a 3px thick line y = y0 + x * tan(degrees) across the image
+ */
+function drawLine(image, y0, degrees, value = 0) {
+  const slope = Math.tan(degrees * Math.PI / 180);
+  for (let x = 10; x < image.width - 10; x++) {
+    const y = Math.round(y0 + x * slope);
+    for (let dy = -1; dy <= 1; dy++) {
+      if (y + dy >= 0 && y + dy < image.height) image.data[(y + dy) * image.width + x] = value;
+    }
+  }
+  return image;
+}
+
+describe('inkCleanup', () => {
+  it('should stretch a washed-out image to the full range', () => {
+    const image = blank(10, 10, 200);
+    image.data.fill(120, 0, 50);
+
+    const { data } = stretchContrast(image);
+
+    expect(data[0]).toBe(0);
+    expect(data[99]).toBe(255);
+  });
+
+  it('should leave a flat image unchanged', () => {
+    const image = blank(4, 4, 180);
+
+    expect(Array.from(stretchContrast(image).data)).toEqual(Array.from(image.data));
+  });
+
+  it('should threshold ink under a shadow gradient', () => {
+    // Background darkens from 250 to 130 left to right; ink is 60 darker than the paper around it
+    const image = { width: 100, height: 40, data: new Uint8Array(4000) };
+    for (let y = 0; y < 40; y++) {
+      for (let x = 0; x < 100; x++) {
+        const paper = 250 - x * 1.2;
+        image.data[y * 100 + x] = y >= 18 && y <= 21 ? paper - 60 : paper;
+      }
+    }
+
+    const { data } = adaptiveThreshold(image, { windowSize: 15 });
+
+    expect(data[19 * 100 + 5]).toBe(0);
+    expect(data[19 * 100 + 95]).toBe(0);
+    expect(data[5 * 100 + 95]).toBe(255);
+    expect(new Set(data)).toEqual(new Set([0, 255]));
+  });
+
+  it('should estimate the skew of a tilted line', () => {
+    expect(estimateSkew(drawLine(blank(200, 100), 30, 5))).toBeCloseTo(5, 0);
+    expect(estimateSkew(drawLine(blank(200, 100), 70, -4))).toBeCloseTo(-4, 0);
+    expect(estimateSkew(drawLine(blank(200, 100), 50, 0))).toBe(0);
+  });
+
+  it('should straighten a tilted line by rotating', () => {
+    const rotated = rotateImage(drawLine(blank(200, 100), 30, 6), 6);
+
+    expect(rotated.width).toBeGreaterThan(200);
+    expect(Math.abs(estimateSkew(rotated))).toBeLessThanOrEqual(0.5);
+  });
+
+  it('should crop to the ink with a fixed margin', () => {
+    const image = blank(100, 80);
+    image.data[20 * 100 + 30] = 0;
+    image.data[25 * 100 + 40] = 0;
+
+    const cropped = cropToInk(image);
+
+    expect(cropped.width).toBe(11 + 2 * CROP_MARGIN);
+    expect(cropped.height).toBe(6 + 2 * CROP_MARGIN);
+    expect(cropped.data[CROP_MARGIN * cropped.width + CROP_MARGIN]).toBe(0);
+  });
+
+  it('should return images without ink uncropped', () => {
+    expect(cropToInk(blank(30, 20))).toMatchObject({ width: 30, height: 20 });
+  });
+
+  it('should run only the enabled steps and record each stage', () => {
+    const image = drawLine(blank(120, 60), 30, 0, 90);
+
+    const { image: cleaned, stages } = cleanupInk(image, { threshold: true, crop: true });
+
+    expect(stages.map(s => s.step)).toEqual(['input', 'threshold', 'crop']);
+    expect(cleaned.height).toBe(3 + 2 * CROP_MARGIN);
+    expect(cleanupInk(image).stages.map(s => s.step)).toEqual(['input']);
+  });
+});
@@ -0,0 +1,493 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { OCRWorkerPool, PRIORITY, resolveModelSource, getDefaultPoolSize } from '../ocrWorkerPool';
+import { getInstalledModel } from '../../utils/modelStore.js';
+
+vi.mock('../../utils/logger.js', () => ({
+  default: {
+    debug: vi.fn(),
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+vi.mock('../../utils/modelStore.js', () => ({
+  getInstalledModel: vi.fn(async () => null)
+}));
+
+vi.mock('../../utils/modelDownload.js', () => ({
+  downloadModel: vi.fn(async () => ({}))
+}));
+
+/**
+ * Manually driven fake worker: tests decide when init and predict messages complete
+ */
+class FakeOCRWorker {
+  constructor() {
+    this.messages = [];
+    this.terminated = false;
+  }
+
+  postMessage(message) {
+    this.messages.push(message);
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+
+  emit(data) {
+    this.onmessage({ data });
+  }
+
+  get predictKeys() {
+    return this.messages.filter(m => m.action === 'predict').map(m => m.key);
+  }
+
+  lastPredict() {
+    return this.messages.filter(m => m.action === 'predict').at(-1);
+  }
+
+  reply(output = 'x') {
+    this.emit({ type: 'result', output, time: '0.01', key: this.lastPredict().key });
+  }
+}
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('OCRWorkerPool', () => {
+  let workers;
+  let pool;
+
+  const createPool = (options = {}) => new OCRWorkerPool({
+    size: 1,
+    createWorker: () => {
+      const worker = new FakeOCRWorker();
+      workers.push(worker);
+      return worker;
+    },
+    resolveModelConfig: async () => ({ modelName: 'test/model' }),
+    resolvePrecision: async () => 'fp32',
+    saveModelReport: vi.fn(async () => {}),
+    ...options
+  });
+
+  const ready = async (index = 0) => {
+    await flush();
+    workers[index].emit({ type: 'ready' });
+    await flush();
+  };
+
+  beforeEach(() => {
+    workers = [];
+    pool = createPool();
+  });
+
+  it('should initialize one worker with the resolved model config', async () => {
+    const onEvent = vi.fn();
+    pool.subscribe(onEvent);
+
+    const initPromise = pool.init();
+    await ready();
+    await initPromise;
+
+    expect(workers).toHaveLength(1);
+    expect(workers[0].messages[0]).toEqual({ action: 'init', modelConfig: { modelName: 'test/model', dtype: 'fp32' } });
+    expect(pool.getStatus().ready).toBe(true);
+    expect(onEvent).toHaveBeenCalledWith('ready', expect.any(Object));
+  });
+
+  it('should pass the workspace precision to the worker', async () => {
+    pool = createPool({ resolvePrecision: async () => 'q8' });
+
+    pool.init();
+    await flush();
+
+    expect(workers[0].messages[0].modelConfig.dtype).toBe('q8');
+  });
+
+  it('should name the loaded model and precision', async () => {
+    expect(pool.getModelId()).toBeNull();
+
+    pool = createPool({ resolveModelConfig: async () => ({ modelName: 'local/FormulaNet', local: true, version: '2' }), resolvePrecision: async () => 'q8' });
+    pool.init();
+    await flush();
+
+    expect(pool.getModelId()).toBe('local/FormulaNet@2:q8');
+  });
+
+  it('should report the input size of the resolved model', async () => {
+    expect(pool.getInputSize()).toBe(384);
+
+    pool = createPool({ resolveModelConfig: async () => ({ modelName: 'test/model', inputSize: 448 }) });
+    pool.init();
+    await flush();
+
+    expect(pool.getInputSize()).toBe(448);
+  });
+
+  it('should keep and save the model report sent with ready', async () => {
+    const saveModelReport = vi.fn(async () => {});
+    const onEvent = vi.fn();
+    pool = createPool({ saveModelReport });
+    pool.subscribe(onEvent);
+    const report = { dtype: 'fp32', modelSize: 1000, loadTime: 1200, warmupTime: 300 };
+
+    const initPromise = pool.init();
+    await flush();
+    workers[0].emit({ type: 'ready', report });
+    await initPromise;
+
+    expect(pool.getModelReport()).toEqual(report);
+    expect(saveModelReport).toHaveBeenCalledWith(report);
+    expect(onEvent).toHaveBeenCalledWith('ready', expect.objectContaining({ report }));
+  });
+
+  it('should forward loading progress to subscribers', async () => {
+    const onEvent = vi.fn();
+    pool.subscribe(onEvent);
+
+    pool.init();
+    await flush();
+    workers[0].emit({ type: 'progress', file: 'model.onnx', loaded: 5, total: 10 });
+
+    expect(onEvent).toHaveBeenCalledWith('progress', { file: 'model.onnx', loaded: 5, total: 10 });
+  });
+
+  it('should download remote models into the store before loading them', async () => {
+    const remote = { modelName: 'test/model', env_config: { remoteHost: 'https://example.com/' } };
+    const downloadModel = vi.fn(async (config, { onProgress }) => {
+      onProgress({ file: 'config.json', loaded: 10, total: 10, status: 'done' });
+    });
+    const onEvent = vi.fn();
+    pool = createPool({ resolveModelConfig: async () => remote, resolvePrecision: async () => 'q8', downloadModel });
+    pool.subscribe(onEvent);
+
+    pool.init();
+    await flush();
+
+    expect(downloadModel).toHaveBeenCalledWith({ ...remote, dtype: 'q8' }, expect.objectContaining({ dtype: 'q8' }));
+    expect(onEvent).toHaveBeenCalledWith('progress', expect.objectContaining({ file: 'config.json', status: 'done' }));
+    expect(workers[0].messages[0].modelConfig).toEqual({ ...remote, dtype: 'q8', stored: true });
+  });
+
+  it('should fail init when the download fails', async () => {
+    const downloadModel = vi.fn(async () => {
+      throw new Error('Downloaded onnx/encoder_model.onnx is corrupt');
+    });
+    pool = createPool({ resolveModelConfig: async () => ({ modelName: 'test/model', env_config: {} }), downloadModel });
+
+    await expect(pool.init()).rejects.toThrow('corrupt');
+    expect(workers).toHaveLength(0);
+  });
+
+  it('should resolve jobs with the worker result', async () => {
+    const job = pool.submit({ image: 'img', key: 'a' });
+    await ready();
+
+    expect(workers[0].predictKeys).toEqual(['a']);
+    workers[0].reply('x^{2}');
+
+    await expect(job).resolves.toEqual({ output: 'x^{2}', time: '0.01', key: 'a' });
+  });
+
+  it('should forward decoding options and return extra result fields', async () => {
+    const job = pool.submit({ image: 'img', key: 'a', options: { numBeams: 4 } });
+    await ready();
+
+    expect(workers[0].lastPredict().options).toEqual({ numBeams: 4 });
+    const candidates = [{ latex: 'x', logProb: -0.1, score: -0.1 }];
+    workers[0].emit({ type: 'result', output: 'x', time: '0.50', candidates, key: 'a' });
+
+    await expect(job).resolves.toMatchObject({ output: 'x', candidates });
+  });
+
+  it('should send batches as one predictBatch message and report item progress', async () => {
+    const onProgress = vi.fn();
+    const items = [{ key: 'row-1:0', image: 'a' }, { key: 'row-1:1', image: 'b' }];
+    const job = pool.submitBatch({ items, key: 'row-1:batch-0', options: { maxLength: 128 }, onProgress });
+    await ready();
+
+    const message = workers[0].messages.find(m => m.action === 'predictBatch');
+    expect(message).toMatchObject({ items, key: 'row-1:batch-0', options: { maxLength: 128 } });
+
+    const first = { key: 'row-1:1', output: 'y', tokens: [] };
+    workers[0].emit({ type: 'batch-progress', key: 'row-1:batch-0', index: 1, completed: 1, total: 2, item: first });
+    expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({ index: 1, completed: 1, total: 2, item: first }));
+
+    const results = [{ key: 'row-1:0', output: 'x', tokens: [] }, first];
+    workers[0].emit({ type: 'result', items: results, time: '0.20', key: 'row-1:batch-0' });
+
+    await expect(job).resolves.toMatchObject({ items: results, time: '0.20' });
+  });
+
+  it('should reject empty batches', async () => {
+    await expect(pool.submitBatch({ items: [], key: 'b' })).rejects.toThrow('at least one item');
+  });
+
+  it('should cancel a running batch with its row', async () => {
+    const job = pool.submitBatch({ items: [{ key: 'row-3:0', image: 'a' }], key: 'row-3:batch-0' });
+    await ready();
+
+    pool.cancel('row-3');
+
+    await expect(job).rejects.toMatchObject({ cancelled: true });
+  });
+
+  it('should run higher priority jobs first', async () => {
+    const jobs = [
+      pool.submit({ image: 'img', key: 'first', priority: PRIORITY.LOW }),
+      pool.submit({ image: 'img', key: 'background', priority: PRIORITY.LOW }),
+      pool.submit({ image: 'img', key: 'normal', priority: PRIORITY.NORMAL }),
+      pool.submit({ image: 'img', key: 'active', priority: PRIORITY.HIGH })
+    ];
+    await ready();
+
+    for (let i = 0; i < jobs.length; i++) {
+      workers[0].reply();
+      await flush();
+    }
+    await Promise.all(jobs);
+
+    expect(workers[0].predictKeys).toEqual(['active', 'normal', 'first', 'background']);
+  });
+
+  it('should move queued jobs of a row ahead when reprioritized', async () => {
+    const jobs = [
+      pool.submit({ image: 'img', key: 'first' }),
+      pool.submit({ image: 'img', key: 'row-1:0' }),
+      pool.submit({ image: 'img', key: 'row-2:0' })
+    ];
+
+    expect(pool.reprioritize('row-2', PRIORITY.HIGH)).toBe(1);
+    expect(pool.reprioritize('row-2', PRIORITY.HIGH)).toBe(0);
+    await ready();
+
+    for (let i = 0; i < jobs.length; i++) {
+      workers[0].reply();
+      await flush();
+    }
+    await Promise.all(jobs);
+
+    expect(workers[0].predictKeys).toEqual(['row-2:0', 'first', 'row-1:0']);
+  });
+
+  it('should cancel queued jobs by key prefix', async () => {
+    const running = pool.submit({ image: 'img', key: 'other' });
+    const tile0 = pool.submit({ image: 'img', key: 'row-1:0' });
+    const tile1 = pool.submit({ image: 'img', key: 'row-1:1' });
+    const row10 = pool.submit({ image: 'img', key: 'row-10:0' });
+    await ready();
+
+    expect(pool.cancel('row-1')).toBe(2);
+
+    await expect(tile0).rejects.toMatchObject({ cancelled: true });
+    await expect(tile1).rejects.toMatchObject({ cancelled: true });
+
+    workers[0].reply();
+    await running;
+    await flush();
+    expect(workers[0].predictKeys).toEqual(['other', 'row-10:0']);
+    workers[0].reply();
+    await row10;
+  });
+
+  it('should supersede a running job submitted again with the same key', async () => {
+    const stale = pool.submit({ image: 'old', key: 'row-2:0' });
+    await ready();
+
+    const fresh = pool.submit({ image: 'new', key: 'row-2:0' });
+    await expect(stale).rejects.toMatchObject({ cancelled: true });
+
+    // Result of the superseded run is discarded, then the new job runs
+    workers[0].reply('old result');
+    await flush();
+    expect(workers[0].lastPredict().image).toBe('new');
+    workers[0].reply('new result');
+
+    await expect(fresh).resolves.toMatchObject({ output: 'new result' });
+  });
+
+  it('should reject jobs when the worker reports an inference error', async () => {
+    const job = pool.submit({ image: 'img', key: 'a' });
+    await ready();
+
+    workers[0].emit({ type: 'error', error: 'bad image', key: 'a' });
+
+    await expect(job).rejects.toThrow('bad image');
+  });
+
+  it('should restart a crashed worker and retry the job once', async () => {
+    const job = pool.submit({ image: 'img', key: 'a' });
+    await ready();
+
+    workers[0].onerror({ message: 'boom' });
+    expect(workers[0].terminated).toBe(true);
+
+    await ready(1);
+    expect(workers[1].predictKeys).toEqual(['a']);
+    workers[1].reply('ok');
+
+    await expect(job).resolves.toMatchObject({ output: 'ok' });
+  });
+
+  it('should not spawn a second worker when init is called during a restart', async () => {
+    const job = pool.submit({ image: 'img', key: 'a' });
+    await ready();
+
+    workers[0].onerror({ message: 'boom' });
+    const next = pool.submit({ image: 'img', key: 'b' });
+    pool.init();
+    await flush();
+    expect(workers).toHaveLength(2);
+
+    await ready(1);
+    workers[1].reply('ok');
+    await expect(job).resolves.toMatchObject({ output: 'ok' });
+    await flush();
+    workers[1].reply('ok');
+    await next;
+    expect(workers).toHaveLength(2);
+  });
+
+  it('should restart a hung worker after the job timeout', async () => {
+    vi.useFakeTimers();
+    try {
+      pool = createPool({ jobTimeoutMs: 1000 });
+      const job = pool.submit({ image: 'img', key: 'a' });
+      const outcome = expect(job).rejects.toThrow('timed out');
+      await vi.advanceTimersByTimeAsync(0);
+      workers[0].emit({ type: 'ready' });
+
+      await vi.advanceTimersByTimeAsync(1000);
+      expect(workers[0].terminated).toBe(true);
+
+      await vi.advanceTimersByTimeAsync(0);
+      workers[1].emit({ type: 'ready' });
+      await vi.advanceTimersByTimeAsync(1000);
+
+      await outcome;
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('should reject queued jobs when the model fails to load', async () => {
+    const job = pool.submit({ image: 'img', key: 'a' });
+    await flush();
+
+    workers[0].emit({ type: 'error', error: 'network down' });
+
+    await expect(job).rejects.toThrow('network down');
+    expect(pool.getStatus()).toMatchObject({ ready: false, workers: 0, queued: 0 });
+  });
+
+  it('should grow up to the pool size when jobs are waiting', async () => {
+    pool = createPool({ size: 2 });
+    const first = pool.submit({ image: 'img', key: 'a' });
+    const second = pool.submit({ image: 'img', key: 'b' });
+    await ready();
+
+    expect(workers).toHaveLength(2);
+    await ready(1);
+    expect(workers[1].predictKeys).toEqual(['b']);
+
+    workers[0].reply();
+    workers[1].reply();
+    await Promise.all([first, second]);
+  });
+
+  it('should reject new jobs when the queue is full', async () => {
+    pool = createPool({ queueLimit: 1 });
+    const queued = pool.submit({ image: 'img', key: 'a', priority: PRIORITY.LOW });
+
+    await expect(pool.submit({ image: 'img', key: 'b', priority: PRIORITY.LOW })).rejects.toThrow('queue is full');
+
+    // Higher priority evicts the lowest queued job
+    const urgent = pool.submit({ image: 'img', key: 'c', priority: PRIORITY.HIGH });
+    await expect(queued).rejects.toMatchObject({ cancelled: true });
+
+    await ready();
+    workers[0].reply();
+    await urgent;
+  });
+});
+
+describe('getDefaultPoolSize', () => {
+  it('should size the pool from device memory and cores', () => {
+    expect(getDefaultPoolSize({ deviceMemory: 2, hardwareConcurrency: 8 })).toBe(1);
+    expect(getDefaultPoolSize({ deviceMemory: 8, hardwareConcurrency: 8 })).toBe(2);
+    expect(getDefaultPoolSize({ deviceMemory: 8, hardwareConcurrency: 2 })).toBe(1);
+    expect(getDefaultPoolSize({ deviceMemory: 32, hardwareConcurrency: 16 })).toBe(3);
+  });
+
+  it('should use one worker when the device does not report its memory', () => {
+    expect(getDefaultPoolSize({ hardwareConcurrency: 8 })).toBe(1);
+    expect(getDefaultPoolSize(undefined)).toBe(1);
+  });
+});
+
+describe('resolveModelSource', () => {
+  const autoSelection = async () => ({ modelId: 'formulanet', source: 'auto' });
+
+  beforeEach(() => {
+    vi.stubGlobal('fetch', vi.fn(async () => ({ ok: true })));
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should load an imported model without touching the network', async () => {
+    getInstalledModel.mockResolvedValueOnce({ modelName: 'local/FormulaNet', version: 'abc123' });
+
+    const config = await resolveModelSource({ loadSelection: autoSelection });
+
+    expect(config).toEqual({
+      modelId: 'formulanet',
+      modelName: 'local/FormulaNet',
+      tokenizer: 'local/FormulaNet',
+      inputSize: 384,
+      local: true,
+      version: 'abc123'
+    });
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('should use Hugging Face when no model is imported', async () => {
+    const config = await resolveModelSource({ loadSelection: autoSelection });
+
+    expect(config.local).toBeUndefined();
+    expect(config.env_config.remoteHost).toBe('https://huggingface.co/');
+    expect(config).toMatchObject({ modelName: 'alephpi/FormulaNet', tokenizer: 'alephpi/FormulaNet', inputSize: 384 });
+  });
+
+  it('should fall back to downloading when the model store cannot be read', async () => {
+    getInstalledModel.mockRejectedValueOnce(new Error('IndexedDB unavailable'));
+    fetch.mockRejectedValueOnce(new Error('offline'));
+
+    const config = await resolveModelSource({ loadSelection: autoSelection });
+
+    expect(config.env_config.remotePathTemplate).toContain('Texo-web');
+  });
+
+  it('should use the source picked for the workspace as is', async () => {
+    getInstalledModel.mockResolvedValueOnce({ modelName: 'local/FormulaNet', version: 'abc123' });
+
+    const config = await resolveModelSource({
+      loadSelection: async () => ({ modelId: 'formulanet', source: 'cn-mirror' })
+    });
+
+    expect(config.source).toBe('cn-mirror');
+    expect(config.local).toBeUndefined();
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('should fall back to the default model for unknown ids', async () => {
+    const config = await resolveModelSource({
+      loadSelection: async () => ({ modelId: 'removed-model', source: 'auto' })
+    });
+
+    expect(config.modelId).toBe('formulanet');
+  });
+});
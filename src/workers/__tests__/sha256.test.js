@@ -0,0 +1,34 @@
+/**
+ * @vitest-environment node
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createHash } from 'node:crypto';
+import { createSHA256, sha256Blob } from '../sha256';
+
+const reference = (bytes) => createHash('sha256').update(bytes).digest('hex');
+
+describe('sha256', () => {
+  it('should match the reference digest around the padding boundaries', () => {
+    for (const length of [0, 1, 55, 56, 63, 64, 65, 1000]) {
+      const bytes = new Uint8Array(length).map((_, i) => i * 31);
+      expect(createSHA256().update(bytes).digest()).toBe(reference(bytes));
+    }
+  });
+
+  it('should give the same digest however the input is split', () => {
+    const bytes = new Uint8Array(300).map((_, i) => i % 256);
+    const hash = createSHA256();
+    for (const [start, end] of [[0, 3], [3, 70], [70, 70], [70, 299], [299, 300]]) {
+      hash.update(bytes.subarray(start, end));
+    }
+
+    expect(hash.digest()).toBe(reference(bytes));
+  });
+
+  it('should hash blobs slice by slice', async () => {
+    const bytes = new Uint8Array(1000).map((_, i) => i % 7);
+
+    expect(await sha256Blob(new Blob([bytes]), 64)).toBe(reference(bytes));
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  canRasterizeStrokes,
+  toStrokes,
+  fitRegion,
+  rasterizeStrokes,
+  DEFAULT_STROKE_WIDTH
+} from '../strokeRasterizer';
+
+/**
+ * Canvas stand-in that records drawing calls; getImageData returns white
+ * except for the first pixel
+ */
+function createFakeCanvas() {
+  const calls = [];
+  const ctx = new Proxy({}, {
+    get(target, prop) {
+      if (prop in target) return target[prop];
+      if (prop === 'getImageData') {
+        return (x, y, w, h) => {
+          const data = new Uint8ClampedArray(w * h * 4).fill(255);
+          data[0] = 0;
+          return { data };
+        };
+      }
+      return (...args) => calls.push([prop, ...args]);
+    },
+    set(target, prop, value) {
+      target[prop] = value;
+      return true;
+    }
+  });
+  const canvas = { getContext: () => ctx };
+  return { canvas, ctx, calls };
+}
+
+const freedraw = (overrides = {}) => ({
+  type: 'freedraw',
+  x: 100,
+  y: 50,
+  width: 20,
+  height: 10,
+  angle: 0,
+  points: [[0, 0], [10, 5], [20, 10]],
+  ...overrides
+});
+
+describe('strokeRasterizer', () => {
+  it('should only accept point-based elements', () => {
+    expect(canRasterizeStrokes([freedraw(), freedraw({ type: 'line' })])).toBe(true);
+    expect(canRasterizeStrokes([freedraw(), { type: 'text', x: 0, y: 0 }])).toBe(false);
+    expect(canRasterizeStrokes([freedraw({ points: undefined })])).toBe(false);
+    expect(canRasterizeStrokes([])).toBe(false);
+  });
+
+  it('should convert points to absolute coordinates', () => {
+    expect(toStrokes([freedraw()])).toEqual([{ points: [[100, 50], [110, 55], [120, 60]] }]);
+  });
+
+  it('should apply element rotation about its centre', () => {
+    const [{ points }] = toStrokes([freedraw({ angle: Math.PI })]);
+
+    expect(points[0][0]).toBeCloseTo(120);
+    expect(points[0][1]).toBeCloseTo(60);
+    expect(points[2][0]).toBeCloseTo(100);
+    expect(points[2][1]).toBeCloseTo(50);
+  });
+
+  it('should skip deleted and empty elements', () => {
+    expect(toStrokes([freedraw({ isDeleted: true }), freedraw({ points: [] })])).toEqual([]);
+  });
+
+  it('should fit and centre regions like preprocessImg', () => {
+    expect(fitRegion({ x: 50, y: 50, width: 384, height: 384 })).toEqual({ scale: 1, offsetX: -50, offsetY: -50 });
+    expect(fitRegion({ x: 0, y: 0, width: 768, height: 384 })).toEqual({ scale: 0.5, offsetX: 0, offsetY: 96 });
+  });
+
+  it('should draw strokes at a fixed width in output pixels', () => {
+    const { canvas, ctx, calls } = createFakeCanvas();
+    const createCanvas = vi.fn(() => canvas);
+
+    rasterizeStrokes(toStrokes([freedraw()]), {
+      region: { x: 0, y: 0, width: 768, height: 768 },
+      createCanvas
+    });
+
+    expect(createCanvas).toHaveBeenCalledWith(384, 384);
+    expect(ctx.lineWidth).toBe(DEFAULT_STROKE_WIDTH * 2);
+    expect(calls).toContainEqual(['setTransform', 0.5, 0, 0, 0.5, 0, 0]);
+    expect(calls).toContainEqual(['moveTo', 100, 50]);
+    expect(calls).toContainEqual(['lineTo', 120, 60]);
+    expect(calls.filter(([name]) => name === 'stroke')).toHaveLength(1);
+  });
+
+  it('should draw single points as dots', () => {
+    const { canvas, calls } = createFakeCanvas();
+
+    rasterizeStrokes([{ points: [[10, 10]] }], {
+      region: { x: 0, y: 0, width: 384, height: 384 },
+      createCanvas: () => canvas
+    });
+
+    expect(calls.some(([name]) => name === 'arc')).toBe(true);
+    expect(calls.some(([name]) => name === 'fill')).toBe(true);
+  });
+
+  it('should return normalized grey values', () => {
+    const { canvas } = createFakeCanvas();
+
+    const pixels = rasterizeStrokes([], {
+      region: { x: 0, y: 0, width: 384, height: 384 },
+      createCanvas: () => canvas
+    });
+
+    expect(pixels).toBeInstanceOf(Float32Array);
+    expect(pixels).toHaveLength(384 * 384);
+    expect(pixels[0]).toBe(0);
+    expect(pixels[1]).toBe(1);
+  });
+});
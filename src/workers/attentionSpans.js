@@ -0,0 +1,85 @@
+/**
+ * Cross-attention token spans for the OCR worker
+ * Decoders exported with attention outputs report, at every decoding step,
+ * how strongly the new token attended to each encoder patch. Summing those
+ * weights over layers and heads and projecting the patch grid onto the x axis
+ * gives the horizontal slice of the model input the token was read from.
+ */
+
+// Columns with at least this share of the strongest column belong to the span
+export const SPAN_THRESHOLD = 0.5
+
+/**
+ * Square patch grid of an encoder output
+ * ViT-style encoders put a CLS token (DeiT also a distillation token) before
+ * the patches; other layouts are not supported.
+ *
+ * @param {number} count - Encoder sequence length
+ * @returns {{side: number, skip: number}|null} Grid side and leading non-patch tokens
+ */
+export function patchGrid(count) {
+  for (const skip of [0, 1, 2]) {
+    const side = Math.round(Math.sqrt(count - skip))
+    if (side > 0 && side * side === count - skip) return { side, skip }
+  }
+  return null
+}
+
+/**
+ * Horizontal span of one step's attention over the patch grid
+ * @param {ArrayLike<number>} weights - Attention per encoder position
+ * @param {number} [threshold=SPAN_THRESHOLD] - Share of the peak column weight
+ * @returns {[number, number]|null} Span as fractions of the input width, or null
+ *   when the encoder layout is unknown or the weights are empty
+ */
+export function columnSpan(weights, threshold = SPAN_THRESHOLD) {
+  const grid = patchGrid(weights.length)
+  if (!grid) return null
+
+  const { side, skip } = grid
+  const columns = new Float64Array(side)
+  for (let i = 0; i < side * side; i++) columns[i % side] += weights[skip + i]
+
+  const peak = Math.max(...columns)
+  if (!(peak > 0)) return null
+
+  let first = -1
+  let last = -1
+  columns.forEach((weight, x) => {
+    if (weight < threshold * peak) return
+    if (first === -1) first = x
+    last = x
+  })
+  return [first / side, (last + 1) / side]
+}
+
+/**
+ * Input span of every generated token of one batch row
+ * @param {Array<Array<{dims: number[]}>>|undefined} crossAttentions - `cross_attentions` of
+ *   `generate()`: one list of [batch, heads, queries, patches] tensors (one per layer) per step
+ * @param {number} batchIndex - Batch row
+ * @param {number} steps - Number of generated tokens of the row
+ * @param {(tensor: Object) => ArrayLike<number>} [readValues] - Reads a tensor as numbers
+ * @returns {Array<[number, number]|null>} Span per generated token (see columnSpan)
+ */
+export function attentionSpans(crossAttentions, batchIndex, steps, readValues = (tensor) => tensor.data) {
+  return Array.from({ length: steps }, (_, step) => {
+    const layers = crossAttentions?.[step]
+    if (!layers?.length) return null
+
+    let weights = null
+    for (const layer of layers) {
+      const [batch, heads, queries, patches] = layer.dims
+      if (batchIndex >= batch) return null
+
+      const values = readValues(layer)
+      weights ??= new Float64Array(patches)
+      // Only the last query position is the newly generated token
+      for (let h = 0; h < heads; h++) {
+        const offset = ((batchIndex * heads + h) * queries + queries - 1) * patches
+        for (let p = 0; p < patches; p++) weights[p] += values[offset + p]
+      }
+    }
+    return columnSpan(weights)
+  })
+}
@@ -0,0 +1,123 @@
+/**
+ * Beam search decoding for the OCR worker
+ * Transformers.js `generate()` only does greedy/sampling decoding, so N-best
+ * hypotheses are produced here on top of a model-agnostic `step` function.
+ */
+
+/**
+ * Indices of the k largest values, largest first
+ * @param {ArrayLike<number>} values - Scores
+ * @param {number} k - Number of indices to return
+ * @returns {number[]}
+ */
+export function topK(values, k) {
+  const best = []
+
+  for (let i = 0; i < values.length; i++) {
+    const value = values[i]
+    if (best.length === k && value <= values[best[k - 1]]) continue
+
+    let pos = best.length
+    while (pos > 0 && values[best[pos - 1]] < value) pos--
+    best.splice(pos, 0, i)
+    if (best.length > k) best.pop()
+  }
+
+  return best
+}
+
+/**
+ * Length-normalized hypothesis score (same convention as Hugging Face beam search)
+ * @param {number} logProb - Sum of token log-probabilities
+ * @param {number} length - Number of generated tokens
+ * @param {number} lengthPenalty - Exponent applied to the length
+ * @returns {number}
+ */
+function normalizeScore(logProb, length, lengthPenalty) {
+  return logProb / Math.pow(Math.max(length, 1), lengthPenalty)
+}
+
+/**
+ * Run beam search
+ *
+ * @param {Object} options
+ * @param {(sequences: number[][]) => Promise<ArrayLike<number>[]>} options.step - Returns next-token
+ *   log-probabilities for each sequence (all sequences have the same length)
+ * @param {number} options.startTokenId - Decoder start token
+ * @param {number|number[]} options.eosTokenId - End-of-sequence token(s)
+ * @param {number} [options.numBeams=4] - Beam width
+ * @param {number} [options.numReturnSequences=numBeams] - Hypotheses to return (<= numBeams)
+ * @param {number} [options.maxLength=512] - Maximum sequence length, including the start token
+ * @param {number} [options.lengthPenalty=1] - Length normalization exponent (0 = raw log-probability)
+ * @returns {Promise<Array<{tokens: number[], tokenLogProbs: number[], logProb: number, score: number}>>}
+ *   Best first; `tokens` excludes the start and end tokens, `tokenLogProbs` holds one entry per token
+ */
+export async function beamSearch({
+  step,
+  startTokenId,
+  eosTokenId,
+  numBeams = 4,
+  numReturnSequences = numBeams,
+  maxLength = 512,
+  lengthPenalty = 1
+}) {
+  const eosIds = new Set([].concat(eosTokenId))
+  const finished = []
+  let beams = [{ tokens: [startTokenId], tokenLogProbs: [], logProb: 0 }]
+
+  const worstFinished = () => finished.length < numBeams
+    ? -Infinity
+    : Math.min(...finished.map(h => h.score))
+
+  const addFinished = ({ tokens, tokenLogProbs }, logProb) => {
+    const generated = tokens.slice(1)
+    const score = normalizeScore(logProb, generated.length, lengthPenalty)
+    if (score <= worstFinished()) return
+
+    finished.push({ tokens: generated, tokenLogProbs, logProb, score })
+    finished.sort((a, b) => b.score - a.score)
+    if (finished.length > numBeams) finished.pop()
+  }
+
+  while (beams.length > 0 && beams[0].tokens.length < maxLength) {
+    const logProbs = await step(beams.map(b => b.tokens))
+
+    // Expand each beam with its 2k best tokens so k beams survive even if some end here
+    const candidates = []
+    beams.forEach((beam, i) => {
+      for (const token of topK(logProbs[i], 2 * numBeams)) {
+        candidates.push({ parent: beam, token, tokenLogProb: logProbs[i][token], logProb: beam.logProb + logProbs[i][token] })
+      }
+    })
+    candidates.sort((a, b) => b.logProb - a.logProb)
+
+    const next = []
+    for (const { parent, token, tokenLogProb, logProb } of candidates) {
+      if (next.length === numBeams) break
+      if (eosIds.has(token)) {
+        addFinished(parent, logProb)
+      } else {
+        next.push({
+          tokens: [...parent.tokens, token],
+          tokenLogProbs: [...parent.tokenLogProbs, tokenLogProb],
+          logProb
+        })
+      }
+    }
+    beams = next
+
+    // Hugging Face's default stopping heuristic: stop once the best live beam,
+    // scored at its current length, no longer beats the worst kept hypothesis
+    if (beams.length > 0 && finished.length >= numBeams) {
+      const bestLive = normalizeScore(beams[0].logProb, beams[0].tokens.length - 1, lengthPenalty)
+      if (bestLive <= worstFinished()) break
+    }
+  }
+
+  // Hypotheses cut off by maxLength still count
+  for (const beam of beams) {
+    addFinished(beam, beam.logProb)
+  }
+
+  return finished.slice(0, numReturnSequences)
+}
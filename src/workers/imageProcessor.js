@@ -4,20 +4,50 @@
  */
 
 import { Image } from 'image-js'
+import { cleanupInk } from './inkCleanup.js'
+import { DEFAULT_INPUT_SIZE } from '../utils/modelRegistry.js'
 
 /**
- * Preprocesses an image file for the OCR model
- * @param {File|Blob} imageFile - The image file to process
- * @param {number} targetSize - Target size for the square image (default: 384)
- * @returns {Promise<{array: Float32Array, width: number, height: number}>}
+ * Decode an image file to 8-bit greyscale
+ * @param {File|Blob} imageFile - The image file to decode
+ * @returns {Promise<{width: number, height: number, data: Uint8Array}>}
  */
-export async function preprocessImg(imageFile, targetSize = 384) {
-  // Read the image file
+export async function loadGreyImage(imageFile) {
   const arrayBuffer = await imageFile.arrayBuffer()
   const img = await Image.load(arrayBuffer)
+  const grey = img.grey()
+  return { width: grey.width, height: grey.height, data: grey.data }
+}
+
+/**
+ * Preprocesses an image file for the OCR model
+ * @param {File|Blob} imageFile - The image file to process
+ * @param {number} targetSize - Target size for the square image (default: the
+ *   registry's default model input size; pass the active model's inputSize)
+ * @param {Object} [options]
+ * @param {Object} [options.cleanup] - Ink cleanup steps to run before resizing,
+ *   e.g. `{ threshold: true, crop: true }` (see inkCleanup.js)
+ * @param {boolean} [options.debug=false] - Also return the image after each step
+ * @returns {Promise<{array: Float32Array, width: number, height: number, stages?: Array}>}
+ */
+export async function preprocessImg(imageFile, targetSize = DEFAULT_INPUT_SIZE, options = {}) {
+  return preprocessGrey(await loadGreyImage(imageFile), targetSize, options)
+}
 
-  // Convert to grayscale if needed
-  let grayscale = img.grey()
+/**
+ * Preprocesses an already decoded greyscale image (e.g. one line cut out of a page)
+ * @param {{width: number, height: number, data: Uint8Array}} image - Greyscale image
+ * @param {number} targetSize - Target size for the square image (default: as preprocessImg)
+ * @param {Object} [options] - Same as preprocessImg
+ * @returns {{array: Float32Array, width: number, height: number, stages?: Array}}
+ */
+export function preprocessGrey(image, targetSize = DEFAULT_INPUT_SIZE, { cleanup, debug = false } = {}) {
+  // Optional cleanup for photos and scans
+  const cleaned = cleanupInk(image, cleanup)
+  const grayscale = new Image(cleaned.image.width, cleaned.image.height, {
+    colorModel: 'GREY',
+    data: cleaned.image.data
+  })
 
   // Get original dimensions
   const { width, height } = grayscale
@@ -42,7 +72,7 @@ export async function preprocessImg(imageFile, targetSize = 384) {
 
   // Create a white background image
   const padded = new Image(targetSize, targetSize, {
-    kind: 'GREY',
+    colorModel: 'GREY',
     data: new Uint8Array(targetSize * targetSize).fill(255)
   })
 
@@ -64,6 +94,12 @@ export async function preprocessImg(imageFile, targetSize = 384) {
   return {
     array: normalized,
     width: targetSize,
-    height: targetSize
+    height: targetSize,
+    ...(debug && {
+      stages: [
+        ...cleaned.stages,
+        { step: 'model', width: targetSize, height: targetSize, data: Uint8Array.from(padded.data) }
+      ]
+    })
   }
 }
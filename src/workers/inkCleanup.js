@@ -0,0 +1,265 @@
+/**
+ * Ink cleanup for photographed and scanned formulas
+ * Optional steps run on the greyscale image before it is resized for the
+ * model: contrast stretching, adaptive thresholding, deskew and cropping to
+ * the ink. Images are plain `{ width, height, data }` objects with one 8-bit
+ * grey value per pixel (0 is black ink, 255 is white paper).
+ */
+
+/** Cleanup steps in the order they run */
+export const CLEANUP_STEPS = [
+  { id: 'contrast', label: 'Stretch contrast' },
+  { id: 'threshold', label: 'Adaptive threshold' },
+  { id: 'deskew', label: 'Deskew' },
+  { id: 'crop', label: 'Crop to ink' }
+]
+
+/** Grey level below which a pixel counts as ink */
+export const INK_LEVEL = 128
+
+/** White border (px) kept around the ink when cropping */
+export const CROP_MARGIN = 16
+
+// Largest skew (degrees) deskew corrects, and the search resolution
+const MAX_SKEW = 10
+const SKEW_STEP = 0.5
+
+// Ink pixels sampled when estimating skew (keeps large photos fast)
+const MAX_SKEW_SAMPLES = 20000
+
+/**
+ * Stretch grey levels so the darkest and brightest pixels span 0-255
+ * Percentiles are used instead of the extremes so a few specks do not
+ * cancel the stretch.
+ *
+ * @param {{width: number, height: number, data: Uint8Array}} image - Grey image
+ * @param {Object} [options]
+ * @param {number} [options.low=0.01] - Fraction of pixels mapped to black
+ * @param {number} [options.high=0.99] - Fraction of pixels below white
+ * @returns {{width: number, height: number, data: Uint8Array}}
+ */
+export function stretchContrast({ width, height, data }, { low = 0.01, high = 0.99 } = {}) {
+  const histogram = new Uint32Array(256)
+  for (const value of data) histogram[value]++
+
+  const percentile = (fraction) => {
+    const target = fraction * data.length
+    let count = 0
+    for (let level = 0; level < 256; level++) {
+      count += histogram[level]
+      if (count > target) return level
+    }
+    return 255
+  }
+
+  const min = percentile(low)
+  const max = percentile(high)
+  if (max <= min) return { width, height, data: Uint8Array.from(data) }
+
+  const scale = 255 / (max - min)
+  const out = new Uint8Array(data.length)
+  for (let i = 0; i < data.length; i++) {
+    out[i] = Math.max(0, Math.min(255, Math.round((data[i] - min) * scale)))
+  }
+  return { width, height, data: out }
+}
+
+/**
+ * Binarize with a local mean threshold (Bradley's method)
+ * A pixel is ink when it is darker than the mean of its neighbourhood by more
+ * than `offset`, so shadows and uneven lighting on whiteboard photos do not
+ * turn into ink.
+ *
+ * @param {{width: number, height: number, data: Uint8Array}} image - Grey image
+ * @param {Object} [options]
+ * @param {number} [options.windowSize] - Neighbourhood size in px (defaults to 1/8 of the shorter side, at least 15)
+ * @param {number} [options.offset=0.15] - Fraction below the local mean that counts as ink
+ * @returns {{width: number, height: number, data: Uint8Array}} Image with values 0 (ink) and 255
+ */
+export function adaptiveThreshold({ width, height, data }, {
+  windowSize = Math.max(15, Math.round(Math.min(width, height) / 8)),
+  offset = 0.15
+} = {}) {
+  // Integral image with a zero row and column in front
+  const stride = width + 1
+  const integral = new Float64Array(stride * (height + 1))
+  for (let y = 0; y < height; y++) {
+    let rowSum = 0
+    for (let x = 0; x < width; x++) {
+      rowSum += data[y * width + x]
+      integral[(y + 1) * stride + x + 1] = integral[y * stride + x + 1] + rowSum
+    }
+  }
+
+  const half = Math.floor(windowSize / 2)
+  const out = new Uint8Array(data.length)
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.max(0, y - half)
+    const y1 = Math.min(height, y + half + 1)
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.max(0, x - half)
+      const x1 = Math.min(width, x + half + 1)
+      const sum = integral[y1 * stride + x1] - integral[y0 * stride + x1] -
+        integral[y1 * stride + x0] + integral[y0 * stride + x0]
+      const mean = sum / ((x1 - x0) * (y1 - y0))
+      out[y * width + x] = data[y * width + x] < mean * (1 - offset) ? 0 : 255
+    }
+  }
+  return { width, height, data: out }
+}
+
+/**
+ * Estimate the angle of the text baseline
+ * Ink pixels are projected onto rows at each candidate angle; the angle that
+ * packs them into the fewest, fullest rows (highest sum of squared row
+ * counts) wins. Ties keep the smaller correction.
+ *
+ * @param {{width: number, height: number, data: Uint8Array}} image - Grey image
+ * @param {Object} [options]
+ * @param {number} [options.maxAngle=10] - Largest angle tried, in degrees
+ * @param {number} [options.step=0.5] - Search resolution, in degrees
+ * @returns {number} Skew in degrees; positive when lines descend to the right
+ */
+export function estimateSkew({ width, height, data }, { maxAngle = MAX_SKEW, step = SKEW_STEP } = {}) {
+  const xs = []
+  const ys = []
+  let inkCount = 0
+  for (const value of data) if (value < INK_LEVEL) inkCount++
+  if (inkCount === 0) return 0
+
+  const stride = Math.max(1, Math.ceil(inkCount / MAX_SKEW_SAMPLES))
+  let seen = 0
+  for (let i = 0; i < data.length; i++) {
+    if (data[i] >= INK_LEVEL) continue
+    if (seen++ % stride === 0) {
+      xs.push(i % width)
+      ys.push(Math.floor(i / width))
+    }
+  }
+
+  const span = width + height
+  const rows = new Uint32Array(2 * span + 1)
+  const score = (degrees) => {
+    const angle = degrees * Math.PI / 180
+    const sin = Math.sin(angle)
+    const cos = Math.cos(angle)
+    rows.fill(0)
+    for (let i = 0; i < xs.length; i++) {
+      rows[Math.round(ys[i] * cos - xs[i] * sin) + span]++
+    }
+    let total = 0
+    for (const count of rows) total += count * count
+    return total
+  }
+
+  let best = 0
+  let bestScore = score(0)
+  for (let offset = step; offset <= maxAngle + 1e-9; offset += step) {
+    for (const angle of [offset, -offset]) {
+      const s = score(angle)
+      if (s > bestScore) {
+        best = angle
+        bestScore = s
+      }
+    }
+  }
+  return best
+}
+
+/**
+ * Rotate so that lines with the given skew become horizontal
+ * The canvas grows to keep the corners; new area is white.
+ *
+ * @param {{width: number, height: number, data: Uint8Array}} image - Grey image
+ * @param {number} degrees - Skew from estimateSkew
+ * @returns {{width: number, height: number, data: Uint8Array}}
+ */
+export function rotateImage({ width, height, data }, degrees) {
+  if (degrees === 0) return { width, height, data: Uint8Array.from(data) }
+
+  const angle = degrees * Math.PI / 180
+  const sin = Math.sin(angle)
+  const cos = Math.cos(angle)
+  const outWidth = Math.ceil(width * Math.abs(cos) + height * Math.abs(sin))
+  const outHeight = Math.ceil(width * Math.abs(sin) + height * Math.abs(cos))
+  const out = new Uint8Array(outWidth * outHeight).fill(255)
+
+  const sample = (x, y) => (x < 0 || y < 0 || x >= width || y >= height ? 255 : data[y * width + x])
+
+  for (let Y = 0; Y < outHeight; Y++) {
+    for (let X = 0; X < outWidth; X++) {
+      // Source position of this output pixel (rotation about the centres)
+      const dx = X - outWidth / 2
+      const dy = Y - outHeight / 2
+      const x = dx * cos - dy * sin + width / 2 - 0.5
+      const y = dx * sin + dy * cos + height / 2 - 0.5
+
+      const x0 = Math.floor(x)
+      const y0 = Math.floor(y)
+      const fx = x - x0
+      const fy = y - y0
+      const top = sample(x0, y0) * (1 - fx) + sample(x0 + 1, y0) * fx
+      const bottom = sample(x0, y0 + 1) * (1 - fx) + sample(x0 + 1, y0 + 1) * fx
+      out[Y * outWidth + X] = Math.round(top * (1 - fy) + bottom * fy)
+    }
+  }
+  return { width: outWidth, height: outHeight, data: out }
+}
+
+/**
+ * Crop to the bounding box of the ink plus a fixed white margin
+ * Images without ink are returned unchanged.
+ *
+ * @param {{width: number, height: number, data: Uint8Array}} image - Grey image
+ * @param {Object} [options]
+ * @param {number} [options.margin=CROP_MARGIN] - Border around the ink in px
+ * @returns {{width: number, height: number, data: Uint8Array}}
+ */
+export function cropToInk({ width, height, data }, { margin = CROP_MARGIN } = {}) {
+  let minX = width
+  let minY = height
+  let maxX = -1
+  let maxY = -1
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (data[y * width + x] >= INK_LEVEL) continue
+      if (x < minX) minX = x
+      if (x > maxX) maxX = x
+      if (y < minY) minY = y
+      if (y > maxY) maxY = y
+    }
+  }
+  if (maxX < 0) return { width, height, data: Uint8Array.from(data) }
+
+  const outWidth = maxX - minX + 1 + 2 * margin
+  const outHeight = maxY - minY + 1 + 2 * margin
+  const out = new Uint8Array(outWidth * outHeight).fill(255)
+  for (let y = minY; y <= maxY; y++) {
+    out.set(data.subarray(y * width + minX, y * width + maxX + 1), (y - minY + margin) * outWidth + margin)
+  }
+  return { width: outWidth, height: outHeight, data: out }
+}
+
+/**
+ * Run the enabled cleanup steps in CLEANUP_STEPS order
+ *
+ * @param {{width: number, height: number, data: Uint8Array}} image - Grey image
+ * @param {Object} [steps] - Enabled steps, e.g. `{ threshold: true, crop: true }`
+ * @returns {{image: Object, stages: Array<{step: string, width: number, height: number, data: Uint8Array}>}}
+ *   The cleaned image and the image after each step (starting with the input)
+ */
+export function cleanupInk(image, steps = {}) {
+  const stages = [{ step: 'input', ...image }]
+  let current = image
+
+  for (const { id } of CLEANUP_STEPS) {
+    if (!steps[id]) continue
+    if (id === 'contrast') current = stretchContrast(current)
+    else if (id === 'threshold') current = adaptiveThreshold(current)
+    else if (id === 'deskew') current = rotateImage(current, estimateSkew(current))
+    else if (id === 'crop') current = cropToInk(current)
+    stages.push({ step: id, ...current })
+  }
+
+  return { image: current, stages }
+}
@@ -0,0 +1,20 @@
+/**
+ * Model File Hashing Worker
+ * Computes the SHA-256 of downloaded model files (see utils/modelDownload.js)
+ * so checking the weights does not block the page.
+ */
+
+import { sha256Blob } from './sha256.js'
+
+/**
+ * Handle messages from the main thread
+ */
+self.onmessage = async (e) => {
+  const { blob, sliceSize } = e.data
+
+  try {
+    self.postMessage({ type: 'result', sha256: await sha256Blob(blob, sliceSize) })
+  } catch (err) {
+    self.postMessage({ type: 'error', error: err.message })
+  }
+}
@@ -8,9 +8,24 @@ import {
   VisionEncoderDecoderModel,
   env,
   cat,
+  log_softmax,
+  max,
+  LogitsProcessor,
+  StoppingCriteria,
   Tensor
 } from '@huggingface/transformers'
 import { preprocessImg } from './imageProcessor.js'
+import { beamSearch } from './beamSearch.js'
+import { attentionSpans } from './attentionSpans.js'
+import { rasterizeStrokes } from './strokeRasterizer.js'
+import {
+  LOCAL_MODEL_PATH,
+  RUNTIME_FILES,
+  createModelFileCache,
+  getModelFile,
+  modelWeightFiles
+} from '../utils/modelStore.js'
+import { DEFAULT_INPUT_SIZE } from '../utils/modelRegistry.js'
 
 // Configure environment
 env.allowLocalModels = false
@@ -18,24 +33,87 @@ env.backends.onnx.wasm.proxy = true
 
 let model, tokenizer, isInitialized = false
 
+// Side of the square model input, from the model registry entry
+let inputSize = DEFAULT_INPUT_SIZE
+
+// Decoding steps of the warm-up inference (keeps it short if a blank input does not end early)
+const WARMUP_MAX_LENGTH = 64
+
+/**
+ * Point ONNX Runtime at runtime files imported with the model, if any,
+ * so it does not fetch them from the CDN
+ */
+async function useImportedRuntime() {
+  const [wasm, mjs] = await Promise.all([
+    getModelFile(`runtime/${RUNTIME_FILES.wasm}`),
+    getModelFile(`runtime/${RUNTIME_FILES.mjs}`)
+  ])
+  if (!wasm || !mjs) return
+
+  env.backends.onnx.wasm.wasmPaths = {
+    wasm: URL.createObjectURL(wasm),
+    mjs: URL.createObjectURL(new Blob([mjs], { type: 'text/javascript' }))
+  }
+}
+
+/**
+ * Run one inference on a blank input so the first real request does not pay
+ * for WebAssembly and graph initialization
+ * @returns {Promise<number>} Warm-up time in ms
+ */
+async function warmUp() {
+  const start = performance.now()
+  await predict(null, new Float32Array(inputSize * inputSize).fill(1), { maxLength: WARMUP_MAX_LENGTH })
+  return Math.round(performance.now() - start)
+}
+
 /**
  * Initialize the OCR model and tokenizer
- * @param {Object} modelConfig - Configuration object with modelName and env_config
+ * Posts 'ready' with a report of the weight size, load time and warm-up time.
+ * @param {Object} modelConfig - Configuration object with modelName, optional dtype
+ *   ('fp32', 'fp16' or 'q8'), tokenizer and inputSize (see modelRegistry.js) and
+ *   either env_config (remote host), `local: true` (files imported into the model store)
+ *   or `stored: true` (files downloaded into the model store, see modelDownload.js)
  */
 async function init(modelConfig) {
   if (isInitialized) return
 
+  const dtype = modelConfig.dtype || 'fp32'
+  inputSize = modelConfig.inputSize || DEFAULT_INPUT_SIZE
+  const loadStart = performance.now()
+
   try {
-    // Configure remote environment if provided
-    if (modelConfig.env_config) {
+    if (modelConfig.local || modelConfig.stored) {
+      // Imported or already downloaded model: every file is served from IndexedDB, never the network
+      env.allowLocalModels = true
+      env.allowRemoteModels = false
+      env.localModelPath = LOCAL_MODEL_PATH
+      env.useBrowserCache = false
+      env.useCustomCache = true
+      env.customCache = createModelFileCache(modelConfig.modelName)
+      if (modelConfig.local) await useImportedRuntime()
+
+      const weights = modelWeightFiles(dtype)
+      const present = await Promise.all(weights.map((path) => getModelFile(path, modelConfig.modelName)))
+      const missing = weights.filter((_, i) => !present[i])
+      if (missing.length > 0) {
+        const origin = modelConfig.local ? 'Imported' : 'Downloaded'
+        throw new Error(`${origin} model has no ${dtype} weights (missing ${missing.join(', ')})`)
+      }
+    } else if (modelConfig.env_config) {
+      // Configure remote environment if provided
       env.remoteHost = modelConfig.env_config.remoteHost
       env.remotePathTemplate = modelConfig.env_config.remotePathTemplate
     }
 
-    // Load model with progress callback
+    // Load model with progress callback, noting the size of each weight file
+    const weightSizes = {}
     model = await VisionEncoderDecoderModel.from_pretrained(modelConfig.modelName, {
-      dtype: 'fp32',
+      dtype,
       progress_callback: (data) => {
+        if (data.file?.endsWith('.onnx') && data.total) {
+          weightSizes[data.file] = data.total
+        }
         self.postMessage({
           type: 'progress',
           file: data.file,
@@ -47,10 +125,21 @@ async function init(modelConfig) {
     })
 
     // Load tokenizer
-    tokenizer = await PreTrainedTokenizer.from_pretrained(modelConfig.modelName)
+    tokenizer = await PreTrainedTokenizer.from_pretrained(modelConfig.tokenizer || modelConfig.modelName)
+
+    const loadTime = Math.round(performance.now() - loadStart)
+    const warmupTime = await warmUp()
 
     isInitialized = true
-    self.postMessage({ type: 'ready' })
+    self.postMessage({
+      type: 'ready',
+      report: {
+        dtype,
+        modelSize: Object.values(weightSizes).reduce((sum, size) => sum + size, 0),
+        loadTime,
+        warmupTime
+      }
+    })
   } catch (error) {
     self.postMessage({
       type: 'error',
@@ -60,53 +149,427 @@ async function init(modelConfig) {
   }
 }
 
+/**
+ * Logits processor that records the probability of the greedy choice of every
+ * batch row at each decoding step. It runs after the model's own processors,
+ * so the recorded value is the softmax maximum of the logits the greedy
+ * sampler picks from.
+ */
+class GreedyTokenProbabilities extends LogitsProcessor {
+  constructor() {
+    super()
+    this.probs = [] // probs[row][step]
+  }
+
+  _call(input_ids, logits) {
+    const vocabSize = logits.dims.at(-1)
+    input_ids.forEach((_, b) => {
+      this.probs[b] ??= []
+      this.probs[b].push(Math.exp(max(log_softmax(logitsRow(logits, b * vocabSize, vocabSize)))[0]))
+    })
+    return logits
+  }
+}
+
+/**
+ * Logits processor that keeps finished batch rows emitting EOS
+ * Batched greedy decoding keeps sampling rows that already ended until every
+ * row is done; forcing EOS keeps their tails clean.
+ */
+class FinishedRowsEmitEos extends LogitsProcessor {
+  /**
+   * @param {number[]} eosTokenIds - End-of-sequence token ids
+   */
+  constructor(eosTokenIds) {
+    super()
+    this.eosTokenIds = eosTokenIds
+  }
+
+  _call(input_ids, logits) {
+    const vocabSize = logits.dims.at(-1)
+    // float16 logits may be raw bits (0xfc00 is -Infinity, 0 is 0)
+    const negInf = logits.data instanceof Uint16Array ? 0xfc00 : -Infinity
+
+    input_ids.forEach((ids, b) => {
+      if (!isFinished(ids, this.eosTokenIds)) return
+      const row = logits.data.subarray(b * vocabSize, (b + 1) * vocabSize)
+      row.fill(negInf)
+      row[this.eosTokenIds[0]] = 0
+    })
+    return logits
+  }
+}
+
+/**
+ * Stopping criterion that reports each batch row once, as soon as it emits EOS
+ * Generation still stops only when every row is done.
+ */
+class BatchItemCompletion extends StoppingCriteria {
+  /**
+   * @param {number[]} eosTokenIds - End-of-sequence token ids
+   * @param {(index: number, ids: bigint[]) => void} onFinish - Called once per finished row
+   */
+  constructor(eosTokenIds, onFinish) {
+    super()
+    this.eosTokenIds = eosTokenIds
+    this.onFinish = onFinish
+    this.finished = new Set()
+  }
+
+  _call(input_ids) {
+    return input_ids.map((ids, b) => {
+      if (!this.finished.has(b) && isFinished(ids, this.eosTokenIds)) {
+        this.finished.add(b)
+        this.onFinish(b, ids)
+      }
+      return this.finished.has(b)
+    })
+  }
+}
+
+/**
+ * Whether a generated sequence has ended (its last token after the decoder
+ * start token is EOS)
+ * @param {bigint[]} ids - Sequence ids including the decoder start token
+ * @param {number[]} eosTokenIds - End-of-sequence token ids
+ * @returns {boolean}
+ */
+function isFinished(ids, eosTokenIds) {
+  return ids.length > 1 && eosTokenIds.includes(Number(ids.at(-1)))
+}
+
+/**
+ * End-of-sequence token ids of the loaded model
+ * @returns {number[]}
+ */
+function eosTokenIds() {
+  const eos = model.generation_config?.eos_token_id ?? model.config.eos_token_id ?? tokenizer.eos_token_id
+  return [].concat(eos)
+}
+
+/**
+ * Decode an IEEE 754 half-precision value from its bits
+ * @param {number} bits - 16-bit pattern
+ * @returns {number}
+ */
+function halfToFloat(bits) {
+  const sign = bits & 0x8000 ? -1 : 1
+  const exponent = (bits >> 10) & 0x1f
+  const fraction = bits & 0x3ff
+
+  if (exponent === 0) return sign * Math.pow(2, -14) * (fraction / 1024)
+  if (exponent === 0x1f) return fraction ? NaN : sign * Infinity
+  return sign * Math.pow(2, exponent - 15) * (1 + fraction / 1024)
+}
+
+/**
+ * Read a slice of logits as float32 values
+ * fp16 models may return float16 logits; without Float16Array support
+ * transformers.js stores them as raw bits in a Uint16Array.
+ *
+ * @param {Tensor} logits - Logits tensor
+ * @param {number} offset - Start index in the flat data
+ * @param {number} size - Number of values
+ * @returns {Float32Array}
+ */
+function logitsRow(logits, offset, size) {
+  const row = logits.data.subarray(offset, offset + size)
+  if (logits.type !== 'float16') return row
+  return row instanceof Uint16Array ? Float32Array.from(row, halfToFloat) : Float32Array.from(row)
+}
+
+/**
+ * Read an attention tensor as float32 values (see logitsRow)
+ * @param {Tensor} tensor - Attention weights
+ * @returns {Float32Array}
+ */
+function attentionValues(tensor) {
+  return logitsRow(tensor, 0, tensor.data.length)
+}
+
+/**
+ * Release what `generate()` keeps when it returns a dict
+ * The KV cache is only disposed by transformers.js when it returns bare
+ * sequences; GPU buffers would otherwise leak on WebGPU.
+ *
+ * @param {Object} outputs - `generate()` result with `return_dict_in_generate`
+ */
+function disposeGenerateOutputs({ past_key_values, cross_attentions }) {
+  const tensors = [...Object.values(past_key_values ?? {}), ...(cross_attentions ?? []).flat()]
+  for (const tensor of tensors) {
+    if (tensor?.location === 'gpu-buffer') tensor.dispose()
+  }
+}
+
+/**
+ * Split generated ids into decoded text pieces with their probabilities
+ * Pieces are found by decoding growing prefixes, so `start`/`end` index
+ * into the final decoded string. Special tokens are skipped.
+ *
+ * @param {number[]} ids - Generated token ids (without the decoder start token)
+ * @param {number[]} probs - Probability of each id
+ * @param {Array<[number, number]|null>} [spans] - Input span of each id from cross-attention
+ *   (fractions of the input width, see attentionSpans.js)
+ * @returns {Array<{text: string, start: number, end: number, prob: number, span?: [number, number]}>}
+ */
+function describeTokens(ids, probs, spans) {
+  const special = new Set(tokenizer.all_special_ids)
+  const tokens = []
+  let decoded = ''
+
+  ids.forEach((id, i) => {
+    if (special.has(id)) return
+    const text = tokenizer.decode(ids.slice(0, i + 1), { skip_special_tokens: true })
+    const start = Math.min(decoded.length, text.length)
+    const token = { text: text.slice(start), start, end: text.length, prob: probs[i] }
+    if (spans?.[i]) token.span = spans[i]
+    tokens.push(token)
+    decoded = text
+  })
+
+  return tokens
+}
+
+/**
+ * Decode the N best hypotheses with beam search
+ * The encoder runs once; each step re-runs the decoder on the full prefix of
+ * every beam (no KV cache), so this is noticeably slower than greedy decoding.
+ *
+ * @param {Tensor} pixel_values - Model input [1, 3, inputSize, inputSize]
+ * @param {Object} options
+ * @param {number} options.numBeams - Beam width
+ * @param {number} [options.numReturnSequences] - Number of candidates to return
+ * @param {number} [options.maxLength=512] - Maximum output length in tokens
+ * @returns {Promise<Array<{latex: string, logProb: number, score: number, tokens: Array}>>} Best first
+ */
+async function predictCandidates(pixel_values, { numBeams, numReturnSequences = numBeams, maxLength = 512 }) {
+  const generationConfig = model.generation_config ?? {}
+  const { encoder_outputs } = await model._prepare_encoder_decoder_kwargs_for_generation({
+    model_inputs: { pixel_values },
+    generation_config: generationConfig
+  })
+
+  const step = async (sequences) => {
+    const batchSize = sequences.length
+    const length = sequences[0].length
+    const decoder_input_ids = new Tensor(
+      'int64',
+      BigInt64Array.from(sequences.flat(), (id) => BigInt(id)),
+      [batchSize, length]
+    )
+    const encoderStates = batchSize === 1
+      ? encoder_outputs
+      : cat(Array.from({ length: batchSize }, () => encoder_outputs), 0)
+
+    const { logits } = await model.forward({ encoder_outputs: encoderStates, decoder_input_ids })
+
+    // Next-token log-probabilities from the last position of each sequence
+    const vocabSize = logits.dims[2]
+    return sequences.map((_, b) => {
+      const offset = (b * length + length - 1) * vocabSize
+      return log_softmax(logitsRow(logits, offset, vocabSize))
+    })
+  }
+
+  const hypotheses = await beamSearch({
+    step,
+    startTokenId: generationConfig.decoder_start_token_id ?? model.config.decoder_start_token_id,
+    eosTokenId: eosTokenIds(),
+    numBeams,
+    numReturnSequences,
+    maxLength
+  })
+
+  return hypotheses.map(({ tokens, tokenLogProbs, logProb, score }) => ({
+    latex: tokenizer.decode(tokens, { skip_special_tokens: true }),
+    logProb,
+    score,
+    tokens: describeTokens(tokens, tokenLogProbs.map(Math.exp))
+  }))
+}
+
 /**
  * Perform OCR prediction on an image
  * @param {File|Blob} imageFile - The image to process
- * @returns {Promise<string>} - The recognized LaTeX text
+ * @param {Float32Array} [pixels] - Already preprocessed inputSize x inputSize buffer (skips preprocessing)
+ * @param {Object} [options] - Decoding options
+ * @param {number} [options.numBeams=1] - Beam width; above 1 also returns N-best `candidates`
+ * @param {number} [options.numReturnSequences] - Number of candidates (defaults to numBeams)
+ * @param {number} [options.maxLength=512] - Maximum output length in tokens
+ * @param {Object} [options.preprocess] - preprocessImg options (`cleanup` steps, `debug`)
+ * @returns {Promise<{text: string, time: string, tokens: Array, candidates?: Array, stages?: Array}>} - The
+ *   recognized LaTeX text, its per-token probabilities and, in debug mode, the preprocessing stages
  */
-async function predict(imageFile) {
+async function predict(imageFile, pixels, options = {}) {
   const startTime = performance.now()
 
-  // Preprocess image
-  const { array } = await preprocessImg(imageFile)
+  // Preprocess image unless the caller already did (e.g. to hash it for the cache)
+  let array = pixels
+  let stages
+  if (!array) {
+    ({ array, stages } = await preprocessImg(imageFile, inputSize, options.preprocess))
+  }
 
   // Create tensor and prepare input
-  const tensor = new Tensor('float32', array, [1, 1, 384, 384])
+  const tensor = new Tensor('float32', array, [1, 1, inputSize, inputSize])
+  const pixel_values = cat([tensor, tensor, tensor], 1)
+
+  let text, tokens, candidates
+  if (options.numBeams > 1) {
+    candidates = await predictCandidates(pixel_values, options)
+    text = candidates[0]?.latex ?? ''
+    tokens = candidates[0]?.tokens ?? []
+  } else {
+    // Generate output; decoders exported with attention outputs also return cross-attentions
+    const recorder = new GreedyTokenProbabilities()
+    const outputs = await model.generate({
+      inputs: pixel_values,
+      max_length: options.maxLength ?? 512,
+      logits_processor: [recorder],
+      output_attentions: true,
+      return_dict_in_generate: true
+    })
+    const { sequences, cross_attentions } = outputs
+
+    // Decode text
+    text = tokenizer.batch_decode(sequences, {
+      skip_special_tokens: true
+    })[0]
+
+    // Drop the decoder start token; recorder.probs[i] and cross_attentions[i] belong to generated id i
+    const ids = sequences.tolist()[0].slice(1).map(Number)
+    tokens = describeTokens(ids, recorder.probs[0], attentionSpans(cross_attentions, 0, ids.length, attentionValues))
+    disposeGenerateOutputs(outputs)
+  }
+
+  const endTime = performance.now()
+  const processingTime = ((endTime - startTime) / 1000).toFixed(2)
+
+  return { text, time: processingTime, tokens, candidates, stages }
+}
+
+/**
+ * Perform greedy OCR on several images with one `generate` call
+ * The images are stacked into one [N, 3, inputSize, inputSize] tensor. Rows finish at
+ * different steps; each is decoded and reported as soon as it emits EOS. Cross-attention
+ * spans are only known once generation ends, so only the final results carry them.
+ *
+ * @param {Array<{key: string, image?: File|Blob, pixels?: Float32Array}>} items - Images to
+ *   recognize (preprocessed buffers skip preprocessing)
+ * @param {Object} [options] - Decoding options
+ * @param {number} [options.maxLength=512] - Maximum output length in tokens
+ * @param {Object} [options.preprocess] - preprocessImg options for items without pixels
+ * @param {(index: number, item: Object) => void} [onItemDone] - Called as each item finishes
+ * @returns {Promise<{items: Array<{key: string, output: string, tokens: Array}>, time: string}>}
+ *   Results in input order
+ */
+async function predictBatch(items, options = {}, onItemDone) {
+  const startTime = performance.now()
+
+  const size = inputSize * inputSize
+  const stacked = new Float32Array(items.length * size)
+  for (let i = 0; i < items.length; i++) {
+    stacked.set(items[i].pixels || (await preprocessImg(items[i].image, inputSize, options.preprocess)).array, i * size)
+  }
+  const tensor = new Tensor('float32', stacked, [items.length, 1, inputSize, inputSize])
   const pixel_values = cat([tensor, tensor, tensor], 1)
 
-  // Generate output
+  const eos = eosTokenIds()
+  const recorder = new GreedyTokenProbabilities()
+  const results = new Array(items.length)
+
+  const finish = (index, sequence) => {
+    // Drop the decoder start token and anything after the first EOS
+    const ids = sequence.slice(1).map(Number)
+    const end = ids.findIndex((id) => eos.includes(id))
+    const kept = end === -1 ? ids : ids.slice(0, end + 1)
+
+    results[index] = {
+      key: items[index].key,
+      output: tokenizer.decode(kept, { skip_special_tokens: true }),
+      tokens: describeTokens(kept, recorder.probs[index])
+    }
+    onItemDone?.(index, results[index])
+    // Kept until generation ends to add attention spans
+    results[index].generated = { ids: kept, probs: recorder.probs[index] }
+  }
+
   const outputs = await model.generate({
     inputs: pixel_values,
-    max_length: 512
+    max_length: options.maxLength ?? 512,
+    logits_processor: [recorder, new FinishedRowsEmitEos(eos)],
+    stopping_criteria: [new BatchItemCompletion(eos, finish)],
+    output_attentions: true,
+    return_dict_in_generate: true
   })
+  const { sequences, cross_attentions } = outputs
 
-  // Decode text
-  const text = tokenizer.batch_decode(outputs, {
-    skip_special_tokens: true
-  })[0]
+  // Rows cut off by max_length never emitted EOS
+  sequences.tolist().forEach((sequence, index) => {
+    if (!results[index]) finish(index, sequence)
+  })
 
-  const endTime = performance.now()
-  const processingTime = ((endTime - startTime) / 1000).toFixed(2)
+  if (cross_attentions) {
+    results.forEach((result, index) => {
+      const { ids, probs } = result.generated
+      result.tokens = describeTokens(ids, probs, attentionSpans(cross_attentions, index, ids.length, attentionValues))
+    })
+  }
+  results.forEach((result) => delete result.generated)
+  disposeGenerateOutputs(outputs)
 
-  return { text, time: processingTime }
+  const processingTime = ((performance.now() - startTime) / 1000).toFixed(2)
+  return { items: results, time: processingTime }
 }
 
 /**
  * Handle messages from the main thread
  */
 self.onmessage = async (e) => {
-  const { action, modelConfig, image, key } = e.data
+  const { action, modelConfig, image, pixels, ink, items, options, key } = e.data
 
   if (action === 'init') {
     await init(modelConfig)
   } else if (action === 'predict') {
     try {
-      const { text, time } = await predict(image)
+      // Strokes are drawn straight into the model input (see strokeRasterizer.js)
+      const input = ink ? rasterizeStrokes(ink.strokes, { ...ink, targetSize: inputSize }) : pixels
+      const { text, time, tokens, candidates, stages } = await predict(image, input, options)
       self.postMessage({
         type: 'result',
         output: text,
         time: time,
+        tokens,
+        candidates,
+        stages,
+        key
+      })
+    } catch (err) {
+      self.postMessage({
+        type: 'error',
+        error: err.message,
+        stack: err.stack,
+        key
+      })
+    }
+  } else if (action === 'predictBatch') {
+    try {
+      let completed = 0
+      const result = await predictBatch(items, options, (index, item) => {
+        completed++
+        self.postMessage({
+          type: 'batch-progress',
+          key,
+          index,
+          completed,
+          total: items.length,
+          item
+        })
+      })
+      self.postMessage({
+        type: 'result',
+        items: result.items,
+        time: result.time,
         key
       })
     } catch (err) {
@@ -0,0 +1,638 @@
+/**
+ * OCR Worker Pool
+ * Owns a small set of OCR workers and a shared priority job queue so every
+ * page (and Magic Canvas rows) reuses the same loaded model instead of
+ * spinning up its own worker.
+ *
+ * Jobs are identified by the `key` the worker echoes back. Keys are
+ * hierarchical: cancelling "row-3" also cancels "row-3:0", "row-3:1", ...
+ * Submitting a job whose key is already queued or running supersedes it.
+ */
+
+import Logger from '../utils/logger.js';
+import { getInstalledModel } from '../utils/modelStore.js';
+import { loadOCRPrecision, loadOCRModelSelection, saveOCRModelReport } from '../utils/workspaceDB.js';
+import { downloadModel } from '../utils/modelDownload.js';
+import { AUTO_SOURCE, DEFAULT_INPUT_SIZE, DEFAULT_MODEL_ID, getModel, toRemoteConfig } from '../utils/modelRegistry.js';
+
+/** Job priorities (lower runs first) */
+export const PRIORITY = {
+  HIGH: 0,   // Interactive requests and the active row
+  NORMAL: 1, // Recently deactivated rows
+  LOW: 2     // Background re-processing
+};
+
+// Every worker loads its own copy of the model (~150 MB), so extra workers
+// are only started on devices with memory and cores to spare
+const MAX_POOL_SIZE = 3;
+const MEMORY_PER_WORKER_GB = 4;
+const DEFAULT_QUEUE_LIMIT = 20;
+const DEFAULT_JOB_TIMEOUT_MS = 30000;
+const MAX_RETRIES = 1;
+
+/**
+ * Resolve the workspace's model pick (see modelRegistry.js) into a worker config
+ *
+ * With the 'auto' source an imported offline model is used if one is
+ * installed, otherwise the model's first remote source, falling back to the
+ * last one (the CN mirror) when the first is unreachable. A named source is
+ * used as is.
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.loadSelection] - Async resolver for `{modelId, source}`
+ * @returns {Promise<Object>} Model config for the worker init message
+ */
+export async function resolveModelSource({ loadSelection = loadOCRModelSelection } = {}) {
+  let selection = { modelId: DEFAULT_MODEL_ID, source: AUTO_SOURCE };
+  try {
+    selection = await loadSelection();
+  } catch (error) {
+    Logger.warn('OCRWorkerPool', 'Cannot read OCR model selection, using the default', { error: error.message });
+  }
+
+  const model = getModel(selection.modelId);
+  if (model.sources[selection.source]) {
+    return toRemoteConfig(model, selection.source);
+  }
+
+  if (model.importable) {
+    try {
+      const installed = await getInstalledModel();
+      if (installed) {
+        Logger.info('OCRWorkerPool', 'Using imported model', { version: installed.version });
+        return {
+          modelId: model.id,
+          modelName: installed.modelName,
+          tokenizer: installed.modelName,
+          inputSize: model.inputSize,
+          local: true,
+          version: installed.version
+        };
+      }
+    } catch (error) {
+      Logger.warn('OCRWorkerPool', 'Cannot read imported model', { error: error.message });
+    }
+  }
+
+  const sourceIds = Object.keys(model.sources);
+  try {
+    const res = await fetch(model.probeUrl, { method: 'HEAD' });
+    if (!res.ok) throw new Error(`Cannot reach ${model.sources[sourceIds[0]].label}`);
+    return toRemoteConfig(model, sourceIds[0]);
+  } catch {
+    const fallback = sourceIds[sourceIds.length - 1];
+    Logger.info('OCRWorkerPool', `Using ${model.sources[fallback].label}`);
+    return toRemoteConfig(model, fallback);
+  }
+}
+
+/**
+ * Check whether a job key falls under a cancellation key
+ * @param {string} jobKey - Key of a job
+ * @param {string} key - Exact key or key prefix
+ * @returns {boolean}
+ */
+function keyMatches(jobKey, key) {
+  return jobKey === key || jobKey.startsWith(`${key}:`);
+}
+
+/**
+ * Create the error used to reject cancelled jobs
+ * @param {string} key - Job key
+ * @param {string} reason - Why the job was cancelled
+ * @returns {Error} Error with `cancelled = true`
+ */
+function cancelledError(key, reason) {
+  const error = new Error(`OCR job ${key} cancelled: ${reason}`);
+  error.cancelled = true;
+  return error;
+}
+
+/**
+ * Number of workers the device can afford
+ * One per MEMORY_PER_WORKER_GB of device memory, leaving a core for the page,
+ * up to MAX_POOL_SIZE. Browsers that do not report their memory get one.
+ *
+ * @param {{deviceMemory?: number, hardwareConcurrency?: number}} [device=navigator]
+ * @returns {number} Pool size, at least 1
+ */
+export function getDefaultPoolSize(device = globalThis.navigator) {
+  const memory = device?.deviceMemory;
+  const cores = device?.hardwareConcurrency;
+  if (!memory || !cores) return 1;
+  const size = Math.min(Math.floor(memory / MEMORY_PER_WORKER_GB), cores - 1, MAX_POOL_SIZE);
+  return Math.max(1, size);
+}
+
+export class OCRWorkerPool {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.size=getDefaultPoolSize()] - Maximum number of workers
+   * @param {number} [options.queueLimit=20] - Maximum number of queued jobs
+   * @param {number} [options.jobTimeoutMs=30000] - Per-job timeout before the worker is restarted
+   * @param {Function} [options.createWorker] - Worker factory (defaults to ocrWorker.js)
+   * @param {Function} [options.resolveModelConfig] - Async model config resolver for the init message
+   * @param {Function} [options.resolvePrecision] - Async resolver for the weight precision (`dtype`)
+   * @param {Function} [options.saveModelReport] - Persists the size/warm-up report of the loaded model
+   * @param {Function} [options.downloadModel] - Resumable download of remote models into the model store
+   *   (see modelDownload.js); null lets the worker fetch remote files itself
+   */
+  constructor({
+    size = getDefaultPoolSize(),
+    queueLimit = DEFAULT_QUEUE_LIMIT,
+    jobTimeoutMs = DEFAULT_JOB_TIMEOUT_MS,
+    createWorker = () => new Worker(new URL('./ocrWorker.js', import.meta.url), { type: 'module' }),
+    resolveModelConfig = resolveModelSource,
+    resolvePrecision = loadOCRPrecision,
+    saveModelReport = saveOCRModelReport,
+    downloadModel: download = downloadModel
+  } = {}) {
+    this.size = Math.max(1, size);
+    this.queueLimit = queueLimit;
+    this.jobTimeoutMs = jobTimeoutMs;
+    this.createWorker = createWorker;
+    this.resolveModelConfig = resolveModelConfig;
+    this.resolvePrecision = resolvePrecision;
+    this.saveModelReport = saveModelReport;
+    this.downloadModel = download;
+
+    // Array<{worker, ready, job, timeoutId}>
+    this.slots = [];
+    this.queue = [];
+    this.jobCounter = 0;
+    this.modelConfig = null;
+    this.modelReport = null;
+    this.readyPromise = null;
+    this.isReady = false;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Subscribe to pool events ('progress', 'ready', 'error', 'queue-change')
+   * @param {Function} callback - (eventType, data) => void
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(callback) {
+    this.listeners.add(callback);
+    return () => {
+      this.listeners.delete(callback);
+    };
+  }
+
+  /**
+   * @private
+   */
+  _notify(eventType, data = {}) {
+    this.listeners.forEach(callback => {
+      try {
+        callback(eventType, data);
+      } catch (error) {
+        Logger.error('OCRWorkerPool', 'Error in listener callback', { error: error.message });
+      }
+    });
+  }
+
+  /**
+   * Start loading the model in the first worker
+   * Remote models are first downloaded (resumably, checksum-verified) into
+   * the model store, so workers only ever load complete files.
+   * Safe to call repeatedly; resolves once at least one worker is ready.
+   * @returns {Promise<void>}
+   */
+  init() {
+    if (this.readyPromise) return this.readyPromise;
+
+    this.readyPromise = (async () => {
+      const [modelConfig, dtype] = await Promise.all([
+        this.resolveModelConfig(),
+        this.resolvePrecision().catch(error => {
+          Logger.warn('OCRWorkerPool', 'Cannot read OCR precision, using the worker default', { error: error.message });
+          return undefined;
+        })
+      ]);
+      this.modelConfig = { ...modelConfig, dtype };
+
+      if (modelConfig.env_config && this.downloadModel) {
+        await this.downloadModel(this.modelConfig, {
+          dtype: dtype || 'fp32',
+          onProgress: data => this._notify('progress', data)
+        });
+        this.modelConfig = { ...this.modelConfig, stored: true };
+      }
+
+      await this._spawnWorker();
+    })().catch(error => {
+      this.readyPromise = null;
+      throw error;
+    });
+
+    return this.readyPromise;
+  }
+
+  /**
+   * Queue an image for recognition
+   *
+   * @param {Object} job
+   * @param {File|Blob} [job.image] - Image to recognize
+   * @param {Float32Array} [job.pixels] - Preprocessed buffer of getInputSize() squared (skips preprocessing in the worker)
+   * @param {Object} [job.ink] - Strokes to rasterize in the worker instead of an image:
+   *   `{ strokes, region, strokeWidth? }` (see strokeRasterizer.js)
+   * @param {string} job.key - Job key (supersedes queued/running jobs with the same key)
+   * @param {number} [job.priority=PRIORITY.NORMAL] - Job priority
+   * @param {Object} [job.options] - Decoding options for the worker (e.g. `{ numBeams: 4 }` for N-best candidates)
+   * @param {number} [job.timeoutMs] - Override the pool's per-job timeout (beam search is slower)
+   * @returns {Promise<{output: string, time: string, key: string, candidates?: Array}>} Rejects with `error.cancelled` when cancelled
+   */
+  submit({ image, pixels, ink, key, priority = PRIORITY.NORMAL, options, timeoutMs }) {
+    return this._enqueue({ image, pixels, ink, key, priority, options, timeoutMs });
+  }
+
+  /**
+   * Queue several images for one batched inference in a single worker
+   * Greedy decoding only; the default timeout scales with the number of items.
+   *
+   * @param {Object} job
+   * @param {Array<{key: string, image: File|Blob, pixels?: Float32Array}>} job.items - Images, keyed per item
+   * @param {string} job.key - Job key for the whole batch
+   * @param {number} [job.priority=PRIORITY.NORMAL] - Job priority
+   * @param {Object} [job.options] - Decoding options for the worker (e.g. `{ maxLength }`)
+   * @param {number} [job.timeoutMs] - Override the batch timeout
+   * @param {Function} [job.onProgress] - Called with {index, completed, total, item} as items finish
+   * @returns {Promise<{items: Array<{key: string, output: string, tokens: Array}>, time: string, key: string}>}
+   *   Items in submission order; rejects with `error.cancelled` when cancelled
+   */
+  submitBatch({ items, key, priority = PRIORITY.NORMAL, options, timeoutMs, onProgress }) {
+    if (!items || items.length === 0) {
+      return Promise.reject(new Error('OCR batch requires at least one item'));
+    }
+
+    return this._enqueue({
+      items,
+      key,
+      priority,
+      options,
+      timeoutMs: timeoutMs ?? this.jobTimeoutMs * items.length,
+      onProgress
+    });
+  }
+
+  /**
+   * Add a job to the priority queue
+   * @private
+   * @param {Object} fields - Job fields (single image or `items` batch)
+   * @returns {Promise<Object>} Worker result
+   */
+  _enqueue({ key, priority, ...fields }) {
+    if (!key) {
+      return Promise.reject(new Error('OCR job requires a key'));
+    }
+
+    this.cancel(key, 'superseded');
+
+    if (this.queue.length >= this.queueLimit) {
+      const lowest = this.queue[this.queue.length - 1];
+      if (lowest.priority <= priority) {
+        return Promise.reject(new Error('OCR queue is full'));
+      }
+      this.queue.pop();
+      lowest.reject(cancelledError(lowest.key, 'evicted by higher priority job'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const job = { ...fields, key, priority, seq: ++this.jobCounter, retries: 0, resolve, reject };
+
+      // Keep queue sorted by priority, then submission order
+      const index = this.queue.findIndex(j => j.priority > priority);
+      if (index === -1) this.queue.push(job);
+      else this.queue.splice(index, 0, job);
+
+      this._notify('queue-change', this.getStatus());
+      this.init().then(() => this._dispatch()).catch(error => {
+        this._removeQueued(job);
+        reject(error);
+      });
+    });
+  }
+
+  /**
+   * Cancel queued and running jobs whose key matches
+   * Running jobs keep the worker busy until inference ends, but their result is discarded.
+   *
+   * @param {string} key - Exact key or key prefix
+   * @param {string} [reason='cancelled'] - Reason used in the rejection message
+   * @returns {number} Number of jobs cancelled
+   */
+  cancel(key, reason = 'cancelled') {
+    let count = 0;
+
+    this.queue = this.queue.filter(job => {
+      if (!keyMatches(job.key, key)) return true;
+      job.reject(cancelledError(job.key, reason));
+      count++;
+      return false;
+    });
+
+    for (const slot of this.slots) {
+      if (slot.job && !slot.job.cancelled && keyMatches(slot.job.key, key)) {
+        slot.job.cancelled = true;
+        slot.job.reject(cancelledError(slot.job.key, reason));
+        count++;
+      }
+    }
+
+    if (count > 0) {
+      Logger.debug('OCRWorkerPool', 'Cancelled jobs', { key, reason, count });
+      this._notify('queue-change', this.getStatus());
+    }
+
+    return count;
+  }
+
+  /**
+   * Change the priority of queued jobs whose key matches
+   * Running jobs are not affected. Used to move the active row ahead of
+   * background rows when the user returns to it.
+   *
+   * @param {string} key - Exact key or key prefix
+   * @param {number} priority - New priority
+   * @returns {number} Number of jobs changed
+   */
+  reprioritize(key, priority) {
+    let count = 0;
+    for (const job of this.queue) {
+      if (keyMatches(job.key, key) && job.priority !== priority) {
+        job.priority = priority;
+        count++;
+      }
+    }
+
+    if (count > 0) {
+      // Priority first, then submission order
+      this.queue.sort((a, b) => a.priority - b.priority || a.seq - b.seq);
+      this._notify('queue-change', this.getStatus());
+    }
+    return count;
+  }
+
+  /**
+   * Get pool status for UI and debugging
+   * @returns {{ready: boolean, workers: number, busy: number, queued: number}}
+   */
+  getStatus() {
+    return {
+      ready: this.isReady,
+      workers: this.slots.length,
+      busy: this.slots.filter(slot => slot.job).length,
+      queued: this.queue.length
+    };
+  }
+
+  /**
+   * Size and speed of the loaded model, measured by the first worker
+   * @returns {{dtype: string, modelSize: number, loadTime: number, warmupTime: number}|null}
+   */
+  getModelReport() {
+    return this.modelReport;
+  }
+
+  /**
+   * Id of the model the workers load, e.g. "alephpi/FormulaNet:fp16"
+   * @returns {string|null} null until init() has resolved the model
+   */
+  getModelId() {
+    if (!this.modelConfig) return null;
+    const { modelName, version, dtype } = this.modelConfig;
+    return `${modelName}${version ? `@${version}` : ''}:${dtype || 'fp32'}`;
+  }
+
+  /**
+   * Side of the square model input the workers expect
+   * Preprocessing outside the worker (cached tiles, line crops) must use it.
+   * @returns {number} The registry default until init() has resolved the model
+   */
+  getInputSize() {
+    return this.modelConfig?.inputSize ?? DEFAULT_INPUT_SIZE;
+  }
+
+  /**
+   * Terminate all workers and reject pending jobs
+   */
+  terminate() {
+    for (const job of this.queue) {
+      job.reject(cancelledError(job.key, 'pool terminated'));
+    }
+    this.queue = [];
+
+    for (const slot of this.slots) {
+      clearTimeout(slot.timeoutId);
+      if (slot.job && !slot.job.cancelled) {
+        slot.job.reject(cancelledError(slot.job.key, 'pool terminated'));
+      }
+      slot.worker.terminate();
+    }
+    this.slots = [];
+    this.readyPromise = null;
+    this.isReady = false;
+    this.modelReport = null;
+  }
+
+  /**
+   * Create a worker, send it the init message and wait for 'ready'
+   * @private
+   * @returns {Promise<Object>} Ready slot
+   */
+  _spawnWorker() {
+    const slot = { worker: this.createWorker(), ready: false, job: null, timeoutId: null };
+    this.slots.push(slot);
+
+    return new Promise((resolve, reject) => {
+      slot.worker.onmessage = (event) => {
+        const { type, key, ...data } = event.data;
+
+        if (type === 'ready') {
+          slot.ready = true;
+          if (!this.isReady) {
+            this.isReady = true;
+            this.modelReport = data.report ?? null;
+            Logger.info('OCRWorkerPool', 'OCR model ready', this.modelReport || {});
+            if (this.modelReport) {
+              this.saveModelReport(this.modelReport).catch(error => {
+                Logger.warn('OCRWorkerPool', 'Cannot save OCR model report', { error: error.message });
+              });
+            }
+            this._notify('ready', { ...this.getStatus(), report: this.modelReport });
+          }
+          resolve(slot);
+          this._dispatch();
+        } else if (type === 'progress') {
+          this._notify('progress', data);
+        } else if (type === 'batch-progress') {
+          const job = slot.job;
+          if (job && !job.cancelled && job.key === key) {
+            job.onProgress?.(data);
+          }
+        } else if (type === 'result' || type === 'error') {
+          if (!slot.ready) {
+            // Model failed to load in this worker
+            Logger.error('OCRWorkerPool', 'OCR model failed to load', { error: data.error });
+            this._removeSlot(slot);
+            this._failQueuedIfNoWorkers(data.error);
+            this._notify('error', { error: data.error });
+            reject(new Error(data.error));
+            return;
+          }
+          this._finishJob(slot, type, key, data);
+        }
+      };
+
+      slot.worker.onerror = (error) => {
+        Logger.error('OCRWorkerPool', 'OCR worker crashed', { error: error.message });
+        if (!slot.ready) {
+          this._removeSlot(slot);
+          this._failQueuedIfNoWorkers(error.message);
+          this._notify('error', { error: error.message });
+          reject(error);
+          return;
+        }
+        this._restartSlot(slot, error.message || 'OCR worker crashed');
+      };
+
+      slot.worker.postMessage({ action: 'init', modelConfig: this.modelConfig });
+    });
+  }
+
+  /**
+   * Hand queued jobs to idle workers, growing the pool when jobs are waiting
+   * @private
+   */
+  _dispatch() {
+    for (const slot of this.slots) {
+      if (this.queue.length === 0) break;
+      if (!slot.ready || slot.job) continue;
+
+      const job = this.queue.shift();
+      slot.job = job;
+      slot.timeoutId = setTimeout(() => {
+        Logger.warn('OCRWorkerPool', 'OCR job timed out', { key: job.key, timeoutMs: job.timeoutMs ?? this.jobTimeoutMs });
+        this._restartSlot(slot, `OCR job ${job.key} timed out`);
+      }, job.timeoutMs ?? this.jobTimeoutMs);
+
+      if (job.items) {
+        slot.worker.postMessage({
+          action: 'predictBatch',
+          items: job.items,
+          options: job.options,
+          key: job.key
+        });
+      } else {
+        slot.worker.postMessage({
+          action: 'predict',
+          image: job.image,
+          pixels: job.pixels,
+          ink: job.ink,
+          options: job.options,
+          key: job.key
+        });
+      }
+    }
+
+    const loading = this.slots.filter(slot => !slot.ready).length;
+    if (this.isReady && this.queue.length > loading && this.slots.length < this.size) {
+      this._spawnWorker().catch(() => {});
+    }
+
+    this._notify('queue-change', this.getStatus());
+  }
+
+  /**
+   * @private
+   */
+  _finishJob(slot, type, key, data) {
+    const job = slot.job;
+    clearTimeout(slot.timeoutId);
+    slot.job = null;
+    slot.timeoutId = null;
+
+    if (job && !job.cancelled && job.key === key) {
+      if (type === 'result') {
+        job.resolve({ ...data, key });
+      } else {
+        job.reject(new Error(data.error));
+      }
+    }
+
+    this._dispatch();
+  }
+
+  /**
+   * Replace a crashed or hung worker, retrying its job once
+   * @private
+   */
+  _restartSlot(slot, reason) {
+    const job = slot.job;
+    this._removeSlot(slot);
+
+    if (job && !job.cancelled) {
+      if (job.retries < MAX_RETRIES) {
+        job.retries++;
+        this.queue.unshift(job);
+      } else {
+        job.reject(new Error(reason));
+      }
+    }
+
+    const respawn = this._spawnWorker();
+    respawn.catch(() => {});
+    if (!this.readyPromise) {
+      // init() waits for the replacement instead of spawning another worker
+      this.readyPromise = respawn.then(() => {});
+      this.readyPromise.catch(() => {});
+    }
+  }
+
+  /**
+   * @private
+   */
+  _removeSlot(slot) {
+    clearTimeout(slot.timeoutId);
+    slot.worker.terminate();
+    this.slots = this.slots.filter(s => s !== slot);
+    if (!this.slots.some(s => s.ready)) this.isReady = false;
+    // Keep readyPromise while a worker is still loading, so init() does not spawn a second one
+    if (this.slots.length === 0) this.readyPromise = null;
+  }
+
+  /**
+   * Reject queued jobs when no worker is left to run them
+   * @private
+   */
+  _failQueuedIfNoWorkers(message) {
+    if (this.slots.length > 0) return;
+    for (const job of this.queue) {
+      job.reject(new Error(message || 'OCR model failed to load'));
+    }
+    this.queue = [];
+  }
+
+  /**
+   * @private
+   */
+  _removeQueued(job) {
+    this.queue = this.queue.filter(j => j !== job);
+  }
+}
+
+let sharedPool = null;
+
+/**
+ * Get the application-wide OCR worker pool
+ * @returns {OCRWorkerPool}
+ */
+export function getOCRWorkerPool() {
+  if (!sharedPool) {
+    sharedPool = new OCRWorkerPool();
+  }
+  return sharedPool;
+}
+
+export default getOCRWorkerPool;
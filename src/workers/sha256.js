@@ -0,0 +1,125 @@
+/**
+ * Incremental SHA-256 for the model hashing worker
+ * WebCrypto can only digest whole buffers, which would mean reading the
+ * ONNX weights into memory at once, so files are hashed slice by slice here.
+ */
+
+const K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+])
+
+const INITIAL_STATE = [
+  0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+]
+
+const rotr = (x, n) => (x >>> n) | (x << (32 - n))
+
+/**
+ * Compress one 64-byte block into the state
+ * @param {Uint32Array} state - Hash state (updated in place)
+ * @param {Uint32Array} w - Message schedule scratch space
+ * @param {DataView} view - Bytes to read from
+ * @param {number} offset - Start of the block in view
+ */
+function compress(state, w, view, offset) {
+  for (let t = 0; t < 16; t++) w[t] = view.getUint32(offset + t * 4)
+  for (let t = 16; t < 64; t++) {
+    const s0 = rotr(w[t - 15], 7) ^ rotr(w[t - 15], 18) ^ (w[t - 15] >>> 3)
+    const s1 = rotr(w[t - 2], 17) ^ rotr(w[t - 2], 19) ^ (w[t - 2] >>> 10)
+    w[t] = w[t - 16] + s0 + w[t - 7] + s1
+  }
+
+  let [a, b, c, d, e, f, g, h] = state
+  for (let t = 0; t < 64; t++) {
+    const t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[t] + w[t]) | 0
+    const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0
+    h = g
+    g = f
+    f = e
+    e = (d + t1) | 0
+    d = c
+    c = b
+    b = a
+    a = (t1 + t2) | 0
+  }
+
+  state[0] += a; state[1] += b; state[2] += c; state[3] += d
+  state[4] += e; state[5] += f; state[6] += g; state[7] += h
+}
+
+/**
+ * Start an incremental SHA-256
+ * @returns {{update: (data: ArrayBuffer|ArrayBufferView) => Object, digest: () => string}}
+ *   `digest` returns the hex digest of everything hashed so far (call once)
+ */
+export function createSHA256() {
+  const state = Uint32Array.from(INITIAL_STATE)
+  const w = new Uint32Array(64)
+  const block = new Uint8Array(64)
+  const blockView = new DataView(block.buffer)
+  let blockLength = 0
+  let length = 0
+
+  const hash = {
+    update(data) {
+      const bytes = ArrayBuffer.isView(data)
+        ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+        : new Uint8Array(data)
+      const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+      length += bytes.length
+
+      let i = 0
+      if (blockLength > 0) {
+        const n = Math.min(64 - blockLength, bytes.length)
+        block.set(bytes.subarray(0, n), blockLength)
+        blockLength += n
+        i = n
+        if (blockLength < 64) return hash
+        compress(state, w, blockView, 0)
+        blockLength = 0
+      }
+      // Whole blocks are hashed in place, without copying
+      for (; i + 64 <= bytes.length; i += 64) compress(state, w, view, i)
+      block.set(bytes.subarray(i), 0)
+      blockLength = bytes.length - i
+      return hash
+    },
+
+    digest() {
+      block[blockLength++] = 0x80
+      if (blockLength > 56) {
+        block.fill(0, blockLength)
+        compress(state, w, blockView, 0)
+        blockLength = 0
+      }
+      block.fill(0, blockLength, 56)
+      blockView.setUint32(56, Math.floor(length / 0x20000000))
+      blockView.setUint32(60, (length * 8) >>> 0)
+      compress(state, w, blockView, 0)
+
+      return Array.from(state, word => word.toString(16).padStart(8, '0')).join('')
+    }
+  }
+  return hash
+}
+
+/**
+ * SHA-256 of a blob, read one slice at a time
+ * @param {Blob} blob - File to hash
+ * @param {number} sliceSize - Bytes read per step
+ * @returns {Promise<string>} Hex digest
+ */
+export async function sha256Blob(blob, sliceSize) {
+  const hash = createSHA256()
+  for (let offset = 0; offset < blob.size; offset += sliceSize) {
+    hash.update(await blob.slice(offset, offset + sliceSize).arrayBuffer())
+  }
+  return hash.digest()
+}
@@ -0,0 +1,154 @@
+/**
+ * Stroke rasterizer for OCR input
+ * Draws Excalidraw freedraw (and line) point arrays straight into the
+ * model's square grey buffer, skipping the PNG export, decode and resize
+ * that preprocessImg needs. The layout matches preprocessImg: the region is
+ * scaled to fit and centred on white. Strokes are drawn at a fixed width in
+ * model pixels, so the same ink always gives the same pixels (and the same
+ * OCR cache key) regardless of zoom or Excalidraw's pressure rendering.
+ *
+ * Runs wherever OffscreenCanvas exists (the OCR worker and the main thread).
+ */
+
+import { DEFAULT_INPUT_SIZE } from '../utils/modelRegistry.js'
+
+/** Element types whose ink is fully described by their points */
+export const STROKE_ELEMENT_TYPES = ['freedraw', 'line']
+
+/** Default line width in model pixels (close to a thin Excalidraw pen at 1:1) */
+export const DEFAULT_STROKE_WIDTH = 4
+
+/**
+ * @typedef {Object} Stroke
+ * @property {Array<[number, number]>} points - Absolute scene coordinates
+ */
+
+/**
+ * @typedef {Object} Region
+ * @property {number} x - Left edge in scene coordinates
+ * @property {number} y - Top edge in scene coordinates
+ * @property {number} width - Region width
+ * @property {number} height - Region height
+ */
+
+/**
+ * Whether every element can be rasterized from its points
+ * @param {Array} elements - Excalidraw elements
+ * @returns {boolean}
+ */
+export function canRasterizeStrokes(elements) {
+  return Array.isArray(elements) && elements.length > 0 &&
+    elements.every((el) => el.isDeleted || (STROKE_ELEMENT_TYPES.includes(el.type) && Array.isArray(el.points)))
+}
+
+/**
+ * Convert Excalidraw elements to absolute point lists
+ * Element rotation (`angle`, about the element centre) is applied, so the
+ * result is plain data that can be posted to the worker.
+ *
+ * @param {Array} elements - freedraw or line elements
+ * @returns {Stroke[]}
+ */
+export function toStrokes(elements) {
+  return elements
+    .filter((el) => !el.isDeleted && Array.isArray(el.points) && el.points.length > 0)
+    .map((el) => {
+      const angle = el.angle || 0
+      const cx = el.x + (el.width || 0) / 2
+      const cy = el.y + (el.height || 0) / 2
+      const cos = Math.cos(angle)
+      const sin = Math.sin(angle)
+
+      return {
+        points: el.points.map(([px, py]) => {
+          const x = el.x + px
+          const y = el.y + py
+          if (angle === 0) return [x, y]
+          return [
+            cx + (x - cx) * cos - (y - cy) * sin,
+            cy + (x - cx) * sin + (y - cy) * cos
+          ]
+        })
+      }
+    })
+}
+
+/**
+ * Transform from scene coordinates to the model input
+ * Same fit as preprocessImg: the longer side becomes targetSize and the
+ * region is centred.
+ *
+ * @param {Region} region - Scene area to rasterize
+ * @param {number} [targetSize=DEFAULT_INPUT_SIZE] - Output size
+ * @returns {{scale: number, offsetX: number, offsetY: number}} output = scene * scale + offset
+ */
+export function fitRegion(region, targetSize = DEFAULT_INPUT_SIZE) {
+  const scale = targetSize / Math.max(region.width, region.height)
+  const padX = Math.floor((targetSize - Math.round(region.width * scale)) / 2)
+  const padY = Math.floor((targetSize - Math.round(region.height * scale)) / 2)
+
+  return {
+    scale,
+    offsetX: padX - region.x * scale,
+    offsetY: padY - region.y * scale
+  }
+}
+
+/**
+ * Rasterize strokes into a normalized grey buffer for the model
+ *
+ * @param {Stroke[]} strokes - Strokes from toStrokes
+ * @param {Object} options
+ * @param {Region} options.region - Scene area to rasterize (ink outside is clipped)
+ * @param {number} [options.targetSize=DEFAULT_INPUT_SIZE] - Output size (the model's inputSize)
+ * @param {number} [options.strokeWidth=DEFAULT_STROKE_WIDTH] - Line width in output pixels
+ * @param {(width: number, height: number) => OffscreenCanvas} [options.createCanvas] - Canvas factory
+ * @returns {Float32Array} targetSize² values in [0, 1] (1 is white), like preprocessImg
+ */
+export function rasterizeStrokes(strokes, {
+  region,
+  targetSize = DEFAULT_INPUT_SIZE,
+  strokeWidth = DEFAULT_STROKE_WIDTH,
+  createCanvas = (width, height) => new OffscreenCanvas(width, height)
+}) {
+  const canvas = createCanvas(targetSize, targetSize)
+  const ctx = canvas.getContext('2d', { willReadFrequently: true })
+  const { scale, offsetX, offsetY } = fitRegion(region, targetSize)
+
+  ctx.fillStyle = '#ffffff'
+  ctx.fillRect(0, 0, targetSize, targetSize)
+
+  ctx.setTransform(scale, 0, 0, scale, offsetX, offsetY)
+  ctx.beginPath()
+  ctx.rect(region.x, region.y, region.width, region.height)
+  ctx.clip()
+
+  ctx.strokeStyle = '#000000'
+  ctx.fillStyle = '#000000'
+  ctx.lineWidth = strokeWidth / scale
+  ctx.lineCap = 'round'
+  ctx.lineJoin = 'round'
+
+  for (const { points } of strokes) {
+    ctx.beginPath()
+    if (points.length === 1) {
+      // A tap is a dot
+      ctx.arc(points[0][0], points[0][1], ctx.lineWidth / 2, 0, Math.PI * 2)
+      ctx.fill()
+      continue
+    }
+    ctx.moveTo(points[0][0], points[0][1])
+    for (let i = 1; i < points.length; i++) {
+      ctx.lineTo(points[i][0], points[i][1])
+    }
+    ctx.stroke()
+  }
+
+  // Ink is black on white, so the red channel is the grey level
+  const { data } = ctx.getImageData(0, 0, targetSize, targetSize)
+  const pixels = new Float32Array(targetSize * targetSize)
+  for (let i = 0; i < pixels.length; i++) {
+    pixels[i] = data[i * 4] / 255
+  }
+  return pixels
+}